@@ -0,0 +1,51 @@
+// Thrown for bad input; routes answer these with 400 and the `errors` list
+class ValidationError extends Error {
+  constructor(message, errors = [message]) {
+    super(message);
+    this.name = 'ValidationError';
+    this.errors = errors;
+  }
+}
+
+// Thrown by the queue processor for sends that can never succeed (unknown number,
+// missing attachment, ...); the item is dead-lettered without further retries
+class PermanentSendError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'PermanentSendError';
+    this.code = code;
+  }
+}
+
+// Thrown when the consent registry does not allow messaging a number (`opted-out`, or
+// `no-consent` when opt-in is required); handled like any other ValidationError
+class ConsentError extends ValidationError {
+  constructor(message, code) {
+    super(message);
+    this.name = 'ConsentError';
+    this.code = code;
+  }
+}
+
+// Thrown for HL7/FHIR results that cannot be turned into a notification; `errors` holds
+// { code, message, location } entries instead of strings
+class IngestError extends ValidationError {
+  constructor(message, errors, format) {
+    super(message, errors);
+    this.name = 'IngestError';
+    this.format = format;
+  }
+}
+
+// Thrown for patient report links that cannot be used (`invalid`, `expired`, `revoked`,
+// `removed`, `locked`, `verification-failed`, ...); `status` is the HTTP status to answer with
+class ReportLinkError extends Error {
+  constructor(message, code, status = 403) {
+    super(message);
+    this.name = 'ReportLinkError';
+    this.code = code;
+    this.status = status;
+  }
+}
+
+export { ValidationError, PermanentSendError, ConsentError, IngestError, ReportLinkError };
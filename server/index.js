@@ -8,8 +8,30 @@ import fs from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
 import { v4 as uuidv4 } from 'uuid';
-import WhatsAppService from './services/WhatsAppService.js';
+import SessionManager from './services/SessionManager.js';
+import SessionWatchdog from './services/SessionWatchdog.js';
+import SessionBackupService from './services/SessionBackupService.js';
 import MessageService from './services/MessageService.js';
+import TemplateService from './services/TemplateService.js';
+import EventBus from './services/EventBus.js';
+import DispatchService from './services/DispatchService.js';
+import BatchService from './services/BatchService.js';
+import SchedulerService from './services/SchedulerService.js';
+import SettingsService from './services/SettingsService.js';
+import ConversationService from './services/ConversationService.js';
+import ConsentService from './services/ConsentService.js';
+import WebhookService, { EVENTS as WEBHOOK_EVENTS } from './services/WebhookService.js';
+import LimsConnector from './services/LimsConnector.js';
+import IngestionService from './services/IngestionService.js';
+import AuthService, { ROLES, hasRole } from './services/AuthService.js';
+import ReportStore from './services/ReportStore.js';
+import ReportLinkService from './services/ReportLinkService.js';
+import ReportProcessor, { MAX_REPORT_FILES } from './services/ReportProcessor.js';
+import { ValidationError, IngestError, ReportLinkError } from './errors.js';
+import { buildAck } from './utils/hl7.js';
+import { renderReportPage, renderReportError } from './utils/reportPage.js';
+import { getDefaultLocale, normalizeLocale } from './templates/locales.js';
+import { parsePhoneNumber } from './utils/phone.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -23,11 +45,72 @@ const io = new Server(server, {
   }
 });
 
+const authService = new AuthService();
+
+// A dashboard session or API key, sent as `Authorization: Bearer <token>` (or `X-API-Key`)
+const getToken = (headers) => headers['x-api-key'] || (headers.authorization || '').replace(/^Bearer\s+/i, '') || null;
+
+// Every /api route except signing in needs a dashboard session or an API key. Requests made
+// with an API key are written to the key's usage log.
+const authenticate = (req, res, next) => {
+  if (req.path === '/auth/login') {
+    return next();
+  }
+
+  const principal = authService.authenticate(getToken(req.headers));
+  if (!principal) {
+    return res.status(401).json({ success: false, error: 'Authentication required' });
+  }
+
+  req.principal = principal;
+  if (principal.type === 'api-key') {
+    res.on('finish', () => authService.recordUsage(principal.id, {
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      status: res.statusCode,
+      ip: req.ip
+    }));
+  }
+  next();
+};
+
+// Route guard: the user or API key needs at least `role` (viewer < operator < admin)
+const allow = (role) => (req, res, next) => {
+  if (!hasRole(req.principal.role, role)) {
+    return res.status(403).json({ success: false, error: `This action requires the ${role} role` });
+  }
+  next();
+};
+
+// Ends live dashboard connections, e.g. of a revoked key or a signed-out user
+const disconnectSockets = (predicate) => {
+  io.of('/').sockets.forEach(socket => {
+    if (predicate(socket.data)) {
+      socket.disconnect(true);
+    }
+  });
+};
+
 // Middleware
 app.use(cors({
   origin: "http://localhost:4173"
 }));
+app.use('/api', authenticate);
+// Results pushed by a LIS/HIS can carry a Base64 PDF, well over the default 100kb
+const INGEST_BODY_LIMIT = process.env.INGEST_BODY_LIMIT || '30mb';
+const HL7_TYPES = ['application/hl7-v2', 'x-application/hl7-v2+er7', 'text/plain'];
+app.use('/api/ingest/hl7', express.text({ type: HL7_TYPES, limit: INGEST_BODY_LIMIT }));
+app.use('/api/ingest/fhir', express.json({ type: ['application/fhir+json', 'application/json'], limit: INGEST_BODY_LIMIT }));
+app.use('/api/ingest', (error, req, res, next) => {
+  const code = { 'entity.parse.failed': 'invalid-json', 'entity.too.large': 'too-large' }[error.type];
+  if (!code) {
+    return next(error);
+  }
+  res.status(error.status).json({ success: false, error: error.message, errors: [{ code, message: error.message }] });
+});
 app.use(express.json());
+// Forms on the patient report link pages
+app.use('/r', express.urlencoded({ extended: false, limit: '10kb' }));
 app.use(express.static(path.join(__dirname, 'public')));
 
 // Create uploads directory if it doesn't exist
@@ -59,9 +142,61 @@ const upload = multer({
   limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
 });
 
+// Batch uploads are parsed in memory: a recipients CSV/JSON and an optional ZIP of reports
+const batchUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 100 * 1024 * 1024 } // 100MB limit
+}).fields([
+  { name: 'recipients', maxCount: 1 },
+  { name: 'reports', maxCount: 1 }
+]);
+
+// Consent imports (CSV or JSON) are parsed in memory as well
+const consentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024 } // 10MB limit
+}).single('file');
+
+// Session archives (see SessionBackupService) are opened in memory too
+const sessionArchiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 200 * 1024 * 1024 } // 200MB limit
+}).single('archive');
+
 // Initialize services
-const whatsappService = new WhatsAppService(io);
-const messageService = new MessageService();
+const eventBus = new EventBus();
+const settingsService = new SettingsService();
+const consentService = new ConsentService({ eventBus, settingsService });
+const reportStore = new ReportStore();
+const sessionManager = new SessionManager(io, { eventBus, consent: consentService, reports: reportStore, sendingSettings: settingsService.get('sending') });
+const sessionWatchdog = new SessionWatchdog({ sessionManager, eventBus });
+const sessionBackupService = new SessionBackupService({ sessionManager, eventBus });
+const messageService = new MessageService({ eventBus });
+const templateService = new TemplateService();
+const reportLinkService = new ReportLinkService({
+  reportStore,
+  messageService,
+  settingsService,
+  eventBus,
+  sendText: (...args) => dispatchService.sendText(...args)
+});
+
+const reportProcessor = new ReportProcessor({ settingsService });
+const dispatchService = new DispatchService({
+  messageService,
+  templateService,
+  sessionManager,
+  consentService,
+  reportStore,
+  reportLinks: reportLinkService,
+  reportProcessor
+});
+const batchService = new BatchService({ dispatchService, eventBus, uploadsDir });
+const schedulerService = new SchedulerService({ dispatchService, messageService });
+const conversationService = new ConversationService({ io, eventBus, dispatchService, messageService, settingsService });
+const webhookService = new WebhookService({ eventBus });
+const limsConnector = new LimsConnector({ dispatchService, messageService, settingsService, uploadsDir });
+const ingestionService = new IngestionService({ dispatchService, messageService, uploadsDir });
 
 // Graceful shutdown handling
 const gracefulShutdown = async (signal) => {
@@ -73,8 +208,16 @@ const gracefulShutdown = async (signal) => {
       console.log('🔌 HTTP server closed');
     });
     
-    // Gracefully shutdown WhatsApp service
-    await whatsappService.gracefulShutdown();
+    // Scheduled messages stay stored and are released after the next start
+    schedulerService.stop();
+    webhookService.stop();
+    limsConnector.stop();
+    sessionWatchdog.stop();
+    sessionBackupService.stop();
+
+    // Gracefully shutdown every WhatsApp session
+    await sessionManager.gracefulShutdown();
+    batchService.flush();
     
     console.log('✅ Graceful shutdown completed');
     process.exit(0);
@@ -100,62 +243,180 @@ process.on('unhandledRejection', (reason, promise) => {
 });
 
 // Routes
-app.get('/api/status', (req, res) => {
-  const queueStatus = whatsappService.getQueueStatus();
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    res.json({ success: true, ...authService.login(username, password) });
+  } catch (error) {
+    res.status(401).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/auth/logout', (req, res) => {
+  const token = getToken(req.headers);
+  authService.logout(token);
+  disconnectSockets(data => data.token === token);
+  res.json({ success: true });
+});
+
+app.get('/api/auth/me', (req, res) => {
+  const { type, name, role } = req.principal;
+  res.json({ type, name, role, roles: ROLES });
+});
+
+// Body: { currentPassword, newPassword }. Signs the user out everywhere.
+app.put('/api/auth/password', (req, res) => {
+  if (req.principal.type !== 'user') {
+    return res.status(400).json({ success: false, error: 'API keys have no password' });
+  }
+
+  try {
+    authService.changePassword(req.principal.id, req.body.currentPassword, req.body.newPassword);
+    disconnectSockets(data => data.principal.type === 'user' && data.principal.id === req.principal.id);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+app.get('/api/users', allow('admin'), (req, res) => {
+  res.json(authService.listUsers());
+});
+
+// Body: { username, password, role }
+app.post('/api/users', allow('admin'), (req, res) => {
+  try {
+    const user = authService.createUser(req.body);
+    res.status(201).json({ success: true, user });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+// Body: { role, disabled, password }
+app.put('/api/users/:username', allow('admin'), (req, res) => {
+  try {
+    const user = authService.updateUser(req.params.username, req.body);
+
+    if (!user) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    disconnectSockets(data => data.principal.type === 'user' && data.principal.id === user.id);
+    res.json({ success: true, user });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+app.delete('/api/users/:username', allow('admin'), (req, res) => {
+  try {
+    const username = req.params.username.toLowerCase();
+
+    if (!authService.removeUser(username)) {
+      return res.status(404).json({ success: false, error: 'User not found' });
+    }
+
+    disconnectSockets(data => data.principal.type === 'user' && data.principal.id === username);
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+app.get('/api/keys', allow('admin'), (req, res) => {
+  res.json(authService.listKeys());
+});
+
+// Body: { name, role }. The response holds the key, which is not shown again.
+app.post('/api/keys', allow('admin'), (req, res) => {
+  try {
+    const key = authService.createKey(req.body, req.principal.name);
+    res.status(201).json({ success: true, key });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+// Revokes the key; it stays listed with its usage log
+app.delete('/api/keys/:id', allow('admin'), (req, res) => {
+  const key = authService.revokeKey(req.params.id, req.principal.name);
+
+  if (!key) {
+    return res.status(404).json({ success: false, error: 'API key not found' });
+  }
+
+  disconnectSockets(data => data.principal.type === 'api-key' && data.principal.id === key.id);
+  res.json({ success: true, key });
+});
+
+app.get('/api/keys/:id/usage', allow('admin'), (req, res) => {
+  if (!authService.getKey(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'API key not found' });
+  }
+
+  const limit = parseInt(req.query.limit) || 100;
+  res.json(authService.getUsage(req.params.id, { limit }));
+});
+
+app.get('/api/status', allow('viewer'), (req, res) => {
+  const queueStatus = sessionManager.getQueueStatus();
   const messageStats = messageService.getMessageStats();
   
   res.json({
     status: 'online',
-    whatsappConnected: whatsappService.isReady(),
+    whatsappConnected: sessionManager.isReady(),
     timestamp: new Date().toISOString(),
     queue: queueStatus,
+    sessions: sessionManager.list(),
     messageStats,
     uptime: process.uptime(),
     memory: process.memoryUsage()
   });
 });
 
-app.post('/api/send-message', async (req, res) => {
-  try {
-    const { phoneNumber, message, patientName, testName, reportDate, doctorName } = req.body;
+// Session health as seen by the watchdog: current state of each session, its recent checks
+// and the stored history of state changes, problems and restarts. Answers 503 when no
+// running session is healthy, so uptime monitors can use it with a viewer API key.
+app.get('/api/health', allow('viewer'), (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  const health = sessionWatchdog.getHealth({ sessionId: req.query.sessionId, limit });
+
+  res.status(health.status === 'down' ? 503 : 200).json({
+    ...health,
+    uptime: process.uptime(),
+    timestamp: new Date().toISOString()
+  });
+});
 
-    if (!phoneNumber || !message) {
-      return res.status(400).json({
-        success: false,
-        error: 'Phone number and message are required'
+// Both send routes accept `sendAt` (ISO 8601) to hold the message until that time, and
+// `sessionId` or `branch` to pick the sending number (the default session otherwise)
+app.post('/api/send-message', allow('operator'), async (req, res) => {
+  try {
+    if (req.body.sendAt) {
+      const scheduled = schedulerService.schedule(req.body, { sendAt: req.body.sendAt });
+      return res.json({
+        success: true,
+        messageId: scheduled.id,
+        processedMessage: scheduled.processedMessage,
+        scheduledFor: scheduled.sendAt
       });
     }
 
-    // Process message template
-    const processedMessage = messageService.processTemplate(message, {
-      patientName,
-      testName,
-      reportDate,
-      doctorName,
-      labName: 'MedLab Systems'
-    });
-
-    const messageId = await whatsappService.sendMessage(phoneNumber, processedMessage);
-    
-    // Log the message
-    messageService.logMessage({
-      id: messageId,
-      phoneNumber,
-      message: processedMessage,
-      status: 'queued',
-      timestamp: new Date().toISOString(),
-      patientName,
-      testName,
-      type: 'text'
-    });
+    const { messageId, sessionId, processedMessage } = await dispatchService.dispatch(req.body);
 
     res.json({
       success: true,
       messageId,
+      sessionId,
       processedMessage
     });
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
+
     console.error('Error sending message:', error);
     res.status(500).json({
       success: false,
@@ -164,54 +425,44 @@ app.post('/api/send-message', async (req, res) => {
   }
 });
 
-app.post('/api/send-report', upload.single('report'), async (req, res) => {
+// Several `report` files (e.g. one photo per page) are combined into one PDF
+app.post('/api/send-report', allow('operator'), upload.array('report', MAX_REPORT_FILES), async (req, res) => {
   try {
-    const { phoneNumber, message, patientName, testName, reportDate, doctorName } = req.body;
-    const reportFile = req.file;
+    const filePath = await reportProcessor.combine((req.files || []).map(file => file.path));
 
-    if (!phoneNumber || !message) {
-      return res.status(400).json({
-        success: false,
-        error: 'Phone number and message are required'
+    if (req.body.sendAt) {
+      const scheduled = schedulerService.schedule(req.body, {
+        sendAt: req.body.sendAt,
+        filePath
+      });
+      return res.json({
+        success: true,
+        messageId: scheduled.id,
+        processedMessage: scheduled.processedMessage,
+        attachmentSent: !!filePath,
+        scheduledFor: scheduled.sendAt
       });
     }
 
-    // Process message template
-    const processedMessage = messageService.processTemplate(message, {
-      patientName,
-      testName,
-      reportDate,
-      doctorName,
-      labName: 'MedLab Systems'
-    });
-
-    const messageId = await whatsappService.sendMessageWithAttachment(
-      phoneNumber, 
-      processedMessage, 
-      reportFile ? reportFile.path : null
-    );
-    
-    // Log the message
-    messageService.logMessage({
-      id: messageId,
-      phoneNumber,
-      message: processedMessage,
-      status: 'queued',
-      timestamp: new Date().toISOString(),
-      patientName,
-      testName,
-      hasAttachment: !!reportFile,
-      type: 'attachment'
+    const { messageId, sessionId, processedMessage, reportDelivery, reportLink } = await dispatchService.dispatch(req.body, {
+      filePath
     });
 
     res.json({
       success: true,
       messageId,
+      sessionId,
       processedMessage,
-      attachmentSent: !!reportFile
+      attachmentSent: !!filePath,
+      reportDelivery,
+      reportLink
     });
 
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
+
     console.error('Error sending report:', error);
     res.status(500).json({
       success: false,
@@ -220,14 +471,14 @@ app.post('/api/send-report', upload.single('report'), async (req, res) => {
   }
 });
 
-app.get('/api/messages', (req, res) => {
+app.get('/api/messages', allow('viewer'), (req, res) => {
   const messages = messageService.getMessages();
   const stats = messageService.getMessageStats();
   
   res.json(messages);
 });
 
-app.get('/api/messages/stats', (req, res) => {
+app.get('/api/messages/stats', allow('viewer'), (req, res) => {
   const stats = messageService.getMessageStats();
   const failedMessages = messageService.getFailedMessages();
   const recentActivity = messageService.getRecentActivity();
@@ -239,44 +490,1067 @@ app.get('/api/messages/stats', (req, res) => {
   });
 });
 
-app.get('/api/messages/failed', (req, res) => {
+// Failed messages that are in the dead-letter store are `retryable`; the others failed
+// before reaching the queue (e.g. a scheduled message whose template became invalid)
+app.get('/api/messages/failed', allow('viewer'), (req, res) => {
   const limit = parseInt(req.query.limit) || 10;
-  const failedMessages = messageService.getFailedMessages(limit);
+  const failedMessages = messageService.getFailedMessages(limit).map(message => ({
+    ...message,
+    retryable: !!sessionManager.getDeadLetter(message.id)
+  }));
   res.json(failedMessages);
 });
 
-app.post('/api/generate-qr', async (req, res) => {
+app.post('/api/messages/failed/retry-all', allow('operator'), (req, res) => {
+  const retried = sessionManager.retryAllDeadLetters();
+  res.json({ success: true, retried: retried.map(item => item.id) });
+});
+
+app.get('/api/messages/failed/:id', allow('viewer'), (req, res) => {
+  const deadLetter = sessionManager.getDeadLetter(req.params.id);
+
+  if (!deadLetter) {
+    return res.status(404).json({ success: false, error: 'Message is not in the dead-letter store' });
+  }
+
+  res.json(deadLetter);
+});
+
+app.post('/api/messages/failed/:id/retry', allow('operator'), (req, res) => {
+  const queueItem = sessionManager.retryDeadLetter(req.params.id);
+
+  if (!queueItem) {
+    return res.status(404).json({ success: false, error: 'Message is not in the dead-letter store' });
+  }
+
+  res.json({ success: true, messageId: queueItem.id, state: queueItem.state });
+});
+
+// Covers every session unless `sessionId` is given
+app.get('/api/queue', allow('viewer'), (req, res) => {
   try {
-    await whatsappService.generateQR();
-    res.json({ success: true, message: 'QR generation initiated' });
+    const limit = parseInt(req.query.limit) || 100;
+    const { sessionId } = req.query;
+    const items = sessionManager.getQueueItems({ state: req.query.state, limit, sessionId });
+
+    res.json({
+      status: sessionManager.getQueueStatus({ sessionId }),
+      items
+    });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+app.get('/api/scheduled', allow('viewer'), (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  const items = schedulerService.getItems({ state: req.query.state, limit });
+
+  res.json({
+    status: schedulerService.getStatus(),
+    items
+  });
+});
+
+app.get('/api/scheduled/:id', allow('viewer'), (req, res) => {
+  const item = schedulerService.getItem(req.params.id);
+
+  if (!item) {
+    return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+  }
+
+  res.json(item);
+});
+
+app.put('/api/scheduled/:id', allow('operator'), (req, res) => {
+  try {
+    const item = schedulerService.reschedule(req.params.id, req.body.sendAt);
+
+    if (!item) {
+      return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+    }
+
+    res.json({ success: true, item });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+app.delete('/api/scheduled/:id', allow('operator'), (req, res) => {
+  try {
+    const item = schedulerService.cancel(req.params.id);
+
+    if (!item) {
+      return res.status(404).json({ success: false, error: 'Scheduled message not found' });
+    }
+
+    res.json({ success: true, item });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+app.get('/api/messages/:id', allow('viewer'), (req, res) => {
+  const message = messageService.getMessage(req.params.id);
+
+  if (!message) {
+    return res.status(404).json({
+      success: false,
+      error: 'Message not found'
+    });
+  }
+
+  res.json({
+    ...message,
+    queue: sessionManager.getQueueItem(message.id)
+  });
+});
+
+// The stored report of a message, decrypted
+app.get('/api/messages/:id/report', allow('operator'), async (req, res) => {
+  try {
+    const message = messageService.getMessage(req.params.id);
+    const report = message?.reportId ? await reportStore.read(message.reportId) : null;
+
+    if (!report) {
+      return res.status(404).json({ success: false, error: 'No stored report for this message' });
+    }
+
+    res.set('Cache-Control', 'no-store').attachment(report.record.fileName).type(report.record.contentType).send(report.data);
+  } catch (error) {
+    console.error('Error reading report:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// The report link(s) of a message and who opened them
+app.get('/api/messages/:id/report-access', allow('viewer'), (req, res) => {
+  const message = messageService.getMessage(req.params.id);
+
+  if (!message) {
+    return res.status(404).json({ success: false, error: 'Message not found' });
+  }
+
+  res.json({
+    report: message.reportId ? reportStore.get(message.reportId) : null,
+    links: reportLinkService.listForMessage(message.id),
+    events: reportLinkService.getAccessLog(message.id, { limit: parseInt(req.query.limit) || 100 })
+  });
+});
+
+// Sends the message again with its stored report; a report link is replaced by a new one
+// (the body may set linkProtection, linkExpiryHours and dateOfBirth for it)
+app.post('/api/messages/:id/resend', allow('operator'), async (req, res) => {
+  try {
+    const result = await dispatchService.resend(req.params.id, req.body);
+
+    if (!result) {
+      return res.status(404).json({ success: false, error: 'Message not found' });
+    }
+
+    res.json({ success: true, resendOf: req.params.id, ...result });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
+
+    console.error('Error resending message:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/report-links/:id/revoke', allow('operator'), (req, res) => {
+  const link = reportLinkService.revoke(req.params.id);
+
+  if (!link) {
+    return res.status(404).json({ success: false, error: 'Report link not found' });
+  }
+
+  res.json({ success: true, link });
+});
+
+// Patient report links (ReportLinkService). These pages are public: the signed token is the
+// credential, and protected links also ask for a one-time code or the date of birth.
+const reportLinkMeta = (req) => ({ ip: req.ip, userAgent: req.get('user-agent') });
+
+const sendReportLinkPage = (res, status, html) => {
+  res.status(status).set({
+    'Cache-Control': 'no-store',
+    'Referrer-Policy': 'no-referrer',
+    'X-Robots-Tag': 'noindex, nofollow'
+  }).type('html').send(html);
+};
+
+const sendReportLinkError = (res, error) => {
+  if (!(error instanceof ReportLinkError)) {
+    console.error('Error serving report link:', error);
+  }
+  sendReportLinkPage(res, error instanceof ReportLinkError ? error.status : 500, renderReportError({
+    labName: dispatchService.labName,
+    message: error instanceof ReportLinkError ? error.message : 'Something went wrong. Please try again later.'
+  }));
+};
+
+const showReportLinkPage = (req, res, described, extra = {}, status = 200) => {
+  sendReportLinkPage(res, status, renderReportPage({
+    labName: dispatchService.labName,
+    url: `${reportLinkService.baseUrl}/r/${req.params.token}`,
+    ...described,
+    ...extra
+  }));
+};
+
+const downloadReportLink = async (req, res) => {
+  try {
+    const report = await reportLinkService.download(req.params.token, req.body || {}, reportLinkMeta(req));
+    res.set({ 'Cache-Control': 'no-store', 'Referrer-Policy': 'no-referrer' })
+      .attachment(report.record.fileName)
+      .type(report.record.contentType)
+      .send(report.data);
+  } catch (error) {
+    if (error.code !== 'verification-failed') {
+      return sendReportLinkError(res, error);
+    }
+    try {
+      showReportLinkPage(req, res, reportLinkService.describe(req.params.token), { error: error.message }, error.status);
+    } catch (describeError) {
+      sendReportLinkError(res, describeError);
+    }
+  }
+};
+
+app.get('/r/:token', (req, res) => {
+  try {
+    showReportLinkPage(req, res, reportLinkService.open(req.params.token, reportLinkMeta(req)));
+  } catch (error) {
+    sendReportLinkError(res, error);
+  }
+});
+
+app.post('/r/:token/code', async (req, res) => {
+  let notice = null;
+  let codeError = null;
+
+  try {
+    await reportLinkService.sendCode(req.params.token, reportLinkMeta(req));
+    notice = 'We sent you a code on WhatsApp.';
+  } catch (error) {
+    if (!['code-throttled', 'code-limit', 'code-unavailable'].includes(error.code)) {
+      return sendReportLinkError(res, error);
+    }
+    codeError = error;
+  }
+
+  try {
+    showReportLinkPage(req, res, reportLinkService.describe(req.params.token), { notice, error: codeError?.message }, codeError?.status);
+  } catch (error) {
+    sendReportLinkError(res, error);
+  }
+});
+
+// Unprotected links download directly; protected ones go back to their form
+app.get('/r/:token/download', (req, res) => {
+  try {
+    const { link } = reportLinkService.describe(req.params.token);
+    if (link.protection !== 'none') {
+      return res.redirect(303, `${reportLinkService.baseUrl}/r/${req.params.token}`);
+    }
+  } catch (error) {
+    return sendReportLinkError(res, error);
+  }
+  downloadReportLink(req, res);
+});
+
+app.post('/r/:token/download', downloadReportLink);
+
+// Validates the format and, when WhatsApp is connected, whether the number is registered.
+// `registered` is null when it could not be checked.
+app.get('/api/numbers/validate', allow('viewer'), async (req, res) => {
+  const input = req.query.phoneNumber || req.query.phone;
+
+  if (!input) {
+    return res.status(400).json({ success: false, error: 'phoneNumber is required' });
+  }
+
+  const parsed = parsePhoneNumber(input);
+  if (!parsed) {
+    return res.json({ success: true, input, valid: false, error: 'Not a valid phone number' });
+  }
+
+  try {
+    const { registered, checkedAt, cached } = await sessionManager.checkNumber(parsed.e164, { sessionId: req.query.sessionId });
+    res.json({ success: true, input, valid: true, ...parsed, registered, checkedAt, cached, consent: consentService.check(parsed.e164) });
+  } catch (error) {
+    console.error('Error checking number:', error);
+    res.json({ success: true, input, valid: true, ...parsed, registered: null, consent: consentService.check(parsed.e164), error: error.message });
+  }
+});
+
+app.get('/api/consents', allow('viewer'), (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+
+  res.json({
+    status: consentService.getStatus(),
+    consents: consentService.list({ status: req.query.status, limit })
+  });
+});
+
+// `format=json` returns the full records including their history; CSV by default
+app.get('/api/consents/export', allow('operator'), (req, res) => {
+  if (req.query.format === 'json') {
+    res.setHeader('Content-Disposition', 'attachment; filename="consents.json"');
+    return res.json(consentService.list({ limit: Infinity }));
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', 'attachment; filename="consents.csv"');
+  res.send(consentService.exportCsv());
+});
+
+// Accepts a `file` upload (CSV or JSON) or a JSON body { records: [...] }. Each row needs
+// phoneNumber and status; source, timestamp and notes are optional.
+app.post('/api/consents/import', allow('operator'), consentUpload, (req, res) => {
+  try {
+    const rows = consentService.parseImport({
+      records: req.body.records,
+      fileBuffer: req.file?.buffer,
+      fileName: req.file?.originalname
+    });
+    const result = consentService.importRecords(rows, { source: req.body.source || 'import', by: req.principal.name });
+
+    res.json({ success: true, ...result });
   } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
+
+    console.error('Error importing consents:', error);
     res.status(500).json({ success: false, error: error.message });
   }
 });
 
+// Critical results sent to numbers without consent
+app.get('/api/consents/audit', allow('viewer'), (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  res.json(consentService.getAudit({ phoneNumber: req.query.phoneNumber, limit }));
+});
+
+app.get('/api/consents/:phoneNumber', allow('viewer'), (req, res) => {
+  const consent = consentService.get(req.params.phoneNumber);
+
+  if (!consent) {
+    return res.status(404).json({ success: false, error: 'No consent recorded for this number' });
+  }
+
+  res.json(consent);
+});
+
+// Body: { status: 'opted-in' | 'opted-out', source, timestamp, notes }; the change is recorded
+// as made by the signed-in user or API key
+app.put('/api/consents/:phoneNumber', allow('operator'), (req, res) => {
+  try {
+    const { status, source, timestamp, notes } = req.body;
+    const consent = consentService.record(req.params.phoneNumber, status, { source: source || 'api', timestamp, notes, by: req.principal.name });
+
+    res.json({ success: true, consent });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
+
+    console.error('Error updating consent:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// `needsReply=true` lists the inbox: conversations no auto-reply could handle
+app.get('/api/conversations', allow('viewer'), (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  const needsReply = req.query.needsReply === undefined ? undefined : req.query.needsReply === 'true';
+  const conversations = conversationService.list({ needsReply, sessionId: req.query.sessionId, limit });
+
+  res.json({
+    status: conversationService.getStatus(),
+    conversations
+  });
+});
+
+app.get('/api/conversations/:id', allow('viewer'), (req, res) => {
+  const conversation = conversationService.get(req.params.id);
+
+  if (!conversation) {
+    return res.status(404).json({ success: false, error: 'Conversation not found' });
+  }
+
+  res.json(conversation);
+});
+
+app.post('/api/conversations/:id/reply', allow('operator'), async (req, res) => {
+  try {
+    const conversation = await conversationService.reply(req.params.id, req.body.message, { sentBy: req.body.sentBy });
+
+    if (!conversation) {
+      return res.status(404).json({ success: false, error: 'Conversation not found' });
+    }
+
+    res.json({ success: true, conversation });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
+
+    console.error('Error sending reply:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/conversations/:id/resolve', allow('operator'), (req, res) => {
+  const conversation = conversationService.resolve(req.params.id);
+
+  if (!conversation) {
+    return res.status(404).json({ success: false, error: 'Conversation not found' });
+  }
+
+  res.json({ success: true, conversation });
+});
+
+app.post('/api/conversations/:id/read', allow('operator'), (req, res) => {
+  const conversation = conversationService.markRead(req.params.id);
+
+  if (!conversation) {
+    return res.status(404).json({ success: false, error: 'Conversation not found' });
+  }
+
+  res.json({ success: true, conversation });
+});
+
+app.get('/api/templates', allow('viewer'), (req, res) => {
+  res.json(templateService.list());
+});
+
+// Renders every locale variant (or just `locale`) of a stored template or an unsaved body
+app.post('/api/templates/preview', allow('viewer'), (req, res) => {
+  const { templateId, body, variants, locale, data = {} } = req.body;
+  let sources;
+
+  if (templateId) {
+    const template = templateService.get(templateId);
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+    sources = template.variants;
+  } else {
+    sources = variants || { [getDefaultLocale()]: body };
+  }
+
+  const previews = Object.entries(sources)
+    .filter(([variantLocale]) => !locale || variantLocale === normalizeLocale(locale))
+    .map(([variantLocale, source]) => {
+      try {
+        const rendered = messageService.processTemplate(source, {
+          labName: dispatchService.labName,
+          ...data
+        }, { locale: variantLocale });
+        return { locale: variantLocale, rendered };
+      } catch (error) {
+        return { locale: variantLocale, error: error.message, errors: error.errors };
+      }
+    });
+
+  res.json({ success: true, previews });
+});
+
+app.get('/api/templates/:id', allow('viewer'), (req, res) => {
+  const template = templateService.get(req.params.id);
+
+  if (!template) {
+    return res.status(404).json({ success: false, error: 'Template not found' });
+  }
+
+  res.json(template);
+});
+
+app.get('/api/templates/:id/versions', allow('viewer'), (req, res) => {
+  const versions = templateService.getVersions(req.params.id);
+
+  if (!versions) {
+    return res.status(404).json({ success: false, error: 'Template not found' });
+  }
+
+  res.json(versions);
+});
+
+app.post('/api/templates', allow('admin'), (req, res) => {
+  const { name, body, variants, defaultLocale } = req.body;
+
+  if (!name || (!body && !variants)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Template name and body (or variants) are required'
+    });
+  }
+
+  try {
+    const template = templateService.create({ name, body, variants, defaultLocale });
+    res.status(201).json({ success: true, template });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+app.put('/api/templates/:id', allow('admin'), (req, res) => {
+  const { name, body, variants, defaultLocale } = req.body;
+
+  if (!name && !body && !variants) {
+    return res.status(400).json({
+      success: false,
+      error: 'Template name, body or variants are required'
+    });
+  }
+
+  try {
+    const template = templateService.update(req.params.id, { name, body, variants, defaultLocale });
+
+    if (!template) {
+      return res.status(404).json({ success: false, error: 'Template not found' });
+    }
+
+    res.json({ success: true, template });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+app.delete('/api/templates/:id', allow('admin'), (req, res) => {
+  if (!templateService.remove(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Template not found' });
+  }
+
+  res.json({ success: true });
+});
+
+app.post('/api/batches', allow('operator'), batchUpload, async (req, res) => {
+  try {
+    const recipientsFile = req.files?.recipients?.[0];
+    const reportsFile = req.files?.reports?.[0];
+    const { name, templateId, locale, language, priority, sessionId, branch } = req.body;
+    const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+
+    const rows = batchService.parseRecipients({
+      recipients: req.body.recipients,
+      fileBuffer: recipientsFile?.buffer,
+      fileName: recipientsFile?.originalname
+    });
+
+    const batch = await batchService.createBatch({
+      name,
+      rows,
+      zipBuffer: reportsFile?.buffer,
+      defaults: { templateId, locale: locale || language, priority, sessionId, branch },
+      dryRun
+    });
+
+    res.status(dryRun ? 200 : 201).json({ success: true, dryRun, batch });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
+
+    console.error('Error creating batch:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/batches', allow('viewer'), (req, res) => {
+  res.json(batchService.list());
+});
+
+app.get('/api/batches/:id', allow('viewer'), (req, res) => {
+  const batch = batchService.get(req.params.id);
+
+  if (!batch) {
+    return res.status(404).json({ success: false, error: 'Batch not found' });
+  }
+
+  res.json(batch);
+});
+
+app.get('/api/batches/:id/report', allow('viewer'), (req, res) => {
+  const csv = batchService.getReportCsv(req.params.id);
+
+  if (!csv) {
+    return res.status(404).json({ success: false, error: 'Batch not found' });
+  }
+
+  res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+  res.setHeader('Content-Disposition', `attachment; filename="batch-${req.params.id}.csv"`);
+  res.send(csv);
+});
+
+app.get('/api/settings/:section', allow('viewer'), (req, res) => {
+  const settings = settingsService.get(req.params.section);
+
+  if (!settings) {
+    return res.status(404).json({ success: false, error: 'Unknown settings section' });
+  }
+
+  res.json(settings);
+});
+
+app.put('/api/settings/:section', allow('admin'), (req, res) => {
+  try {
+    const settings = settingsService.update(req.params.section, req.body);
+
+    if (!settings) {
+      return res.status(404).json({ success: false, error: 'Unknown settings section' });
+    }
+
+    if (req.params.section === 'sending') {
+      sessionManager.applySendingSettings(settings);
+    }
+    if (req.params.section === 'lims') {
+      limsConnector.configure();
+    }
+
+    res.json({ success: true, settings });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+app.get('/api/lims/status', allow('viewer'), (req, res) => {
+  res.json(limsConnector.getStatus());
+});
+
+// Runs a polling round now, whether or not scheduled polling is enabled
+app.post('/api/lims/poll', allow('operator'), async (req, res) => {
+  try {
+    const result = await limsConnector.poll();
+    res.status(result.error ? 502 : 200).json({ success: !result.error, ...result });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/lims/reports', allow('viewer'), (req, res) => {
+  const limit = parseInt(req.query.limit) || 100;
+  res.json(limsConnector.list({ state: req.query.state, limit }));
+});
+
+app.get('/api/lims/reports/:id', allow('viewer'), (req, res) => {
+  const record = limsConnector.get(req.params.id);
+
+  if (!record) {
+    return res.status(404).json({ success: false, error: 'LIMS report not found' });
+  }
+
+  res.json(record);
+});
+
+// Sends a failed or rejected report again
+app.post('/api/lims/reports/:id/retry', allow('operator'), async (req, res) => {
+  try {
+    const record = await limsConnector.retry(req.params.id);
+
+    if (!record) {
+      return res.status(404).json({ success: false, error: 'LIMS report not found' });
+    }
+
+    res.json({ success: record.state === 'queued' || record.state === 'acknowledged', report: record });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
+
+    console.error('Error retrying LIMS report:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Body: an HL7 v2 ORU^R01 message. The JSON response carries the HL7 acknowledgement in
+// `ack`; clients that only accept HL7 get the acknowledgement itself.
+app.post('/api/ingest/hl7', allow('operator'), async (req, res) => {
+  const text = typeof req.body === 'string' ? req.body : '';
+  const respond = (status, ackCode, body) => {
+    const ack = buildAck(text, ackCode, body.error || '');
+    if (req.accepts(['json', ...HL7_TYPES.slice(0, 2)]) !== 'json') {
+      return res.status(status).type(HL7_TYPES[0]).send(ack);
+    }
+    res.status(status).json({ ...body, ack });
+  };
+
+  try {
+    const result = await ingestionService.ingest('hl7', text);
+    respond(200, 'AA', { success: true, ...result });
+  } catch (error) {
+    if (error instanceof IngestError) {
+      return respond(400, 'AE', { success: false, error: error.message, format: error.format, errors: error.errors });
+    }
+
+    console.error('Error ingesting HL7 message:', error);
+    respond(500, 'AE', { success: false, error: error.message });
+  }
+});
+
+// Body: a FHIR Bundle with a DiagnosticReport, its Patient and Observations, or a single
+// DiagnosticReport with the Patient contained
+app.post('/api/ingest/fhir', allow('operator'), async (req, res) => {
+  try {
+    const result = await ingestionService.ingest('fhir', req.body);
+    res.json({ success: true, ...result });
+  } catch (error) {
+    if (error instanceof IngestError) {
+      return res.status(400).json({ success: false, error: error.message, format: error.format, errors: error.errors });
+    }
+
+    console.error('Error ingesting FHIR resource:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.get('/api/webhooks', allow('admin'), (req, res) => {
+  res.json({ events: WEBHOOK_EVENTS, webhooks: webhookService.list() });
+});
+
+// Body: { url, events, description, active }. The response holds the signing secret,
+// which is not shown again.
+app.post('/api/webhooks', allow('admin'), (req, res) => {
+  try {
+    const webhook = webhookService.create(req.body);
+    res.status(201).json({ success: true, webhook });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+app.get('/api/webhooks/:id', allow('admin'), (req, res) => {
+  const webhook = webhookService.get(req.params.id);
+
+  if (!webhook) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+
+  res.json(webhook);
+});
+
+app.put('/api/webhooks/:id', allow('admin'), (req, res) => {
+  try {
+    const webhook = webhookService.update(req.params.id, req.body);
+
+    if (!webhook) {
+      return res.status(404).json({ success: false, error: 'Webhook not found' });
+    }
+
+    res.json({ success: true, webhook });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+app.delete('/api/webhooks/:id', allow('admin'), (req, res) => {
+  if (!webhookService.remove(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+
+  res.json({ success: true });
+});
+
+// Delivery log, newest first; `state` is pending, delivered or failed
+app.get('/api/webhooks/:id/deliveries', allow('admin'), (req, res) => {
+  if (!webhookService.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+
+  const limit = parseInt(req.query.limit) || 50;
+  res.json(webhookService.getDeliveries(req.params.id, { state: req.query.state, limit }));
+});
+
+app.post('/api/webhooks/:id/deliveries/:deliveryId/redeliver', allow('admin'), (req, res) => {
+  const delivery = webhookService.redeliver(req.params.id, req.params.deliveryId);
+
+  if (!delivery) {
+    return res.status(404).json({ success: false, error: 'Delivery not found' });
+  }
+
+  res.json({ success: true, delivery });
+});
+
+// Sends a `ping` event and answers with the outcome of that single attempt
+app.post('/api/webhooks/:id/test', allow('admin'), async (req, res) => {
+  const delivery = await webhookService.test(req.params.id);
+
+  if (!delivery) {
+    return res.status(404).json({ success: false, error: 'Webhook not found' });
+  }
+
+  res.json({ success: delivery.state === 'delivered', delivery });
+});
+
+app.get('/api/sessions', allow('viewer'), (req, res) => {
+  res.json(sessionManager.list());
+});
+
+app.post('/api/sessions', allow('admin'), (req, res) => {
+  try {
+    const session = sessionManager.create(req.body);
+    res.status(201).json({ success: true, session });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+// The pending login QR code, rendered here so the login secret never leaves this server.
+// ?sessionId= (default session without it), ?format=png (default), svg or json.
+app.get('/api/sessions/qr', allow('admin'), async (req, res) => {
+  try {
+    const session = sessionManager.resolve({ sessionId: req.query.sessionId });
+    const format = ['svg', 'json'].includes(req.query.format) ? req.query.format : 'png';
+    const pending = session.getPendingQR();
+    const image = pending && await session.renderQR(format === 'json' ? 'dataUrl' : format);
+
+    if (!image) {
+      return res.status(404).json({ success: false, error: 'No login QR code is pending for this session' });
+    }
+
+    res.set('Cache-Control', 'no-store');
+    res.set('X-QR-Issued-At', pending.issuedAt);
+    res.set('X-QR-Expires-At', pending.expiresAt);
+
+    if (format === 'json') {
+      const { issuedAt, expiresAt, expired } = pending;
+      return res.json({ sessionId: session.sessionId, image, issuedAt, expiresAt, expired });
+    }
+
+    res.type(format === 'svg' ? 'image/svg+xml' : 'image/png').send(image);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
+
+    console.error('Error rendering QR code:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Stored backups in the blob store, and whether automatic backups are on
+app.get('/api/sessions/backups', allow('admin'), async (req, res) => {
+  res.json(await sessionBackupService.list());
+});
+
+app.get('/api/sessions/:id', allow('viewer'), (req, res) => {
+  const session = sessionManager.getSession(req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+
+  res.json(session);
+});
+
+app.put('/api/sessions/:id', allow('admin'), (req, res) => {
+  try {
+    const session = sessionManager.update(req.params.id, req.body);
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    res.json({ success: true, session });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+app.delete('/api/sessions/:id', allow('admin'), async (req, res) => {
+  try {
+    if (!await sessionManager.remove(req.params.id)) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    res.json({ success: true });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message, errors: error.errors });
+  }
+});
+
+app.post('/api/sessions/:id/start', allow('admin'), async (req, res) => {
+  try {
+    const session = await sessionManager.start(req.params.id);
+
+    if (!session) {
+      return res.status(404).json({ success: false, error: 'Session not found' });
+    }
+
+    res.json({ success: true, session });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+app.post('/api/sessions/:id/stop', allow('admin'), async (req, res) => {
+  const session = await sessionManager.stop(req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+
+  res.json({ success: true, session });
+});
+
+// Restarts the client for a fresh QR code once the shown one has expired
+app.post('/api/sessions/:id/qr/refresh', allow('admin'), async (req, res) => {
+  const session = sessionManager.get(req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+
+  try {
+    await session.generateQR();
+    res.json({ success: true, message: 'QR generation initiated' });
+  } catch (error) {
+    res.status(400).json({ success: false, error: error.message });
+  }
+});
+
+// Login without scanning: the code is entered on the phone with this number
+app.post('/api/sessions/:id/pairing-code', allow('admin'), async (req, res) => {
+  const session = sessionManager.get(req.params.id);
+
+  if (!session) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+
+  try {
+    const pairing = await session.requestPairingCode(req.body?.phoneNumber);
+    res.json({ success: true, ...pairing });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
+
+    console.error('Error requesting pairing code:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Downloads the session's login as an encrypted archive. Body: { passphrase } (12+
+// characters; SESSION_BACKUP_KEY without it).
+app.post('/api/sessions/:id/export', allow('admin'), async (req, res) => {
+  if (!sessionManager.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+
+  try {
+    const { archive, manifest } = await sessionBackupService.exportArchive(req.params.id, req.body?.passphrase);
+    const fileName = `session-${req.params.id}-${manifest.createdAt.slice(0, 10)}.lwsb`;
+
+    console.log(`📦 Session ${req.params.id} exported by ${req.principal.name} (${manifest.files} files)`);
+    res.set('Cache-Control', 'no-store');
+    res.attachment(fileName).type('application/octet-stream').send(archive);
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
+
+    console.error('Error exporting session:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Replaces the session's login with an uploaded `archive` (multipart, with a `passphrase`
+// field), or with its stored backup when no archive is uploaded
+app.post('/api/sessions/:id/restore', allow('admin'), sessionArchiveUpload, async (req, res) => {
+  if (!sessionManager.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+
+  try {
+    const passphrase = req.body?.passphrase;
+    const restored = req.file
+      ? await sessionBackupService.restoreArchive(req.params.id, req.file.buffer, passphrase)
+      : await sessionBackupService.restoreFromStore(req.params.id, passphrase);
+
+    res.json({ success: true, ...restored });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
+
+    console.error('Error restoring session:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Saves the session to the blob store now, encrypted with SESSION_BACKUP_KEY
+app.post('/api/sessions/:id/backup', allow('admin'), async (req, res) => {
+  if (!sessionManager.get(req.params.id)) {
+    return res.status(404).json({ success: false, error: 'Session not found' });
+  }
+
+  try {
+    const backup = await sessionBackupService.backup(req.params.id);
+    res.json({ success: true, backup });
+  } catch (error) {
+    if (error instanceof ValidationError) {
+      return res.status(400).json({ success: false, error: error.message, errors: error.errors });
+    }
+
+    console.error('Error backing up session:', error);
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Without a sessionId this resets the default session
+app.post('/api/generate-qr', allow('admin'), async (req, res) => {
+  try {
+    const session = sessionManager.resolve({ sessionId: req.body?.sessionId });
+    await session.generateQR();
+    res.json({ success: true, message: 'QR generation initiated' });
+  } catch (error) {
+    res.status(500).json({ success: false, error: error.message });
+  }
+});
+
+// Socket.IO clients authenticate like REST clients, with `auth: { token }` in the handshake
+io.use((socket, next) => {
+  const token = socket.handshake.auth?.token || getToken(socket.handshake.headers);
+  const principal = authService.authenticate(token);
+
+  if (!principal) {
+    return next(new Error('Authentication required'));
+  }
+
+  socket.data.principal = principal;
+  socket.data.token = token;
+  next();
+});
+
 // Socket.IO connection handling
 io.on('connection', (socket) => {
-  console.log('Client connected:', socket.id);
+  console.log('Client connected:', socket.id, socket.data.principal.name);
   
   // Send current WhatsApp status
-  const queueStatus = whatsappService.getQueueStatus();
+  const queueStatus = sessionManager.getQueueStatus();
   const messageStats = messageService.getMessageStats();
   
   socket.emit('whatsapp-status', {
-    isReady: whatsappService.isReady(),
+    isReady: sessionManager.isReady(),
     timestamp: new Date().toISOString(),
     queue: queueStatus,
     stats: messageStats
   });
+  socket.emit('sessions-update', { sessions: sessionManager.list(), timestamp: new Date().toISOString() });
 
   // Send periodic status updates
   const statusInterval = setInterval(() => {
     if (socket.connected) {
-      const currentQueueStatus = whatsappService.getQueueStatus();
+      const currentQueueStatus = sessionManager.getQueueStatus();
       const currentMessageStats = messageService.getMessageStats();
       
       socket.emit('status-update', {
         queue: currentQueueStatus,
+        sessions: sessionManager.list(),
         stats: currentMessageStats,
         timestamp: new Date().toISOString()
       });
@@ -289,8 +1563,13 @@ io.on('connection', (socket) => {
   });
 });
 
-// Initialize WhatsApp service
-whatsappService.initialize();
+// Start every WhatsApp session, with logins lost in a rebuild restored from their backups
+await sessionBackupService.start();
+sessionManager.startAll();
+schedulerService.start();
+webhookService.start();
+limsConnector.start();
+sessionWatchdog.start();
 
 const PORT = process.env.PORT || 3001;
 server.listen(PORT, '0.0.0.0', () => {
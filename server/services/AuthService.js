@@ -0,0 +1,394 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { createStore } from '../storage/index.js';
+import { ValidationError } from '../errors.js';
+
+// Ordered from least to most access: viewers read, operators also send, admins also
+// manage sessions, settings, webhooks, users and API keys
+const ROLES = ['viewer', 'operator', 'admin'];
+
+const hasRole = (role, required) => ROLES.indexOf(role) >= ROLES.indexOf(required) && ROLES.includes(role);
+
+const API_KEY_PREFIX = 'lwk_';
+const SESSION_PREFIX = 'lws_';
+const MIN_PASSWORD_LENGTH = 8;
+const MAX_LOGIN_FAILURES = 5;
+const LOCKOUT_MS = 15 * 60 * 1000;
+// Session and key "last used" times are written at most this often
+const TOUCH_INTERVAL_MS = 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Tokens are only stored as hashes, so a copy of the data directory cannot be used to log in
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  return `scrypt$${salt}$${crypto.scryptSync(password, salt, 64).toString('hex')}`;
+};
+
+const verifyPassword = (password, stored) => {
+  const [scheme, salt, hash] = (stored || '').split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) {
+    return false;
+  }
+  const expected = Buffer.from(hash, 'hex');
+  return crypto.timingSafeEqual(crypto.scryptSync(password, salt, expected.length), expected);
+};
+
+const publicUser = ({ passwordHash, ...user }) => user;
+const publicKey = ({ hash, ...key }) => key;
+
+// Dashboard users (username and password, signed in with a session token) and API keys for
+// machine clients such as the LIMS. Both are sent as `Authorization: Bearer <token>`; an API
+// key may also be sent as `X-API-Key`. Every user and key has one of ROLES.
+//
+// On first start, when there are no users, an `admin` user is created from ADMIN_USERNAME and
+// ADMIN_PASSWORD; without ADMIN_PASSWORD a random password is generated and logged once.
+// Revoked keys are kept (with `revokedAt`) so their usage log still names them.
+class AuthService {
+  constructor({ userStore, keyStore, sessionStore, usageStore } = {}) {
+    this.userStore = userStore || createStore('users');
+    this.keyStore = keyStore || createStore('api-keys');
+    this.sessionStore = sessionStore || createStore('auth-sessions');
+    this.usageStore = usageStore || createStore('api-key-usage');
+    this.sessionTtlMs = (parseInt(process.env.AUTH_SESSION_HOURS) || 12) * 60 * 60 * 1000;
+    this.usageRetentionMs = (parseInt(process.env.API_KEY_LOG_RETENTION_DAYS) || 90) * 24 * 60 * 60 * 1000;
+    this.loginFailures = new Map(); // username -> { count, lastFailedAt, lockedUntil }
+    this.lastPrunedAt = 0;
+    this.failuresPrunedAt = Date.now();
+
+    this.bootstrap();
+    this.prune();
+  }
+
+  bootstrap() {
+    if (this.userStore.size > 0) {
+      return;
+    }
+
+    const username = (process.env.ADMIN_USERNAME || 'admin').trim().toLowerCase();
+    const password = process.env.ADMIN_PASSWORD || crypto.randomBytes(12).toString('base64url');
+    this.createUser({ username, password, role: 'admin' });
+
+    if (process.env.ADMIN_PASSWORD) {
+      console.log(`🔑 Created admin user "${username}"`);
+    } else {
+      console.log(`🔑 Created admin user "${username}" with password ${password} (set ADMIN_PASSWORD or change it after signing in)`);
+    }
+  }
+
+  // The principal for a bearer token or API key: { type: 'user' | 'api-key', id, name, role },
+  // or null when the token is unknown, expired or revoked
+  authenticate(token) {
+    if (typeof token !== 'string' || !token) {
+      return null;
+    }
+
+    if (token.startsWith(SESSION_PREFIX)) {
+      return this.authenticateSession(token);
+    }
+    if (token.startsWith(API_KEY_PREFIX)) {
+      return this.authenticateKey(token);
+    }
+    return null;
+  }
+
+  authenticateSession(token) {
+    const session = this.sessionStore.get(hashToken(token));
+    if (!session) {
+      return null;
+    }
+
+    const user = this.userStore.get(session.username);
+    if (new Date(session.expiresAt).getTime() <= Date.now() || !user || user.disabled) {
+      this.sessionStore.delete(session.id);
+      return null;
+    }
+
+    if (Date.now() - new Date(session.lastSeenAt).getTime() > TOUCH_INTERVAL_MS) {
+      this.sessionStore.put({ ...session, lastSeenAt: new Date().toISOString() });
+    }
+    return { type: 'user', id: user.id, name: user.id, role: user.role };
+  }
+
+  authenticateKey(token) {
+    const hash = hashToken(token);
+    const key = this.keyStore.values().find(candidate => candidate.hash === hash);
+    if (!key || key.revokedAt) {
+      return null;
+    }
+    return { type: 'api-key', id: key.id, name: `key:${key.name}`, role: key.role };
+  }
+
+  // Returns { token, expiresAt, user }; throws ValidationError for bad credentials
+  login(username, password) {
+    const id = String(username || '').trim().toLowerCase();
+    const attemptedAt = Date.now();
+    let failures = this.loginFailures.get(id);
+    if (failures?.lockedUntil > attemptedAt) {
+      throw new ValidationError('Too many failed sign-in attempts, try again later');
+    }
+    // A lock that has run out, or failures older than LOCKOUT_MS, start the count again
+    if (failures && (failures.lockedUntil || attemptedAt - failures.lastFailedAt > LOCKOUT_MS)) {
+      failures = null;
+    }
+
+    const user = this.userStore.get(id);
+    if (!user || user.disabled || !verifyPassword(String(password || ''), user.passwordHash)) {
+      const count = (failures?.count || 0) + 1;
+      this.loginFailures.set(id, { count, lastFailedAt: attemptedAt, lockedUntil: count >= MAX_LOGIN_FAILURES ? attemptedAt + LOCKOUT_MS : 0 });
+      if (attemptedAt - this.failuresPrunedAt > LOCKOUT_MS) {
+        this.pruneLoginFailures();
+      }
+      console.warn(`⚠️ Failed sign-in for "${id}"`);
+      throw new ValidationError('Invalid username or password');
+    }
+
+    this.loginFailures.delete(id);
+    const token = `${SESSION_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const now = new Date();
+    const session = {
+      id: hashToken(token),
+      username: user.id,
+      createdAt: now.toISOString(),
+      lastSeenAt: now.toISOString(),
+      expiresAt: new Date(now.getTime() + this.sessionTtlMs).toISOString()
+    };
+    this.sessionStore.put(session);
+    console.log(`🔓 ${user.id} signed in`);
+
+    return { token, expiresAt: session.expiresAt, user: publicUser(user) };
+  }
+
+  logout(token) {
+    return typeof token === 'string' && this.sessionStore.delete(hashToken(token));
+  }
+
+  endSessions(username) {
+    this.sessionStore.values()
+      .filter(session => session.username === username)
+      .forEach(session => this.sessionStore.delete(session.id));
+  }
+
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+      throw new ValidationError(`Password must be at least ${MIN_PASSWORD_LENGTH} characters`);
+    }
+  }
+
+  validateRole(role) {
+    if (!ROLES.includes(role)) {
+      throw new ValidationError(`Unknown role "${role}", expected one of ${ROLES.join(', ')}`);
+    }
+  }
+
+  listUsers() {
+    return this.userStore.values()
+      .map(publicUser)
+      .sort((a, b) => a.id.localeCompare(b.id));
+  }
+
+  getUser(username) {
+    const user = this.userStore.get(String(username).toLowerCase());
+    return user ? publicUser(user) : null;
+  }
+
+  createUser({ username, password, role = 'viewer' }) {
+    const id = String(username || '').trim().toLowerCase();
+    const errors = [];
+
+    if (!/^[a-z0-9._@-]{2,64}$/.test(id)) {
+      errors.push('Username must be 2-64 letters, digits or . _ @ -');
+    } else if (this.userStore.get(id)) {
+      errors.push(`User ${id} already exists`);
+    }
+    [() => this.validatePassword(password), () => this.validateRole(role)].forEach(check => {
+      try {
+        check();
+      } catch (error) {
+        errors.push(error.message);
+      }
+    });
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid user', errors);
+    }
+
+    const now = new Date().toISOString();
+    const user = { id, role, disabled: false, passwordHash: hashPassword(password), createdAt: now, updatedAt: now };
+    this.userStore.put(user);
+    return publicUser(user);
+  }
+
+  // Changes { role, disabled, password }. Demoting, disabling or changing the password of a
+  // user signs them out everywhere. Returns null for an unknown user.
+  updateUser(username, changes) {
+    const user = this.userStore.get(String(username).toLowerCase());
+    if (!user) {
+      return null;
+    }
+
+    const updated = { ...user, updatedAt: new Date().toISOString() };
+    if (changes.role !== undefined) {
+      this.validateRole(changes.role);
+      updated.role = changes.role;
+    }
+    if (changes.disabled !== undefined) {
+      updated.disabled = !!changes.disabled;
+    }
+    if (changes.password !== undefined) {
+      this.validatePassword(changes.password);
+      updated.passwordHash = hashPassword(changes.password);
+    }
+
+    if (user.role === 'admin' && (updated.role !== 'admin' || updated.disabled)) {
+      this.assertOtherAdmin(user.id);
+    }
+
+    this.userStore.put(updated);
+    if (updated.role !== user.role || updated.disabled || changes.password !== undefined) {
+      this.endSessions(user.id);
+    }
+    return publicUser(updated);
+  }
+
+  // Checks the current password before setting a new one
+  changePassword(username, currentPassword, newPassword) {
+    const user = this.userStore.get(username);
+    if (!user || !verifyPassword(String(currentPassword || ''), user.passwordHash)) {
+      throw new ValidationError('Current password is incorrect');
+    }
+    return this.updateUser(username, { password: newPassword });
+  }
+
+  removeUser(username) {
+    const user = this.userStore.get(String(username).toLowerCase());
+    if (!user) {
+      return false;
+    }
+    if (user.role === 'admin') {
+      this.assertOtherAdmin(user.id);
+    }
+
+    this.endSessions(user.id);
+    return this.userStore.delete(user.id);
+  }
+
+  assertOtherAdmin(username) {
+    const others = this.userStore.values().filter(user => user.id !== username && user.role === 'admin' && !user.disabled);
+    if (others.length === 0) {
+      throw new ValidationError('At least one active admin is required');
+    }
+  }
+
+  listKeys() {
+    return this.keyStore.values()
+      .map(publicKey)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+  }
+
+  getKey(id) {
+    const key = this.keyStore.get(id);
+    return key ? publicKey(key) : null;
+  }
+
+  // Returns the key record with `key` set; the key itself is not stored and not shown again
+  createKey({ name, role = 'operator' }, createdBy) {
+    const errors = [];
+    if (typeof name !== 'string' || !name.trim()) {
+      errors.push('Name is required');
+    }
+    if (!ROLES.includes(role)) {
+      errors.push(`Unknown role "${role}", expected one of ${ROLES.join(', ')}`);
+    }
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid API key', errors);
+    }
+
+    const secret = `${API_KEY_PREFIX}${crypto.randomBytes(32).toString('base64url')}`;
+    const record = {
+      id: uuidv4(),
+      name: name.trim(),
+      role,
+      hash: hashToken(secret),
+      hint: `${secret.slice(0, API_KEY_PREFIX.length + 4)}…${secret.slice(-4)}`,
+      createdAt: new Date().toISOString(),
+      createdBy: createdBy || null,
+      revokedAt: null,
+      revokedBy: null,
+      lastUsedAt: null
+    };
+    this.keyStore.put(record);
+    console.log(`🔑 API key "${record.name}" (${role}) created`);
+
+    return { ...publicKey(record), key: secret };
+  }
+
+  revokeKey(id, revokedBy) {
+    const key = this.keyStore.get(id);
+    if (!key) {
+      return null;
+    }
+    if (!key.revokedAt) {
+      this.keyStore.put({ ...key, revokedAt: new Date().toISOString(), revokedBy: revokedBy || null });
+      console.log(`🔒 API key "${key.name}" revoked`);
+    }
+    return this.getKey(id);
+  }
+
+  // One usage log entry per request made with the key
+  recordUsage(keyId, { method, path, status, ip }) {
+    const key = this.keyStore.get(keyId);
+    if (!key) {
+      return;
+    }
+
+    const now = new Date().toISOString();
+    this.usageStore.put({ id: uuidv4(), keyId, method, path, status, ip: ip || null, timestamp: now });
+
+    if (!key.lastUsedAt || Date.now() - new Date(key.lastUsedAt).getTime() > TOUCH_INTERVAL_MS) {
+      this.keyStore.put({ ...key, lastUsedAt: now, lastUsedIp: ip || null });
+    }
+
+    if (Date.now() - this.lastPrunedAt > PRUNE_INTERVAL_MS) {
+      this.prune();
+    }
+  }
+
+  getUsage(keyId, { limit = 100 } = {}) {
+    return this.usageStore.values()
+      .filter(entry => entry.keyId === keyId)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+      .slice(0, limit);
+  }
+
+  // Forgets failed sign-ins that no longer count, so names tried by anyone do not pile up
+  pruneLoginFailures() {
+    const now = Date.now();
+    this.loginFailures.forEach((failures, id) => {
+      if (failures.lockedUntil <= now && now - failures.lastFailedAt > LOCKOUT_MS) {
+        this.loginFailures.delete(id);
+      }
+    });
+    this.failuresPrunedAt = now;
+  }
+
+  // Drops expired sessions and usage entries older than API_KEY_LOG_RETENTION_DAYS
+  prune() {
+    const now = Date.now();
+    this.sessionStore.values()
+      .filter(session => new Date(session.expiresAt).getTime() <= now)
+      .forEach(session => this.sessionStore.delete(session.id));
+
+    const cutoff = now - this.usageRetentionMs;
+    const expired = this.usageStore.values().filter(entry => new Date(entry.timestamp).getTime() < cutoff);
+    expired.forEach(entry => this.usageStore.delete(entry.id));
+    this.lastPrunedAt = now;
+
+    if (expired.length > 0) {
+      console.log(`🧹 Pruned ${expired.length} old API key usage entries`);
+    }
+  }
+}
+
+export { ROLES, hasRole };
+export default AuthService;
@@ -0,0 +1,65 @@
+// Keyword rules for patient messages, checked in order. STOP, START and HELP must be the
+// whole message so that "please don't stop my reports" is not read as an opt-out.
+const RULES = [
+  { keyword: 'STOP', pattern: /^\s*(stop|unsubscribe|opt[ -]?out)[\s.!]*$/i },
+  { keyword: 'START', pattern: /^\s*(start|subscribe|unstop|opt[ -]?in)[\s.!]*$/i },
+  { keyword: 'HELP', pattern: /^\s*(help|menu|hi|hello|\?)[\s.!?]*$/i },
+  { keyword: 'REPORT', pattern: /\b(reports?|results?)\b/i },
+  { keyword: 'TIMINGS', pattern: /\b(timings?|hours|open|opening|close|closing|what time)\b/i }
+];
+
+// The same rule is not answered twice within this window; the repeat goes to the inbox
+const COOLDOWN_MS = 10 * 60 * 1000;
+
+const matchRule = (text) => RULES.find(rule => rule.pattern.test(text || '')) || null;
+
+// Decides how to answer an inbound message from the autoReplies settings. Returns
+// { rule, reply, handOff, optOut, optIn }: `reply` is the text to send (null for none) and
+// `handOff` puts the conversation in the human inbox.
+// STOP and START always change the consent status, even while auto-replies are off.
+class AutoResponder {
+  constructor({ settingsService, labName }) {
+    this.settingsService = settingsService;
+    this.labName = labName || process.env.LAB_NAME || 'MedLab Systems';
+  }
+
+  render(text, settings) {
+    return text
+      .replace(/\[LabName\]/g, this.labName)
+      .replace(/\[Timings\]/g, settings.timings);
+  }
+
+  respond(conversation, text, now = Date.now()) {
+    const settings = this.settingsService.get('autoReplies');
+    const rule = matchRule(text);
+    const optOut = rule?.keyword === 'STOP';
+    const optIn = rule?.keyword === 'START';
+
+    if (!rule || !settings.enabled) {
+      return { rule: rule?.keyword || null, reply: null, handOff: !optOut && !optIn, optOut, optIn };
+    }
+
+    const lastReplyAt = conversation.autoReplies?.[rule.keyword];
+    if (lastReplyAt && now - new Date(lastReplyAt).getTime() < COOLDOWN_MS) {
+      return { rule: rule.keyword, reply: null, handOff: !optOut && !optIn, optOut, optIn };
+    }
+
+    const outcome = { rule: rule.keyword, handOff: false, optOut, optIn };
+    switch (rule.keyword) {
+      case 'STOP':
+        return { ...outcome, reply: this.render(settings.stopMessage, settings) };
+      case 'START':
+        return { ...outcome, reply: this.render(settings.startMessage, settings) };
+      case 'HELP':
+        return { ...outcome, reply: this.render(settings.helpMessage, settings) };
+      case 'REPORT':
+        // Staff resend the report; the patient is told it is on its way
+        return { ...outcome, reply: this.render(settings.reportMessage, settings), handOff: true };
+      default:
+        return { ...outcome, reply: this.render(settings.timingsMessage, settings) };
+    }
+  }
+}
+
+export { RULES, matchRule };
+export default AutoResponder;
@@ -0,0 +1,262 @@
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { v4 as uuidv4 } from 'uuid';
+import { createStore } from '../storage/index.js';
+import { ValidationError } from '../errors.js';
+import { toCsv } from '../utils/csv.js';
+import { parseImportRows } from '../utils/importRows.js';
+import { ACK_RANK } from './MessageService.js';
+
+// CSV headers and JSON keys accepted for each recipient field
+const FIELD_ALIASES = {
+  phoneNumber: ['phoneNumber', 'phone', 'mobile', 'whatsapp'],
+  patientName: ['patientName', 'patient', 'name'],
+  testName: ['testName', 'test'],
+  doctorName: ['doctorName', 'doctor'],
+  reportDate: ['reportDate', 'date'],
+  templateId: ['templateId', 'template'],
+  locale: ['locale', 'language'],
+  urgent: ['urgent'],
+  priority: ['priority'],
+  branch: ['branch', 'lab'],
+  sessionId: ['sessionId', 'session'],
+  reference: ['reference', 'ref', 'orderId'],
+  dateOfBirth: ['dateOfBirth', 'dob', 'birthDate'],
+  reportPassword: ['reportPassword'],
+  reportFile: ['reportFile', 'report', 'file']
+};
+
+// Only used to prepare and dispatch a row; never stored with the batch or returned
+const SECRET_FIELDS = ['dateOfBirth', 'reportPassword'];
+
+const FINAL_STATUSES = ['sent', 'received', 'read', 'failed'];
+const REPORT_COLUMNS = ['row', 'phoneNumber', 'patientName', 'testName', 'templateId', 'reportFile', 'status', 'messageId', 'error', 'updatedAt'];
+
+class BatchService {
+  constructor({ dispatchService, eventBus, uploadsDir, store }) {
+    this.dispatchService = dispatchService;
+    this.uploadsDir = uploadsDir;
+    this.store = store || createStore('batches');
+    this.messageIndex = new Map(); // messageId -> { batchId, rowIndex }
+    this.pendingSaves = new Set();
+    this.saveTimer = null;
+
+    this.store.values().forEach(batch => {
+      // Batches stored before secrets were kept out of rows
+      if (batch.rows.some(row => SECRET_FIELDS.some(field => field in row))) {
+        batch.rows.forEach(row => SECRET_FIELDS.forEach(field => delete row[field]));
+        this.store.put(batch);
+      }
+      batch.rows.forEach((row, rowIndex) => {
+        if (row.messageId) {
+          this.messageIndex.set(row.messageId, { batchId: batch.id, rowIndex });
+        }
+      });
+    });
+
+    if (eventBus) {
+      eventBus.on('message:status', ({ id, status, error, timestamp }) => {
+        this.handleMessageStatus(id, status, error, timestamp);
+      });
+    }
+  }
+
+  // Accepts a JSON array, or CSV/JSON file contents
+  parseRecipients({ recipients, fileBuffer, fileName }) {
+    return parseImportRows({ rows: recipients, fileBuffer, fileName }, { aliases: FIELD_ALIASES, label: 'Recipients', entry: 'recipient' });
+  }
+
+  openReportsArchive(zipBuffer) {
+    if (!zipBuffer) {
+      return null;
+    }
+
+    try {
+      const entries = new Map();
+      new AdmZip(zipBuffer).getEntries()
+        .filter(entry => !entry.isDirectory)
+        .forEach(entry => entries.set(path.basename(entry.entryName).toLowerCase(), entry));
+      return entries;
+    } catch (error) {
+      throw new ValidationError(`Reports archive is not a valid ZIP file: ${error.message}`);
+    }
+  }
+
+  // Checks every row up front; nothing is queued when options.dryRun is set
+  async createBatch({ name, rows, zipBuffer, defaults = {}, dryRun = false }) {
+    if (rows.length === 0) {
+      throw new ValidationError('The recipients list is empty');
+    }
+
+    const reports = this.openReportsArchive(zipBuffer);
+    const now = new Date().toISOString();
+    const secrets = rows.map(row => Object.fromEntries(SECRET_FIELDS.map(field => [field, row[field]])));
+    const withSecrets = (row) => ({ ...row, ...secrets[row.row - 1] });
+    const batch = {
+      id: uuidv4(),
+      name: name || `Batch ${now}`,
+      status: 'processing',
+      createdAt: now,
+      updatedAt: now,
+      rows: rows.map(({ rowError, dateOfBirth, reportPassword, ...row }, index) => ({
+        ...row,
+        row: index + 1,
+        templateId: row.templateId || defaults.templateId,
+        locale: row.locale || defaults.locale,
+        priority: row.priority || defaults.priority,
+        branch: row.branch || defaults.branch,
+        sessionId: row.sessionId || defaults.sessionId,
+        status: rowError ? 'invalid' : 'pending',
+        errors: rowError ? [rowError] : []
+      }))
+    };
+
+    batch.rows.forEach(row => {
+      if (row.status === 'invalid') {
+        return;
+      }
+
+      try {
+        this.dispatchService.prepare(withSecrets(row), { hasReport: !!row.reportFile });
+      } catch (error) {
+        row.errors.push(...(error.errors || [error.message]));
+      }
+
+      if (row.reportFile && !reports) {
+        row.errors.push(`Report ${row.reportFile} was referenced but no ZIP archive was uploaded`);
+      } else if (row.reportFile && !reports.has(path.basename(row.reportFile).toLowerCase())) {
+        row.errors.push(`Report ${row.reportFile} was not found in the ZIP archive`);
+      }
+
+      if (row.errors.length > 0) {
+        row.status = 'invalid';
+      }
+    });
+
+    if (dryRun) {
+      return this.summarize(batch);
+    }
+
+    // Stored before queueing so early status events find their row
+    this.store.put(batch);
+
+    for (const row of batch.rows.filter(r => r.status !== 'invalid')) {
+      try {
+        const filePath = row.reportFile ? this.extractReport(reports.get(path.basename(row.reportFile).toLowerCase())) : null;
+        const { messageId } = await this.dispatchService.dispatch(withSecrets(row), {
+          filePath,
+          queueWhenOffline: true,
+          queue: { batchId: batch.id },
+          record: { batchId: batch.id }
+        });
+
+        row.messageId = messageId;
+        row.status = 'queued';
+        this.messageIndex.set(messageId, { batchId: batch.id, rowIndex: row.row - 1 });
+      } catch (error) {
+        row.status = 'failed';
+        row.errors.push(error.message);
+      }
+      row.updatedAt = new Date().toISOString();
+    }
+
+    this.refreshStatus(batch);
+    this.store.put(batch);
+    console.log(`📦 Batch ${batch.id} created: ${batch.rows.length} rows`);
+
+    return this.summarize(batch);
+  }
+
+  extractReport(entry) {
+    const filePath = path.join(this.uploadsDir, `${uuidv4()}-${path.basename(entry.entryName)}`);
+    fs.writeFileSync(filePath, entry.getData());
+    return filePath;
+  }
+
+  handleMessageStatus(messageId, status, error, timestamp) {
+    const location = this.messageIndex.get(messageId);
+    if (!location) {
+      return;
+    }
+
+    const batch = this.store.get(location.batchId);
+    const row = batch?.rows[location.rowIndex];
+    if (!row) {
+      return;
+    }
+
+    // A late `sent` ack must not replace `delivered` or `read` (as in MessageService)
+    if (!(ACK_RANK[status] && ACK_RANK[row.status] >= ACK_RANK[status])) {
+      row.status = status;
+    }
+    row.updatedAt = timestamp || new Date().toISOString();
+    if (error) {
+      row.errors.push(error);
+    }
+
+    this.refreshStatus(batch);
+    this.scheduleSave(batch.id);
+  }
+
+  // Status events arrive per message; batches are written at most every 2 seconds
+  scheduleSave(batchId) {
+    this.pendingSaves.add(batchId);
+
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => this.flush(), 2000);
+    }
+  }
+
+  flush() {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.pendingSaves.forEach(id => {
+      const batch = this.store.get(id);
+      if (batch) {
+        this.store.put(batch);
+      }
+    });
+    this.pendingSaves.clear();
+  }
+
+  refreshStatus(batch) {
+    const done = batch.rows.every(row => row.status === 'invalid' || FINAL_STATUSES.includes(row.status));
+    batch.status = done ? 'completed' : 'processing';
+    batch.updatedAt = new Date().toISOString();
+  }
+
+  summarize(batch) {
+    const counts = {};
+    batch.rows.forEach(row => {
+      counts[row.status] = (counts[row.status] || 0) + 1;
+    });
+
+    return { ...batch, total: batch.rows.length, counts };
+  }
+
+  list() {
+    return this.store.values()
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .map(batch => {
+        const { rows, ...summary } = this.summarize(batch);
+        return summary;
+      });
+  }
+
+  get(id) {
+    const batch = this.store.get(id);
+    return batch ? this.summarize(batch) : null;
+  }
+
+  getReportCsv(id) {
+    const batch = this.store.get(id);
+    if (!batch) {
+      return null;
+    }
+
+    return toCsv(batch.rows.map(row => ({ ...row, error: row.errors.join('; ') })), REPORT_COLUMNS);
+  }
+}
+
+export default BatchService;
@@ -0,0 +1,217 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createStore } from '../storage/index.js';
+import { ValidationError, ConsentError } from '../errors.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+import { toCsv } from '../utils/csv.js';
+import { parseImportRows } from '../utils/importRows.js';
+
+const STATUS_ALIASES = {
+  'opted-in': ['opted-in', 'opt-in', 'in', 'yes', 'true', '1', 'subscribed', 'start'],
+  'opted-out': ['opted-out', 'opt-out', 'out', 'no', 'false', '0', 'unsubscribed', 'stop']
+};
+
+// CSV headers and JSON keys accepted when importing
+const FIELD_ALIASES = {
+  phoneNumber: ['phoneNumber', 'phone', 'mobile'],
+  status: ['status', 'consent'],
+  source: ['source'],
+  timestamp: ['timestamp', 'date', 'updatedAt'],
+  notes: ['notes', 'note']
+};
+
+const EXPORT_COLUMNS = ['phoneNumber', 'status', 'source', 'optedInAt', 'optedOutAt', 'optOutSource', 'notes', 'updatedAt'];
+
+const normalizeStatus = (value) => Object.keys(STATUS_ALIASES)
+  .find(status => STATUS_ALIASES[status].includes(String(value ?? '').trim().toLowerCase())) || null;
+
+// Consent registry keyed by E.164 number. A number without a record may be messaged unless
+// the `consent` settings require an opt-in; an opted-out number is refused, except for
+// critical results when the override is enabled. Every override is written to the audit log.
+class ConsentService {
+  constructor({ eventBus, settingsService, store, auditStore }) {
+    this.settingsService = settingsService;
+    this.store = store || createStore('consents');
+    this.auditStore = auditStore || createStore('consent-audit');
+
+    if (eventBus) {
+      eventBus.on('patient:opt-out', ({ phoneNumber, timestamp }) => {
+        if (phoneNumber) {
+          this.record(phoneNumber, 'opted-out', { source: 'whatsapp-stop', timestamp });
+        }
+      });
+      eventBus.on('patient:opt-in', ({ phoneNumber, timestamp }) => {
+        if (phoneNumber) {
+          this.record(phoneNumber, 'opted-in', { source: 'whatsapp-start', timestamp });
+        }
+      });
+    }
+  }
+
+  get(phoneNumber) {
+    const e164 = normalizePhoneNumber(phoneNumber || '');
+    return e164 ? this.store.get(e164) : null;
+  }
+
+  // Sets the current status; the history keeps every change with its source
+  record(phoneNumber, status, { source = 'api', timestamp, notes, by } = {}) {
+    const e164 = normalizePhoneNumber(phoneNumber || '');
+    if (!e164) {
+      throw new ValidationError(`${phoneNumber} is not a valid phone number`);
+    }
+    if (!STATUS_ALIASES[status]) {
+      throw new ValidationError(`Unknown consent status "${status}", expected opted-in or opted-out`);
+    }
+
+    const changedAt = timestamp ? new Date(timestamp) : new Date();
+    if (isNaN(changedAt.getTime())) {
+      throw new ValidationError(`Invalid timestamp: ${timestamp}`);
+    }
+
+    const existing = this.store.get(e164) || { id: e164, phoneNumber: e164, history: [], createdAt: new Date().toISOString() };
+    const entry = { status, source, timestamp: changedAt.toISOString(), ...(by && { by }) };
+    const updated = {
+      ...existing,
+      status,
+      notes: notes ?? existing.notes,
+      history: [...existing.history, entry],
+      updatedAt: new Date().toISOString()
+    };
+
+    if (status === 'opted-in') {
+      updated.source = source;
+      updated.optedInAt = entry.timestamp;
+    } else {
+      updated.optOutSource = source;
+      updated.optedOutAt = entry.timestamp;
+    }
+
+    this.store.put(updated);
+    console.log(`📋 Consent ${status}: ${e164} (${source})`);
+
+    return updated;
+  }
+
+  // { allowed, override, reason } for a number that is already E.164; no side effects
+  check(phoneNumber, { priority } = {}) {
+    const settings = this.settingsService.get('consent');
+    const status = this.store.get(phoneNumber)?.status;
+    let reason = null;
+
+    if (status === 'opted-out') {
+      reason = 'opted-out';
+    } else if (!status && settings.requireOptIn) {
+      reason = 'no-consent';
+    }
+
+    if (!reason) {
+      return { allowed: true, override: false, reason };
+    }
+    if (priority === 'critical' && settings.criticalOverride) {
+      return { allowed: true, override: true, reason };
+    }
+    return { allowed: false, override: false, reason };
+  }
+
+  assertAllowed(phoneNumber, options = {}) {
+    const result = this.check(phoneNumber, options);
+
+    if (!result.allowed) {
+      throw new ConsentError(result.reason === 'opted-out'
+        ? `${phoneNumber} has opted out of messages`
+        : `${phoneNumber} has not opted in to messages`, result.reason);
+    }
+
+    return result;
+  }
+
+  // Called as a message is queued: refuses it, or lets a critical result through and audits it
+  authorize(phoneNumber, { messageId, priority, sessionId } = {}) {
+    const result = this.assertAllowed(phoneNumber, { priority });
+
+    if (result.override) {
+      this.auditStore.put({
+        id: uuidv4(),
+        phoneNumber,
+        messageId,
+        sessionId,
+        priority,
+        reason: result.reason,
+        timestamp: new Date().toISOString()
+      });
+      console.warn(`⚠️ Consent override (${result.reason}) for critical message ${messageId} to ${phoneNumber}`);
+    }
+
+    return result;
+  }
+
+  list({ status, limit = 100 } = {}) {
+    return this.store.values()
+      .filter(consent => !status || consent.status === status)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .slice(0, limit);
+  }
+
+  getAudit({ phoneNumber, limit = 100 } = {}) {
+    const e164 = phoneNumber ? normalizePhoneNumber(phoneNumber) : null;
+    return this.auditStore.values()
+      .filter(entry => !phoneNumber || entry.phoneNumber === e164)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, limit);
+  }
+
+  getStatus() {
+    const consents = this.store.values();
+    return {
+      total: consents.length,
+      optedIn: consents.filter(consent => consent.status === 'opted-in').length,
+      optedOut: consents.filter(consent => consent.status === 'opted-out').length,
+      overrides: this.auditStore.size
+    };
+  }
+
+  parseImport({ records, fileBuffer, fileName }) {
+    return parseImportRows({ rows: records, fileBuffer, fileName }, { aliases: FIELD_ALIASES, label: 'Consent', entry: 'consent record' });
+  }
+
+  // Rows are applied in order. A row with a timestamp older than the number's latest change
+  // is skipped, so an old export cannot undo a newer opt-out.
+  importRecords(rows, { source = 'import', by } = {}) {
+    const result = { imported: 0, skipped: [], errors: [] };
+
+    rows.forEach((row, index) => {
+      if (row.rowError) {
+        result.errors.push({ row: index + 1, error: row.rowError });
+        return;
+      }
+
+      const status = normalizeStatus(row.status);
+      if (!status) {
+        result.errors.push({ row: index + 1, phoneNumber: row.phoneNumber, error: `Unknown consent status "${row.status ?? ''}"` });
+        return;
+      }
+
+      const existing = this.get(row.phoneNumber);
+      const latest = existing?.history[existing.history.length - 1]?.timestamp;
+      if (row.timestamp && latest && new Date(row.timestamp) < new Date(latest)) {
+        result.skipped.push({ row: index + 1, phoneNumber: existing.phoneNumber, reason: 'A newer change is already recorded' });
+        return;
+      }
+
+      try {
+        this.record(row.phoneNumber, status, { source: row.source || source, timestamp: row.timestamp || undefined, notes: row.notes, by });
+        result.imported += 1;
+      } catch (error) {
+        result.errors.push({ row: index + 1, phoneNumber: row.phoneNumber, error: error.message });
+      }
+    });
+
+    console.log(`📥 Consent import: ${result.imported} imported, ${result.skipped.length} skipped, ${result.errors.length} errors`);
+    return result;
+  }
+
+  exportCsv() {
+    return toCsv(this.list({ limit: Infinity }), EXPORT_COLUMNS);
+  }
+}
+
+export default ConsentService;
@@ -0,0 +1,227 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createStore } from '../storage/index.js';
+import AutoResponder from './AutoResponder.js';
+
+const PREVIEW_LENGTH = 80;
+
+// Patient chats, one conversation per patient and session. Inbound messages are answered by
+// the AutoResponder where a rule matches; everything else waits in the inbox (`needsReply`)
+// until staff reply from the dashboard or mark it resolved.
+class ConversationService {
+  constructor({ io, eventBus, dispatchService, messageService, settingsService, store, messageStore }) {
+    this.io = io;
+    this.eventBus = eventBus || null;
+    this.dispatchService = dispatchService;
+    this.messageService = messageService;
+    this.autoResponder = new AutoResponder({ settingsService, labName: dispatchService.labName });
+    this.store = store || createStore('conversations');
+    this.messageStore = messageStore || createStore('conversation-messages');
+    this.contactIndex = new Map(); // sessionId|contact -> conversation id
+    this.threads = new Map(); // conversation id -> message ids, oldest first
+
+    this.store.values().forEach(conversation => {
+      this.contactIndex.set(this.contactKey(conversation), conversation.id);
+    });
+    this.messageStore.values()
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .forEach(message => this.thread(message.conversationId).push(message.id));
+
+    if (this.eventBus) {
+      this.eventBus.on('message:inbound', (inbound) => {
+        this.handleInbound(inbound).catch(error => {
+          console.error('❌ Failed to handle inbound message:', error);
+        });
+      });
+    }
+  }
+
+  contactKey({ sessionId, phoneNumber, chatId }) {
+    return `${sessionId}|${phoneNumber || chatId}`;
+  }
+
+  thread(conversationId) {
+    if (!this.threads.has(conversationId)) {
+      this.threads.set(conversationId, []);
+    }
+    return this.threads.get(conversationId);
+  }
+
+  findOrCreate(inbound) {
+    const id = this.contactIndex.get(this.contactKey(inbound));
+    if (id) {
+      return this.store.get(id);
+    }
+
+    const conversation = {
+      id: uuidv4(),
+      sessionId: inbound.sessionId,
+      phoneNumber: inbound.phoneNumber,
+      chatId: inbound.chatId,
+      contactName: inbound.contactName,
+      needsReply: false,
+      unread: 0,
+      optedOut: false,
+      autoReplies: {},
+      createdAt: new Date().toISOString()
+    };
+    this.contactIndex.set(this.contactKey(conversation), conversation.id);
+    return conversation;
+  }
+
+  save(conversation, changes, message) {
+    const updated = { ...conversation, ...changes, updatedAt: new Date().toISOString() };
+    this.store.put(updated);
+    this.io.emit('conversation-update', { conversation: updated, message: message || null });
+    return updated;
+  }
+
+  addMessage(conversation, entry) {
+    const message = {
+      id: uuidv4(),
+      conversationId: conversation.id,
+      timestamp: new Date().toISOString(),
+      ...entry
+    };
+    this.messageStore.put(message);
+    this.thread(conversation.id).push(message.id);
+    return message;
+  }
+
+  async handleInbound(inbound) {
+    let conversation = this.findOrCreate(inbound);
+    const message = this.addMessage(conversation, {
+      direction: 'inbound',
+      body: inbound.body,
+      type: inbound.type,
+      hasMedia: inbound.hasMedia,
+      whatsappMessageId: inbound.whatsappMessageId,
+      timestamp: inbound.timestamp
+    });
+    console.log(`📥 Message received from ${inbound.phoneNumber || inbound.chatId}`);
+
+    const outcome = this.autoResponder.respond(conversation, inbound.body);
+    conversation = this.save(conversation, {
+      contactName: inbound.contactName || conversation.contactName,
+      lastMessageAt: message.timestamp,
+      lastMessagePreview: this.preview(message),
+      unread: conversation.unread + 1,
+      needsReply: conversation.needsReply || outcome.handOff,
+      lastRule: outcome.rule,
+      ...(outcome.rule === 'REPORT' && { lastReport: this.findLastReport(conversation) })
+    }, message);
+
+    if (outcome.optOut || outcome.optIn) {
+      conversation = this.save(conversation, outcome.optOut
+        ? { optedOut: true, optedOutAt: message.timestamp }
+        : { optedOut: false });
+      if (this.eventBus) {
+        this.eventBus.emit(outcome.optOut ? 'patient:opt-out' : 'patient:opt-in', {
+          phoneNumber: conversation.phoneNumber,
+          sessionId: conversation.sessionId,
+          timestamp: message.timestamp
+        });
+      }
+    }
+
+    if (outcome.reply) {
+      console.log(`🤖 Auto-reply (${outcome.rule}) to ${conversation.phoneNumber || conversation.chatId}`);
+      try {
+        await this.send(conversation, outcome.reply, { autoReply: outcome.rule });
+      } catch (error) {
+        // Staff answer instead
+        console.error(`❌ Auto-reply failed: ${error.message}`);
+        this.save(this.store.get(conversation.id), { needsReply: true });
+      }
+    }
+
+    return this.store.get(conversation.id);
+  }
+
+  // The last report sent to this patient, so staff know what to resend
+  findLastReport(conversation) {
+    const report = this.messageService.findLatest(message =>
+      message.phoneNumber === conversation.phoneNumber && message.hasAttachment);
+    return report ? { messageId: report.id, testName: report.testName, sentAt: report.timestamp } : null;
+  }
+
+  preview(message) {
+    if (!message.body) {
+      return message.hasMedia ? `[${message.type || 'media'}]` : '';
+    }
+    return message.body.length > PREVIEW_LENGTH ? `${message.body.slice(0, PREVIEW_LENGTH)}…` : message.body;
+  }
+
+  async send(conversation, text, { autoReply = null, sentBy = null } = {}) {
+    const { messageId } = await this.dispatchService.sendText({
+      sessionId: conversation.sessionId,
+      phoneNumber: conversation.phoneNumber,
+      text
+    }, {
+      record: { conversationId: conversation.id, autoReply }
+    });
+
+    const message = this.addMessage(conversation, { direction: 'outbound', body: text, messageId, autoReply, sentBy });
+    return this.save(this.store.get(conversation.id), {
+      lastMessageAt: message.timestamp,
+      lastMessagePreview: this.preview(message),
+      ...(autoReply && { autoReplies: { ...conversation.autoReplies, [autoReply]: message.timestamp } })
+    }, message);
+  }
+
+  // A staff reply from the inbox; it also marks the conversation as handled
+  async reply(id, text, { sentBy } = {}) {
+    const conversation = this.store.get(id);
+    if (!conversation) {
+      return null;
+    }
+
+    const updated = await this.send(conversation, text, { sentBy });
+    return this.save(updated, { needsReply: false, unread: 0 });
+  }
+
+  resolve(id) {
+    const conversation = this.store.get(id);
+    return conversation ? this.save(conversation, { needsReply: false, unread: 0 }) : null;
+  }
+
+  markRead(id) {
+    const conversation = this.store.get(id);
+    return conversation ? this.save(conversation, { unread: 0 }) : null;
+  }
+
+  // Outbound messages carry the delivery status of their message record
+  get(id) {
+    const conversation = this.store.get(id);
+    if (!conversation) {
+      return null;
+    }
+
+    const messages = this.thread(id).map(messageId => {
+      const message = this.messageStore.get(messageId);
+      return message.messageId
+        ? { ...message, status: this.messageService.getMessage(message.messageId)?.status || null }
+        : message;
+    });
+
+    return { ...conversation, messages };
+  }
+
+  list({ needsReply, sessionId, limit = 100 } = {}) {
+    return this.store.values()
+      .filter(conversation => needsReply === undefined || conversation.needsReply === needsReply)
+      .filter(conversation => !sessionId || conversation.sessionId === sessionId)
+      .sort((a, b) => new Date(b.lastMessageAt) - new Date(a.lastMessageAt))
+      .slice(0, limit);
+  }
+
+  getStatus() {
+    const conversations = this.store.values();
+    return {
+      total: conversations.length,
+      needsReply: conversations.filter(conversation => conversation.needsReply).length,
+      unread: conversations.reduce((total, conversation) => total + (conversation.unread || 0), 0)
+    };
+  }
+}
+
+export default ConversationService;
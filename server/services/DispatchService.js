@@ -0,0 +1,327 @@
+import { v4 as uuidv4 } from 'uuid';
+import { ValidationError } from '../errors.js';
+import { INTL_LOCALES, getDefaultLocale, normalizeLocale, isSupportedLocale } from '../templates/locales.js';
+import { PRIORITIES, DEFAULT_PRIORITY, isPriority } from './PriorityLanes.js';
+import { normalizePhoneNumber } from '../utils/phone.js';
+
+// A template without [ReportLink] gets the link on a line of its own at the end
+const appendReportLink = (text, url) => (!url || text.includes(url) ? text : `${text}\n\n📄 ${url}`);
+// ...and one without [PasswordHint] says how to open a password-protected report
+const appendPasswordHint = (text, hint) => (!hint || text.includes(hint) ? text : `${text}\n\n🔒 To open the report, enter ${hint}.`);
+
+const isUrgent = (value) => value === true || ['true', '1', 'yes', 'on'].includes(String(value).toLowerCase());
+
+// Turns a send request (single API call, batch row, ...) into a logged, queued message.
+// Report files are processed (ReportProcessor), moved into the report store (ReportStore)
+// and sent from there, as an attachment or as a download link (ReportLinkService).
+class DispatchService {
+  constructor({ messageService, templateService, sessionManager, consentService, reportStore, reportLinks, reportProcessor, labName }) {
+    this.messageService = messageService;
+    this.templateService = templateService;
+    this.sessionManager = sessionManager;
+    this.consentService = consentService || null;
+    this.reportStore = reportStore || null;
+    this.reportLinks = reportLinks || null;
+    this.reportProcessor = reportProcessor || null;
+    this.labName = labName || process.env.LAB_NAME || 'MedLab Systems';
+  }
+
+  // A stored template (templateId) takes precedence over a free-text message.
+  // `locale` (or `language`) picks the template variant and the date/number formatting.
+  resolveTemplate({ templateId, message, locale, language }) {
+    const requestedLocale = normalizeLocale(locale || language) || getDefaultLocale();
+    if (!isSupportedLocale(requestedLocale)) {
+      throw new ValidationError(`Unsupported locale "${locale || language}", expected one of ${Object.keys(INTL_LOCALES).join(', ')}`);
+    }
+
+    if (!templateId) {
+      return { body: message, template: null, locale: requestedLocale };
+    }
+
+    const template = this.templateService.get(templateId);
+    if (!template) {
+      throw new ValidationError(`Template not found: ${templateId}`);
+    }
+
+    const variant = this.templateService.resolveVariant(template, requestedLocale);
+    return { body: variant.body, template, locale: variant.locale };
+  }
+
+  // An explicit priority wins; otherwise the urgent template or an urgent flag selects
+  // the urgent lane
+  resolvePriority({ priority, urgent }, template) {
+    if (priority) {
+      if (!isPriority(priority)) {
+        throw new ValidationError(`Unknown priority "${priority}", expected one of ${PRIORITIES.join(', ')}`);
+      }
+      return priority;
+    }
+
+    return template?.id === 'urgent' || isUrgent(urgent) ? 'urgent' : DEFAULT_PRIORITY;
+  }
+
+  // Validates the request and renders the text without queueing anything.
+  // `sessionId` or `branch` picks the sending WhatsApp number (see SessionManager.resolve).
+  // With options.hasReport the report delivery and processing are resolved as well; a link
+  // delivery renders options.reportLink, or a stand-in until the link exists.
+  prepare(request, options = {}) {
+    const { phoneNumber } = request;
+    const resolved = this.resolveTemplate(request);
+
+    if (!phoneNumber || !resolved.body) {
+      throw new ValidationError('Phone number and message (or templateId) are required');
+    }
+
+    const e164 = normalizePhoneNumber(phoneNumber);
+    if (!e164) {
+      throw new ValidationError(`${phoneNumber} is not a valid phone number`);
+    }
+
+    const reportOptions = options.hasReport ? this.resolveReportOptions(request) : null;
+    const reportLink = reportOptions?.delivery === 'link' ? options.reportLink || this.reportLinks.previewUrl() : undefined;
+    const processedMessage = this.render(request, resolved, { reportLink, passwordHint: reportOptions?.processing?.passwordHint });
+
+    const session = this.sessionManager.resolve(request);
+    const priority = this.resolvePriority(request, resolved.template);
+
+    // Checked here as well so dry runs and scheduled messages are refused up front;
+    // the override is only audited once the message is actually queued
+    if (this.consentService) {
+      this.consentService.assertAllowed(e164, { priority });
+    }
+
+    return {
+      ...request,
+      sessionId: session.sessionId,
+      phoneNumber: e164,
+      processedMessage,
+      template: resolved.template,
+      templateBody: resolved.body,
+      locale: resolved.locale,
+      priority,
+      reportDelivery: reportOptions?.delivery,
+      reportOptions
+    };
+  }
+
+  render({ patientName, testName, reportDate, doctorName, urgent, tests }, { body, locale }, { reportLink, passwordHint } = {}) {
+    const text = this.messageService.processTemplate(body, {
+      patientName,
+      testName,
+      reportDate,
+      doctorName,
+      urgent,
+      tests,
+      reportLink,
+      passwordHint,
+      labName: this.labName
+    }, { locale });
+
+    return appendPasswordHint(appendReportLink(text, reportLink), passwordHint);
+  }
+
+  // Reports go out as attachments unless ReportLinkService is set up and asks for a link.
+  // `processing` is null without a ReportProcessor.
+  resolveReportOptions(request) {
+    const delivery = this.reportLinks ? this.reportLinks.resolveOptions(request) : { delivery: 'attachment' };
+    const processing = this.reportProcessor ? this.reportProcessor.resolveOptions(request) : null;
+    return { ...delivery, processing };
+  }
+
+  // Logs the message record; later calls for the same id merge into it
+  record(prepared, { messageId = uuidv4(), status, filePath, reportId, record }) {
+    const { sessionId, phoneNumber, patientName, testName, reference, processedMessage, template, locale, priority, reportDelivery } = prepared;
+    const hasAttachment = !!(filePath || reportId);
+
+    this.messageService.logMessage({
+      id: messageId,
+      sessionId,
+      phoneNumber,
+      message: processedMessage,
+      status,
+      timestamp: new Date().toISOString(),
+      patientName,
+      testName,
+      reference,
+      hasAttachment,
+      templateId: template?.id,
+      templateVersion: template?.version,
+      locale,
+      priority,
+      ...(reportDelivery && { reportDelivery }),
+      ...(reportId && { reportId }),
+      ...record,
+      type: reportDelivery === 'link' ? 'link' : hasAttachment ? 'attachment' : 'text'
+    });
+
+    return { messageId };
+  }
+
+  // Rejects numbers WhatsApp reports as unregistered. While disconnected (or if the lookup
+  // fails) the message is accepted and the queue checks the number again before sending.
+  async ensureRegistered(phoneNumber, session) {
+    let registered = null;
+
+    try {
+      ({ registered } = await session.checkNumber(phoneNumber));
+    } catch (error) {
+      console.warn(`⚠️ Could not check ${phoneNumber} on WhatsApp: ${error.message}`);
+    }
+
+    if (registered === false) {
+      throw new ValidationError(`${phoneNumber} is not registered on WhatsApp`);
+    }
+  }
+
+  // options.filePath attaches a report, which is processed and moved into the report store;
+  // options.queue holds extra queue item fields (batchId, ...); options.queueWhenOffline
+  // accepts the message while WhatsApp is disconnected; options.messageId reuses an existing
+  // record (a scheduled message being released)
+  async dispatch(request, options = {}) {
+    const hasReport = !!options.filePath;
+    const prepared = this.prepare(request, { hasReport });
+    const { sessionId, phoneNumber, priority, reportDelivery } = prepared;
+    const session = this.sessionManager.get(sessionId);
+    await this.ensureRegistered(phoneNumber, session);
+
+    const messageId = options.messageId || uuidv4();
+    let filePath = options.filePath;
+    let processing = null;
+    if (hasReport && this.reportProcessor) {
+      ({ filePath, details: processing } = await this.reportProcessor.process(filePath, prepared.reportOptions.processing));
+    }
+    const reportId = hasReport && this.reportStore
+      ? (await this.reportStore.add(filePath, { messageId, processing })).id
+      : null;
+
+    let link = null;
+    if (reportDelivery === 'link') {
+      link = this.reportLinks.create({ ...prepared.reportOptions, reportId, messageId, sessionId, phoneNumber });
+      prepared.processedMessage = this.render(request, { body: prepared.templateBody, locale: prepared.locale }, {
+        reportLink: link.url,
+        passwordHint: prepared.reportOptions.processing?.passwordHint
+      });
+    }
+
+    // Log the message before queueing so status events always find its record
+    this.record(prepared, {
+      messageId,
+      status: 'queued',
+      filePath: reportId ? null : filePath,
+      reportId,
+      record: { ...options.record, ...(link && { reportLinkId: link.id }) }
+    });
+
+    await this.enqueue(session, { phoneNumber, processedMessage: prepared.processedMessage, priority }, messageId, {
+      ...options,
+      filePath: reportId ? null : filePath,
+      reportId: reportDelivery === 'link' ? null : reportId
+    });
+
+    return {
+      messageId,
+      sessionId,
+      processedMessage: prepared.processedMessage,
+      locale: prepared.locale,
+      template: prepared.template,
+      reportDelivery,
+      reportLink: link && { id: link.id, url: link.url, expiresAt: link.expiresAt, protection: link.protection }
+    };
+  }
+
+  // Sends a logged message again as a new message: the text as it was rendered, with the same
+  // stored report. A report link is replaced by a new one; `overrides` may set its
+  // linkProtection, linkExpiryHours and dateOfBirth.
+  async resend(messageId, overrides = {}) {
+    const original = this.messageService.getMessage(messageId);
+    if (!original) {
+      return null;
+    }
+    if (original.status === 'scheduled') {
+      throw new ValidationError('A scheduled message is sent when it is due; reschedule it instead');
+    }
+    if (original.hasAttachment && !(original.reportId && this.reportStore?.get(original.reportId))) {
+      throw new ValidationError('The report of this message is no longer stored, so it cannot be resent');
+    }
+
+    const session = this.sessionManager.resolve({ sessionId: original.sessionId });
+    const { phoneNumber, priority, reportId, reportDelivery } = original;
+    if (this.consentService) {
+      this.consentService.assertAllowed(phoneNumber, { priority });
+    }
+    await this.ensureRegistered(phoneNumber, session);
+
+    const resendId = uuidv4();
+    let text = original.message;
+    let link = null;
+    if (reportDelivery === 'link') {
+      const previous = original.reportLinkId ? this.reportLinks.getProtection(original.reportLinkId) : null;
+      const linkOptions = this.reportLinks.resolveOptions({ ...overrides, reportDelivery: 'link' }, previous);
+      link = this.reportLinks.create({ ...linkOptions, reportId, messageId: resendId, sessionId: session.sessionId, phoneNumber });
+      text = appendReportLink(this.reportLinks.replaceLinks(text, link.url), link.url);
+    }
+
+    const prepared = {
+      ...original,
+      sessionId: session.sessionId,
+      processedMessage: text,
+      template: original.templateId ? { id: original.templateId, version: original.templateVersion } : null
+    };
+    this.record(prepared, {
+      messageId: resendId,
+      status: 'queued',
+      reportId,
+      record: { resendOf: messageId, ...(link && { reportLinkId: link.id }) }
+    });
+    await this.enqueue(session, prepared, resendId, { reportId: reportDelivery === 'link' ? null : reportId });
+
+    console.log(`🔁 Message ${messageId} resent as ${resendId}`);
+    return {
+      messageId: resendId,
+      sessionId: session.sessionId,
+      processedMessage: text,
+      reportLink: link && { id: link.id, url: link.url, expiresAt: link.expiresAt, protection: link.protection }
+    };
+  }
+
+  // Sends text exactly as written, without template rendering: replies typed in the inbox
+  // can contain brackets that are not placeholders. Replies go out in the urgent lane, are
+  // accepted while the session is offline and, answering the patient, skip the consent check.
+  async sendText({ sessionId, phoneNumber, text }, options = {}) {
+    const e164 = normalizePhoneNumber(phoneNumber || '');
+    if (!e164 || !text || !text.trim()) {
+      throw new ValidationError('Phone number and message are required');
+    }
+
+    const session = this.sessionManager.resolve({ sessionId });
+    const prepared = { sessionId: session.sessionId, phoneNumber: e164, processedMessage: text, priority: 'urgent' };
+    const { messageId } = this.record(prepared, { status: 'queued', record: options.record });
+    await this.enqueue(session, prepared, messageId, { queueWhenOffline: true, queue: { isReply: true } });
+
+    return { messageId, sessionId: session.sessionId };
+  }
+
+  async enqueue(session, { phoneNumber, processedMessage, priority }, messageId, options) {
+    const queueOptions = {
+      ...options.queue,
+      id: messageId,
+      priority,
+      queueWhenOffline: options.queueWhenOffline
+    };
+
+    try {
+      if (options.reportId) {
+        await session.sendMessage(phoneNumber, processedMessage, { ...queueOptions, reportId: options.reportId });
+      } else if (options.filePath) {
+        await session.sendMessageWithAttachment(phoneNumber, processedMessage, options.filePath, queueOptions);
+      } else {
+        await session.sendMessage(phoneNumber, processedMessage, queueOptions);
+      }
+    } catch (error) {
+      this.messageService.updateMessageStatus(messageId, 'failed', { error: error.message });
+      throw error;
+    }
+  }
+}
+
+export default DispatchService;
@@ -0,0 +1,27 @@
+import { EventEmitter } from 'events';
+
+// In-process bus connecting the services. Events:
+//   message:status  { id, status, timestamp, whatsappMessageId?, error?, attempts? }
+//   message:changed { message, previousStatus } after MessageService stored a new status
+//   session:state   { sessionId, state, timestamp }
+//   message:inbound { sessionId, chatId, phoneNumber, contactName, body, type, hasMedia, whatsappMessageId, timestamp }
+//   patient:opt-out { phoneNumber, sessionId, timestamp }
+//   patient:opt-in  { phoneNumber, sessionId, timestamp }
+class EventBus extends EventEmitter {
+  constructor() {
+    super();
+    this.setMaxListeners(50);
+  }
+
+  emit(event, payload) {
+    // A failing subscriber must not break the service that published the event
+    try {
+      return super.emit(event, payload);
+    } catch (error) {
+      console.error(`❌ Event handler for ${event} failed:`, error);
+      return true;
+    }
+  }
+}
+
+export default EventBus;
@@ -0,0 +1,133 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { createStore } from '../storage/index.js';
+import { ValidationError, IngestError } from '../errors.js';
+import { parseOru } from '../utils/hl7.js';
+import { parseDiagnosticReport } from '../utils/fhir.js';
+
+const FORMATS = {
+  hl7: { label: 'HL7 message', parse: parseOru },
+  fhir: { label: 'FHIR resource', parse: parseDiagnosticReport }
+};
+
+const ABNORMAL_TEMPLATE = 'urgent';
+const NORMAL_TEMPLATE = 'normal';
+
+// Turns results pushed by a LIS/HIS (HL7 v2 ORU^R01 or a FHIR DiagnosticReport bundle) into
+// a queued report notification. Any abnormal result selects the urgent template, which lists
+// the flagged results, and a critical one the critical lane; otherwise the normal template is
+// sent. An embedded PDF is attached.
+//
+// Results are remembered by their message id (MSH-10, or the Bundle identifier or id) in the
+// `ingested` store, so a sender retrying after a lost response does not notify twice.
+class IngestionService {
+  constructor({ dispatchService, messageService, uploadsDir, store }) {
+    this.dispatchService = dispatchService;
+    this.messageService = messageService;
+    this.uploadsDir = uploadsDir;
+    this.store = store || createStore('ingested');
+    this.inFlight = new Map();
+  }
+
+  // The send request for a parsed result (see utils/hl7.js for its shape)
+  toRequest({ patient, orders, sourceId }) {
+    const abnormal = orders.flatMap(order => order.observations).filter(observation => observation.abnormal);
+    const testNames = [...new Set(orders.map(order => order.testName).filter(Boolean))];
+
+    return {
+      phoneNumber: patient.phoneNumber,
+      patientName: patient.name,
+      testName: testNames.join(', '),
+      reportDate: orders.find(order => order.observedAt)?.observedAt || undefined,
+      doctorName: orders.find(order => order.doctorName)?.doctorName || undefined,
+      language: patient.language || undefined,
+      dateOfBirth: patient.dateOfBirth || undefined,
+      templateId: abnormal.length > 0 ? ABNORMAL_TEMPLATE : NORMAL_TEMPLATE,
+      priority: abnormal.some(observation => observation.critical) ? 'critical' : undefined,
+      tests: abnormal.map(({ name, value, unit, range, flag }) => ({ name, value, unit, range, flag })),
+      reference: orders.find(order => order.reference)?.reference || sourceId || undefined
+    };
+  }
+
+  // Parses and queues one result. Returns { messageId, sessionId, templateId, priority,
+  // abnormalResults, hasAttachment, reference, duplicate }; throws IngestError for input that
+  // cannot be parsed or sent.
+  async ingest(format, body) {
+    const { label, parse } = FORMATS[format];
+    const { result, errors } = parse(body);
+    if (!result) {
+      throw new IngestError(`${label} could not be processed`, errors, format);
+    }
+
+    const key = result.sourceId ? `${format}:${result.sourceId}` : null;
+    const previous = key && this.store.get(key);
+    if (previous) {
+      console.log(`♻️ ${label} ${result.sourceId} was already received, not sending again`);
+      return { ...previous.outcome, duplicate: true };
+    }
+    if (key && this.inFlight.has(key)) {
+      return { ...(await this.inFlight.get(key)), duplicate: true };
+    }
+
+    const sending = this.send(format, result);
+    if (key) {
+      this.inFlight.set(key, sending);
+    }
+
+    try {
+      const outcome = await sending;
+      if (key) {
+        this.store.put({ id: key, outcome, receivedAt: new Date().toISOString() });
+      }
+      return { ...outcome, duplicate: false };
+    } finally {
+      this.inFlight.delete(key);
+    }
+  }
+
+  async send(format, result) {
+    const { label } = FORMATS[format];
+    const request = this.toRequest(result);
+
+    let filePath = null;
+    if (result.pdf) {
+      filePath = path.join(this.uploadsDir, `${uuidv4()}-${format}-report.pdf`);
+      fs.writeFileSync(filePath, result.pdf);
+    }
+
+    try {
+      const { messageId, sessionId } = await this.dispatchService.dispatch(request, {
+        filePath,
+        queueWhenOffline: true,
+        record: { source: format }
+      });
+
+      const message = this.messageService.getMessage(messageId);
+      console.log(`🧾 ${label} for ${message.phoneNumber} queued with the ${request.templateId} template (${message.priority})`);
+
+      return {
+        messageId,
+        sessionId,
+        templateId: request.templateId,
+        priority: message.priority,
+        abnormalResults: request.tests.length,
+        hasAttachment: !!filePath,
+        reference: request.reference || null
+      };
+    } catch (error) {
+      if (filePath && fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+
+      // Invalid numbers, missing templates and refused consent are reported like parse errors
+      if (error instanceof ValidationError) {
+        const code = error.code || 'rejected';
+        throw new IngestError(error.message, error.errors.map(message => ({ code, message })), format);
+      }
+      throw error;
+    }
+  }
+}
+
+export default IngestionService;
@@ -0,0 +1,370 @@
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { createStore } from '../storage/index.js';
+import { ValidationError } from '../errors.js';
+
+const REQUEST_TIMEOUT_MS = 30 * 1000;
+const MAX_REPORT_BYTES = 20 * 1024 * 1024;
+const STATES = ['dispatching', 'queued', 'acknowledged', 'failed', 'rejected'];
+
+// Reads a dot path such as "patient.phones.0" from a LIMS report
+const pick = (object, fieldPath) => fieldPath.split('.').reduce((value, key) => value?.[key], object);
+
+// fetch() reports network problems as "fetch failed" with the reason in `cause`
+const describe = (error) => error.cause?.message || error.message;
+
+// Polls the LIMS (LIMS_API_URL, authenticated with LIMS_API_KEY) for authorized reports,
+// maps each one onto a send request with the `lims` settings, downloads its PDF, queues it
+// through DispatchService and acknowledges it back to the LIMS.
+//
+// Every report id gets a record in the `lims-reports` store before anything is sent, so a
+// report is queued at most once even when the LIMS lists it again or the server restarts
+// mid-send. Records are `queued` (then `acknowledged`), `failed` (retried on the next polls
+// until `maxAttempts`) or `rejected` (invalid or not allowed; acknowledged with the error).
+class LimsConnector {
+  constructor({ dispatchService, messageService, settingsService, uploadsDir, store, stateStore, fetch: fetchImpl }) {
+    this.dispatchService = dispatchService;
+    this.messageService = messageService;
+    this.settingsService = settingsService;
+    this.uploadsDir = uploadsDir;
+    this.store = store || createStore('lims-reports');
+    this.stateStore = stateStore || createStore('lims-state');
+    this.fetch = fetchImpl || globalThis.fetch;
+    this.baseUrl = (process.env.LIMS_API_URL || '').replace(/\/+$/, '');
+    this.apiKey = process.env.LIMS_API_KEY || '';
+    this.apiKeyHeader = process.env.LIMS_API_KEY_HEADER || 'Authorization';
+    this.timer = null;
+    // Bumped by stop(), so a poll still running when polling is reconfigured or stopped does
+    // not arm a second timer when it ends
+    this.generation = 0;
+    this.nextPollAt = null;
+    this.polling = false;
+    this.lastPoll = null;
+
+    this.recoverInterrupted();
+  }
+
+  // A send that was cut off by a restart: the message record tells whether it was queued
+  recoverInterrupted() {
+    this.store.values()
+      .filter(record => record.state === 'dispatching')
+      .forEach(record => {
+        const message = this.messageService.getMessage(record.messageId);
+        if (message && message.status !== 'failed') {
+          this.save(record, { state: 'queued', queuedAt: message.timestamp });
+        } else {
+          this.save(record, { state: 'failed', error: 'Interrupted by a restart before it was queued' });
+        }
+      });
+  }
+
+  start() {
+    this.configure();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.generation += 1;
+    this.nextPollAt = null;
+  }
+
+  // Re-reads the settings, e.g. after they were changed in the dashboard
+  configure() {
+    this.stop();
+    const settings = this.settingsService.get('lims');
+
+    if (!settings.enabled) {
+      return;
+    }
+    if (!this.baseUrl) {
+      console.warn('⚠️ LIMS polling is enabled but LIMS_API_URL is not set');
+      return;
+    }
+
+    console.log(`🧪 Polling ${this.baseUrl} every ${settings.pollIntervalSeconds}s for ready reports`);
+    this.scheduleNext(settings.pollIntervalSeconds * 1000);
+  }
+
+  scheduleNext(delayMs) {
+    const generation = this.generation;
+    this.nextPollAt = new Date(Date.now() + delayMs).toISOString();
+    this.timer = setTimeout(async () => {
+      await this.poll().catch(error => {
+        console.error(`❌ LIMS poll failed: ${describe(error)}`);
+      });
+      if (generation !== this.generation) {
+        return;
+      }
+      const settings = this.settingsService.get('lims');
+      if (settings.enabled && this.baseUrl) {
+        this.scheduleNext(settings.pollIntervalSeconds * 1000);
+      }
+    }, delayMs);
+  }
+
+  async request(url, options = {}) {
+    const sameOrigin = new URL(url).origin === new URL(this.baseUrl).origin;
+    const headers = { Accept: 'application/json', ...options.headers };
+
+    // The API key is never sent to other hosts, e.g. a storage service holding the PDFs
+    if (this.apiKey && sameOrigin) {
+      headers[this.apiKeyHeader] = this.apiKeyHeader.toLowerCase() === 'authorization'
+        ? `Bearer ${this.apiKey}`
+        : this.apiKey;
+    }
+
+    return this.fetch(url, { ...options, headers, signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS) });
+  }
+
+  resolveUrl(location) {
+    return /^https?:\/\//i.test(location) ? location : `${this.baseUrl}${location.startsWith('/') ? '' : '/'}${location}`;
+  }
+
+  async fetchReports(settings) {
+    let url = this.resolveUrl(settings.reportsPath);
+    const since = this.stateStore.get('cursor')?.since;
+    if (settings.sinceParam && since) {
+      url += `${url.includes('?') ? '&' : '?'}${encodeURIComponent(settings.sinceParam)}=${encodeURIComponent(since)}`;
+    }
+
+    const response = await this.request(url);
+    if (!response.ok) {
+      throw new Error(`LIMS answered HTTP ${response.status} for ${settings.reportsPath}`);
+    }
+
+    const body = await response.json();
+    const items = settings.itemsPath ? pick(body, settings.itemsPath) : body;
+    if (!Array.isArray(items)) {
+      throw new Error(`Expected a list of reports at ${settings.itemsPath || 'the top level'} of the LIMS response`);
+    }
+
+    return items;
+  }
+
+  // The send request for one LIMS report; unmapped and empty fields are left out
+  mapReport(item, mapping) {
+    return Object.fromEntries(Object.entries(mapping)
+      .filter(([, fieldPath]) => fieldPath)
+      .map(([field, fieldPath]) => [field, pick(item, fieldPath)])
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([field, value]) => [field, typeof value === 'number' ? String(value) : value]));
+  }
+
+  async downloadReport(pdfUrl, reportId) {
+    const response = await this.request(this.resolveUrl(pdfUrl), { headers: { Accept: 'application/pdf' } });
+    if (!response.ok) {
+      throw new Error(`Report download failed: HTTP ${response.status}`);
+    }
+
+    const buffer = Buffer.from(await response.arrayBuffer());
+    if (buffer.length > MAX_REPORT_BYTES) {
+      throw new Error(`Report is larger than ${MAX_REPORT_BYTES / 1024 / 1024}MB`);
+    }
+    if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+      throw new Error('Downloaded report is not a PDF');
+    }
+
+    const filePath = path.join(this.uploadsDir, `${uuidv4()}-lims-${String(reportId).replace(/[^A-Za-z0-9_-]/g, '_')}.pdf`);
+    fs.writeFileSync(filePath, buffer);
+    return filePath;
+  }
+
+  save(record, changes = {}) {
+    const updated = { ...record, ...changes, updatedAt: new Date().toISOString() };
+    this.store.put(updated);
+    return updated;
+  }
+
+  // Queues one report; `existing` is the record of an earlier failed attempt
+  async send(reportId, item, settings, existing = null) {
+    const { pdfUrl, ...fields } = this.mapReport(item, settings.mapping);
+    delete fields.reportId;
+    let record = this.save({
+      id: reportId,
+      createdAt: new Date().toISOString(),
+      attempts: 0,
+      ...existing,
+      state: 'dispatching',
+      messageId: uuidv4(),
+      item,
+      error: null
+    }, { attempts: (existing?.attempts || 0) + 1 });
+
+    let filePath = null;
+    try {
+      if (pdfUrl) {
+        filePath = await this.downloadReport(pdfUrl, reportId);
+      }
+
+      await this.dispatchService.dispatch({ templateId: settings.templateId, ...fields, reference: reportId }, {
+        messageId: record.messageId,
+        filePath,
+        queueWhenOffline: true,
+        record: { source: 'lims' }
+      });
+
+      const { phoneNumber } = this.messageService.getMessage(record.messageId);
+      record = this.save(record, { state: 'queued', queuedAt: new Date().toISOString(), phoneNumber });
+      console.log(`🧪 LIMS report ${reportId} queued for ${phoneNumber}`);
+    } catch (error) {
+      if (filePath && fs.existsSync(filePath)) {
+        fs.unlinkSync(filePath);
+      }
+
+      // Bad data and refused consent do not get better by retrying
+      const rejected = error instanceof ValidationError || record.attempts >= settings.maxAttempts;
+      record = this.save(record, { state: rejected ? 'rejected' : 'failed', error: describe(error) });
+      console.error(`❌ LIMS report ${reportId} ${rejected ? 'rejected' : 'failed'}: ${describe(error)}`);
+    }
+
+    if (record.state !== 'failed') {
+      await this.acknowledge(record, settings);
+    }
+
+    return this.store.get(reportId);
+  }
+
+  // Tells the LIMS the report was taken (`queued`) or will not be sent (`rejected`)
+  async acknowledge(record, settings) {
+    if (!settings.ackPath) {
+      return false;
+    }
+
+    const url = this.resolveUrl(settings.ackPath.replace('{reportId}', encodeURIComponent(record.id)));
+    try {
+      const response = await this.request(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          reportId: record.id,
+          status: record.state === 'rejected' ? 'rejected' : 'queued',
+          messageId: record.messageId,
+          error: record.error || null,
+          timestamp: new Date().toISOString()
+        })
+      });
+      if (!response.ok) {
+        throw new Error(`HTTP ${response.status}`);
+      }
+
+      this.save(record, { state: record.state === 'queued' ? 'acknowledged' : record.state, ackedAt: new Date().toISOString(), ackError: null });
+      return true;
+    } catch (error) {
+      console.warn(`⚠️ Could not acknowledge LIMS report ${record.id}: ${describe(error)}`);
+      this.save(record, { ackError: describe(error) });
+      return false;
+    }
+  }
+
+  // One polling round: new reports, then retries of failed sends and acknowledgements.
+  // Returns { at, summary, error }; a round already running is not started twice.
+  async poll() {
+    if (this.polling) {
+      return { ...this.lastPoll, inProgress: true };
+    }
+    if (!this.baseUrl) {
+      throw new ValidationError('LIMS_API_URL is not set');
+    }
+
+    const settings = this.settingsService.get('lims');
+    const startedAt = new Date().toISOString();
+    const summary = { fetched: 0, queued: 0, skipped: 0, failed: 0, rejected: 0, retried: 0, acknowledged: 0 };
+    const seen = new Set();
+    this.polling = true;
+
+    try {
+      const items = await this.fetchReports(settings);
+      summary.fetched = items.length;
+
+      for (const item of items) {
+        const value = pick(item, settings.mapping.reportId);
+        if (value === undefined || value === null || value === '') {
+          console.warn(`⚠️ LIMS report without ${settings.mapping.reportId} ignored`);
+          summary.rejected += 1;
+          continue;
+        }
+
+        const reportId = String(value);
+        const existing = this.store.get(reportId);
+        seen.add(reportId);
+        if (existing && existing.state !== 'failed') {
+          summary.skipped += 1;
+          continue;
+        }
+
+        const record = await this.send(reportId, item, settings, existing);
+        summary[record.state === 'acknowledged' ? 'queued' : record.state] += 1;
+      }
+
+      // Failed sends are retried from the stored report, even if the LIMS no longer lists it
+      for (const record of this.store.values().filter(r => r.state === 'failed' && !seen.has(r.id))) {
+        await this.send(record.id, record.item, settings, record);
+        summary.retried += 1;
+      }
+
+      for (const record of this.store.values().filter(r => ['queued', 'rejected'].includes(r.state) && !r.ackedAt)) {
+        if (await this.acknowledge(record, settings)) {
+          summary.acknowledged += 1;
+        }
+      }
+
+      this.stateStore.put({ id: 'cursor', since: startedAt });
+      this.lastPoll = { at: startedAt, summary, error: null };
+      if (summary.queued + summary.failed + summary.rejected + summary.retried > 0) {
+        console.log(`🧪 LIMS poll: ${JSON.stringify(summary)}`);
+      }
+    } catch (error) {
+      console.error(`❌ LIMS poll failed: ${describe(error)}`);
+      this.lastPoll = { at: startedAt, summary, error: describe(error) };
+    } finally {
+      this.polling = false;
+    }
+
+    return this.lastPoll;
+  }
+
+  // Sends a failed or rejected report again with a fresh set of attempts
+  async retry(reportId) {
+    const record = this.store.get(reportId);
+    if (!record) {
+      return null;
+    }
+    if (!['failed', 'rejected'].includes(record.state)) {
+      throw new ValidationError(`Report ${reportId} is ${record.state} and is not sent again`);
+    }
+
+    return this.send(reportId, record.item, this.settingsService.get('lims'), { ...record, attempts: 0, ackedAt: null });
+  }
+
+  get(reportId) {
+    return this.store.get(reportId);
+  }
+
+  // Without the raw LIMS report, which `get` includes
+  list({ state, limit = 100 } = {}) {
+    return this.store.values()
+      .filter(record => !state || record.state === state)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .slice(0, limit)
+      .map(({ item, ...record }) => record);
+  }
+
+  getStatus() {
+    const settings = this.settingsService.get('lims');
+    const records = this.store.values();
+
+    return {
+      enabled: settings.enabled,
+      configured: !!this.baseUrl,
+      apiUrl: this.baseUrl || null,
+      polling: this.polling,
+      nextPollAt: this.nextPollAt,
+      lastPoll: this.lastPoll,
+      reports: Object.fromEntries(STATES.map(state => [state, records.filter(record => record.state === state).length]))
+    };
+  }
+}
+
+export default LimsConnector;
@@ -1,63 +1,68 @@
+import { createStore } from '../storage/index.js';
+import TemplateEngine from '../templates/TemplateEngine.js';
+
+const SENT_STATUSES = ['sent', 'received', 'delivered', 'read'];
+
+// Delivery acks can arrive out of order; a lower-ranked ack never overwrites a higher one
+const ACK_RANK = { sent: 1, received: 2, delivered: 2, read: 3 };
+
 class MessageService {
-  constructor() {
-    this.messages = [];
-    this.messageStats = {
-      total: 0,
-      sent: 0,
-      failed: 0,
-      pending: 0,
-      queued: 0
-    };
-    this.templates = {
-      standard: `Dear [PatientName], your [TestName] report is now ready.
-Date: [ReportDate]
-Doctor: [DoctorName]
-To view or download your report, please contact our lab.
-
-- [LabName]`,
-      
-      urgent: `🚨 URGENT: Dear [PatientName], your [TestName] results require immediate attention.
-Date: [ReportDate]
-Doctor: [DoctorName]
-Please contact your doctor immediately.
-
-- [LabName]`,
-      
-      normal: `Dear [PatientName], your [TestName] results are normal.
-Date: [ReportDate]
-Doctor: [DoctorName]
-No further action required.
-
-- [LabName]`
-    };
+  constructor(options = {}) {
+    this.store = options.store || createStore('messages');
+    this.templateEngine = options.templateEngine || new TemplateEngine();
+    this.eventBus = options.eventBus || null;
+    this.statusIndex = new Map();
+    this.order = [];
+    this.buildIndexes();
+
+    if (options.eventBus) {
+      options.eventBus.on('message:status', ({ id, status, ...details }) => {
+        this.updateMessageStatus(id, status, details);
+      });
+    }
   }
 
-  processTemplate(template, data) {
+  // Throws TemplateValidationError when the template is invalid or required values are missing
+  processTemplate(template, data, options = {}) {
     if (!template || typeof template !== 'string') {
       return '';
     }
     
-    let processed = template;
-    
-    // Define template mappings
-    const mappings = {
-      '[PatientName]': data.patientName || '',
-      '[TestName]': data.testName || '',
-      '[ReportDate]': data.reportDate || '',
-      '[DoctorName]': data.doctorName || '',
-      '[LabName]': data.labName || ''
-    };
-    
-    // Replace each mapping safely
-    Object.entries(mappings).forEach(([placeholder, value]) => {
-      processed = processed.split(placeholder).join(value);
-    });
-    
-    return processed.trim();
+    return this.templateEngine.render(template, data, options).trim();
+  }
+
+  buildIndexes() {
+    this.store.values()
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+      .forEach(message => {
+        this.order.push(message.id);
+        this.indexStatus(message.id, null, message.status);
+      });
   }
 
-  getTemplate(type = 'standard') {
-    return this.templates[type] || this.templates.standard;
+  // Publishes every status change of a record, whatever caused it (queue events, failed
+  // dispatches, cancellations), so subscribers see the same state as the message history
+  notifyChanged(message, previousStatus) {
+    if (this.eventBus && message.status !== previousStatus) {
+      this.eventBus.emit('message:changed', { message, previousStatus });
+    }
+  }
+
+  indexStatus(id, previousStatus, status) {
+    if (previousStatus === status) {
+      return;
+    }
+
+    if (previousStatus) {
+      this.statusIndex.get(previousStatus)?.delete(id);
+    }
+
+    if (status) {
+      if (!this.statusIndex.has(status)) {
+        this.statusIndex.set(status, new Set());
+      }
+      this.statusIndex.get(status).add(id);
+    }
   }
 
   logMessage(messageData) {
@@ -69,87 +74,166 @@ No further action required.
     };
     
     // Check if message already exists (for updates)
-    const existingIndex = this.messages.findIndex(m => m.id === message.id);
+    const existing = this.store.get(message.id);
     
-    if (existingIndex !== -1) {
-      // Update existing message
-      this.messages[existingIndex] = { ...this.messages[existingIndex], ...message };
+    if (existing) {
+      // Update existing message, keeping its original timestamp so ordering stays stable
+      const updated = { ...existing, ...message, timestamp: existing.timestamp };
+      if (message.status && message.status !== existing.status) {
+        updated.statusHistory = [...(existing.statusHistory || []), { status: message.status, timestamp: message.lastAttempt }];
+      }
+      this.store.put(updated);
+      this.indexStatus(message.id, existing.status, message.status || existing.status);
       console.log(`📝 Message updated: ${message.id} - ${message.status}`);
+      this.notifyChanged(updated, existing.status);
     } else {
       // Add new message
-      this.messages.unshift(message);
+      message.statusHistory = message.statusHistory || [{ status: message.status, timestamp: message.timestamp }];
+      this.store.put(message);
+      this.order.push(message.id);
+      this.indexStatus(message.id, null, message.status);
       console.log(`📝 Message logged: ${message.phoneNumber} - ${message.status}`);
+      this.notifyChanged(message, null);
     }
-    
-    // Keep only last 1000 messages
-    if (this.messages.length > 1000) {
-      this.messages = this.messages.slice(0, 1000);
-    }
-    
-    // Update statistics
-    this.updateStats();
   }
 
-  updateStats() {
-    this.messageStats = {
-      total: this.messages.length,
-      sent: this.messages.filter(m => m.status === 'sent' || m.status === 'delivered' || m.status === 'read').length,
-      failed: this.messages.filter(m => m.status === 'failed').length,
-      pending: this.messages.filter(m => m.status === 'pending').length,
-      queued: this.messages.filter(m => m.status === 'queued').length
-    };
+  getMessage(messageId) {
+    return this.store.get(messageId);
+  }
+
+  // Newest message matching the predicate, e.g. the last report sent to a number
+  findLatest(predicate) {
+    for (let i = this.order.length - 1; i >= 0; i--) {
+      const message = this.store.get(this.order[i]);
+      if (message && predicate(message)) {
+        return message;
+      }
+    }
+    return null;
   }
 
   getMessages(limit = 50) {
-    return this.messages.slice(0, limit);
+    return this.order
+      .slice(-limit)
+      .reverse()
+      .map(id => this.store.get(id));
   }
 
-  updateMessageStatus(messageId, status) {
-    const updateData = {
-      id: messageId,
-      status,
-      updatedAt: new Date().toISOString()
+  updateMessageStatus(messageId, status, details = {}) {
+    const existing = this.store.get(messageId);
+    if (!existing) {
+      console.warn(`⚠️ Status update for unknown message ${messageId}: ${status}`);
+      return null;
+    }
+
+    const timestamp = details.timestamp || new Date().toISOString();
+    const entry = { status, timestamp };
+    if (details.error) {
+      entry.error = details.error;
+    }
+
+    const updated = {
+      ...existing,
+      updatedAt: timestamp,
+      statusHistory: [...(existing.statusHistory || []), entry]
     };
-    
+
+    const isDowngrade = ACK_RANK[status] && ACK_RANK[existing.status] >= ACK_RANK[status];
+    if (!isDowngrade) {
+      updated.status = status;
+      updated[`${status}At`] = timestamp;
+    }
+
     // Add error information if status is failed
-    if (status === 'failed' && arguments.length > 2) {
-      updateData.error = arguments[2];
+    if (details.error) {
+      updated.error = details.error;
     }
-    
-    this.logMessage(updateData);
+    if (details.whatsappMessageId) {
+      updated.whatsappMessageId = details.whatsappMessageId;
+    }
+    if (details.errorType) {
+      updated.errorType = details.errorType;
+    }
+    if (details.attempts !== undefined) {
+      updated.attempts = details.attempts;
+    }
+
+    this.store.put(updated);
+    this.indexStatus(messageId, existing.status, updated.status);
+    console.log(`📝 Message updated: ${messageId} - ${updated.status}`);
+    this.notifyChanged(updated, existing.status);
+
+    return updated;
+  }
+
+  // Merges fields that are not a status (report link opens, ...) into a record
+  annotate(messageId, fields) {
+    const existing = this.store.get(messageId);
+    if (!existing) {
+      return null;
+    }
+
+    const updated = { ...existing, ...fields, updatedAt: new Date().toISOString() };
+    this.store.put(updated);
+    return updated;
   }
 
   updateMessageStatusLegacy(messageId, status) {
-    const message = this.messages.find(m => m.id === messageId);
+    const message = this.store.get(messageId);
     if (message) {
-      message.status = status;
-      message.updatedAt = new Date().toISOString();
-      this.updateStats();
+      this.store.put({ ...message, status, updatedAt: new Date().toISOString() });
+      this.indexStatus(messageId, message.status, status);
     }
   }
 
+  countByStatus(status) {
+    return this.statusIndex.get(status)?.size || 0;
+  }
+
   getMessageStats() {
-    return { ...this.messageStats };
+    return {
+      total: this.store.size,
+      sent: SENT_STATUSES.reduce((sum, status) => sum + this.countByStatus(status), 0),
+      failed: this.countByStatus('failed'),
+      pending: this.countByStatus('pending'),
+      queued: this.countByStatus('queued')
+    };
   }
 
   getFailedMessages(limit = 10) {
-    return this.messages
-      .filter(m => m.status === 'failed')
+    return Array.from(this.statusIndex.get('failed') || [])
+      .reverse()
       .slice(0, limit)
+      .map(id => this.store.get(id))
       .map(m => ({
         id: m.id,
         phoneNumber: m.phoneNumber,
         patientName: m.patientName,
         error: m.error,
+        errorType: m.errorType,
         attempts: m.attempts,
         timestamp: m.timestamp
       }));
   }
 
   getRecentActivity(hours = 24) {
-    const cutoff = new Date(Date.now() - (hours * 60 * 60 * 1000));
-    return this.messages.filter(m => new Date(m.timestamp) > cutoff);
+    const cutoff = Date.now() - (hours * 60 * 60 * 1000);
+
+    // order is sorted by timestamp, so binary search for the first recent message
+    let low = 0;
+    let high = this.order.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (new Date(this.store.get(this.order[mid]).timestamp).getTime() > cutoff) {
+        high = mid;
+      } else {
+        low = mid + 1;
+      }
+    }
+
+    return this.order.slice(low).map(id => this.store.get(id));
   }
 }
 
+export { ACK_RANK };
 export default MessageService;
\ No newline at end of file
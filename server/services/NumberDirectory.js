@@ -0,0 +1,43 @@
+import { createStore } from '../storage/index.js';
+
+// Caches WhatsApp number lookups so each number is only checked once per TTL.
+// `lookup(e164)` resolves to the chat id WhatsApp uses for the number, or null when
+// the number is not registered.
+class NumberDirectory {
+  constructor({ lookup, store, ttlMs }) {
+    this.lookup = lookup;
+    this.store = store || createStore('number-lookups');
+    this.ttlMs = ttlMs || (parseInt(process.env.NUMBER_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+    this.pending = new Map(); // e164 -> in-flight lookup promise
+  }
+
+  getCached(e164) {
+    const entry = this.store.get(e164);
+    if (!entry || Date.now() - new Date(entry.checkedAt).getTime() > this.ttlMs) {
+      return null;
+    }
+    return entry;
+  }
+
+  async check(e164) {
+    const cached = this.getCached(e164);
+    if (cached) {
+      return { ...cached, cached: true };
+    }
+
+    // Concurrent checks of the same number (e.g. validate-as-you-type) share one lookup
+    if (!this.pending.has(e164)) {
+      this.pending.set(e164, this.lookup(e164)
+        .then(chatId => {
+          const entry = { id: e164, registered: !!chatId, chatId: chatId || null, checkedAt: new Date().toISOString() };
+          this.store.put(entry);
+          return entry;
+        })
+        .finally(() => this.pending.delete(e164)));
+    }
+
+    return { ...(await this.pending.get(e164)), cached: false };
+  }
+}
+
+export default NumberDirectory;
@@ -0,0 +1,63 @@
+// Queue lanes, highest first. Items in a higher lane are sent before lower ones; a waiting
+// item moves up one lane for every aging period so routine and marketing messages are
+// never starved. Aging stops below `critical`, which always goes first.
+const PRIORITIES = ['critical', 'urgent', 'routine', 'marketing'];
+const DEFAULT_PRIORITY = 'routine';
+
+// Lanes that may be sent during quiet hours
+const HIGH_PRIORITIES = ['critical', 'urgent'];
+
+const isPriority = (value) => PRIORITIES.includes(value);
+
+const priorityRank = (priority) => {
+  const rank = PRIORITIES.indexOf(priority);
+  return rank === -1 ? PRIORITIES.indexOf(DEFAULT_PRIORITY) : rank;
+};
+
+// { rank, overdue }: the lane an item has aged into, and whether it has also waited out an
+// aging period in `urgent` (it would move further up if aging went past `urgent`)
+const effectiveRank = (item, now, agingMs) => {
+  const rank = priorityRank(item.priority);
+  if (rank === 0 || !agingMs) {
+    return { rank, overdue: false };
+  }
+
+  const promotions = Math.floor((now - new Date(item.timestamp).getTime()) / agingMs);
+  return { rank: Math.max(rank - promotions, 1), overdue: promotions >= rank };
+};
+
+// Highest effective lane wins. Within a lane, overdue items go first, oldest first, so every
+// lane has a bounded wait; otherwise an item that started higher goes first (so freshly aged
+// routine items do not hold up a new urgent one), then the oldest
+const pickNext = (items, now = Date.now(), agingMs = 0) => {
+  let best = null;
+  let bestKey = null;
+
+  items.forEach(item => {
+    const key = { ...effectiveRank(item, now, agingMs), original: priorityRank(item.priority) };
+    const older = best && new Date(item.timestamp) < new Date(best.timestamp);
+    const better = !best ||
+      key.rank < bestKey.rank ||
+      (key.rank === bestKey.rank && key.overdue && !bestKey.overdue) ||
+      (key.rank === bestKey.rank && key.overdue && bestKey.overdue && older) ||
+      (key.rank === bestKey.rank && !key.overdue && !bestKey.overdue &&
+        (key.original < bestKey.original || (key.original === bestKey.original && older)));
+
+    if (better) {
+      best = item;
+      bestKey = key;
+    }
+  });
+
+  return best;
+};
+
+const countByLane = (items) => {
+  const lanes = Object.fromEntries(PRIORITIES.map(priority => [priority, 0]));
+  items.forEach(item => {
+    lanes[PRIORITIES[priorityRank(item.priority)]] += 1;
+  });
+  return lanes;
+};
+
+export { PRIORITIES, DEFAULT_PRIORITY, HIGH_PRIORITIES, isPriority, priorityRank, pickNext, countByLane };
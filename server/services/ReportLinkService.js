@@ -0,0 +1,406 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { createStore } from '../storage/index.js';
+import { ValidationError, ReportLinkError } from '../errors.js';
+
+const REPORT_DELIVERIES = ['attachment', 'link'];
+const LINK_PROTECTIONS = ['none', 'otp', 'dob'];
+const MAX_LINK_EXPIRY_HOURS = 30 * 24;
+// Wrong codes or dates of birth in a row before a link is locked
+const MAX_FAILED_ATTEMPTS = 5;
+const MAX_CODES_PER_LINK = 5;
+const CODE_TTL_MS = 10 * 60 * 1000;
+const CODE_RESEND_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+// Per counted event: the link counter, and the message fields for the count and the first time
+const COUNTERS = {
+  opened: { link: 'opens', count: 'reportOpens', first: 'reportOpenedAt' },
+  downloaded: { link: 'downloads', count: 'reportDownloads', first: 'reportDownloadedAt' }
+};
+// Link previews fetched by messengers and crawlers are not the patient opening the link
+const PREVIEW_AGENTS = /WhatsApp|facebookexternalhit|Facebot|TelegramBot|Slackbot|Twitterbot|Discordbot|bot\b|crawler|spider/i;
+
+const hash = (...parts) => crypto.createHash('sha256').update(parts.join(':')).digest('hex');
+
+const safeEqual = (a, b) => {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+};
+
+// Accepts 2024-05-01, 20240501 (HL7) and 01/05/2024 or 01-05-2024 (day first); null otherwise
+const normalizeDate = (value) => {
+  const text = String(value ?? '').trim();
+  let year, month, day;
+
+  const isoMatch = text.match(/^(\d{4})-?(\d{2})-?(\d{2})/);
+  const dayFirstMatch = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/);
+  if (isoMatch) {
+    [, year, month, day] = isoMatch.map(Number);
+  } else if (dayFirstMatch) {
+    [, day, month, year] = dayFirstMatch.map(Number);
+  } else {
+    return null;
+  }
+
+  const date = new Date(Date.UTC(year, month - 1, day));
+  if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+};
+
+const hashDateOfBirth = (dateOfBirth, salt = crypto.randomBytes(8).toString('hex')) => `${salt}$${hash(salt, dateOfBirth)}`;
+
+const publicLink = ({ dobHash, code, ...link }) => link;
+
+// Signed, expiring download links for stored reports (ReportStore), sent instead of the file
+// when the `reports` settings (or a request's `reportDelivery`) ask for links. A link is
+// <PUBLIC_BASE_URL>/r/<id>.<expiry>.<signature>, signed with REPORT_LINK_SECRET (or a secret
+// derived from the report key), so a link cannot be forged or extended. A link may also ask
+// for a one-time code sent to the patient's WhatsApp (`otp`) or their date of birth (`dob`);
+// after MAX_FAILED_ATTEMPTS wrong answers in a row it is locked.
+//
+// Every open, verification and download is logged (`report-access`) and counted on the link
+// and its message record, and published as `report:access` on the event bus.
+class ReportLinkService {
+  constructor({ reportStore, messageService, settingsService, eventBus, sendText, store, accessStore }) {
+    this.reportStore = reportStore;
+    this.messageService = messageService;
+    this.settingsService = settingsService;
+    this.eventBus = eventBus || null;
+    // Sends the one-time codes (DispatchService.sendText)
+    this.sendText = sendText || null;
+    this.store = store || createStore('report-links');
+    this.accessStore = accessStore || createStore('report-access');
+    this.secret = process.env.REPORT_LINK_SECRET || reportStore.deriveSecret('report-links');
+    this.baseUrl = (process.env.PUBLIC_BASE_URL || '').replace(/\/+$/, '');
+    this.retentionMs = (parseInt(process.env.REPORT_RETENTION_DAYS) || 90) * DAY_MS;
+    this.lastPrunedAt = 0;
+
+    this.prune();
+  }
+
+  // How the report of `request` is delivered: its `reportDelivery`, `linkProtection` and
+  // `linkExpiryHours` override the `reports` settings. `dateOfBirth` is required for `dob`,
+  // unless `previous` carries the protection of an earlier link (see getProtection).
+  resolveOptions(request, previous = null) {
+    const settings = this.settingsService.get('reports');
+    const delivery = request.reportDelivery || settings.delivery;
+    const protection = request.linkProtection || previous?.protection || settings.linkProtection;
+    const expiryHours = request.linkExpiryHours !== undefined && request.linkExpiryHours !== ''
+      ? Number(request.linkExpiryHours)
+      : settings.linkExpiryHours;
+
+    if (!REPORT_DELIVERIES.includes(delivery)) {
+      throw new ValidationError(`Unknown reportDelivery "${delivery}", expected one of ${REPORT_DELIVERIES.join(', ')}`);
+    }
+    if (delivery === 'attachment') {
+      return { delivery };
+    }
+
+    if (!this.baseUrl) {
+      throw new ValidationError('Report links need PUBLIC_BASE_URL, the address patients reach this server at');
+    }
+    if (!LINK_PROTECTIONS.includes(protection)) {
+      throw new ValidationError(`Unknown linkProtection "${protection}", expected one of ${LINK_PROTECTIONS.join(', ')}`);
+    }
+    if (!Number.isInteger(expiryHours) || expiryHours < 1 || expiryHours > MAX_LINK_EXPIRY_HOURS) {
+      throw new ValidationError(`linkExpiryHours must be a whole number from 1 to ${MAX_LINK_EXPIRY_HOURS}`);
+    }
+
+    const dateOfBirth = request.dateOfBirth ? normalizeDate(request.dateOfBirth) : null;
+    if (request.dateOfBirth && !dateOfBirth) {
+      throw new ValidationError(`${request.dateOfBirth} is not a valid date of birth, e.g. 1980-04-23`);
+    }
+    const dobHash = dateOfBirth ? null : previous?.dobHash || null;
+    if (protection === 'dob' && !dateOfBirth && !dobHash) {
+      throw new ValidationError('dateOfBirth is required for report links protected by the date of birth');
+    }
+
+    return { delivery, protection, expiryHours, dateOfBirth, dobHash };
+  }
+
+  sign(id, expiresAt) {
+    const payload = `${id}.${Math.floor(new Date(expiresAt).getTime() / 1000)}`;
+    const signature = crypto.createHmac('sha256', this.secret).update(payload).digest('base64url').slice(0, 32);
+    return `${payload}.${signature}`;
+  }
+
+  urlFor(link) {
+    return `${this.baseUrl}/r/${this.sign(link.id, link.expiresAt)}`;
+  }
+
+  // Stands in for a link in dry runs and scheduled messages, which get theirs when sent
+  previewUrl() {
+    return `${this.baseUrl}/r/…`;
+  }
+
+  // Points every report link in `text` at `url`
+  replaceLinks(text, url) {
+    const base = this.baseUrl.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return text.replace(new RegExp(`${base}/r/[A-Za-z0-9_-]+\\.\\d+\\.[A-Za-z0-9_-]+`, 'g'), url);
+  }
+
+  create({ reportId, messageId, sessionId, phoneNumber, protection, expiryHours, dateOfBirth, dobHash }) {
+    const now = new Date();
+    const link = {
+      id: crypto.randomBytes(12).toString('base64url'),
+      reportId,
+      messageId,
+      sessionId,
+      phoneNumber,
+      protection,
+      dobHash: protection === 'dob' ? (dobHash || hashDateOfBirth(dateOfBirth)) : null,
+      code: null,
+      codesSent: 0,
+      failedAttempts: 0,
+      opens: 0,
+      downloads: 0,
+      expiresAt: new Date(now.getTime() + expiryHours * 60 * 60 * 1000).toISOString(),
+      revokedAt: null,
+      createdAt: now.toISOString()
+    };
+
+    this.store.put(link);
+    if (Date.now() - this.lastPrunedAt > PRUNE_INTERVAL_MS) {
+      this.prune();
+    }
+    return { ...publicLink(link), url: this.urlFor(link) };
+  }
+
+  get(id) {
+    const link = this.store.get(id);
+    return link ? publicLink(link) : null;
+  }
+
+  // A link's protection with its date-of-birth hash, for a new link that keeps it
+  getProtection(id) {
+    const link = this.store.get(id);
+    return link ? { protection: link.protection, dobHash: link.dobHash } : null;
+  }
+
+  listForMessage(messageId) {
+    return this.store.values()
+      .filter(link => link.messageId === messageId)
+      .map(link => ({ ...publicLink(link), state: this.stateOf(link) }));
+  }
+
+  revoke(id) {
+    const link = this.store.get(id);
+    if (!link) {
+      return null;
+    }
+
+    const updated = { ...link, revokedAt: link.revokedAt || new Date().toISOString() };
+    this.store.put(updated);
+    console.log(`🔒 Report link ${id} revoked`);
+    return publicLink(updated);
+  }
+
+  stateOf(link) {
+    if (link.revokedAt) {
+      return 'revoked';
+    }
+    if (new Date(link.expiresAt).getTime() <= Date.now()) {
+      return 'expired';
+    }
+    if (link.failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      return 'locked';
+    }
+    if (!this.reportStore.get(link.reportId)) {
+      return 'removed';
+    }
+    return 'active';
+  }
+
+  // The link behind a token; throws a ReportLinkError for forged, expired or unusable links
+  resolve(token) {
+    const [id, expires, signature] = String(token || '').split('.');
+    const link = id && expires && signature ? this.store.get(id) : null;
+
+    if (!link || !safeEqual(this.sign(link.id, link.expiresAt), `${id}.${expires}.${signature}`)) {
+      throw new ReportLinkError('This link is not valid.', 'invalid', 404);
+    }
+
+    const state = this.stateOf(link);
+    const errors = {
+      revoked: ['This link has been withdrawn.', 410],
+      expired: ['This link has expired.', 410],
+      locked: ['This link is locked after too many wrong answers.', 423],
+      removed: ['This report is no longer available.', 410]
+    };
+    if (errors[state]) {
+      throw new ReportLinkError(errors[state][0], state, errors[state][1]);
+    }
+    return link;
+  }
+
+  // What the link's page shows: { link, report, codeSent } with `codeSent` holding
+  // { phoneHint } while a one-time code is valid
+  describe(token) {
+    const link = this.resolve(token);
+    const codeValid = link.code && new Date(link.code.expiresAt).getTime() > Date.now();
+
+    return {
+      link: publicLink(link),
+      report: this.reportStore.get(link.reportId),
+      codeSent: codeValid ? { phoneHint: link.phoneNumber.slice(-4) } : null
+    };
+  }
+
+  // The link's page was opened; `meta` is { ip, userAgent }
+  open(token, meta = {}) {
+    const described = this.describe(token);
+    const preview = PREVIEW_AGENTS.test(meta.userAgent || '');
+    this.logAccess(described.link, preview ? 'previewed' : 'opened', meta);
+    return described;
+  }
+
+  // Sends a one-time code to the patient for an `otp` link
+  async sendCode(token, meta = {}) {
+    const link = this.resolve(token);
+    if (link.protection !== 'otp') {
+      throw new ReportLinkError('This link does not use a code.', 'not-otp', 400);
+    }
+    if (link.code && Date.now() - new Date(link.code.sentAt).getTime() < CODE_RESEND_MS) {
+      throw new ReportLinkError('A code was just sent. Please wait a minute before asking for another one.', 'code-throttled', 429);
+    }
+    if (link.codesSent >= MAX_CODES_PER_LINK) {
+      throw new ReportLinkError('Too many codes were requested for this link. Please contact the lab.', 'code-limit', 429);
+    }
+    if (!this.sendText) {
+      throw new ReportLinkError('Codes cannot be sent right now. Please contact the lab.', 'code-unavailable', 503);
+    }
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+    try {
+      await this.sendText({
+        sessionId: link.sessionId,
+        phoneNumber: link.phoneNumber,
+        text: `${code} is your code to open your report. It is valid for ${CODE_TTL_MS / 60000} minutes. Do not share it with anyone.`
+      }, { record: { reportLinkId: link.id } });
+    } catch (error) {
+      console.error(`❌ Could not send a code for report link ${link.id}:`, error.message);
+      throw new ReportLinkError('Codes cannot be sent right now. Please contact the lab.', 'code-unavailable', 503);
+    }
+
+    const now = Date.now();
+    this.store.put({
+      ...this.store.get(link.id),
+      code: { hash: hash(link.id, code), sentAt: new Date(now).toISOString(), expiresAt: new Date(now + CODE_TTL_MS).toISOString() },
+      codesSent: link.codesSent + 1
+    });
+
+    this.logAccess(link, 'code-sent', meta);
+    return { phoneHint: link.phoneNumber.slice(-4) };
+  }
+
+  // Checks the code or date of birth a protected link asks for
+  verify(link, { code, dateOfBirth } = {}, meta = {}) {
+    let valid = true;
+
+    if (link.protection === 'dob') {
+      const [salt, expected] = (link.dobHash || '').split('$');
+      const given = normalizeDate(dateOfBirth);
+      valid = !!given && safeEqual(hash(salt, given), expected);
+    } else if (link.protection === 'otp') {
+      const current = link.code;
+      valid = !!current && new Date(current.expiresAt).getTime() > Date.now() &&
+        safeEqual(hash(link.id, String(code || '').trim()), current.hash);
+    }
+
+    if (valid) {
+      if (link.failedAttempts > 0) {
+        this.store.put({ ...link, failedAttempts: 0 });
+      }
+      return;
+    }
+
+    const failedAttempts = link.failedAttempts + 1;
+    this.store.put({ ...link, failedAttempts });
+    this.logAccess(link, 'verification-failed', meta);
+
+    if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+      console.warn(`⚠️ Report link ${link.id} locked after ${failedAttempts} failed attempts`);
+      throw new ReportLinkError('This link is locked after too many wrong answers. Please contact the lab.', 'locked', 423);
+    }
+    throw new ReportLinkError(
+      link.protection === 'dob' ? 'The date of birth does not match our records.' : 'The code is wrong or has expired.',
+      'verification-failed'
+    );
+  }
+
+  // The decrypted report as { record, data } once `proof` ({ code } or { dateOfBirth }) checks out
+  async download(token, proof = {}, meta = {}) {
+    const link = this.resolve(token);
+    this.verify(link, proof, meta);
+
+    const report = await this.reportStore.read(link.reportId);
+    if (!report) {
+      throw new ReportLinkError('This report is no longer available.', 'removed', 410);
+    }
+
+    this.logAccess(this.store.get(link.id), 'downloaded', meta);
+    return report;
+  }
+
+  // Opens and downloads are counted on the link and on its message record
+  logAccess(link, event, { ip, userAgent } = {}) {
+    const timestamp = new Date().toISOString();
+    const entry = {
+      id: uuidv4(),
+      linkId: link.id,
+      messageId: link.messageId,
+      event,
+      ip: ip || null,
+      userAgent: userAgent || null,
+      timestamp
+    };
+    this.accessStore.put(entry);
+
+    const counter = COUNTERS[event];
+    if (counter) {
+      const current = this.store.get(link.id);
+      this.store.put({ ...current, [counter.link]: current[counter.link] + 1 });
+
+      const message = this.messageService.getMessage(link.messageId);
+      if (message) {
+        this.messageService.annotate(link.messageId, {
+          [counter.first]: message[counter.first] || timestamp,
+          [counter.count]: (message[counter.count] || 0) + 1
+        });
+      }
+    }
+
+    if (this.eventBus) {
+      this.eventBus.emit('report:access', { ...entry, reportId: link.reportId, phoneNumber: link.phoneNumber });
+    }
+  }
+
+  getAccessLog(messageId, { limit = 100 } = {}) {
+    return this.accessStore.values()
+      .filter(entry => entry.messageId === messageId)
+      .sort((a, b) => b.timestamp.localeCompare(a.timestamp))
+      .slice(0, limit);
+  }
+
+  // Drops links that expired, and access entries made, more than REPORT_RETENTION_DAYS ago
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    const links = this.store.values().filter(link => new Date(link.expiresAt).getTime() < cutoff);
+    const entries = this.accessStore.values().filter(entry => new Date(entry.timestamp).getTime() < cutoff);
+
+    links.forEach(link => this.store.delete(link.id));
+    entries.forEach(entry => this.accessStore.delete(entry.id));
+    this.lastPrunedAt = Date.now();
+
+    if (links.length + entries.length > 0) {
+      console.log(`🧹 Pruned ${links.length} old report links and ${entries.length} access log entries`);
+    }
+  }
+}
+
+export { REPORT_DELIVERIES, LINK_PROTECTIONS, MAX_LINK_EXPIRY_HOURS, normalizeDate };
+export default ReportLinkService;
@@ -0,0 +1,325 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import sharp from 'sharp';
+import { v4 as uuidv4 } from 'uuid';
+import { EncryptedPDFError, PDFDocument, PDFName, PDFNumber, PDFRawStream, StandardFonts, rgb } from '@cantoo/pdf-lib';
+import { ValidationError } from '../errors.js';
+import { normalizeDate } from './ReportLinkService.js';
+
+const PDF_PASSWORDS = ['none', 'dob', 'phone'];
+// What a patient is told to type, rendered as [PasswordHint]
+const PASSWORD_HINTS = {
+  dob: 'your date of birth as DDMMYYYY (e.g. 23041980)',
+  phone: 'the last 4 digits of your mobile number'
+};
+// Several uploads in one request are combined into a single PDF
+const MAX_REPORT_FILES = 20;
+// Scans are downscaled to fit this many pixels on their longer side
+const MAX_IMAGE_PX = 2000;
+const JPEG_QUALITY = 75;
+// Smaller files and embedded images are left as they are
+const OPTIMIZE_ABOVE_BYTES = 512 * 1024;
+const MIN_IMAGE_BYTES = 100 * 1024;
+// A4 in points
+const PAGE_WIDTH = 595.28;
+const PAGE_HEIGHT = 841.89;
+const WATERMARK_SIZE = 8;
+
+// Uploads are saved as "<uuid>-<original name>"
+const uploadName = (filePath) => path.basename(filePath).replace(/^[0-9a-f]{8}(-[0-9a-f]{4}){3}-[0-9a-f]{12}-/i, '');
+
+const isPdf = (data) => data.subarray(0, 5).toString('latin1') === '%PDF-';
+
+const withExtension = (filePath, extension) => path.join(
+  path.dirname(filePath),
+  `${path.basename(filePath, path.extname(filePath))}${extension}`
+);
+
+// A JPEG, or a PNG for images with transparency, ready to embed in a PDF or send as is
+const normalizeImage = async (data, { optimize }) => {
+  const image = sharp(data, { failOn: 'none' }).rotate();
+  const { hasAlpha } = await image.metadata();
+
+  if (optimize) {
+    image.resize({ width: MAX_IMAGE_PX, height: MAX_IMAGE_PX, fit: 'inside', withoutEnlargement: true });
+  }
+  const output = hasAlpha
+    ? image.png({ compressionLevel: 9 })
+    : image.jpeg({ quality: optimize ? JPEG_QUALITY : 92, mozjpeg: true });
+  const { data: buffer, info } = await output.toBuffer({ resolveWithObject: true });
+  return { data: buffer, format: info.format, width: info.width, height: info.height };
+};
+
+// One A4 page per image, in the image's orientation, with the image fitted and centred
+const addImagePage = async (pdf, data, options) => {
+  const image = await normalizeImage(data, options);
+  const embedded = image.format === 'png' ? await pdf.embedPng(image.data) : await pdf.embedJpg(image.data);
+  const [pageWidth, pageHeight] = image.width > image.height ? [PAGE_HEIGHT, PAGE_WIDTH] : [PAGE_WIDTH, PAGE_HEIGHT];
+  const scale = Math.min(pageWidth / image.width, pageHeight / image.height);
+  const width = image.width * scale;
+  const height = image.height * scale;
+
+  pdf.addPage([pageWidth, pageHeight]).drawImage(embedded, {
+    x: (pageWidth - width) / 2,
+    y: (pageHeight - height) / 2,
+    width,
+    height
+  });
+};
+
+const loadPdf = async (data) => {
+  try {
+    return await PDFDocument.load(data, { updateMetadata: false });
+  } catch (error) {
+    throw new ValidationError(error instanceof EncryptedPDFError
+      ? 'The report PDF is already password-protected; upload it without a password'
+      : `The report PDF cannot be read: ${error.message}`);
+  }
+};
+
+// Re-encodes large JPEG images (the usual content of scanned reports) at MAX_IMAGE_PX and
+// JPEG_QUALITY. Other image encodings and colour spaces are left alone.
+const optimizePdfImages = async (pdf) => {
+  let optimized = 0;
+
+  for (const [ref, object] of pdf.context.enumerateIndirectObjects()) {
+    if (!(object instanceof PDFRawStream) || object.contents.length < MIN_IMAGE_BYTES) {
+      continue;
+    }
+
+    const { dict } = object;
+    const filter = dict.get(PDFName.of('Filter'));
+    const filters = filter?.asArray ? filter.asArray() : [filter];
+    const colorSpace = dict.get(PDFName.of('ColorSpace'));
+    if (dict.get(PDFName.of('Subtype')) !== PDFName.of('Image') ||
+        filters.length !== 1 || filters[0] !== PDFName.of('DCTDecode') ||
+        ![PDFName.of('DeviceRGB'), PDFName.of('DeviceGray')].includes(colorSpace)) {
+      continue;
+    }
+
+    try {
+      const image = sharp(object.contents).resize({ width: MAX_IMAGE_PX, height: MAX_IMAGE_PX, fit: 'inside', withoutEnlargement: true });
+      if (colorSpace === PDFName.of('DeviceGray')) {
+        image.toColourspace('b-w');
+      }
+      const { data, info } = await image.jpeg({ quality: JPEG_QUALITY, mozjpeg: true }).toBuffer({ resolveWithObject: true });
+      if (data.length >= object.contents.length * 0.9) {
+        continue;
+      }
+
+      const updated = dict.clone(pdf.context);
+      updated.set(PDFName.of('Width'), PDFNumber.of(info.width));
+      updated.set(PDFName.of('Height'), PDFNumber.of(info.height));
+      updated.delete(PDFName.of('DecodeParms'));
+      pdf.context.assign(ref, PDFRawStream.of(updated, data));
+      optimized++;
+    } catch (error) {
+      console.warn(`⚠️ Could not optimize an image of a report: ${error.message}`);
+    }
+  }
+
+  return optimized;
+};
+
+// Stamps `text` along the bottom of every page, below the usual margins
+const stampPages = async (pdf, text) => {
+  const font = await pdf.embedFont(StandardFonts.Helvetica);
+  const width = font.widthOfTextAtSize(text, WATERMARK_SIZE);
+
+  pdf.getPages().forEach(page => {
+    const { x, y, width: pageWidth } = page.getCropBox();
+    page.drawText(text, {
+      x: x + Math.max((pageWidth - width) / 2, 4),
+      y: y + 6,
+      size: WATERMARK_SIZE,
+      font,
+      color: rgb(0.45, 0.45, 0.45),
+      opacity: 0.8
+    });
+  });
+};
+
+// Prepares a report file before it is stored and sent (see DispatchService.dispatch), as
+// set in the `reports` settings:
+// - `pdfPassword` encrypts the PDF with a password the patient can work out (their date of
+//   birth, or the end of their number), explained by [PasswordHint] in the message
+// - `watermark` stamps "Sent via WhatsApp on <date>" on every page
+// - `optimize` downscales and recompresses large scans, as images or inside PDFs
+// An image that needs a password or watermark is turned into a PDF first, and several files
+// uploaded for one report are combined into one PDF (combine).
+class ReportProcessor {
+  constructor({ settingsService } = {}) {
+    this.settingsService = settingsService;
+    this.timeZone = process.env.LAB_TIMEZONE || 'Asia/Kolkata';
+  }
+
+  // The processing for the report of `request`; its `reportPassword` overrides the
+  // `pdfPassword` setting. `dob` needs the request's `dateOfBirth`.
+  resolveOptions(request) {
+    const settings = this.settingsService.get('reports');
+    const password = request.reportPassword || settings.pdfPassword;
+
+    if (!PDF_PASSWORDS.includes(password)) {
+      throw new ValidationError(`Unknown reportPassword "${password}", expected one of ${PDF_PASSWORDS.join(', ')}`);
+    }
+
+    let userPassword = null;
+    if (password === 'dob') {
+      const dateOfBirth = normalizeDate(request.dateOfBirth);
+      if (!dateOfBirth) {
+        throw new ValidationError(request.dateOfBirth
+          ? `${request.dateOfBirth} is not a valid date of birth, e.g. 1980-04-23`
+          : 'dateOfBirth is required for reports protected by the date of birth');
+      }
+      const [year, month, day] = dateOfBirth.split('-');
+      userPassword = `${day}${month}${year}`;
+    } else if (password === 'phone') {
+      const digits = String(request.phoneNumber || '').replace(/\D/g, '');
+      if (digits.length < 4) {
+        throw new ValidationError('A phone number is required for reports protected by the phone number');
+      }
+      userPassword = digits.slice(-4);
+    }
+
+    return {
+      password,
+      passwordHint: PASSWORD_HINTS[password],
+      userPassword,
+      watermark: settings.watermark,
+      optimize: settings.optimize
+    };
+  }
+
+  watermarkText(date = new Date()) {
+    const formatted = new Intl.DateTimeFormat('en-GB', {
+      dateStyle: 'medium',
+      timeStyle: 'short',
+      timeZone: this.timeZone
+    }).format(date);
+    return `Sent via WhatsApp on ${formatted}`;
+  }
+
+  // Combines uploaded PDFs and images, in order, into one PDF next to the first of them and
+  // removes the uploads; a single upload is returned as it is
+  async combine(filePaths) {
+    if (filePaths.length <= 1) {
+      return filePaths[0] || null;
+    }
+    if (filePaths.length > MAX_REPORT_FILES) {
+      throw new ValidationError(`A report can be made of at most ${MAX_REPORT_FILES} files`);
+    }
+
+    const removeUploads = () => Promise.all(filePaths.map(filePath => fs.promises.rm(filePath, { force: true })));
+    const pdf = await PDFDocument.create();
+    try {
+      for (const filePath of filePaths) {
+        const data = await fs.promises.readFile(filePath);
+        if (isPdf(data)) {
+          const source = await loadPdf(data);
+          const pages = await pdf.copyPages(source, source.getPageIndices());
+          pages.forEach(page => pdf.addPage(page));
+        } else {
+          await addImagePage(pdf, data, { optimize: true }).catch(error => {
+            throw new ValidationError(`${uploadName(filePath)} is neither a PDF nor a readable image: ${error.message}`);
+          });
+        }
+      }
+    } catch (error) {
+      await removeUploads();
+      throw error;
+    }
+
+    const first = filePaths[0];
+    const name = path.basename(uploadName(first), path.extname(first));
+    const combinedPath = path.join(path.dirname(first), `${uuidv4()}-${name}.pdf`);
+    await fs.promises.writeFile(combinedPath, await pdf.save({ useObjectStreams: true }));
+    await removeUploads();
+
+    console.log(`📑 Combined ${filePaths.length} files into ${path.basename(combinedPath)} (${pdf.getPageCount()} pages)`);
+    return combinedPath;
+  }
+
+  // Applies `options` (see resolveOptions) to the file at `filePath`. Returns the path of the
+  // processed file, which replaces the original, and what was done to it. Files that are
+  // neither PDFs nor images are left alone.
+  async process(filePath, options) {
+    const data = await fs.promises.readFile(filePath);
+    const protect = options.password !== 'none';
+    const details = { password: protect ? options.password : null, watermarked: false, optimized: false, originalSize: data.length };
+    const optimize = options.optimize && data.length > OPTIMIZE_ABOVE_BYTES;
+
+    let pdf;
+    if (isPdf(data)) {
+      if (!protect && !options.watermark && !optimize) {
+        return { filePath, details: { ...details, size: data.length } };
+      }
+      pdf = await loadPdf(data);
+      details.optimized = optimize && (await optimizePdfImages(pdf)) > 0;
+    } else {
+      const metadata = await sharp(data).metadata().catch(() => null);
+      if (!metadata) {
+        if (protect) {
+          throw new ValidationError('Only PDF and image reports can be password-protected');
+        }
+        return { filePath, details: { ...details, size: data.length } };
+      }
+
+      if (!protect && !options.watermark) {
+        return this.optimizeImage(filePath, data, details, optimize);
+      }
+      pdf = await PDFDocument.create();
+      await addImagePage(pdf, data, { optimize: options.optimize });
+      details.optimized = options.optimize;
+    }
+
+    if (options.watermark) {
+      await stampPages(pdf, this.watermarkText());
+      details.watermarked = true;
+    }
+    if (!protect && !details.watermarked && !details.optimized) {
+      return { filePath, details: { ...details, size: data.length } };
+    }
+    if (protect) {
+      pdf.encrypt({
+        userPassword: options.userPassword,
+        // Nobody needs to edit a sent report; the owner password is thrown away
+        ownerPassword: crypto.randomBytes(24).toString('base64url'),
+        permissions: { printing: 'highResolution', modifying: false, copying: false, annotating: false, contentAccessibility: true }
+      });
+    }
+
+    const output = Buffer.from(await pdf.save({ useObjectStreams: true }));
+    const processedPath = withExtension(filePath, '.pdf');
+    await fs.promises.writeFile(processedPath, output);
+    if (processedPath !== filePath) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+
+    details.size = output.length;
+    details.pages = pdf.getPageCount();
+    return { filePath: processedPath, details };
+  }
+
+  // Downscales a large image that is sent as an image; kept as it was unless that saves space
+  async optimizeImage(filePath, data, details, optimize) {
+    if (!optimize) {
+      return { filePath, details: { ...details, size: data.length } };
+    }
+
+    const image = await normalizeImage(data, { optimize: true });
+    if (image.data.length >= data.length * 0.9) {
+      return { filePath, details: { ...details, size: data.length } };
+    }
+
+    const processedPath = withExtension(filePath, image.format === 'png' ? '.png' : '.jpg');
+    await fs.promises.writeFile(processedPath, image.data);
+    if (processedPath !== filePath) {
+      await fs.promises.rm(filePath, { force: true });
+    }
+    return { filePath: processedPath, details: { ...details, optimized: true, size: image.data.length } };
+  }
+}
+
+export { PDF_PASSWORDS, MAX_REPORT_FILES };
+export default ReportProcessor;
@@ -0,0 +1,141 @@
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { createStore, createBlobStore, getDataDir } from '../storage/index.js';
+import { encryptWithKey, decryptWithKey, KEY_BYTES } from '../utils/encryption.js';
+
+const KEY_FILE = 'report-store.key';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+const CONTENT_TYPES = {
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+// Uploads are saved as "<uuid>-<original name>"
+const UPLOAD_PREFIX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}-/i;
+
+const blobKey = (id) => `${id}.bin`;
+
+// REPORT_ENCRYPTION_KEY holds 32 bytes as 64 hex characters or base64. Without it a key is
+// generated once and kept in the data directory, which then has to be backed up with it.
+const loadKey = () => {
+  const configured = process.env.REPORT_ENCRYPTION_KEY;
+  if (configured) {
+    const key = /^[0-9a-f]{64}$/i.test(configured) ? Buffer.from(configured, 'hex') : Buffer.from(configured, 'base64');
+    if (key.length !== KEY_BYTES) {
+      throw new Error('REPORT_ENCRYPTION_KEY must be 32 bytes, written as 64 hex characters or base64');
+    }
+    return key;
+  }
+
+  const keyPath = path.join(getDataDir(), KEY_FILE);
+  if (fs.existsSync(keyPath)) {
+    return Buffer.from(fs.readFileSync(keyPath, 'utf8').trim(), 'hex');
+  }
+
+  const key = crypto.randomBytes(KEY_BYTES);
+  fs.mkdirSync(path.dirname(keyPath), { recursive: true });
+  fs.writeFileSync(keyPath, key.toString('hex'), { mode: 0o600 });
+  console.warn(`⚠️ REPORT_ENCRYPTION_KEY is not set; generated ${keyPath}. Keep a copy: stored reports cannot be read without it`);
+  return key;
+};
+
+// The report files sent to patients, encrypted at rest (AES-256-GCM, see utils/encryption.js)
+// in a blob store. Each stored report has a record naming the message it was first sent with,
+// and that message record holds its `reportId`, so a report can be looked at, resent or
+// shared as a download link (ReportLinkService). Reports are removed after
+// REPORT_RETENTION_DAYS.
+class ReportStore {
+  constructor({ blobStore, store, key } = {}) {
+    this.blobStore = blobStore || createBlobStore('reports');
+    this.store = store || createStore('reports');
+    this.key = key || loadKey();
+    this.retentionMs = (parseInt(process.env.REPORT_RETENTION_DAYS) || 90) * DAY_MS;
+    this.lastPrunedAt = 0;
+
+    this.prune();
+  }
+
+  // Moves an uploaded file into the store; the plain copy is deleted. `processing` records
+  // what ReportProcessor did to the file.
+  async add(filePath, { messageId, fileName, contentType, processing } = {}) {
+    const data = await fs.promises.readFile(filePath);
+    const name = fileName || path.basename(filePath).replace(UPLOAD_PREFIX, '');
+    const record = {
+      id: uuidv4(),
+      messageId: messageId || null,
+      fileName: name,
+      contentType: contentType || CONTENT_TYPES[path.extname(name).toLowerCase()] || 'application/octet-stream',
+      size: data.length,
+      sha256: crypto.createHash('sha256').update(data).digest('hex'),
+      processing: processing || null,
+      storedAt: new Date().toISOString()
+    };
+
+    await this.blobStore.put(blobKey(record.id), encryptWithKey(data, this.key));
+    this.store.put(record);
+    await fs.promises.rm(filePath, { force: true });
+    console.log(`🗄️ Stored report ${record.fileName} (${Math.round(record.size / 1024)} KB) as ${record.id}`);
+
+    if (Date.now() - this.lastPrunedAt > PRUNE_INTERVAL_MS) {
+      await this.prune();
+    }
+    return record;
+  }
+
+  get(id) {
+    return this.store.get(id) || null;
+  }
+
+  // { record, data } with the decrypted file, or null once the report has been removed
+  async read(id) {
+    const record = this.store.get(id);
+    if (!record) {
+      return null;
+    }
+
+    const encrypted = await this.blobStore.get(blobKey(id));
+    if (!encrypted) {
+      return null;
+    }
+    return { record, data: decryptWithKey(encrypted, this.key) };
+  }
+
+  async remove(id) {
+    await this.blobStore.delete(blobKey(id));
+    this.store.delete(id);
+  }
+
+  // A secret for a related purpose (signing report links), so one key covers both
+  deriveSecret(purpose) {
+    return crypto.createHmac('sha256', this.key).update(purpose).digest();
+  }
+
+  // Removes reports older than REPORT_RETENTION_DAYS
+  async prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    const expired = this.store.values().filter(record => new Date(record.storedAt).getTime() < cutoff);
+    this.lastPrunedAt = Date.now();
+
+    for (const record of expired) {
+      try {
+        await this.remove(record.id);
+      } catch (error) {
+        console.error(`❌ Could not remove report ${record.id}:`, error.message);
+      }
+    }
+
+    if (expired.length > 0) {
+      console.log(`🧹 Removed ${expired.length} reports past their retention`);
+    }
+  }
+}
+
+export default ReportStore;
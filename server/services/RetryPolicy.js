@@ -0,0 +1,46 @@
+import { PermanentSendError } from '../errors.js';
+
+// Messages whatsapp-web.js / WhatsApp Web use for numbers that cannot receive messages
+const PERMANENT_PATTERNS = [
+  /invalid wid/i,
+  /wid error/i,
+  /no lid for user/i,
+  /not registered/i,
+  /not a valid (phone|whatsapp) number/i
+];
+
+// Everything else (timeouts, closed sessions, Puppeteer protocol errors, ...) is
+// treated as transient and retried
+const classifyError = (error) => {
+  if (error instanceof PermanentSendError || PERMANENT_PATTERNS.some(pattern => pattern.test(error.message))) {
+    return 'permanent';
+  }
+  return 'transient';
+};
+
+// Decides whether a failed send is retried and when
+class RetryPolicy {
+  constructor(settings) {
+    this.configure(settings);
+  }
+
+  configure({ maxAttempts, retryBaseDelayMs, retryMaxDelayMs }) {
+    this.maxAttempts = maxAttempts;
+    this.baseDelayMs = retryBaseDelayMs;
+    this.maxDelayMs = retryMaxDelayMs;
+  }
+
+  shouldRetry(errorType, attempts, maxAttempts = this.maxAttempts) {
+    return errorType === 'transient' && attempts < maxAttempts;
+  }
+
+  // Exponential backoff with "equal jitter": half of the delay is fixed, half is random,
+  // so items that failed together do not all retry at the same moment
+  nextDelay(attempts) {
+    const exponential = Math.min(this.maxDelayMs, this.baseDelayMs * 2 ** (attempts - 1));
+    return Math.round(exponential / 2 + Math.random() * (exponential / 2));
+  }
+}
+
+export { RetryPolicy, classifyError };
+export default RetryPolicy;
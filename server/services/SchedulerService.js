@@ -0,0 +1,220 @@
+import fs from 'fs';
+import { createStore } from '../storage/index.js';
+import { ValidationError } from '../errors.js';
+
+const SCHEDULE_STATES = ['scheduled', 'releasing', 'released', 'cancelled', 'failed'];
+
+// Long timers drift when the machine sleeps, so the scheduler re-checks at least once a minute
+const MAX_TIMER_MS = 60 * 1000;
+
+// Holds messages with a `sendAt` time and hands them to DispatchService when they are due.
+// Requests are validated when scheduled and rendered again on release, so template edits
+// made in the meantime are picked up.
+class SchedulerService {
+  constructor({ dispatchService, messageService, store }) {
+    this.dispatchService = dispatchService;
+    this.messageService = messageService;
+    this.store = store || createStore('scheduled');
+    this.timer = null;
+    this.releasing = false;
+
+    this.recoverInterrupted();
+  }
+
+  // A release that was cut off by a restart: a message record that moved past `scheduled`
+  // was queued, so it is not sent twice; otherwise the item is released again
+  recoverInterrupted() {
+    this.getItems({ state: 'releasing' }).forEach(item => {
+      const message = this.messageService.getMessage(item.id);
+      const now = new Date().toISOString();
+
+      if (message && message.status !== 'scheduled') {
+        this.store.put({ ...item, state: 'released', releasedAt: message.updatedAt || now, updatedAt: now });
+        console.log(`⏰ Scheduled message ${item.id} was released before the restart`);
+      } else {
+        this.store.put({ ...item, state: 'scheduled', updatedAt: now });
+      }
+    });
+  }
+
+  start() {
+    const pending = this.getItems({ state: 'scheduled' }).length;
+    if (pending > 0) {
+      console.log(`⏰ ${pending} scheduled message(s) restored`);
+    }
+    this.arm();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  parseSendAt(value) {
+    const sendAt = new Date(value);
+    if (!value || isNaN(sendAt.getTime())) {
+      throw new ValidationError('sendAt must be an ISO 8601 date-time, e.g. 2024-05-01T08:00:00+05:30');
+    }
+    return sendAt.toISOString();
+  }
+
+  // options.filePath is kept in the uploads directory until the message is released or cancelled
+  schedule(request, options = {}) {
+    const sendAt = this.parseSendAt(options.sendAt);
+    const prepared = this.dispatchService.prepare(request, { hasReport: !!options.filePath });
+    const { messageId } = this.dispatchService.record(prepared, {
+      status: 'scheduled',
+      filePath: options.filePath,
+      record: { scheduledFor: sendAt }
+    });
+
+    const now = new Date().toISOString();
+    const item = {
+      id: messageId,
+      state: 'scheduled',
+      sendAt,
+      request,
+      filePath: options.filePath || null,
+      phoneNumber: prepared.phoneNumber,
+      patientName: prepared.patientName,
+      processedMessage: prepared.processedMessage,
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.store.put(item);
+    this.arm();
+    console.log(`⏰ Message ${messageId} scheduled for ${sendAt}`);
+
+    return item;
+  }
+
+  reschedule(id, sendAtValue) {
+    const item = this.store.get(id);
+    if (!item) {
+      return null;
+    }
+    if (item.state !== 'scheduled') {
+      throw new ValidationError(`Message ${id} is already ${item.state} and can no longer be rescheduled`);
+    }
+
+    const sendAt = this.parseSendAt(sendAtValue);
+    const updated = { ...item, sendAt, updatedAt: new Date().toISOString() };
+
+    this.store.put(updated);
+    this.messageService.logMessage({ id, scheduledFor: sendAt });
+    this.arm();
+    console.log(`⏰ Message ${id} rescheduled for ${sendAt}`);
+
+    return updated;
+  }
+
+  cancel(id) {
+    const item = this.store.get(id);
+    if (!item) {
+      return null;
+    }
+    if (item.state !== 'scheduled') {
+      throw new ValidationError(`Message ${id} is already ${item.state} and can no longer be cancelled`);
+    }
+
+    const updated = { ...item, state: 'cancelled', cancelledAt: new Date().toISOString(), updatedAt: new Date().toISOString() };
+
+    this.store.put(updated);
+    this.removeAttachment(item.filePath);
+    this.messageService.updateMessageStatus(id, 'cancelled');
+    this.arm();
+    console.log(`🚫 Scheduled message ${id} cancelled`);
+
+    return updated;
+  }
+
+  removeAttachment(filePath) {
+    if (filePath && fs.existsSync(filePath)) {
+      fs.unlinkSync(filePath);
+    }
+  }
+
+  // Waits for the earliest pending item, at most MAX_TIMER_MS at a time
+  arm() {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const next = this.getItems({ state: 'scheduled' })[0];
+    if (!next) {
+      return;
+    }
+
+    const delay = Math.min(Math.max(new Date(next.sendAt) - Date.now(), 0), MAX_TIMER_MS);
+    this.timer = setTimeout(() => this.releaseDue(), delay);
+  }
+
+  async releaseDue() {
+    if (this.releasing) {
+      return;
+    }
+    this.releasing = true;
+
+    try {
+      const now = Date.now();
+      const due = this.getItems({ state: 'scheduled' }).filter(item => new Date(item.sendAt) <= now);
+
+      for (const item of due) {
+        await this.release(item);
+      }
+    } finally {
+      this.releasing = false;
+      this.arm();
+    }
+  }
+
+  async release(item) {
+    // Saved first, so a restart during the dispatch cannot send the message twice
+    this.store.put({ ...item, state: 'releasing', updatedAt: new Date().toISOString() });
+
+    try {
+      await this.dispatchService.dispatch(item.request, {
+        messageId: item.id,
+        filePath: item.filePath,
+        queueWhenOffline: true
+      });
+
+      this.store.put({ ...item, state: 'released', releasedAt: new Date().toISOString(), updatedAt: new Date().toISOString() });
+      console.log(`⏰ Scheduled message ${item.id} released to the queue`);
+    } catch (error) {
+      // The template or data may have become invalid since the message was scheduled
+      console.error(`❌ Failed to release scheduled message ${item.id}:`, error.message);
+      this.store.put({ ...item, state: 'failed', error: error.message, updatedAt: new Date().toISOString() });
+      this.messageService.updateMessageStatus(item.id, 'failed', { error: error.message });
+      this.removeAttachment(item.filePath);
+    }
+  }
+
+  getItem(id) {
+    return this.store.get(id);
+  }
+
+  // Sorted by sendAt, earliest first
+  getItems({ state, limit } = {}) {
+    const items = this.store.values()
+      .filter(item => !state || item.state === state)
+      .sort((a, b) => new Date(a.sendAt) - new Date(b.sendAt));
+
+    return limit ? items.slice(0, limit) : items;
+  }
+
+  getStatus() {
+    const states = Object.fromEntries(SCHEDULE_STATES.map(state => [state, 0]));
+    this.store.values().forEach(item => {
+      states[item.state] = (states[item.state] || 0) + 1;
+    });
+
+    return {
+      pending: states.scheduled,
+      nextSendAt: this.getItems({ state: 'scheduled' })[0]?.sendAt || null,
+      states
+    };
+  }
+}
+
+export default SchedulerService;
@@ -0,0 +1,135 @@
+import { HIGH_PRIORITIES } from './PriorityLanes.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+const BUCKETS = [
+  { key: 'perMinute', periodMs: MINUTE },
+  { key: 'perHour', periodMs: HOUR },
+  { key: 'perDay', periodMs: DAY }
+];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+// Decides when the queue processor may send next: quiet hours in the lab timezone,
+// token buckets per minute/hour/day, and a randomised delay between sends
+class SendThrottle {
+  constructor(settings, options = {}) {
+    this.timeZone = options.timeZone || process.env.LAB_TIMEZONE || 'Asia/Kolkata';
+    this.buckets = {};
+    this.configure(settings);
+  }
+
+  // Keeps the tokens already used when limits change, so raising a limit takes effect at once
+  // and lowering it does not hand out a fresh allowance
+  configure(settings) {
+    this.settings = settings;
+
+    BUCKETS.forEach(({ key, periodMs }) => {
+      const capacity = settings[key];
+      const previous = this.buckets[key];
+      const used = previous ? previous.capacity - previous.tokens : 0;
+
+      this.buckets[key] = {
+        capacity,
+        tokens: Math.max(capacity - used, 0),
+        refillPerMs: capacity / periodMs,
+        updatedAt: Date.now()
+      };
+    });
+  }
+
+  // Counts sends that happened before a restart against the buckets
+  seed(sentTimestamps, now = Date.now()) {
+    BUCKETS.forEach(({ key, periodMs }) => {
+      const bucket = this.buckets[key];
+      const recent = sentTimestamps.filter(timestamp => now - new Date(timestamp).getTime() < periodMs).length;
+      bucket.tokens = Math.max(bucket.capacity - recent, 0);
+    });
+  }
+
+  // Milliseconds until quiet hours end, or 0 outside quiet hours
+  quietHoursRemaining(now = Date.now()) {
+    const { quietHoursEnabled, quietHoursStart, quietHoursEnd } = this.settings;
+    if (!quietHoursEnabled || quietHoursStart === quietHoursEnd) {
+      return 0;
+    }
+
+    const parts = new Intl.DateTimeFormat('en-GB', {
+      timeZone: this.timeZone,
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(new Date(now));
+    const part = (type) => Number(parts.find(p => p.type === type).value);
+    const current = part('hour') * 60 + part('minute');
+    const start = toMinutes(quietHoursStart);
+    const end = toMinutes(quietHoursEnd);
+
+    // A window such as 21:00-08:00 wraps around midnight
+    const isQuiet = start < end
+      ? current >= start && current < end
+      : current >= start || current < end;
+    if (!isQuiet) {
+      return 0;
+    }
+
+    const minutesLeft = (end - current + 24 * 60) % (24 * 60);
+    return minutesLeft * MINUTE - part('second') * 1000;
+  }
+
+  allowsDuringQuietHours(item) {
+    return HIGH_PRIORITIES.includes(item.priority) && this.settings.urgentBypassesQuietHours;
+  }
+
+  refill(now) {
+    Object.values(this.buckets).forEach(bucket => {
+      bucket.tokens = Math.min(bucket.capacity, bucket.tokens + (now - bucket.updatedAt) * bucket.refillPerMs);
+      bucket.updatedAt = now;
+    });
+  }
+
+  // Takes a token from every bucket and returns 0, or returns how long to wait for one.
+  // A limit of 0 disables that bucket.
+  acquire(now = Date.now()) {
+    this.refill(now);
+
+    const active = Object.values(this.buckets).filter(bucket => bucket.capacity > 0);
+    const waitMs = Math.max(0, ...active
+      .filter(bucket => bucket.tokens < 1)
+      .map(bucket => Math.ceil((1 - bucket.tokens) / bucket.refillPerMs)));
+
+    if (waitMs === 0) {
+      active.forEach(bucket => {
+        bucket.tokens -= 1;
+      });
+    }
+
+    return waitMs;
+  }
+
+  nextDelay() {
+    const { minDelayMs, maxDelayMs } = this.settings;
+    return minDelayMs + Math.floor(Math.random() * (maxDelayMs - minDelayMs + 1));
+  }
+
+  getStatus(now = Date.now()) {
+    this.refill(now);
+
+    return {
+      quietHoursActive: this.quietHoursRemaining(now) > 0,
+      timeZone: this.timeZone,
+      remaining: Object.fromEntries(BUCKETS.map(({ key }) => [
+        key,
+        this.buckets[key].capacity > 0 ? Math.floor(this.buckets[key].tokens) : null
+      ]))
+    };
+  }
+}
+
+export default SendThrottle;
@@ -0,0 +1,361 @@
+import fs from 'fs';
+import path from 'path';
+import AdmZip from 'adm-zip';
+import { createStore, createBlobStore } from '../storage/index.js';
+import { ValidationError } from '../errors.js';
+import { encrypt, decrypt } from '../utils/encryption.js';
+
+const ARCHIVE_FORMAT = 'lims-whatsapp-session';
+const ARCHIVE_VERSION = 1;
+const ARCHIVE_EXTENSION = '.lwsb';
+const MIN_PASSPHRASE_LENGTH = 12;
+// A freshly linked session is given a minute to settle before its first backup
+const FIRST_BACKUP_DELAY_MS = 60 * 1000;
+
+// Chromium folders that are rebuilt on demand and make up most of a profile. The login
+// itself lives in IndexedDB and Local Storage.
+const CACHE_DIRS = new Set([
+  'Cache', 'Code Cache', 'GPUCache', 'DawnCache', 'DawnGraphiteCache', 'DawnWebGPUCache',
+  'GrShaderCache', 'GraphiteDawnCache', 'ShaderCache', 'CacheStorage', 'ScriptCache',
+  'blob_storage', 'Crashpad', 'BrowserMetrics', 'component_crx_cache', 'extensions_crx_cache',
+  'optimization_guide_model_store', 'Safe Browsing', 'segmentation_platform'
+]);
+// Locks and sockets of a running browser, and its metrics files
+const SKIPPED_FILES = /^(Singleton(Lock|Cookie|Socket)|DevToolsActivePort|lockfile)$|\.pma$/;
+// WhatsApp Web keeps the login in this IndexedDB database; an archive without it cannot link
+const LOGIN_DATABASE = /^Default\/IndexedDB\/https_web\.whatsapp\.com_\d+\.indexeddb\.leveldb\//;
+
+// The files of a session folder worth keeping, as [{ filePath, name }] with `name` relative
+// to `root` and using "/"
+const collectFiles = (root, dir = root) => fs.readdirSync(dir, { withFileTypes: true }).flatMap(entry => {
+  const filePath = path.join(dir, entry.name);
+
+  if (entry.isDirectory()) {
+    return CACHE_DIRS.has(entry.name) ? [] : collectFiles(root, filePath);
+  }
+  if (!entry.isFile() || SKIPPED_FILES.test(entry.name)) {
+    return [];
+  }
+  return [{ filePath, name: path.relative(root, filePath).split(path.sep).join('/') }];
+});
+
+// The login is kept in LevelDB folders (IndexedDB, Local Storage). Each has a CURRENT file
+// naming its MANIFEST; a copy taken while Chromium compacted one can miss that MANIFEST and
+// will not open. Returns the folders of `names` that are broken this way.
+const findBrokenDatabases = (names, readFile) => names
+  .filter(name => name === 'CURRENT' || name.endsWith('/CURRENT'))
+  .map(name => name.slice(0, -'CURRENT'.length))
+  .filter(folder => {
+    const manifest = readFile(`${folder}CURRENT`).toString('utf8').trim();
+    return !manifest || !names.includes(`${folder}${manifest}`);
+  })
+  .map(folder => folder.replace(/\/$/, '') || '.');
+
+// Exports and restores the WhatsApp login of a session: its LocalAuth folder
+// (server/sessions/session-<id>, a Chromium profile) without the cache folders, zipped and
+// encrypted with a passphrase (utils/encryption.js). An archive restores on any instance,
+// under any session id, without a new QR scan.
+//
+// With SESSION_BACKUP_INTERVAL_MINUTES set, every linked session is also saved to a blob
+// store (a local folder, or an S3-compatible bucket; see createBlobStore) encrypted with
+// SESSION_BACKUP_KEY, and a session without a local login is restored from there before it
+// starts, so a rebuilt container comes back without scanning a QR code.
+class SessionBackupService {
+  constructor({ sessionManager, eventBus, blobStore, store }) {
+    this.sessionManager = sessionManager;
+    this.blobStore = blobStore || createBlobStore('session-backups');
+    this.store = store || createStore('session-backups'); // last backup per session
+    this.backupKey = process.env.SESSION_BACKUP_KEY || '';
+    this.intervalMs = (parseInt(process.env.SESSION_BACKUP_INTERVAL_MINUTES) || 0) * 60 * 1000;
+    this.enabled = this.intervalMs > 0;
+    this.timer = null;
+    this.inProgress = new Set();
+
+    if (eventBus) {
+      eventBus.on('session:state', ({ sessionId, state }) => {
+        if (this.enabled && state === 'ready' && !this.store.get(sessionId)) {
+          setTimeout(() => this.backupQuietly(sessionId), FIRST_BACKUP_DELAY_MS);
+        }
+      });
+    }
+  }
+
+  // Restores missing logins; call before the sessions start
+  async start() {
+    if (!this.enabled) {
+      return;
+    }
+    if (!this.backupKey) {
+      console.warn('⚠️ SESSION_BACKUP_INTERVAL_MINUTES is set but SESSION_BACKUP_KEY is not; sessions are not backed up');
+      this.enabled = false;
+      return;
+    }
+
+    console.log(`💾 Backing up WhatsApp sessions to ${this.blobStore.name} every ${this.intervalMs / 60000} minutes`);
+    await this.restoreMissing();
+    this.scheduleNext();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  scheduleNext() {
+    this.timer = setTimeout(async () => {
+      for (const [sessionId, service] of this.sessionManager.services) {
+        if (service.isReady()) {
+          await this.backupQuietly(sessionId);
+        }
+      }
+      this.scheduleNext();
+    }, this.intervalMs);
+  }
+
+  resolvePassphrase(passphrase) {
+    const resolved = passphrase || this.backupKey;
+
+    if (!resolved) {
+      throw new ValidationError('A passphrase is required to encrypt or decrypt a session archive (or set SESSION_BACKUP_KEY)');
+    }
+    if (resolved.length < MIN_PASSPHRASE_LENGTH) {
+      throw new ValidationError(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+    }
+    return resolved;
+  }
+
+  getService(sessionId) {
+    const service = this.sessionManager.get(sessionId);
+    if (!service) {
+      throw new ValidationError(`Unknown session: ${sessionId}`);
+    }
+    return service;
+  }
+
+  // The session folder as a Map of name -> contents
+  async readProfile(dir) {
+    const files = new Map();
+
+    for (const { filePath, name } of collectFiles(dir)) {
+      // A running browser may remove files while they are collected
+      try {
+        files.set(name, await fs.promises.readFile(filePath));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+      }
+    }
+    return files;
+  }
+
+  // The encrypted archive of a session's login, as { archive, manifest }. A running session is
+  // copied live (`liveCopy` in the manifest): the browser keeps writing, so a copy whose
+  // databases changed underneath it is taken once more before giving up.
+  async exportArchive(sessionId, passphrase) {
+    const key = this.resolvePassphrase(passphrase);
+    const service = this.getService(sessionId);
+    const dir = service.getSessionDataDir();
+
+    if (!fs.existsSync(dir)) {
+      throw new ValidationError(`Session ${sessionId} has no stored login to export; link it first`);
+    }
+
+    const liveCopy = service.state !== 'stopped';
+    let files = await this.readProfile(dir);
+    let broken = findBrokenDatabases([...files.keys()], name => files.get(name));
+    if (broken.length > 0 && liveCopy) {
+      files = await this.readProfile(dir);
+      broken = findBrokenDatabases([...files.keys()], name => files.get(name));
+    }
+    if (broken.length > 0) {
+      throw new ValidationError(`Session ${sessionId} changed while it was copied (${broken.join(', ')}); try again`);
+    }
+
+    const zip = new AdmZip();
+    let bytes = 0;
+    files.forEach((data, name) => {
+      zip.addFile(`session/${name}`, data);
+      bytes += data.length;
+    });
+
+    const manifest = {
+      format: ARCHIVE_FORMAT,
+      version: ARCHIVE_VERSION,
+      sessionId,
+      state: service.state,
+      liveCopy,
+      files: files.size,
+      bytes,
+      createdAt: new Date().toISOString()
+    };
+    zip.addFile('manifest.json', Buffer.from(JSON.stringify(manifest, null, 2)));
+
+    return { archive: await encrypt(zip.toBuffer(), key), manifest };
+  }
+
+  async openArchive(archive, passphrase) {
+    let zip;
+    try {
+      zip = new AdmZip(await decrypt(archive, passphrase));
+    } catch (error) {
+      throw new ValidationError(`Cannot open the session archive: ${error.message}`);
+    }
+
+    const manifestEntry = zip.getEntry('manifest.json');
+    const manifest = manifestEntry ? JSON.parse(manifestEntry.getData().toString('utf8')) : null;
+    if (manifest?.format !== ARCHIVE_FORMAT || manifest.version > ARCHIVE_VERSION) {
+      throw new ValidationError('This is not a session archive of this application, or it was made by a newer version');
+    }
+
+    return { zip, manifest };
+  }
+
+  // Replaces the login of `sessionId` with the one in `archive`. A running session is stopped
+  // for the swap and started again; its queue is kept.
+  async restoreArchive(sessionId, archive, passphrase) {
+    const { zip, manifest } = await this.openArchive(archive, this.resolvePassphrase(passphrase));
+    const service = this.getService(sessionId);
+    const dir = service.getSessionDataDir();
+    const restoringDir = `${dir}.restoring`;
+    const previousDir = `${dir}.previous`;
+
+    const entries = zip.getEntries()
+      .filter(entry => !entry.isDirectory && entry.entryName.startsWith('session/'))
+      .map(entry => ({ entry, target: path.resolve(restoringDir, entry.entryName.slice('session/'.length)) }));
+    const invalid = entries.find(({ target }) => !target.startsWith(path.resolve(restoringDir) + path.sep));
+    if (invalid) {
+      throw new ValidationError(`The session archive contains an invalid path: ${invalid.entry.entryName}`);
+    }
+
+    // Checked before the running session is stopped, so an unusable archive changes nothing
+    const byName = new Map(entries.map(({ entry }) => [entry.entryName.slice('session/'.length), entry]));
+    const names = [...byName.keys()];
+    const broken = findBrokenDatabases(names, name => byName.get(name).getData());
+    if (!names.some(name => LOGIN_DATABASE.test(name)) || broken.length > 0) {
+      const reason = broken.length > 0 ? `damaged databases: ${broken.join(', ')}` : 'no WhatsApp login';
+      throw new ValidationError(`The session archive cannot be restored (${reason})`);
+    }
+
+    const wasRunning = service.state !== 'stopped';
+    if (wasRunning) {
+      await service.stop();
+    }
+
+    // Unpacked next to the live folder first, so a failed restore leaves the login untouched
+    try {
+      fs.rmSync(restoringDir, { recursive: true, force: true });
+      entries.forEach(({ entry, target }) => {
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        fs.writeFileSync(target, entry.getData());
+      });
+
+      fs.rmSync(previousDir, { recursive: true, force: true });
+      if (fs.existsSync(dir)) {
+        fs.renameSync(dir, previousDir);
+      }
+      fs.renameSync(restoringDir, dir);
+      fs.rmSync(previousDir, { recursive: true, force: true });
+    } catch (error) {
+      fs.rmSync(restoringDir, { recursive: true, force: true });
+      throw error;
+    } finally {
+      if (wasRunning) {
+        service.initialize().catch(error => {
+          console.error(`❌ Session ${sessionId} failed to start after the restore:`, error.message);
+        });
+      }
+    }
+
+    console.log(`♻️ Restored the login of session ${sessionId} from a backup of ${manifest.sessionId} (${manifest.createdAt})`);
+
+    return {
+      sessionId,
+      restoredFrom: manifest.sessionId,
+      backupCreatedAt: manifest.createdAt,
+      files: entries.length,
+      restarted: wasRunning
+    };
+  }
+
+  backupKeyFor(sessionId) {
+    return `${sessionId}${ARCHIVE_EXTENSION}`;
+  }
+
+  // Saves the session to the blob store with SESSION_BACKUP_KEY
+  async backup(sessionId) {
+    if (this.inProgress.has(sessionId)) {
+      throw new ValidationError(`A backup of session ${sessionId} is already running`);
+    }
+
+    this.inProgress.add(sessionId);
+    try {
+      const { archive, manifest } = await this.exportArchive(sessionId, this.backupKey);
+      const key = this.backupKeyFor(sessionId);
+      await this.blobStore.put(key, archive);
+
+      const record = { id: sessionId, key, files: manifest.files, bytes: archive.length, savedAt: manifest.createdAt };
+      this.store.put(record);
+      console.log(`💾 Session ${sessionId} backed up to ${this.blobStore.name} (${Math.round(archive.length / 1024)} KB)`);
+      return record;
+    } finally {
+      this.inProgress.delete(sessionId);
+    }
+  }
+
+  async backupQuietly(sessionId) {
+    await this.backup(sessionId).catch(error => {
+      console.error(`❌ Backup of session ${sessionId} failed:`, error.message);
+    });
+  }
+
+  // Restores the stored backup of a session
+  async restoreFromStore(sessionId, passphrase) {
+    this.getService(sessionId);
+    const archive = await this.blobStore.get(this.backupKeyFor(sessionId));
+    if (!archive) {
+      throw new ValidationError(`No stored backup of session ${sessionId} in ${this.blobStore.name}`);
+    }
+    return this.restoreArchive(sessionId, archive, passphrase);
+  }
+
+  // After a rebuild the sessions folder is empty; every session with a stored backup gets
+  // its login back
+  async restoreMissing() {
+    for (const [sessionId, service] of this.sessionManager.services) {
+      if (fs.existsSync(service.getSessionDataDir())) {
+        continue;
+      }
+
+      try {
+        if (await this.blobStore.has(this.backupKeyFor(sessionId))) {
+          await this.restoreFromStore(sessionId);
+        }
+      } catch (error) {
+        console.error(`❌ Could not restore session ${sessionId} from ${this.blobStore.name}:`, error.message);
+      }
+    }
+  }
+
+  async list() {
+    const stored = await this.blobStore.list().catch(error => {
+      console.error('❌ Could not list session backups:', error.message);
+      return [];
+    });
+
+    return {
+      enabled: this.enabled,
+      store: this.blobStore.name,
+      intervalMinutes: this.intervalMs / 60000,
+      backups: stored
+        .filter(object => object.key.endsWith(ARCHIVE_EXTENSION))
+        .map(({ key, size, updatedAt }) => {
+          const sessionId = key.slice(0, -ARCHIVE_EXTENSION.length);
+          const record = this.store.get(sessionId);
+          return { sessionId, key, size, files: record?.files ?? null, savedAt: record?.savedAt || updatedAt };
+        })
+    };
+  }
+}
+
+export default SessionBackupService;
@@ -0,0 +1,359 @@
+import { createStore } from '../storage/index.js';
+import { ValidationError } from '../errors.js';
+import WhatsAppService from './WhatsAppService.js';
+
+// Becomes the LocalAuth clientId and part of the store file names
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+const normalizeBranch = (branch) => String(branch).trim().toLowerCase();
+
+// Runs one WhatsAppService per WhatsApp number (e.g. one per branch lab). A session record
+// is { id, name, branches, isDefault, autoStart, queueStore, deadLetterStore }; requests
+// without a sessionId or branch go to the default session.
+class SessionManager {
+  constructor(io, options = {}) {
+    this.io = io;
+    this.eventBus = options.eventBus || null;
+    this.consent = options.consent || null;
+    this.reports = options.reports || null;
+    this.sendingSettings = options.sendingSettings;
+    this.store = options.store || createStore('sessions');
+    // WhatsApp registration does not depend on the sending number, so lookups are shared
+    this.numberStore = options.numberStore || createStore('number-lookups');
+    this.services = new Map();
+
+    if (this.store.size === 0) {
+      // The session from before multi-session support keeps its login and its queue files
+      this.store.put({
+        id: process.env.WHATSAPP_CLIENT_ID || 'lims-whatsapp-bot',
+        name: 'Main',
+        branches: [],
+        isDefault: true,
+        autoStart: true,
+        queueStore: 'queue',
+        deadLetterStore: 'dead-letters',
+        createdAt: new Date().toISOString(),
+        updatedAt: new Date().toISOString()
+      });
+    }
+
+    this.store.values().forEach(record => this.createService(record));
+
+    if (this.eventBus) {
+      this.eventBus.on('session:state', () => this.broadcast());
+    }
+  }
+
+  createService(record) {
+    const service = new WhatsAppService(this.io, {
+      sessionId: record.id,
+      eventBus: this.eventBus,
+      consent: this.consent,
+      reports: this.reports,
+      queueStore: createStore(record.queueStore),
+      deadLetterStore: createStore(record.deadLetterStore),
+      numberStore: this.numberStore,
+      sendingSettings: this.sendingSettings
+    });
+    this.services.set(record.id, service);
+    return service;
+  }
+
+  broadcast() {
+    this.io.emit('sessions-update', { sessions: this.list(), timestamp: new Date().toISOString() });
+  }
+
+  // Starts every session that was not stopped on purpose. A session that fails to start
+  // reports its error on its own and does not hold up the others.
+  startAll() {
+    this.store.values()
+      .filter(record => record.autoStart !== false)
+      .forEach(record => {
+        this.services.get(record.id).initialize().catch(error => {
+          console.error(`❌ Session ${record.id} failed to start:`, error.message);
+        });
+      });
+  }
+
+  summarize(record) {
+    const service = this.services.get(record.id);
+    return {
+      id: record.id,
+      name: record.name,
+      branches: record.branches,
+      isDefault: !!record.isDefault,
+      autoStart: record.autoStart !== false,
+      ...service.getState(),
+      queue: service.getQueueStatus(),
+      createdAt: record.createdAt,
+      updatedAt: record.updatedAt
+    };
+  }
+
+  list() {
+    return this.store.values()
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(record => this.summarize(record));
+  }
+
+  getSession(id) {
+    const record = this.store.get(id);
+    return record ? this.summarize(record) : null;
+  }
+
+  get(id) {
+    return this.services.get(id) || null;
+  }
+
+  getDefault() {
+    const record = this.store.values().find(r => r.isDefault) || this.store.values()[0];
+    return this.services.get(record.id);
+  }
+
+  isReady() {
+    return [...this.services.values()].some(service => service.isReady());
+  }
+
+  validate(record) {
+    const errors = [];
+
+    if (!record.name || typeof record.name !== 'string') {
+      errors.push('name is required');
+    }
+    if (!Array.isArray(record.branches)) {
+      errors.push('branches must be a list of branch codes');
+    } else {
+      this.store.values()
+        .filter(other => other.id !== record.id)
+        .forEach(other => {
+          const taken = record.branches.filter(branch => other.branches.map(normalizeBranch).includes(normalizeBranch(branch)));
+          taken.forEach(branch => errors.push(`Branch ${branch} is already handled by session ${other.id}`));
+        });
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid session: ${errors.join('; ')}`, errors);
+    }
+  }
+
+  create({ id, name, branches = [], isDefault = false, autoStart = true }) {
+    if (!id || !SESSION_ID_PATTERN.test(id)) {
+      throw new ValidationError('Session id must be 1-64 letters, digits, dashes or underscores');
+    }
+    if (this.store.get(id)) {
+      throw new ValidationError(`Session ${id} already exists`);
+    }
+
+    const now = new Date().toISOString();
+    const record = {
+      id,
+      name: name || id,
+      branches,
+      isDefault: false,
+      autoStart: autoStart !== false,
+      queueStore: `queue-${id}`,
+      deadLetterStore: `dead-letters-${id}`,
+      createdAt: now,
+      updatedAt: now
+    };
+    this.validate(record);
+
+    this.store.put(record);
+    const service = this.createService(record);
+    if (isDefault) {
+      this.setDefault(id);
+    }
+    console.log(`➕ Session created: ${id}`);
+
+    if (record.autoStart) {
+      service.initialize().catch(error => {
+        console.error(`❌ Session ${id} failed to start:`, error.message);
+      });
+    }
+
+    this.broadcast();
+    return this.getSession(id);
+  }
+
+  setDefault(id) {
+    this.store.values()
+      .filter(record => record.isDefault !== (record.id === id))
+      .forEach(record => this.store.put({ ...record, isDefault: record.id === id, updatedAt: new Date().toISOString() }));
+  }
+
+  update(id, changes) {
+    const record = this.store.get(id);
+    if (!record) {
+      return null;
+    }
+
+    const updated = {
+      ...record,
+      name: changes.name ?? record.name,
+      branches: changes.branches ?? record.branches,
+      updatedAt: new Date().toISOString()
+    };
+    this.validate(updated);
+    this.store.put(updated);
+
+    if (changes.isDefault === true) {
+      this.setDefault(id);
+    }
+
+    this.broadcast();
+    return this.getSession(id);
+  }
+
+  // Starting and stopping is remembered, so a stopped session stays stopped after a restart
+  async start(id) {
+    const record = this.store.get(id);
+    if (!record) {
+      return null;
+    }
+
+    this.store.put({ ...record, autoStart: true, updatedAt: new Date().toISOString() });
+    const service = this.services.get(id);
+    if (service.state === 'stopped' || service.state === 'failed') {
+      await service.initialize();
+    }
+
+    return this.getSession(id);
+  }
+
+  async stop(id) {
+    const record = this.store.get(id);
+    if (!record) {
+      return null;
+    }
+
+    this.store.put({ ...record, autoStart: false, updatedAt: new Date().toISOString() });
+    await this.services.get(id).stop();
+
+    return this.getSession(id);
+  }
+
+  // Logs the number out for good and removes its queue and dead letters, so a new session
+  // under the same id starts empty. Sessions that still have messages to send, and the
+  // default session, cannot be deleted.
+  async remove(id) {
+    const record = this.store.get(id);
+    if (!record) {
+      return false;
+    }
+
+    const service = this.services.get(id);
+    if (record.isDefault) {
+      throw new ValidationError('The default session cannot be deleted; make another session the default first');
+    }
+    if (service.messageQueue.length > 0) {
+      throw new ValidationError(`Session ${id} still has ${service.messageQueue.length} queued messages`);
+    }
+
+    await service.stop();
+    service.clearSessionData();
+    service.queueStore.destroy();
+    service.deadLetterStore.destroy();
+    this.services.delete(id);
+    this.store.delete(id);
+    console.log(`➖ Session deleted: ${id}`);
+
+    this.broadcast();
+    return true;
+  }
+
+  // Picks the session for a send request: an explicit sessionId, else the session that
+  // handles the branch, else the default session
+  resolve({ sessionId, branch } = {}) {
+    if (sessionId) {
+      const service = this.services.get(sessionId);
+      if (!service) {
+        throw new ValidationError(`Unknown session: ${sessionId}`);
+      }
+      return service;
+    }
+
+    if (branch) {
+      const record = this.store.values().find(r => r.branches.map(normalizeBranch).includes(normalizeBranch(branch)));
+      if (!record) {
+        throw new ValidationError(`No session handles branch ${branch}`);
+      }
+      return this.services.get(record.id);
+    }
+
+    return this.getDefault();
+  }
+
+  // Any connected session can answer a lookup; the cache is shared
+  async checkNumber(e164, { sessionId } = {}) {
+    const service = sessionId
+      ? this.resolve({ sessionId })
+      : [...this.services.values()].find(s => s.isReady()) || this.getDefault();
+    return service.checkNumber(e164);
+  }
+
+  applySendingSettings(settings) {
+    this.sendingSettings = settings;
+    this.services.forEach(service => service.applySendingSettings(settings));
+  }
+
+  findService(predicate) {
+    return [...this.services.values()].find(predicate) || null;
+  }
+
+  getQueueItem(id) {
+    return this.findService(service => service.getQueueItem(id))?.getQueueItem(id) || null;
+  }
+
+  getQueueItems({ state, limit = 100, sessionId } = {}) {
+    const services = sessionId ? [this.resolve({ sessionId })] : [...this.services.values()];
+    return services
+      .flatMap(service => service.getQueueItems({ state, limit }).map(item => ({ ...item, sessionId: service.sessionId })))
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .slice(0, limit);
+  }
+
+  // Counts across every session; pausedUntil comes from the first paused session
+  getQueueStatus({ sessionId } = {}) {
+    if (sessionId) {
+      return this.resolve({ sessionId }).getQueueStatus();
+    }
+
+    const statuses = [...this.services.values()].map(service => service.getQueueStatus());
+    const sum = (key) => statuses.reduce((totals, status) => {
+      Object.entries(status[key]).forEach(([name, count]) => {
+        totals[name] = (totals[name] || 0) + count;
+      });
+      return totals;
+    }, {});
+    const paused = statuses.find(status => status.pausedUntil);
+
+    return {
+      queueLength: statuses.reduce((total, status) => total + status.queueLength, 0),
+      lanes: sum('lanes'),
+      states: sum('states'),
+      deadLetters: statuses.reduce((total, status) => total + status.deadLetters, 0),
+      isProcessing: statuses.some(status => status.isProcessing),
+      pausedUntil: paused?.pausedUntil || null,
+      pauseReason: paused?.pauseReason || null,
+      sessions: statuses.length
+    };
+  }
+
+  getDeadLetter(id) {
+    return this.findService(service => service.getDeadLetter(id))?.getDeadLetter(id) || null;
+  }
+
+  retryDeadLetter(id) {
+    return this.findService(service => service.getDeadLetter(id))?.retryDeadLetter(id) || null;
+  }
+
+  retryAllDeadLetters() {
+    return [...this.services.values()].flatMap(service => service.retryAllDeadLetters());
+  }
+
+  async gracefulShutdown() {
+    await Promise.all([...this.services.values()].map(service => service.gracefulShutdown()));
+  }
+}
+
+export default SessionManager;
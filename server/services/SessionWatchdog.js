@@ -0,0 +1,264 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createStore } from '../storage/index.js';
+
+const PROBE_TIMEOUT_MS = 20 * 1000;
+// Failed probes in a row before the browser is restarted; one slow answer is not enough
+const FAILURES_BEFORE_RESTART = 2;
+// Recent checks kept in memory per session, an hour at the default interval
+const RECENT_CHECKS = 60;
+const PRUNE_INTERVAL_MS = 24 * 60 * 60 * 1000;
+
+// States in which the client is on its way somewhere and only gets too long to arrive
+const TRANSITIONAL_STATES = ['starting', 'authenticated'];
+const RECONNECTING_STATES = ['disconnected', 'failed'];
+
+// Watches every WhatsApp session that is not stopped on purpose, every
+// WATCHDOG_INTERVAL_SECONDS. A hung Chromium or a frozen WhatsApp Web page fires no
+// `disconnected` event, so the watchdog asks the page itself (WhatsAppService.probe) and
+// restarts the browser, keeping the login, when it does not answer or is not connected. It
+// also restarts a session stuck starting up or on one send for too long, and schedules a
+// reconnect for a failed session nobody is retrying.
+//
+// Every check is kept in memory (the last RECENT_CHECKS per session); state changes,
+// problems, restarts and recoveries go to the `health-events` store for
+// HEALTH_HISTORY_DAYS. Both are served by GET /api/health.
+class SessionWatchdog {
+  constructor({ sessionManager, eventBus, store }) {
+    this.sessionManager = sessionManager;
+    this.store = store || createStore('health-events');
+    this.intervalMs = (parseInt(process.env.WATCHDOG_INTERVAL_SECONDS) || 60) * 1000;
+    this.startupTimeoutMs = (parseInt(process.env.WATCHDOG_STARTUP_MINUTES) || 3) * 60 * 1000;
+    this.stuckSendMs = (parseInt(process.env.WATCHDOG_STUCK_SEND_MINUTES) || 5) * 60 * 1000;
+    this.retentionMs = (parseInt(process.env.HEALTH_HISTORY_DAYS) || 7) * 24 * 60 * 60 * 1000;
+    this.health = new Map(); // sessionId -> { healthy, problems, consecutiveFailures, restarts, checks, ... }
+    this.timer = null;
+    this.checking = false;
+    this.lastPrunedAt = 0;
+
+    if (eventBus) {
+      eventBus.on('session:state', ({ sessionId, state }) => {
+        const health = this.getSessionHealth(sessionId);
+        // A new QR code every 20 seconds is not news
+        if (health.lastState !== state) {
+          health.lastState = state;
+          this.record(sessionId, 'state', { state });
+        }
+      });
+    }
+  }
+
+  start() {
+    this.prune();
+    console.log(`🩺 Watching WhatsApp sessions every ${this.intervalMs / 1000}s`);
+    this.scheduleNext();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  scheduleNext() {
+    this.timer = setTimeout(async () => {
+      await this.checkAll().catch(error => console.error('❌ Session health check failed:', error));
+      if (Date.now() - this.lastPrunedAt > PRUNE_INTERVAL_MS) {
+        this.prune();
+      }
+      this.scheduleNext();
+    }, this.intervalMs);
+  }
+
+  getSessionHealth(sessionId) {
+    if (!this.health.has(sessionId)) {
+      this.health.set(sessionId, {
+        healthy: null,
+        problems: [],
+        consecutiveFailures: 0,
+        restarts: 0,
+        lastCheckAt: null,
+        lastHealthyAt: null,
+        unhealthySince: null,
+        lastRestartAt: null,
+        lastState: null,
+        checks: []
+      });
+    }
+    return this.health.get(sessionId);
+  }
+
+  record(sessionId, type, details = {}) {
+    this.store.put({ id: uuidv4(), sessionId, type, ...details, timestamp: new Date().toISOString() });
+  }
+
+  async checkAll() {
+    if (this.checking) {
+      return;
+    }
+
+    this.checking = true;
+    try {
+      for (const [sessionId, service] of this.sessionManager.services) {
+        await this.check(sessionId, service);
+      }
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  // Finds what is wrong with one session: a list of { code, message }, empty when healthy
+  async diagnose(service) {
+    const problems = [];
+    const now = Date.now();
+    const inStateMs = now - new Date(service.stateChangedAt).getTime();
+
+    if (service.currentSendStartedAt && now - service.currentSendStartedAt > this.stuckSendMs) {
+      problems.push({ code: 'send-stuck', message: `A send has not finished after ${Math.round((now - service.currentSendStartedAt) / 1000)}s` });
+    }
+
+    if (TRANSITIONAL_STATES.includes(service.state) && inStateMs > this.startupTimeoutMs) {
+      problems.push({ code: 'startup-stuck', message: `Still ${service.state} after ${Math.round(inStateMs / 1000)}s` });
+    }
+
+    if (RECONNECTING_STATES.includes(service.state) && !service.reconnectTimer && !service.isRestarting) {
+      problems.push({ code: 'not-reconnecting', message: `The session is ${service.state} and no reconnect is scheduled` });
+    }
+
+    if (service.state === 'ready' && service.client) {
+      try {
+        const state = await service.probe(PROBE_TIMEOUT_MS);
+        if (state !== 'CONNECTED') {
+          problems.push({ code: 'not-connected', message: `WhatsApp Web reports ${state || 'no state'}` });
+        }
+      } catch (error) {
+        problems.push({ code: 'unresponsive', message: error.message });
+      }
+    }
+
+    return problems;
+  }
+
+  async check(sessionId, service) {
+    const health = this.getSessionHealth(sessionId);
+    const now = new Date().toISOString();
+
+    // Stopped on purpose, or in the middle of a restart: nothing to judge. A stop waits for
+    // the current send, so a hung one is given up here.
+    if (service.isStopped || service.state === 'stopped' || service.isRestarting) {
+      if (service.isStopped && service.currentSendStartedAt &&
+        Date.now() - service.currentSendStartedAt > this.stuckSendMs) {
+        await service.abandonCurrentSend('the send hung while the session was stopping');
+      }
+      Object.assign(health, { healthy: null, problems: [], consecutiveFailures: 0, lastCheckAt: now });
+      return health;
+    }
+
+    const started = Date.now();
+    const problems = await this.diagnose(service);
+    // Starting up, waiting for a QR scan or for a scheduled reconnect is not a problem,
+    // but not healthy either
+    const healthy = problems.length === 0 && service.state === 'ready';
+
+    health.checks.push({ timestamp: now, state: service.state, healthy, problems, durationMs: Date.now() - started });
+    health.checks.splice(0, health.checks.length - RECENT_CHECKS);
+
+    Object.assign(health, {
+      healthy,
+      problems,
+      consecutiveFailures: problems.length > 0 ? health.consecutiveFailures + 1 : 0,
+      lastCheckAt: now,
+      lastHealthyAt: healthy ? now : health.lastHealthyAt
+    });
+
+    if (healthy && health.unhealthySince) {
+      console.log(`💚 Session ${sessionId} is healthy again`);
+      this.record(sessionId, 'recovered', { unhealthySince: health.unhealthySince });
+      health.unhealthySince = null;
+    }
+    if (problems.length === 0) {
+      return health;
+    }
+
+    if (health.consecutiveFailures === 1) {
+      health.unhealthySince = health.unhealthySince || now;
+      console.warn(`⚠️ Session ${sessionId} is unhealthy: ${problems.map(problem => problem.message).join('; ')}`);
+      this.record(sessionId, 'unhealthy', { problems });
+    }
+
+    this.heal(sessionId, service, health, problems);
+    return health;
+  }
+
+  heal(sessionId, service, health, problems) {
+    const codes = problems.map(problem => problem.code);
+
+    if (codes.includes('not-reconnecting') && codes.length === 1) {
+      service.scheduleReconnect('Watchdog: session not reconnecting');
+      this.record(sessionId, 'reconnect-scheduled', { nextAttemptAt: service.nextReconnectAt });
+      return;
+    }
+
+    // A probe may fail once under load; everything else is stuck for minutes already
+    const probeOnly = codes.every(code => code === 'unresponsive' || code === 'not-connected');
+    if (probeOnly && health.consecutiveFailures < FAILURES_BEFORE_RESTART) {
+      return;
+    }
+
+    const reason = problems.map(problem => problem.message).join('; ');
+    health.restarts++;
+    health.lastRestartAt = new Date().toISOString();
+    health.consecutiveFailures = 0;
+    this.record(sessionId, 'restart', { reason });
+
+    // Starting the new browser can take minutes; the other sessions are checked meanwhile
+    service.restart(reason).then(restarted => {
+      if (!restarted) {
+        this.record(sessionId, 'restart-failed', { reason, nextAttemptAt: service.nextReconnectAt });
+      }
+    });
+  }
+
+  // { status, sessions, events } for GET /api/health. status is `ok` when every running
+  // session is healthy, `down` when none is, `degraded` otherwise.
+  getHealth({ sessionId, limit = 100 } = {}) {
+    const sessions = [...this.sessionManager.services]
+      .filter(([id]) => !sessionId || id === sessionId)
+      .map(([id, service]) => {
+        const { lastState, checks, ...health } = this.getSessionHealth(id);
+        return {
+          sessionId: id,
+          state: service.state,
+          stateChangedAt: service.stateChangedAt,
+          ...health,
+          reconnectAttempts: service.reconnectAttempts,
+          nextReconnectAt: service.nextReconnectAt,
+          recentChecks: checks.slice().reverse()
+        };
+      });
+
+    const running = sessions.filter(session => session.state !== 'stopped');
+    const healthy = running.filter(session => session.healthy);
+    const status = healthy.length === running.length ? 'ok' : healthy.length === 0 ? 'down' : 'degraded';
+
+    const events = this.store.values()
+      .filter(event => !sessionId || event.sessionId === sessionId)
+      .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+      .slice(0, limit);
+
+    return { status, checkIntervalSeconds: this.intervalMs / 1000, sessions, events };
+  }
+
+  // Drops events older than HEALTH_HISTORY_DAYS
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    const expired = this.store.values().filter(event => new Date(event.timestamp).getTime() < cutoff);
+
+    expired.forEach(event => this.store.delete(event.id));
+    this.lastPrunedAt = Date.now();
+
+    if (expired.length > 0) {
+      console.log(`🧹 Pruned ${expired.length} old health events`);
+    }
+  }
+}
+
+export default SessionWatchdog;
@@ -0,0 +1,250 @@
+import { createStore } from '../storage/index.js';
+import { ValidationError } from '../errors.js';
+import { REPORT_DELIVERIES, LINK_PROTECTIONS, MAX_LINK_EXPIRY_HOURS } from './ReportLinkService.js';
+import { PDF_PASSWORDS } from './ReportProcessor.js';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name]);
+  return isNaN(value) ? fallback : value;
+};
+
+// Send request fields a LIMS report can be mapped onto; reportId and phoneNumber are required
+const LIMS_FIELDS = [
+  'reportId', 'phoneNumber', 'patientName', 'testName', 'reportDate', 'doctorName', 'pdfUrl',
+  'branch', 'sessionId', 'locale', 'templateId', 'priority', 'urgent', 'dateOfBirth', 'reportPassword'
+];
+
+// Each section has env-based defaults and a validator; stored values override the defaults
+const SECTIONS = {
+  sending: {
+    defaults: () => ({
+      quietHoursEnabled: process.env.QUIET_HOURS_ENABLED === 'true',
+      quietHoursStart: process.env.QUIET_HOURS_START || '21:00',
+      quietHoursEnd: process.env.QUIET_HOURS_END || '08:00',
+      urgentBypassesQuietHours: process.env.QUIET_HOURS_URGENT_BYPASS !== 'false',
+      perMinute: envInt('RATE_LIMIT_PER_MINUTE', 20),
+      perHour: envInt('RATE_LIMIT_PER_HOUR', 300),
+      perDay: envInt('RATE_LIMIT_PER_DAY', 1000),
+      minDelayMs: envInt('SEND_DELAY_MIN_MS', 2000),
+      maxDelayMs: envInt('SEND_DELAY_MAX_MS', 5000),
+      maxAttempts: envInt('RETRY_MAX_ATTEMPTS', 5),
+      retryBaseDelayMs: envInt('RETRY_BASE_DELAY_MS', 30 * 1000),
+      retryMaxDelayMs: envInt('RETRY_MAX_DELAY_MS', 30 * 60 * 1000)
+    }),
+    validate: (settings) => {
+      const errors = [];
+
+      ['quietHoursStart', 'quietHoursEnd'].forEach(key => {
+        if (!TIME_PATTERN.test(settings[key])) {
+          errors.push(`${key} must be a 24-hour time such as 21:00`);
+        }
+      });
+      ['perMinute', 'perHour', 'perDay', 'minDelayMs', 'maxDelayMs', 'retryBaseDelayMs', 'retryMaxDelayMs'].forEach(key => {
+        if (!Number.isInteger(settings[key]) || settings[key] < 0) {
+          errors.push(`${key} must be a whole number of 0 or more`);
+        }
+      });
+      if (settings.maxDelayMs < settings.minDelayMs) {
+        errors.push('maxDelayMs must not be less than minDelayMs');
+      }
+      if (!Number.isInteger(settings.maxAttempts) || settings.maxAttempts < 1) {
+        errors.push('maxAttempts must be at least 1');
+      }
+      if (settings.retryMaxDelayMs < settings.retryBaseDelayMs) {
+        errors.push('retryMaxDelayMs must not be less than retryBaseDelayMs');
+      }
+
+      return errors;
+    }
+  },
+  // Texts may use [LabName] and [Timings]
+  autoReplies: {
+    defaults: () => ({
+      enabled: process.env.AUTO_REPLY_ENABLED !== 'false',
+      timings: process.env.LAB_TIMINGS || 'Mon-Sat 7:00 AM - 9:00 PM, Sun 7:00 AM - 1:00 PM',
+      helpMessage: 'Thank you for contacting [LabName]. Reply with:\nREPORT - get your latest report\nTIMINGS - our opening hours\nSTOP - stop receiving messages\nFor anything else, our team will reply shortly.',
+      timingsMessage: '[LabName] is open [Timings].',
+      reportMessage: 'We have received your request. Our team will send your report again shortly.',
+      stopMessage: 'You will no longer receive messages from [LabName]. Reply START to receive them again.',
+      startMessage: 'You will receive messages from [LabName] again.'
+    }),
+    validate: (settings) => {
+      const errors = [];
+
+      if (typeof settings.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+      }
+      ['timings', 'helpMessage', 'timingsMessage', 'reportMessage', 'stopMessage', 'startMessage'].forEach(key => {
+        if (typeof settings[key] !== 'string' || !settings[key].trim()) {
+          errors.push(`${key} must not be empty`);
+        }
+      });
+
+      return errors;
+    }
+  },
+  consent: {
+    defaults: () => ({
+      requireOptIn: process.env.CONSENT_REQUIRE_OPT_IN === 'true',
+      criticalOverride: process.env.CONSENT_CRITICAL_OVERRIDE !== 'false'
+    }),
+    validate: (settings) => ['requireOptIn', 'criticalOverride']
+      .filter(key => typeof settings[key] !== 'boolean')
+      .map(key => `${key} must be true or false`)
+  },
+  // How report files reach patients: as a WhatsApp attachment, or as a download link that
+  // expires and may ask for a one-time code or the date of birth (see ReportLinkService);
+  // and what is done to the file first (see ReportProcessor)
+  reports: {
+    defaults: () => ({
+      delivery: process.env.REPORT_DELIVERY || 'attachment',
+      linkProtection: process.env.REPORT_LINK_PROTECTION || 'none',
+      linkExpiryHours: envInt('REPORT_LINK_EXPIRY_HOURS', 72),
+      pdfPassword: process.env.REPORT_PDF_PASSWORD || 'none',
+      watermark: process.env.REPORT_WATERMARK === 'true',
+      optimize: process.env.REPORT_OPTIMIZE !== 'false'
+    }),
+    validate: (settings) => {
+      const errors = [];
+
+      if (!REPORT_DELIVERIES.includes(settings.delivery)) {
+        errors.push(`delivery must be one of ${REPORT_DELIVERIES.join(', ')}`);
+      }
+      if (!LINK_PROTECTIONS.includes(settings.linkProtection)) {
+        errors.push(`linkProtection must be one of ${LINK_PROTECTIONS.join(', ')}`);
+      }
+      if (!Number.isInteger(settings.linkExpiryHours) || settings.linkExpiryHours < 1 || settings.linkExpiryHours > MAX_LINK_EXPIRY_HOURS) {
+        errors.push(`linkExpiryHours must be a whole number from 1 to ${MAX_LINK_EXPIRY_HOURS}`);
+      }
+      if (settings.delivery === 'link' && !process.env.PUBLIC_BASE_URL) {
+        errors.push('Set PUBLIC_BASE_URL before sending reports as links');
+      }
+      if (!PDF_PASSWORDS.includes(settings.pdfPassword)) {
+        errors.push(`pdfPassword must be one of ${PDF_PASSWORDS.join(', ')}`);
+      }
+      ['watermark', 'optimize'].forEach(key => {
+        if (typeof settings[key] !== 'boolean') {
+          errors.push(`${key} must be true or false`);
+        }
+      });
+
+      return errors;
+    }
+  },
+  // LIMS_API_URL and LIMS_API_KEY stay in the environment; `mapping` maps each send field to
+  // a dot path in a LIMS report (e.g. "patient.mobile") and is replaced as a whole on update
+  lims: {
+    defaults: () => ({
+      enabled: process.env.LIMS_POLL_ENABLED === 'true',
+      pollIntervalSeconds: envInt('LIMS_POLL_INTERVAL_SECONDS', 60),
+      reportsPath: process.env.LIMS_REPORTS_PATH || '/reports?status=authorized',
+      itemsPath: '',
+      sinceParam: '',
+      ackPath: process.env.LIMS_ACK_PATH || '/reports/{reportId}/ack',
+      templateId: 'standard',
+      maxAttempts: 5,
+      mapping: {
+        reportId: 'id',
+        phoneNumber: 'patient.phone',
+        patientName: 'patient.name',
+        testName: 'testName',
+        reportDate: 'authorizedAt',
+        doctorName: 'doctor.name',
+        pdfUrl: 'pdfUrl'
+      }
+    }),
+    validate: (settings) => {
+      const errors = [];
+
+      if (typeof settings.enabled !== 'boolean') {
+        errors.push('enabled must be true or false');
+      }
+      if (!Number.isInteger(settings.pollIntervalSeconds) || settings.pollIntervalSeconds < 15) {
+        errors.push('pollIntervalSeconds must be a whole number of at least 15');
+      }
+      if (!Number.isInteger(settings.maxAttempts) || settings.maxAttempts < 1) {
+        errors.push('maxAttempts must be a whole number of at least 1');
+      }
+      if (typeof settings.reportsPath !== 'string' || !settings.reportsPath.startsWith('/')) {
+        errors.push('reportsPath must start with /');
+      }
+      if (typeof settings.ackPath !== 'string' || (settings.ackPath && !settings.ackPath.startsWith('/'))) {
+        errors.push('ackPath must start with / (or be empty to skip acknowledgements)');
+      }
+      ['itemsPath', 'sinceParam'].forEach(key => {
+        if (typeof settings[key] !== 'string') {
+          errors.push(`${key} must be a string`);
+        }
+      });
+      if (typeof settings.templateId !== 'string' || !settings.templateId.trim()) {
+        errors.push('templateId must not be empty');
+      }
+
+      const mapping = settings.mapping;
+      if (!mapping || typeof mapping !== 'object' || Array.isArray(mapping)) {
+        errors.push('mapping must be an object of field: path');
+        return errors;
+      }
+      Object.entries(mapping).forEach(([field, path]) => {
+        if (!LIMS_FIELDS.includes(field)) {
+          errors.push(`Unknown mapping field "${field}", expected one of ${LIMS_FIELDS.join(', ')}`);
+        } else if (typeof path !== 'string') {
+          errors.push(`mapping.${field} must be a path string`);
+        }
+      });
+      ['reportId', 'phoneNumber'].forEach(field => {
+        if (!mapping[field]) {
+          errors.push(`mapping.${field} is required`);
+        }
+      });
+
+      return errors;
+    }
+  }
+};
+
+class SettingsService {
+  constructor(options = {}) {
+    this.store = options.store || createStore('settings');
+  }
+
+  get(section) {
+    const definition = SECTIONS[section];
+    if (!definition) {
+      return null;
+    }
+
+    const { id, updatedAt, ...stored } = this.store.get(section) || {};
+    return { ...definition.defaults(), ...stored };
+  }
+
+  // Merges the changes into the current values; unknown keys are ignored
+  update(section, changes) {
+    const current = this.get(section);
+    if (!current) {
+      return null;
+    }
+
+    const updated = { ...current };
+    Object.keys(current).forEach(key => {
+      if (changes[key] === undefined) {
+        return;
+      }
+      updated[key] = typeof current[key] === 'number' ? Number(changes[key]) : changes[key];
+    });
+
+    const errors = SECTIONS[section].validate(updated);
+    if (errors.length > 0) {
+      throw new ValidationError(`Invalid ${section} settings: ${errors.join('; ')}`, errors);
+    }
+
+    this.store.put({ id: section, ...updated, updatedAt: new Date().toISOString() });
+    console.log(`⚙️ Settings updated: ${section}`);
+
+    return updated;
+  }
+}
+
+export default SettingsService;
@@ -0,0 +1,242 @@
+import { v4 as uuidv4 } from 'uuid';
+import { createStore } from '../storage/index.js';
+import TemplateEngine, { TemplateValidationError } from '../templates/TemplateEngine.js';
+import { INTL_LOCALES, getDefaultLocale, normalizeLocale, isSupportedLocale } from '../templates/locales.js';
+
+const DEFAULT_TEMPLATES = [
+  {
+    id: 'standard',
+    name: 'Standard Report',
+    variants: {
+      en: `Dear [PatientName], your [TestName] report is now ready.
+[#if ReportDate]Date: [ReportDate|date:medium]
+[/if][#if DoctorName]Doctor: [DoctorName]
+[/if]To view or download your report, please contact our lab.
+
+- [LabName]`,
+      hi: `प्रिय [PatientName], आपकी [TestName] रिपोर्ट तैयार है।
+[#if ReportDate]दिनांक: [ReportDate|date:medium]
+[/if][#if DoctorName]डॉक्टर: [DoctorName]
+[/if]अपनी रिपोर्ट देखने या डाउनलोड करने के लिए कृपया हमारी लैब से संपर्क करें।
+
+- [LabName]`,
+      mr: `प्रिय [PatientName], तुमचा [TestName] अहवाल तयार आहे.
+[#if ReportDate]दिनांक: [ReportDate|date:medium]
+[/if][#if DoctorName]डॉक्टर: [DoctorName]
+[/if]तुमचा अहवाल पाहण्यासाठी किंवा डाउनलोड करण्यासाठी कृपया आमच्या लॅबशी संपर्क साधा.
+
+- [LabName]`
+    }
+  },
+  {
+    id: 'urgent',
+    name: 'Urgent Results',
+    variants: {
+      en: `🚨 URGENT: Dear [PatientName], your [TestName] results require immediate attention.
+[#if ReportDate]Date: [ReportDate|date:medium]
+[/if][#if DoctorName]Doctor: [DoctorName]
+[/if][#if Tests]
+[#each Tests]• [Name]: [Value] [Unit] [Flag]
+[/each][/if]Please contact your doctor immediately.
+
+- [LabName]`,
+      hi: `🚨 अत्यावश्यक: प्रिय [PatientName], आपकी [TestName] जाँच के परिणामों पर तुरंत ध्यान देने की आवश्यकता है।
+[#if ReportDate]दिनांक: [ReportDate|date:medium]
+[/if][#if DoctorName]डॉक्टर: [DoctorName]
+[/if][#if Tests]
+[#each Tests]• [Name]: [Value] [Unit] [Flag]
+[/each][/if]कृपया तुरंत अपने डॉक्टर से संपर्क करें।
+
+- [LabName]`,
+      mr: `🚨 तातडीचे: प्रिय [PatientName], तुमच्या [TestName] चाचणीच्या निकालांकडे त्वरित लक्ष देणे आवश्यक आहे.
+[#if ReportDate]दिनांक: [ReportDate|date:medium]
+[/if][#if DoctorName]डॉक्टर: [DoctorName]
+[/if][#if Tests]
+[#each Tests]• [Name]: [Value] [Unit] [Flag]
+[/each][/if]कृपया त्वरित तुमच्या डॉक्टरांशी संपर्क साधा.
+
+- [LabName]`
+    }
+  },
+  {
+    id: 'normal',
+    name: 'Normal Results',
+    variants: {
+      en: `Dear [PatientName], your [TestName] results are normal.
+[#if ReportDate]Date: [ReportDate|date:medium]
+[/if][#if DoctorName]Doctor: [DoctorName]
+[/if]No further action required.
+
+- [LabName]`,
+      hi: `प्रिय [PatientName], आपकी [TestName] जाँच के परिणाम सामान्य हैं।
+[#if ReportDate]दिनांक: [ReportDate|date:medium]
+[/if][#if DoctorName]डॉक्टर: [DoctorName]
+[/if]आगे किसी कार्रवाई की आवश्यकता नहीं है।
+
+- [LabName]`,
+      mr: `प्रिय [PatientName], तुमच्या [TestName] चाचणीचे निकाल सामान्य आहेत.
+[#if ReportDate]दिनांक: [ReportDate|date:medium]
+[/if][#if DoctorName]डॉक्टर: [DoctorName]
+[/if]पुढील कोणतीही कारवाई आवश्यक नाही.
+
+- [LabName]`
+    }
+  }
+];
+
+// Templates saved before per-locale variants existed only have a body
+const normalizeTemplate = (template) => {
+  const defaultLocale = template.defaultLocale || getDefaultLocale();
+  const variants = template.variants || { [defaultLocale]: template.body };
+
+  return { ...template, defaultLocale, variants, body: variants[defaultLocale] };
+};
+
+class TemplateService {
+  constructor(options = {}) {
+    this.store = options.store || createStore('templates');
+    this.templateEngine = options.templateEngine || new TemplateEngine();
+
+    if (this.store.size === 0) {
+      DEFAULT_TEMPLATES.forEach(template => this.create(template));
+      console.log(`📄 Seeded ${DEFAULT_TEMPLATES.length} default message templates`);
+    }
+  }
+
+  list() {
+    return this.store.values()
+      .filter(template => !template.deletedAt)
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(({ versions, ...template }) => normalizeTemplate(template));
+  }
+
+  get(id) {
+    const template = this.store.get(id);
+    if (!template || template.deletedAt) {
+      return null;
+    }
+
+    const { versions, ...current } = template;
+    return normalizeTemplate(current);
+  }
+
+  getVersions(id) {
+    const template = this.store.get(id);
+    return template ? template.versions.map(normalizeTemplate) : null;
+  }
+
+  // Picks the variant for a locale, falling back to the template's default locale
+  resolveVariant(template, locale) {
+    const requested = normalizeLocale(locale);
+    const resolvedLocale = requested && template.variants[requested] ? requested : template.defaultLocale;
+
+    return { locale: resolvedLocale, body: template.variants[resolvedLocale] };
+  }
+
+  // Accepts either a variants map or a single body for the default locale
+  buildVariants({ body, variants, defaultLocale }, existing = {}) {
+    const merged = variants
+      ? Object.fromEntries(Object.entries(variants)
+        .filter(([, text]) => text && text.trim())
+        .map(([locale, text]) => [normalizeLocale(locale), text]))
+      : { ...existing };
+
+    if (body) {
+      merged[defaultLocale] = body;
+    }
+
+    const unsupported = [defaultLocale, ...Object.keys(merged)].filter(locale => !isSupportedLocale(locale));
+    if (unsupported.length > 0) {
+      throw new TemplateValidationError([...new Set(unsupported)].map(locale =>
+        `Unsupported locale "${locale}", expected one of ${Object.keys(INTL_LOCALES).join(', ')}`));
+    }
+
+    if (!merged[defaultLocale]) {
+      throw new TemplateValidationError([`A variant for the default locale "${defaultLocale}" is required`]);
+    }
+
+    return merged;
+  }
+
+  validate(variants) {
+    const errors = Object.entries(variants).flatMap(([locale, body]) =>
+      this.templateEngine.validate(body).map(error => `[${locale}] ${error}`)
+    );
+
+    if (errors.length > 0) {
+      throw new TemplateValidationError(errors);
+    }
+  }
+
+  create({ id, name, body, variants, defaultLocale }) {
+    const locale = normalizeLocale(defaultLocale) || getDefaultLocale();
+    const templateVariants = this.buildVariants({ body, variants, defaultLocale: locale });
+    this.validate(templateVariants);
+
+    const now = new Date().toISOString();
+    const templateId = id || uuidv4();
+
+    if (this.store.get(templateId) && !this.store.get(templateId).deletedAt) {
+      throw new Error(`Template ${templateId} already exists`);
+    }
+
+    const template = {
+      id: templateId,
+      name,
+      defaultLocale: locale,
+      variants: templateVariants,
+      version: 1,
+      versions: [{ version: 1, name, defaultLocale: locale, variants: templateVariants, updatedAt: now }],
+      createdAt: now,
+      updatedAt: now
+    };
+
+    this.store.put(template);
+    console.log(`📄 Template created: ${template.id}`);
+    return this.get(template.id);
+  }
+
+  // Every update is stored as a new version so earlier wording can be restored
+  update(id, changes) {
+    const stored = this.store.get(id);
+    if (!stored || stored.deletedAt) {
+      return null;
+    }
+
+    const template = normalizeTemplate(stored);
+    const now = new Date().toISOString();
+    const version = template.version + 1;
+    const name = changes.name ?? template.name;
+    const defaultLocale = normalizeLocale(changes.defaultLocale) || template.defaultLocale;
+    const variants = this.buildVariants({ ...changes, defaultLocale }, template.variants);
+    this.validate(variants);
+
+    const { body, ...rest } = stored;
+    this.store.put({
+      ...rest,
+      name,
+      defaultLocale,
+      variants,
+      version,
+      versions: [...stored.versions, { version, name, defaultLocale, variants, updatedAt: now }],
+      updatedAt: now
+    });
+
+    console.log(`📄 Template updated: ${id} (v${version})`);
+    return this.get(id);
+  }
+
+  // Soft delete keeps the versions, since sent messages reference them
+  remove(id) {
+    const template = this.store.get(id);
+    if (!template || template.deletedAt) {
+      return false;
+    }
+
+    this.store.put({ ...template, deletedAt: new Date().toISOString() });
+    console.log(`🗑️ Template deleted: ${id}`);
+    return true;
+  }
+}
+
+export default TemplateService;
@@ -0,0 +1,469 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { createStore } from '../storage/index.js';
+import { ValidationError } from '../errors.js';
+import RetryPolicy from './RetryPolicy.js';
+
+const EVENTS = [
+  'message.queued', 'message.sent', 'message.delivered', 'message.read', 'message.failed', 'message.inbound',
+  'report.opened', 'report.downloaded'
+];
+
+// Message record statuses that are published, and their event names
+const STATUS_EVENTS = {
+  queued: 'message.queued',
+  sent: 'message.sent',
+  received: 'message.delivered',
+  delivered: 'message.delivered',
+  read: 'message.read',
+  failed: 'message.failed'
+};
+
+// Report link accesses (ReportLinkService) that are published, and their event names
+const REPORT_EVENTS = {
+  opened: 'report.opened',
+  downloaded: 'report.downloaded'
+};
+
+// Message record fields included in message.* payloads
+const MESSAGE_FIELDS = [
+  'sessionId', 'phoneNumber', 'patientName', 'testName', 'reference', 'batchId', 'templateId',
+  'priority', 'hasAttachment', 'reportDelivery', 'whatsappMessageId', 'error', 'errorType', 'attempts'
+];
+
+// Long timers drift when the machine sleeps, so retries are re-checked at least once a minute
+const MAX_TIMER_MS = 60 * 1000;
+// After an unexpected error the retry loop waits before looking at due deliveries again
+const ERROR_BACKOFF_MS = 30 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const RESPONSE_EXCERPT_LENGTH = 500;
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+
+// Hex HMAC-SHA256 of "<timestamp>.<body>", sent as `X-Webhook-Signature: sha256=<hex>`
+const sign = (secret, timestamp, body) =>
+  crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString('hex')}`;
+
+// Webhook subscriptions: each registered URL receives a signed POST for the events it
+// subscribed to. Every POST is a delivery in the delivery log; deliveries that fail
+// (network error, timeout, non-2xx answer) are retried with backoff until they run out of
+// attempts. Deliveries are independent, so a receiver may see events out of order and
+// should compare `timestamp` before applying a status.
+class WebhookService {
+  constructor({ eventBus, store, deliveryStore, fetch: fetchImpl } = {}) {
+    this.store = store || createStore('webhooks');
+    this.deliveryStore = deliveryStore || createStore('webhook-deliveries');
+    this.fetch = fetchImpl || globalThis.fetch;
+    this.retryPolicy = new RetryPolicy({
+      maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8,
+      retryBaseDelayMs: parseInt(process.env.WEBHOOK_RETRY_BASE_DELAY_MS) || 30 * 1000,
+      retryMaxDelayMs: 60 * 60 * 1000
+    });
+    this.retentionMs = (parseInt(process.env.WEBHOOK_LOG_RETENTION_DAYS) || 14) * 24 * 60 * 60 * 1000;
+    this.pending = new Set(); // ids of deliveries waiting for an attempt
+    this.inFlight = new Set();
+    this.timer = null;
+    this.retrying = false; // a retryDue run is going; it re-arms the timer when it ends
+    this.lastPrunedAt = 0;
+
+    this.deliveryStore.values()
+      .filter(delivery => delivery.state === 'pending')
+      .forEach(delivery => this.pending.add(delivery.id));
+
+    if (eventBus) {
+      eventBus.on('message:changed', ({ message }) => {
+        const event = STATUS_EVENTS[message.status];
+        if (event) {
+          this.publish(event, this.messagePayload(message));
+        }
+      });
+      eventBus.on('message:inbound', (inbound) => this.publish('message.inbound', inbound));
+      eventBus.on('report:access', ({ event, messageId, linkId, reportId, phoneNumber, timestamp }) => {
+        if (REPORT_EVENTS[event]) {
+          this.publish(REPORT_EVENTS[event], { messageId, linkId, reportId, phoneNumber, timestamp });
+        }
+      });
+    }
+  }
+
+  start() {
+    this.prune();
+    if (this.pending.size > 0) {
+      console.log(`🔗 ${this.pending.size} webhook deliveries restored`);
+    }
+    this.arm();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  messagePayload(message) {
+    const payload = { messageId: message.id, status: message.status };
+    MESSAGE_FIELDS.forEach(field => {
+      if (message[field] !== undefined) {
+        payload[field] = message[field];
+      }
+    });
+    return { ...payload, statusAt: message.updatedAt || message.timestamp };
+  }
+
+  validate({ url, events, description, active }) {
+    const errors = [];
+
+    if (url !== undefined) {
+      let parsed = null;
+      try {
+        parsed = new URL(url);
+      } catch {
+        // reported below
+      }
+      if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        errors.push('url must be an http or https URL');
+      }
+    }
+    if (events !== undefined) {
+      if (!Array.isArray(events) || events.length === 0) {
+        errors.push('events must be a non-empty list');
+      } else {
+        const unknown = events.filter(event => !EVENTS.includes(event));
+        if (unknown.length > 0) {
+          errors.push(`Unknown events: ${unknown.join(', ')}; expected ${EVENTS.join(', ')}`);
+        }
+      }
+    }
+    if (description !== undefined && typeof description !== 'string') {
+      errors.push('description must be a string');
+    }
+    if (active !== undefined && typeof active !== 'boolean') {
+      errors.push('active must be true or false');
+    }
+
+    if (errors.length > 0) {
+      throw new ValidationError('Invalid webhook', errors);
+    }
+  }
+
+  // The secret is only part of the create and rotate responses
+  summarize(webhook) {
+    const { secret, ...rest } = webhook;
+    const deliveries = this.deliveryStore.values().filter(delivery => delivery.webhookId === webhook.id);
+    const last = deliveries.reduce((latest, delivery) =>
+      !latest || delivery.createdAt > latest.createdAt ? delivery : latest, null);
+
+    return {
+      ...rest,
+      secretHint: `…${secret.slice(-4)}`,
+      deliveries: {
+        pending: deliveries.filter(delivery => delivery.state === 'pending').length,
+        delivered: deliveries.filter(delivery => delivery.state === 'delivered').length,
+        failed: deliveries.filter(delivery => delivery.state === 'failed').length,
+        lastState: last?.state || null,
+        lastAt: last?.updatedAt || null
+      }
+    };
+  }
+
+  list() {
+    return this.store.values()
+      .sort((a, b) => new Date(a.createdAt) - new Date(b.createdAt))
+      .map(webhook => this.summarize(webhook));
+  }
+
+  get(id) {
+    const webhook = this.store.get(id);
+    return webhook ? this.summarize(webhook) : null;
+  }
+
+  create({ url, events = EVENTS, description = '', active = true }) {
+    if (!url) {
+      throw new ValidationError('url is required');
+    }
+    this.validate({ url, events, description, active });
+
+    const now = new Date().toISOString();
+    const webhook = {
+      id: uuidv4(),
+      url,
+      events,
+      description,
+      active,
+      secret: generateSecret(),
+      createdAt: now,
+      updatedAt: now
+    };
+    this.store.put(webhook);
+    console.log(`🔗 Webhook registered: ${url}`);
+
+    return { ...this.summarize(webhook), secret: webhook.secret };
+  }
+
+  // `rotateSecret: true` issues a new secret, returned once like on create
+  update(id, { url, events, description, active, rotateSecret }) {
+    const webhook = this.store.get(id);
+    if (!webhook) {
+      return null;
+    }
+    this.validate({ url, events, description, active });
+
+    const updated = {
+      ...webhook,
+      ...(url !== undefined && { url }),
+      ...(events !== undefined && { events }),
+      ...(description !== undefined && { description }),
+      ...(active !== undefined && { active }),
+      ...(rotateSecret && { secret: generateSecret() }),
+      updatedAt: new Date().toISOString()
+    };
+    this.store.put(updated);
+
+    return { ...this.summarize(updated), ...(rotateSecret && { secret: updated.secret }) };
+  }
+
+  // Removes the subscription together with its delivery log
+  remove(id) {
+    if (!this.store.get(id)) {
+      return false;
+    }
+
+    this.deliveryStore.values()
+      .filter(delivery => delivery.webhookId === id)
+      .forEach(delivery => {
+        this.pending.delete(delivery.id);
+        this.deliveryStore.delete(delivery.id);
+      });
+    this.store.delete(id);
+
+    return true;
+  }
+
+  getDeliveries(webhookId, { state, limit = 50 } = {}) {
+    return this.deliveryStore.values()
+      .filter(delivery => delivery.webhookId === webhookId)
+      .filter(delivery => !state || delivery.state === state)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt))
+      .slice(0, limit);
+  }
+
+  // Records one delivery per active subscription to the event and sends them right away
+  publish(event, data) {
+    const eventId = uuidv4();
+    const timestamp = new Date().toISOString();
+
+    this.store.values()
+      .filter(webhook => webhook.active && webhook.events.includes(event))
+      .forEach(webhook => {
+        const delivery = this.createDelivery(webhook, { eventId, event, timestamp, data });
+        this.deliver(delivery.id);
+      });
+  }
+
+  createDelivery(webhook, { eventId, event, timestamp, data }, extra = {}) {
+    const delivery = {
+      id: uuidv4(),
+      webhookId: webhook.id,
+      eventId,
+      event,
+      timestamp,
+      data,
+      state: 'pending',
+      attempts: 0,
+      attemptLog: [],
+      nextAttemptAt: new Date().toISOString(),
+      createdAt: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
+      ...extra
+    };
+    this.deliveryStore.put(delivery);
+    this.pending.add(delivery.id);
+    return delivery;
+  }
+
+  // Sends the same event again as a new delivery; the receiver sees the original event id
+  redeliver(webhookId, deliveryId) {
+    const webhook = this.store.get(webhookId);
+    const original = this.deliveryStore.get(deliveryId);
+    if (!webhook || !original || original.webhookId !== webhookId) {
+      return null;
+    }
+
+    const delivery = this.createDelivery(webhook, original, { redeliveryOf: original.id });
+    this.deliver(delivery.id);
+    return delivery;
+  }
+
+  // Sends a `ping` event to one subscription and waits for the outcome
+  async test(webhookId) {
+    const webhook = this.store.get(webhookId);
+    if (!webhook) {
+      return null;
+    }
+
+    const delivery = this.createDelivery(webhook, {
+      eventId: uuidv4(),
+      event: 'ping',
+      timestamp: new Date().toISOString(),
+      data: { webhookId }
+    });
+    return this.attempt(delivery.id);
+  }
+
+  deliver(id) {
+    this.attempt(id).catch(error => {
+      console.error(`❌ Webhook delivery ${id} failed:`, error);
+    });
+  }
+
+  async attempt(id) {
+    const delivery = this.deliveryStore.get(id);
+    if (!delivery || this.inFlight.has(id) || delivery.state !== 'pending') {
+      return delivery;
+    }
+    // Already retried and rescheduled since the caller looked it up
+    if (new Date(delivery.nextAttemptAt).getTime() > Date.now()) {
+      return delivery;
+    }
+
+    const webhook = this.store.get(delivery.webhookId);
+    if (!webhook) {
+      this.pending.delete(id);
+      return delivery;
+    }
+
+    this.inFlight.add(id);
+    const body = JSON.stringify({ id: delivery.eventId, event: delivery.event, timestamp: delivery.timestamp, data: delivery.data });
+    const signedAt = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+    let responseStatus = null;
+    let responseBody = null;
+    let error = null;
+
+    try {
+      const response = await this.fetch(webhook.url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'whatsapp-lims-webhooks/1.0',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': signedAt,
+          'X-Webhook-Signature': `sha256=${sign(webhook.secret, signedAt, body)}`
+        },
+        body,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      responseStatus = response.status;
+      responseBody = (await response.text()).slice(0, RESPONSE_EXCERPT_LENGTH);
+      if (!response.ok) {
+        error = `Receiver answered HTTP ${response.status}`;
+      }
+    } catch (requestError) {
+      error = requestError.name === 'TimeoutError'
+        ? `No response within ${REQUEST_TIMEOUT_MS / 1000}s`
+        : requestError.cause?.message || requestError.message;
+    } finally {
+      this.inFlight.delete(id);
+    }
+
+    const attempts = delivery.attempts + 1;
+    const now = new Date().toISOString();
+    const changes = {
+      attempts,
+      attemptLog: [...delivery.attemptLog, { attempt: attempts, responseStatus, error, durationMs: Date.now() - startedAt, timestamp: now }],
+      responseStatus,
+      responseBody,
+      lastError: error,
+      updatedAt: now
+    };
+
+    if (!error) {
+      Object.assign(changes, { state: 'delivered', deliveredAt: now, nextAttemptAt: null });
+      console.log(`🔗 Webhook ${delivery.event} delivered to ${webhook.url}`);
+    } else if (delivery.event !== 'ping' && this.retryPolicy.shouldRetry('transient', attempts)) {
+      const delayMs = this.retryPolicy.nextDelay(attempts);
+      changes.nextAttemptAt = new Date(Date.now() + delayMs).toISOString();
+      console.warn(`⚠️ Webhook ${delivery.event} to ${webhook.url} failed (${error}), retrying in ${Math.round(delayMs / 1000)}s`);
+    } else {
+      Object.assign(changes, { state: 'failed', nextAttemptAt: null });
+      console.error(`❌ Webhook ${delivery.event} to ${webhook.url} failed after ${attempts} attempt(s): ${error}`);
+    }
+
+    const updated = { ...delivery, ...changes };
+    this.deliveryStore.put(updated);
+    if (updated.state !== 'pending') {
+      this.pending.delete(id);
+    }
+    if (!this.retrying) {
+      this.arm();
+    }
+
+    return updated;
+  }
+
+  arm(minWaitMs = 0) {
+    clearTimeout(this.timer);
+    this.timer = null;
+
+    const next = [...this.pending]
+      .map(id => this.deliveryStore.get(id))
+      .filter(delivery => delivery && !this.inFlight.has(delivery.id))
+      .reduce((earliest, delivery) => Math.min(earliest, new Date(delivery.nextAttemptAt).getTime()), Infinity);
+
+    if (next === Infinity) {
+      return;
+    }
+
+    const waitMs = Math.min(Math.max(next - Date.now(), minWaitMs), MAX_TIMER_MS);
+    this.timer = setTimeout(() => this.retryDue(), waitMs);
+  }
+
+  // Runs from a timer, so errors are logged here; the loop always carries on
+  async retryDue() {
+    if (this.retrying) {
+      return;
+    }
+    const now = Date.now();
+    let failed = false;
+    this.retrying = true;
+
+    try {
+      const due = [...this.pending]
+        .map(id => this.deliveryStore.get(id))
+        .filter(delivery => delivery && new Date(delivery.nextAttemptAt).getTime() <= now);
+
+      for (const delivery of due) {
+        await this.attempt(delivery.id);
+      }
+
+      if (now - this.lastPrunedAt > PRUNE_INTERVAL_MS) {
+        this.prune();
+      }
+    } catch (error) {
+      failed = true;
+      console.error('❌ Webhook retry run failed:', error);
+    } finally {
+      this.retrying = false;
+      this.arm(failed ? ERROR_BACKOFF_MS : 0);
+    }
+  }
+
+  // Drops finished deliveries older than WEBHOOK_LOG_RETENTION_DAYS
+  prune() {
+    const cutoff = Date.now() - this.retentionMs;
+    const expired = this.deliveryStore.values()
+      .filter(delivery => delivery.state !== 'pending' && new Date(delivery.updatedAt).getTime() < cutoff);
+
+    expired.forEach(delivery => this.deliveryStore.delete(delivery.id));
+    this.lastPrunedAt = Date.now();
+
+    if (expired.length > 0) {
+      console.log(`🧹 Pruned ${expired.length} old webhook deliveries`);
+    }
+  }
+}
+
+export { EVENTS, sign };
+export default WebhookService;
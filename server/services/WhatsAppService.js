@@ -1,39 +1,126 @@
 import pkg from 'whatsapp-web.js';
 const { Client, LocalAuth, MessageMedia } = pkg;
 import qrcode from 'qrcode-terminal';
+import QRCode from 'qrcode';
 import fs from 'fs';
 import path from 'path';
+import { v4 as uuidv4 } from 'uuid';
+import { createStore } from '../storage/index.js';
+import SendThrottle from './SendThrottle.js';
+import RetryPolicy, { classifyError } from './RetryPolicy.js';
+import NumberDirectory from './NumberDirectory.js';
+import { normalizePhoneNumber, toWhatsAppNumber } from '../utils/phone.js';
+import { PermanentSendError, ValidationError } from '../errors.js';
+import { DEFAULT_PRIORITY, HIGH_PRIORITIES, pickNext, countByLane } from './PriorityLanes.js';
 
+const QUEUE_STATES = ['queued', 'sending', 'sent', 'failed', 'dead-lettered'];
+const SESSIONS_DIR = path.join(process.cwd(), 'server', 'sessions');
+
+// WhatsApp Web rotates the login QR code: the first one is valid for about a minute, later
+// ones for about 20 seconds. After a few rotations it stops until the client is restarted.
+const FIRST_QR_TTL_MS = 60 * 1000;
+const QR_TTL_MS = 20 * 1000;
+// A pairing code has to be entered on the phone within a few minutes
+const PAIRING_CODE_TTL_MS = 3 * 60 * 1000;
+const QR_RENDER_OPTIONS = { errorCorrectionLevel: 'M', margin: 2, width: 280 };
+// A hung Chromium may never finish closing; its process is killed after this long
+const DESTROY_TIMEOUT_MS = 30 * 1000;
+
+// Without configured settings: no quiet hours or rate limits, 2 seconds between messages
+// and 3 attempts per message
+const DEFAULT_SENDING_SETTINGS = {
+  quietHoursEnabled: false,
+  quietHoursStart: '21:00',
+  quietHoursEnd: '08:00',
+  urgentBypassesQuietHours: true,
+  perMinute: 0,
+  perHour: 0,
+  perDay: 0,
+  minDelayMs: 2000,
+  maxDelayMs: 2000,
+  maxAttempts: 3,
+  retryBaseDelayMs: 30 * 1000,
+  retryMaxDelayMs: 30 * 60 * 1000
+};
+
+// One WhatsApp number: its client, QR flow and outbound queue. SessionManager runs
+// one of these per session.
 class WhatsAppService {
-  constructor(io) {
+  constructor(io, options = {}) {
     this.io = io;
+    this.eventBus = options.eventBus || null;
+    this.consent = options.consent || null; // ConsentService
+    this.reports = options.reports || null; // ReportStore
+    this.sessionId = options.sessionId || process.env.WHATSAPP_CLIENT_ID || 'lims-whatsapp-bot';
     this.client = null;
     this.isClientReady = false;
     this.qrCodeData = null;
+    this.qrIssuedAt = null;
+    this.qrExpiresAt = null;
+    this.qrCount = 0; // QR codes shown since the client started
+    this.pairing = null; // { phoneNumber, requestedAt, expiresAt } after a pairing code request
+    this.state = 'stopped'; // stopped, starting, qr, authenticated, ready, disconnected, failed
+    this.stateChangedAt = new Date().toISOString();
+    this.queueStore = options.queueStore || createStore('queue');
+    this.deadLetterStore = options.deadLetterStore || createStore('dead-letters');
+    this.numbers = new NumberDirectory({
+      lookup: (e164) => this.lookupNumberId(e164),
+      store: options.numberStore
+    });
+    this.queueRetentionMs = (parseInt(process.env.QUEUE_RETENTION_HOURS) || 72) * 60 * 60 * 1000;
     this.messageQueue = [];
+    this.whatsappIdIndex = new Map(); // WhatsApp _serialized id -> canonical message id
+    this.currentQueueItem = null;
+    this.currentSendStartedAt = null;
     this.isProcessingQueue = false;
+    this.queueGeneration = 0; // bumped when a hung send is abandoned, see abandonCurrentSend
     this.reconnectAttempts = 0;
+    // Reconnecting never gives up; from this many failed attempts on each one is reported
     this.maxReconnectAttempts = 5;
-    this.reconnectDelay = 30000; // 30 seconds
-    this.messageDelay = 2000; // 2 seconds between messages
+    this.reconnectPolicy = new RetryPolicy({
+      maxAttempts: Infinity,
+      retryBaseDelayMs: 30 * 1000,
+      retryMaxDelayMs: (parseInt(process.env.RECONNECT_MAX_DELAY_MINUTES) || 15) * 60 * 1000
+    });
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+    this.isRestarting = false;
+    this.throttle = new SendThrottle(options.sendingSettings || DEFAULT_SENDING_SETTINGS);
+    this.retryPolicy = new RetryPolicy(options.sendingSettings || DEFAULT_SENDING_SETTINGS);
+    this.priorityAgingMs = (parseInt(process.env.PRIORITY_AGING_MINUTES) || 10) * 60 * 1000;
+    this.pause = null; // { until, reason, timer, resume } while the processor waits
     this.isShuttingDown = false;
+    this.isStopped = false;
+
+    this.loadQueue();
+  }
+
+  setState(state) {
+    this.state = state;
+    this.stateChangedAt = new Date().toISOString();
+
+    if (this.eventBus) {
+      this.eventBus.emit('session:state', { sessionId: this.sessionId, state, timestamp: this.stateChangedAt });
+    }
   }
 
   async initialize() {
-    console.log('🔄 Initializing WhatsApp client...');
+    console.log(`🔄 Initializing WhatsApp client (${this.sessionId})...`);
+    this.isStopped = false;
+    this.setState('starting');
+    let client = null;
     
     try {
       // Ensure sessions directory exists
-      const sessionsDir = path.join(process.cwd(), 'server', 'sessions');
-      if (!fs.existsSync(sessionsDir)) {
-        fs.mkdirSync(sessionsDir, { recursive: true });
-        console.log('📁 Created sessions directory:', sessionsDir);
+      if (!fs.existsSync(SESSIONS_DIR)) {
+        fs.mkdirSync(SESSIONS_DIR, { recursive: true });
+        console.log('📁 Created sessions directory:', SESSIONS_DIR);
       }
 
-      this.client = new Client({
+      client = new Client({
         authStrategy: new LocalAuth({
-          clientId: 'lims-whatsapp-bot',
-          dataPath: sessionsDir
+          clientId: this.sessionId,
+          dataPath: SESSIONS_DIR
         }),
         puppeteer: {
           headless: true,
@@ -57,10 +144,16 @@ class WhatsAppService {
         }
       });
 
+      this.client = client;
       this.setupEventHandlers();
-      await this.client.initialize();
+      await client.initialize();
     } catch (error) {
-      console.error('❌ Failed to initialize WhatsApp client:', error);
+      // A restart replaced the client while it was starting; the new one reports for itself
+      if (client && this.client !== client) {
+        throw error;
+      }
+      console.error(`❌ Failed to initialize WhatsApp client (${this.sessionId}):`, error);
+      this.setState('failed');
       this.handleInitializationError(error);
       throw error;
     }
@@ -68,40 +161,55 @@ class WhatsAppService {
 
   setupEventHandlers() {
     this.client.on('qr', (qr) => {
-      console.log('📱 QR Code received, scan with WhatsApp');
+      console.log(`📱 QR Code received for ${this.sessionId}, scan with WhatsApp`);
       qrcode.generate(qr, { small: true });
-      
+
+      const now = Date.now();
+      this.qrCount++;
       this.qrCodeData = qr;
+      this.qrIssuedAt = new Date(now).toISOString();
+      this.qrExpiresAt = new Date(now + (this.qrCount === 1 ? FIRST_QR_TTL_MS : QR_TTL_MS)).toISOString();
       this.reconnectAttempts = 0; // Reset reconnect attempts on new QR
-      this.io.emit('qr-code', { qr });
+      this.setState('qr');
+      // Only admins can fetch the code itself, rendered by GET /api/sessions/qr
+      this.io.emit('qr-code', { sessionId: this.sessionId, issuedAt: this.qrIssuedAt, expiresAt: this.qrExpiresAt });
     });
 
     this.client.on('ready', () => {
-      console.log('✅ WhatsApp client is ready!');
+      console.log(`✅ WhatsApp client is ready! (${this.sessionId})`);
       this.isClientReady = true;
       this.reconnectAttempts = 0;
-      this.qrCodeData = null;
+      this.nextReconnectAt = null;
+      this.clearLogin();
+      this.setState('ready');
       
       this.io.emit('whatsapp-status', {
+        sessionId: this.sessionId,
         isReady: true,
         timestamp: new Date().toISOString()
       });
 
-      // Start processing message queue
+      // Resume whatever was left in the persisted queue, then start processing
+      this.loadQueue();
       this.startQueueProcessor();
     });
 
     this.client.on('authenticated', () => {
-      console.log('🔐 WhatsApp client authenticated');
+      console.log(`🔐 WhatsApp client authenticated (${this.sessionId})`);
+      this.clearLogin();
+      this.setState('authenticated');
       this.io.emit('whatsapp-authenticated', {
+        sessionId: this.sessionId,
         timestamp: new Date().toISOString()
       });
     });
 
     this.client.on('auth_failure', (msg) => {
-      console.error('❌ Authentication failed:', msg);
+      console.error(`❌ Authentication failed (${this.sessionId}):`, msg);
       this.isClientReady = false;
+      this.setState('failed');
       this.io.emit('whatsapp-auth-failure', { 
+        sessionId: this.sessionId,
         error: msg,
         timestamp: new Date().toISOString()
       });
@@ -111,16 +219,18 @@ class WhatsAppService {
     });
 
     this.client.on('disconnected', (reason) => {
-      console.log('🔌 WhatsApp client disconnected:', reason);
+      console.log(`🔌 WhatsApp client disconnected (${this.sessionId}):`, reason);
       this.isClientReady = false;
+      this.setState('disconnected');
       this.io.emit('whatsapp-status', {
+        sessionId: this.sessionId,
         isReady: false,
         reason,
         timestamp: new Date().toISOString()
       });
 
-      // Only attempt reconnect if not shutting down
-      if (!this.isShuttingDown) {
+      // Only attempt reconnect if not shutting down or stopped on purpose
+      if (!this.isShuttingDown && !this.isStopped) {
         this.scheduleReconnect(reason);
       }
     });
@@ -129,7 +239,9 @@ class WhatsAppService {
       if (message.fromMe) {
         console.log('📤 Message sent confirmation:', message.id._serialized);
         this.io.emit('message-sent', {
-          id: message.id._serialized,
+          sessionId: this.sessionId,
+          id: this.whatsappIdIndex.get(message.id._serialized) || null,
+          whatsappMessageId: message.id._serialized,
           to: message.to,
           body: message.body,
           timestamp: new Date(message.timestamp * 1000).toISOString()
@@ -137,20 +249,72 @@ class WhatsAppService {
       }
     });
 
+    // Patient messages. Only direct chats are kept; groups, channels and status updates
+    // are ignored.
+    this.client.on('message', async (message) => {
+      if (message.fromMe || !/@(c\.us|lid)$/.test(message.from)) {
+        return;
+      }
+
+      try {
+        // A @lid chat id is not a phone number; the contact has the real one
+        const contact = await message.getContact();
+        const digits = contact?.number || (message.from.endsWith('@c.us') ? message.from.split('@')[0] : null);
+
+        if (this.eventBus) {
+          this.eventBus.emit('message:inbound', {
+            sessionId: this.sessionId,
+            chatId: message.from,
+            phoneNumber: digits ? normalizePhoneNumber(`+${digits}`) : null,
+            contactName: contact?.pushname || contact?.name || null,
+            body: message.body,
+            type: message.type,
+            hasMedia: message.hasMedia,
+            whatsappMessageId: message.id._serialized,
+            timestamp: new Date(message.timestamp * 1000).toISOString()
+          });
+        }
+      } catch (error) {
+        console.error('❌ Error handling inbound message:', error);
+      }
+    });
+
     this.client.on('message_ack', (message, ack) => {
       const ackStatus = this.getAckStatus(ack);
+      const messageId = this.whatsappIdIndex.get(message.id._serialized);
       console.log(`📋 Message ${message.id._serialized} status: ${ackStatus}`);
+
+      // Acks for messages that did not go through our queue (e.g. sent from the phone) are ignored
+      if (!messageId) {
+        return;
+      }
       
-      this.io.emit('message-update', {
-        id: message.id._serialized,
-        status: ackStatus,
-        timestamp: new Date().toISOString()
+      this.emitMessageStatus(messageId, ackStatus, {
+        whatsappMessageId: message.id._serialized
       });
     });
   }
 
+  // Publishes a status transition to the dashboard and to the rest of the server
+  emitMessageStatus(messageId, status, details = {}) {
+    const update = {
+      id: messageId,
+      sessionId: this.sessionId,
+      status,
+      ...details,
+      timestamp: new Date().toISOString()
+    };
+
+    this.io.emit('message-update', update);
+
+    if (this.eventBus) {
+      this.eventBus.emit('message:status', update);
+    }
+  }
+
   getAckStatus(ack) {
     switch (ack) {
+      case -1: return 'failed';
       case 1: return 'sent';
       case 2: return 'received';
       case 3: return 'read';
@@ -158,25 +322,41 @@ class WhatsAppService {
     }
   }
 
-  async scheduleReconnect(reason) {
+  // Reconnects with exponential backoff (about 30s, 1min, 2min, ... up to
+  // RECONNECT_MAX_DELAY_MINUTES) for as long as it takes. The session data is kept, so a
+  // successful attempt needs no new QR scan.
+  scheduleReconnect(reason) {
+    if (this.reconnectTimer || this.isStopped || this.isShuttingDown) {
+      return;
+    }
+
+    this.reconnectAttempts++;
+    const delay = this.reconnectPolicy.nextDelay(this.reconnectAttempts);
+    this.nextReconnectAt = new Date(Date.now() + delay).toISOString();
+
     if (this.reconnectAttempts >= this.maxReconnectAttempts) {
-      console.error(`❌ Max reconnection attempts (${this.maxReconnectAttempts}) reached. Manual intervention required.`);
+      console.error(`❌ WhatsApp has not reconnected after ${this.reconnectAttempts - 1} attempts (${this.sessionId}), still retrying`);
       this.io.emit('whatsapp-error', {
-        error: 'Max reconnection attempts reached',
+        sessionId: this.sessionId,
+        error: 'Reconnection keeps failing',
         reason,
+        attempts: this.reconnectAttempts - 1,
+        nextAttemptAt: this.nextReconnectAt,
         timestamp: new Date().toISOString()
       });
-      return;
     }
 
-    this.reconnectAttempts++;
-    const delay = this.reconnectDelay * this.reconnectAttempts; // Exponential backoff
-    
-    console.log(`🔄 Scheduling reconnection attempt ${this.reconnectAttempts}/${this.maxReconnectAttempts} in ${delay/1000} seconds...`);
-    
-    setTimeout(async () => {
+    console.log(`🔄 Scheduling reconnection attempt ${this.reconnectAttempts} in ${Math.round(delay / 1000)} seconds (${reason})...`);
+
+    this.reconnectTimer = setTimeout(async () => {
+      this.reconnectTimer = null;
+      this.nextReconnectAt = null;
+      if (this.isStopped || this.isShuttingDown) {
+        return;
+      }
+
       try {
-        console.log(`🔄 Reconnection attempt ${this.reconnectAttempts}...`);
+        console.log(`🔄 Reconnection attempt ${this.reconnectAttempts} (${this.sessionId})...`);
         await this.destroy();
         await this.initialize();
       } catch (error) {
@@ -188,29 +368,96 @@ class WhatsAppService {
 
   handleInitializationError(error) {
     this.io.emit('whatsapp-error', { 
+      sessionId: this.sessionId,
       error: error.message,
       timestamp: new Date().toISOString()
     });
   }
 
   // Message Queue Management
+  loadQueue() {
+    if (this.isProcessingQueue) {
+      return;
+    }
+
+    const cutoff = Date.now() - this.queueRetentionMs;
+    const pending = [];
+
+    this.queueStore.values().forEach(item => {
+      // Finished items are kept for inspection until they age out
+      if ((item.state === 'sent' || item.state === 'dead-lettered') && new Date(item.updatedAt).getTime() < cutoff) {
+        this.queueStore.delete(item.id);
+        return;
+      }
+
+      // An item caught mid-send by a crash is retried; WhatsApp may see it twice
+      if (item.state === 'sending') {
+        this.updateQueueItem(item, { state: 'queued' });
+      }
+
+      if (item.state === 'queued' || item.state === 'failed') {
+        pending.push(item);
+      }
+
+      if (item.whatsappMessageId) {
+        this.whatsappIdIndex.set(item.whatsappMessageId, item.id);
+      }
+    });
+
+    this.messageQueue = pending.sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    this.throttle.seed(this.queueStore.values().filter(item => item.sentAt).map(item => item.sentAt));
+
+    if (this.messageQueue.length > 0) {
+      console.log(`📂 Restored ${this.messageQueue.length} pending messages from the queue store`);
+    }
+  }
+
+  updateQueueItem(item, changes) {
+    Object.assign(item, changes, { updatedAt: new Date().toISOString() });
+    this.queueStore.put(item);
+
+    this.io.emit('queue-update', {
+      id: item.id,
+      sessionId: this.sessionId,
+      state: item.state,
+      attempts: item.attempts,
+      error: item.lastError,
+      timestamp: item.updatedAt
+    });
+
+    return item;
+  }
+
   addToQueue(messageData) {
     const queueItem = {
-      id: Date.now() + Math.random(),
       ...messageData,
+      id: messageData.id || uuidv4(),
+      priority: messageData.priority || DEFAULT_PRIORITY,
+      state: 'queued',
       timestamp: new Date().toISOString(),
+      updatedAt: new Date().toISOString(),
       attempts: 0,
-      maxAttempts: 3
+      maxAttempts: this.retryPolicy.maxAttempts
     };
     
+    this.queueStore.put(queueItem);
     this.messageQueue.push(queueItem);
-    console.log(`📝 Added message to queue. Queue length: ${this.messageQueue.length}`);
+    console.log(`📝 Added ${queueItem.priority} message to queue. Queue length: ${this.messageQueue.length}`);
+    
+    this.notifyQueued(queueItem);
     
+    return queueItem.id;
+  }
+
+  // Starts the processor, or ends a pause the new item may not have to wait for
+  // (other items backing off, or quiet hours for a critical/urgent item)
+  notifyQueued(queueItem) {
     if (!this.isProcessingQueue && this.isClientReady) {
       this.startQueueProcessor();
+    } else if (this.pause?.reason === 'backoff' ||
+      (this.pause?.reason === 'quiet-hours' && HIGH_PRIORITIES.includes(queueItem.priority))) {
+      this.resumeQueueProcessor();
     }
-    
-    return queueItem.id;
   }
 
   async startQueueProcessor() {
@@ -219,21 +466,44 @@ class WhatsAppService {
     }
 
     this.isProcessingQueue = true;
+    const generation = this.queueGeneration;
     console.log('🚀 Starting message queue processor...');
 
     while (this.messageQueue.length > 0 && this.isClientReady && !this.isShuttingDown) {
-      const messageData = this.messageQueue.shift();
+      const { messageData, waitMs, reason } = this.nextSendable();
+      if (!messageData) {
+        await this.pauseQueueProcessor(waitMs, reason);
+        continue;
+      }
+
+      this.messageQueue.splice(this.messageQueue.indexOf(messageData), 1);
+      this.currentQueueItem = messageData;
+      this.currentSendStartedAt = Date.now();
+      this.updateQueueItem(messageData, { state: 'sending' });
       
       try {
-        await this.processQueueItem(messageData);
+        const whatsappMessageId = await this.processQueueItem(messageData);
+        if (generation !== this.queueGeneration) {
+          return; // abandoned while hanging; the item was handed back to the queue
+        }
+        this.whatsappIdIndex.set(whatsappMessageId, messageData.id);
+        this.updateQueueItem(messageData, { state: 'sent', whatsappMessageId, sentAt: new Date().toISOString() });
         
-        // Delay between messages to avoid rate limiting
+        // Randomised delay between messages to avoid rate limiting
         if (this.messageQueue.length > 0) {
-          await this.delay(this.messageDelay);
+          await this.pauseQueueProcessor(this.throttle.nextDelay(), 'delay');
         }
       } catch (error) {
+        if (generation !== this.queueGeneration) {
+          return;
+        }
         console.error('❌ Error processing queue item:', error);
         await this.handleQueueItemError(messageData, error);
+      } finally {
+        if (generation === this.queueGeneration) {
+          this.currentQueueItem = null;
+          this.currentSendStartedAt = null;
+        }
       }
     }
 
@@ -241,99 +511,294 @@ class WhatsAppService {
     console.log('⏸️ Message queue processor stopped');
   }
 
+  // Picks the next item allowed to go out now, or says how long to wait. The highest
+  // priority lane goes first (see PriorityLanes); during quiet hours only critical and
+  // urgent items are considered (when the settings allow it).
+  // Items backing off after a failed attempt wait until their nextAttemptAt.
+  nextSendable(now = Date.now()) {
+    const quietMs = this.throttle.quietHoursRemaining(now);
+    const candidates = quietMs > 0
+      ? this.messageQueue.filter(item => this.throttle.allowsDuringQuietHours(item))
+      : this.messageQueue;
+    const isDue = (item) => !item.nextAttemptAt || new Date(item.nextAttemptAt).getTime() <= now;
+    const messageData = pickNext(candidates.filter(isDue), now, this.priorityAgingMs);
+
+    if (!messageData) {
+      const backoffMs = Math.min(...candidates.map(item => new Date(item.nextAttemptAt).getTime() - now));
+      return quietMs > 0 && quietMs <= backoffMs
+        ? { waitMs: quietMs, reason: 'quiet-hours' }
+        : { waitMs: backoffMs, reason: 'backoff' };
+    }
+
+    const waitMs = this.throttle.acquire(now);
+    if (waitMs > 0) {
+      return { waitMs, reason: 'rate-limit' };
+    }
+
+    return { messageData };
+  }
+
+  pauseQueueProcessor(ms, reason) {
+    if (reason !== 'delay') {
+      console.log(`⏸️ Queue paused for ${Math.ceil(ms / 1000)}s (${reason})`);
+    }
+
+    return new Promise(resolve => {
+      const resume = () => {
+        clearTimeout(this.pause?.timer);
+        this.pause = null;
+        resolve();
+      };
+      this.pause = {
+        until: new Date(Date.now() + ms).toISOString(),
+        reason,
+        timer: setTimeout(resume, ms),
+        resume
+      };
+    });
+  }
+
+  // Ends a pause early, e.g. after the settings changed or an urgent item arrived
+  resumeQueueProcessor() {
+    if (this.pause) {
+      this.pause.resume();
+    }
+  }
+
+  applySendingSettings(settings) {
+    this.throttle.configure(settings);
+    this.retryPolicy.configure(settings);
+    this.resumeQueueProcessor();
+  }
+
   async processQueueItem(messageData) {
     console.log(`📤 Processing message: ${messageData.phoneNumber}`);
     
-    const formattedNumber = this.formatPhoneNumber(messageData.phoneNumber);
-    const chatId = `${formattedNumber}@c.us`;
+    const e164 = normalizePhoneNumber(messageData.phoneNumber);
+    if (!e164) {
+      throw new PermanentSendError(`${messageData.phoneNumber} is not a valid phone number`, 'invalid-number');
+    }
+
+    // The patient may have opted out while the message was waiting
+    if (this.consent && !messageData.isReply && !this.consent.check(e164, { priority: messageData.priority }).allowed) {
+      throw new PermanentSendError(`${e164} no longer consents to messages`, 'opted-out');
+    }
     
     let sentMessage;
-    
-    if (messageData.filePath && fs.existsSync(messageData.filePath)) {
-      const media = MessageMedia.fromFilePath(messageData.filePath);
+    let media = null;
+
+    // Stored reports are kept for resending; a plain filePath comes from items queued before
+    // reports were stored and is deleted once sent
+    if (messageData.reportId) {
+      const report = this.reports && await this.reports.read(messageData.reportId);
+      if (!report) {
+        throw new PermanentSendError(`Report ${messageData.reportId} is no longer stored`, 'attachment-missing');
+      }
+      media = new MessageMedia(report.record.contentType, report.data.toString('base64'), report.record.fileName);
+    } else if (messageData.filePath) {
+      if (!fs.existsSync(messageData.filePath)) {
+        throw new PermanentSendError(`Attachment is missing: ${messageData.filePath}`, 'attachment-missing');
+      }
+      media = MessageMedia.fromFilePath(messageData.filePath);
+    }
+
+    // WhatsApp's own id for the number, which can differ from the plain digits
+    const { registered, chatId } = await this.checkNumber(e164);
+    if (!registered) {
+      throw new PermanentSendError(`${e164} is not registered on WhatsApp`, 'not-registered');
+    }
+
+    if (media) {
       sentMessage = await this.client.sendMessage(chatId, media, {
         caption: messageData.message
       });
       
-      // Clean up file after sending
-      setTimeout(() => {
-        if (fs.existsSync(messageData.filePath)) {
-          fs.unlinkSync(messageData.filePath);
-          console.log('🗑️ Cleaned up uploaded file:', messageData.filePath);
-        }
-      }, 5000);
+      if (messageData.filePath) {
+        // Clean up file after sending
+        setTimeout(() => {
+          if (fs.existsSync(messageData.filePath)) {
+            fs.unlinkSync(messageData.filePath);
+            console.log('🗑️ Cleaned up uploaded file:', messageData.filePath);
+          }
+        }, 5000);
+      }
     } else {
       sentMessage = await this.client.sendMessage(chatId, messageData.message);
     }
     
     console.log(`✅ Message sent successfully: ${sentMessage.id._serialized}`);
     
-    this.io.emit('message-update', {
-      id: messageData.originalId || sentMessage.id._serialized,
-      status: 'sent',
-      timestamp: new Date().toISOString()
+    this.emitMessageStatus(messageData.id, 'sent', {
+      whatsappMessageId: sentMessage.id._serialized
     });
     
     return sentMessage.id._serialized;
   }
 
   async handleQueueItemError(messageData, error) {
-    messageData.attempts++;
+    const attempts = messageData.attempts + 1;
+    const errorType = classifyError(error);
+    const errors = [
+      ...(messageData.errors || []),
+      { attempt: attempts, errorType, error: error.message, timestamp: new Date().toISOString() }
+    ];
     
-    if (messageData.attempts < messageData.maxAttempts) {
-      console.log(`🔄 Retrying message (attempt ${messageData.attempts}/${messageData.maxAttempts}): ${messageData.phoneNumber}`);
-      this.messageQueue.unshift(messageData); // Add back to front of queue
+    if (this.retryPolicy.shouldRetry(errorType, attempts, messageData.maxAttempts)) {
+      const delayMs = this.retryPolicy.nextDelay(attempts);
+      console.log(`🔄 Retrying message in ${Math.round(delayMs / 1000)}s (attempt ${attempts}/${messageData.maxAttempts}): ${messageData.phoneNumber}`);
+      this.updateQueueItem(messageData, {
+        state: 'failed',
+        attempts,
+        errors,
+        errorType,
+        lastError: error.message,
+        nextAttemptAt: new Date(Date.now() + delayMs).toISOString()
+      });
+      // Keeps its original timestamp, so it stays ahead of newer items in its lane
+      this.messageQueue.push(messageData);
     } else {
-      console.error(`❌ Message failed after ${messageData.maxAttempts} attempts: ${messageData.phoneNumber}`);
+      console.error(errorType === 'permanent'
+        ? `❌ Message failed permanently: ${messageData.phoneNumber} (${error.message})`
+        : `❌ Message failed after ${attempts} attempts: ${messageData.phoneNumber}`);
+      this.updateQueueItem(messageData, {
+        state: 'dead-lettered',
+        attempts,
+        errors,
+        errorType,
+        lastError: error.message,
+        nextAttemptAt: null
+      });
+      this.deadLetterStore.put({ ...messageData, deadLetteredAt: messageData.updatedAt });
       
-      this.io.emit('message-update', {
-        id: messageData.originalId,
-        status: 'failed',
+      this.emitMessageStatus(messageData.id, 'failed', {
         error: error.message,
-        timestamp: new Date().toISOString()
+        errorType,
+        attempts
       });
     }
   }
 
-  async sendMessage(phoneNumber, message) {
-    if (!this.isClientReady) {
-      throw new Error('WhatsApp client is not ready');
+  // A send that never returns (hung page) holds up the queue processor. It is counted as a
+  // failed attempt and retried like one (WhatsApp may see it twice); the processor starts
+  // over once the client is ready again.
+  async abandonCurrentSend(reason) {
+    const messageData = this.currentQueueItem;
+    if (!messageData) {
+      return;
     }
 
-    const messageId = this.addToQueue({
-      phoneNumber,
-      message,
-      originalId: Date.now().toString()
+    this.queueGeneration++;
+    this.currentQueueItem = null;
+    this.currentSendStartedAt = null;
+    this.isProcessingQueue = false;
+    console.warn(`⚠️ Giving up on the send to ${messageData.phoneNumber}: ${reason}`);
+    await this.handleQueueItemError(messageData, new Error(`Send abandoned: ${reason}`));
+  }
+
+  // Dead letters: items that failed permanently or ran out of attempts. They stay in the
+  // dead-letter store (with their attachment) until an operator re-drives them.
+  getDeadLetter(id) {
+    return this.deadLetterStore.get(id);
+  }
+
+  getDeadLetters({ limit = 100 } = {}) {
+    return this.deadLetterStore.values()
+      .sort((a, b) => new Date(b.deadLetteredAt) - new Date(a.deadLetteredAt))
+      .slice(0, limit);
+  }
+
+  // Puts a dead letter back at the end of its lane with a fresh set of attempts
+  retryDeadLetter(id) {
+    const deadLetter = this.deadLetterStore.get(id);
+    if (!deadLetter) {
+      return null;
+    }
+
+    const queueItem = this.queueStore.get(id) || deadLetter;
+    this.deadLetterStore.delete(id);
+    this.updateQueueItem(queueItem, {
+      state: 'queued',
+      timestamp: new Date().toISOString(),
+      attempts: 0,
+      maxAttempts: this.retryPolicy.maxAttempts,
+      nextAttemptAt: null,
+      retries: (queueItem.retries || 0) + 1
     });
+    this.messageQueue.push(queueItem);
+    console.log(`♻️ Dead letter re-queued: ${id}`);
 
-    return messageId;
+    this.emitMessageStatus(id, 'queued', { attempts: 0 });
+    this.notifyQueued(queueItem);
+
+    return queueItem;
   }
 
-  async sendMessageWithAttachment(phoneNumber, message, filePath) {
-    if (!this.isClientReady) {
-      throw new Error('WhatsApp client is not ready');
+  retryAllDeadLetters() {
+    return this.deadLetterStore.values()
+      .map(deadLetter => this.retryDeadLetter(deadLetter.id))
+      .filter(Boolean);
+  }
+
+  getQueueItem(id) {
+    return this.queueStore.get(id);
+  }
+
+  getQueueItems({ state, limit = 100 } = {}) {
+    return this.queueStore.values()
+      .filter(item => !state || item.state === state)
+      .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt))
+      .slice(0, limit);
+  }
+
+  // options.id is the canonical message id issued by the caller (one is generated if omitted);
+  // other options become fields of the queue item. With options.queueWhenOffline the
+  // message is accepted while disconnected and sent once the client is ready.
+  // Numbers without consent are refused with a ConsentError unless options.isReply marks
+  // an answer to a message the patient sent.
+  async sendMessage(phoneNumber, message, options = {}) {
+    const { queueWhenOffline, ...itemOptions } = options;
+
+    if (!this.isClientReady && !queueWhenOffline) {
+      throw new Error(`WhatsApp session ${this.sessionId} is not ready`);
+    }
+
+    const id = itemOptions.id || uuidv4();
+    if (this.consent && !itemOptions.isReply) {
+      this.consent.authorize(normalizePhoneNumber(phoneNumber) || phoneNumber, {
+        messageId: id,
+        priority: itemOptions.priority,
+        sessionId: this.sessionId
+      });
     }
 
     const messageId = this.addToQueue({
+      ...itemOptions,
+      id,
       phoneNumber,
-      message,
-      filePath,
-      originalId: Date.now().toString()
+      message
     });
 
     return messageId;
   }
 
-  formatPhoneNumber(phoneNumber) {
-    // Remove all non-numeric characters
-    let cleaned = phoneNumber.replace(/\D/g, '');
-    
-    // Add country code if missing (assuming US/international format)
-    if (!cleaned.startsWith('1') && cleaned.length === 10) {
-      cleaned = '1' + cleaned;
+  async sendMessageWithAttachment(phoneNumber, message, filePath, options = {}) {
+    return this.sendMessage(phoneNumber, message, { ...options, filePath });
+  }
+
+  async lookupNumberId(e164) {
+    const numberId = await this.client.getNumberId(toWhatsAppNumber(e164));
+    return numberId ? numberId._serialized : null;
+  }
+
+  // Resolves { registered, chatId, checkedAt, cached }. While disconnected only cached
+  // results are available; otherwise `registered` is null (unknown).
+  async checkNumber(e164) {
+    if (!this.isClientReady) {
+      const cached = this.numbers.getCached(e164);
+      return cached ? { ...cached, cached: true } : { id: e164, registered: null, chatId: null, cached: false };
     }
-    
-    return cleaned;
+
+    return this.numbers.check(e164);
   }
 
   async generateQR() {
@@ -352,29 +817,118 @@ class WhatsAppService {
     console.log('🔄 Destroying WhatsApp client...');
     
     if (this.client) {
+      const browserProcess = this.client.pupBrowser?.process();
+      let timer = null;
+      const timeout = new Promise(resolve => {
+        timer = setTimeout(() => resolve('timeout'), DESTROY_TIMEOUT_MS);
+      });
+
       try {
-        await this.client.destroy();
+        if (await Promise.race([this.client.destroy(), timeout]) === 'timeout') {
+          console.warn(`⚠️ The browser did not close within ${DESTROY_TIMEOUT_MS / 1000}s, killing it (${this.sessionId})`);
+          browserProcess?.kill('SIGKILL');
+        }
       } catch (error) {
         console.error('❌ Error destroying client:', error);
+      } finally {
+        clearTimeout(timer);
       }
     }
     
     this.client = null;
     this.isClientReady = false;
+    this.clearLogin();
+  }
+
+  // Replaces a hung or broken browser with a new one (called by SessionWatchdog). The login
+  // in server/sessions is kept, so the session reconnects without a new QR scan.
+  async restart(reason) {
+    if (this.isRestarting || this.isStopped || this.isShuttingDown) {
+      return false;
+    }
+
+    this.isRestarting = true;
+    console.warn(`🩺 Restarting the WhatsApp client (${this.sessionId}): ${reason}`);
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.nextReconnectAt = null;
+
+    try {
+      await this.abandonCurrentSend(`the client was restarted (${reason})`);
+      await this.destroy();
+      await this.initialize();
+      return true;
+    } catch (error) {
+      this.scheduleReconnect(`Restart failed: ${error.message}`);
+      return false;
+    } finally {
+      this.isRestarting = false;
+    }
+  }
+
+  // Asks WhatsApp Web for its connection state ('CONNECTED' when all is well). Needs a
+  // responsive page, so a frozen browser shows up as a timeout.
+  async probe(timeoutMs) {
+    let timer = null;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`WhatsApp Web did not respond within ${timeoutMs / 1000}s`)), timeoutMs);
+    });
+
+    try {
+      return await Promise.race([this.client.getState(), timeout]);
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  // Forgets the pending QR code and pairing code once logged in or when the client goes away
+  clearLogin() {
     this.qrCodeData = null;
+    this.qrIssuedAt = null;
+    this.qrExpiresAt = null;
+    this.qrCount = 0;
+    this.pairing = null;
   }
 
-  async gracefulShutdown() {
-    console.log('🛑 Initiating graceful shutdown...');
-    this.isShuttingDown = true;
-    
-    // Wait for queue to finish processing
-    while (this.isProcessingQueue && this.messageQueue.length > 0) {
-      console.log(`⏳ Waiting for ${this.messageQueue.length} messages to finish processing...`);
+  // Disconnects without reconnecting. The in-flight send finishes first; everything still
+  // queued stays in the queue store and is sent once the session is started again.
+  async stop() {
+    this.isStopped = true;
+    clearTimeout(this.reconnectTimer);
+    this.reconnectTimer = null;
+    this.resumeQueueProcessor();
+
+    while (this.currentQueueItem) {
+      console.log('⏳ Waiting for the current message to finish sending...');
       await this.delay(1000);
     }
-    
+
+    if (this.messageQueue.length > 0) {
+      console.log(`💾 ${this.messageQueue.length} queued messages saved for the next start (${this.sessionId})`);
+    }
+
     await this.destroy();
+    this.setState('stopped');
+  }
+
+  // The Chromium profile LocalAuth keeps the login in
+  getSessionDataDir() {
+    return path.join(SESSIONS_DIR, `session-${this.sessionId}`);
+  }
+
+  // Removes the stored login, so the next start asks for a new QR scan
+  clearSessionData() {
+    const sessionDir = this.getSessionDataDir();
+    if (fs.existsSync(sessionDir)) {
+      fs.rmSync(sessionDir, { recursive: true, force: true });
+      console.log('🗑️ Removed session data:', sessionDir);
+    }
+  }
+
+  async gracefulShutdown() {
+    console.log(`🛑 Initiating graceful shutdown (${this.sessionId})...`);
+    this.isShuttingDown = true;
+    await this.stop();
     console.log('✅ Graceful shutdown completed');
   }
 
@@ -390,10 +944,93 @@ class WhatsAppService {
     return this.qrCodeData;
   }
 
+  // The pending login QR code as { qr, issuedAt, expiresAt, expired }, or null. An expired
+  // code is not replaced until the client is restarted (generateQR).
+  getPendingQR() {
+    if (!this.qrCodeData) {
+      return null;
+    }
+
+    return {
+      qr: this.qrCodeData,
+      issuedAt: this.qrIssuedAt,
+      expiresAt: this.qrExpiresAt,
+      expired: new Date(this.qrExpiresAt).getTime() <= Date.now()
+    };
+  }
+
+  // Renders the pending QR code on this server: 'png' (Buffer), 'svg' (string) or 'dataUrl'.
+  // Returns null when no login is pending.
+  async renderQR(format = 'png') {
+    if (!this.qrCodeData) {
+      return null;
+    }
+
+    switch (format) {
+      case 'svg':
+        return QRCode.toString(this.qrCodeData, { ...QR_RENDER_OPTIONS, type: 'svg' });
+      case 'dataUrl':
+        return QRCode.toDataURL(this.qrCodeData, QR_RENDER_OPTIONS);
+      default:
+        return QRCode.toBuffer(this.qrCodeData, { ...QR_RENDER_OPTIONS, type: 'png' });
+    }
+  }
+
+  // Logs in without scanning: WhatsApp shows a notification on the phone with `phoneNumber`,
+  // where the returned 8-character code is entered (Linked devices → Link with phone number)
+  async requestPairingCode(phoneNumber) {
+    if (this.isClientReady) {
+      throw new ValidationError('WhatsApp is already connected');
+    }
+    if (!this.client || this.state !== 'qr') {
+      throw new ValidationError('The session is not waiting for a login; start it or generate a new QR code first');
+    }
+
+    const e164 = normalizePhoneNumber(phoneNumber);
+    if (!e164) {
+      throw new ValidationError(`${phoneNumber} is not a valid phone number`);
+    }
+
+    const code = await this.client.requestPairingCode(toWhatsAppNumber(e164), true);
+    const now = Date.now();
+    this.pairing = {
+      phoneNumber: e164,
+      requestedAt: new Date(now).toISOString(),
+      expiresAt: new Date(now + PAIRING_CODE_TTL_MS).toISOString()
+    };
+    console.log(`🔢 Pairing code requested for ${e164} (${this.sessionId})`);
+    this.setState('qr');
+
+    return { code, ...this.pairing };
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      isReady: this.isClientReady,
+      qrIssuedAt: this.qrIssuedAt,
+      qrExpiresAt: this.qrExpiresAt,
+      pairing: this.pairing,
+      stateChangedAt: this.stateChangedAt,
+      nextReconnectAt: this.nextReconnectAt
+    };
+  }
+
   getQueueStatus() {
+    const states = Object.fromEntries(QUEUE_STATES.map(state => [state, 0]));
+    this.queueStore.values().forEach(item => {
+      states[item.state] = (states[item.state] || 0) + 1;
+    });
+
     return {
       queueLength: this.messageQueue.length,
+      lanes: countByLane(this.messageQueue),
+      states,
+      deadLetters: this.deadLetterStore.size,
       isProcessing: this.isProcessingQueue,
+      pausedUntil: this.pause?.reason === 'delay' ? null : this.pause?.until || null,
+      pauseReason: this.pause?.reason === 'delay' ? null : this.pause?.reason || null,
+      throttle: this.throttle.getStatus(),
       reconnectAttempts: this.reconnectAttempts,
       maxReconnectAttempts: this.maxReconnectAttempts
     };
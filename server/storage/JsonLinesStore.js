@@ -0,0 +1,89 @@
+import fs from 'fs';
+import path from 'path';
+import MemoryStore from './MemoryStore.js';
+
+// Append-only JSON-lines file. Every put/delete is written as one line and the
+// file is replayed on startup; it is rewritten once it holds too many stale lines.
+class JsonLinesStore extends MemoryStore {
+  constructor(filePath, options = {}) {
+    super();
+    this.filePath = filePath;
+    this.compactThreshold = options.compactThreshold || 5000;
+    this.lineCount = 0;
+    this.load();
+  }
+
+  load() {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n');
+
+    lines.forEach((line, index) => {
+      if (!line.trim()) {
+        return;
+      }
+
+      try {
+        const entry = JSON.parse(line);
+        if (entry.op === 'del') {
+          this.records.delete(entry.id);
+        } else {
+          this.records.set(entry.record.id, entry.record);
+        }
+        this.lineCount++;
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line behind
+        console.warn(`⚠️ Skipping unreadable line ${index + 1} in ${this.filePath}: ${error.message}`);
+      }
+    });
+
+    console.log(`📂 Loaded ${this.records.size} records from ${this.filePath}`);
+  }
+
+  put(record) {
+    super.put(record);
+    this.append({ op: 'put', record });
+    return record;
+  }
+
+  delete(id) {
+    const existed = super.delete(id);
+    if (existed) {
+      this.append({ op: 'del', id });
+    }
+    return existed;
+  }
+
+  destroy() {
+    super.destroy();
+    fs.rmSync(this.filePath, { force: true });
+    this.lineCount = 0;
+  }
+
+  append(entry) {
+    fs.appendFileSync(this.filePath, JSON.stringify(entry) + '\n');
+    this.lineCount++;
+
+    if (this.lineCount > this.compactThreshold && this.lineCount > this.records.size * 2) {
+      this.compact();
+    }
+  }
+
+  compact() {
+    const tmpPath = `${this.filePath}.tmp`;
+    const content = this.values()
+      .map(record => JSON.stringify({ op: 'put', record }))
+      .join('\n');
+
+    fs.writeFileSync(tmpPath, content ? content + '\n' : '');
+    fs.renameSync(tmpPath, this.filePath);
+    this.lineCount = this.records.size;
+    console.log(`🧹 Compacted ${this.filePath} to ${this.lineCount} records`);
+  }
+}
+
+export default JsonLinesStore;
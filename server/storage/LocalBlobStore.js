@@ -0,0 +1,70 @@
+import fs from 'fs';
+import path from 'path';
+
+// Files (session backups, ...) kept as plain files under a directory. Keys may contain "/"
+// to form folders; anything that would leave the directory is refused.
+class LocalBlobStore {
+  constructor(rootDir) {
+    this.rootDir = path.resolve(rootDir);
+    this.name = `directory ${this.rootDir}`;
+  }
+
+  resolve(key) {
+    const filePath = path.resolve(this.rootDir, key);
+    if (!filePath.startsWith(this.rootDir + path.sep)) {
+      throw new Error(`Invalid key: ${key}`);
+    }
+    return filePath;
+  }
+
+  async put(key, data) {
+    const filePath = this.resolve(key);
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+
+    // Written next to the target and renamed, so a crash never leaves half a file behind
+    const tempPath = `${filePath}.tmp`;
+    await fs.promises.writeFile(tempPath, data);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  async get(key) {
+    try {
+      return await fs.promises.readFile(this.resolve(key));
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  async has(key) {
+    return fs.existsSync(this.resolve(key));
+  }
+
+  async delete(key) {
+    await fs.promises.rm(this.resolve(key), { force: true });
+  }
+
+  // [{ key, size, updatedAt }] of the files under `prefix`
+  async list(prefix = '') {
+    const dir = path.join(this.rootDir, prefix);
+    if (!fs.existsSync(dir)) {
+      return [];
+    }
+
+    return fs.readdirSync(dir, { recursive: true, withFileTypes: true })
+      .filter(entry => entry.isFile() && !entry.name.endsWith('.tmp'))
+      .map(entry => {
+        const filePath = path.join(entry.parentPath || entry.path, entry.name);
+        const stats = fs.statSync(filePath);
+        return {
+          key: path.relative(this.rootDir, filePath).split(path.sep).join('/'),
+          size: stats.size,
+          updatedAt: stats.mtime.toISOString()
+        };
+      });
+  }
+}
+
+export default LocalBlobStore;
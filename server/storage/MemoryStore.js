@@ -0,0 +1,41 @@
+class MemoryStore {
+  constructor() {
+    this.records = new Map();
+  }
+
+  get size() {
+    return this.records.size;
+  }
+
+  has(id) {
+    return this.records.has(id);
+  }
+
+  get(id) {
+    return this.records.get(id) || null;
+  }
+
+  values() {
+    return Array.from(this.records.values());
+  }
+
+  put(record) {
+    if (record.id === undefined || record.id === null) {
+      throw new Error('Record id is required');
+    }
+
+    this.records.set(record.id, record);
+    return record;
+  }
+
+  delete(id) {
+    return this.records.delete(id);
+  }
+
+  // Removes every record, and the store itself where it is persisted
+  destroy() {
+    this.records.clear();
+  }
+}
+
+export default MemoryStore;
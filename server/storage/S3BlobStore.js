@@ -0,0 +1,108 @@
+import crypto from 'crypto';
+
+const REQUEST_TIMEOUT_MS = 60 * 1000;
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// RFC 3986 encoding as AWS Signature V4 expects it
+const encodeRfc3986 = (text) => encodeURIComponent(text).replace(/[!'()*]/g, char => `%${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+// Reads <Tag>value</Tag> from every <Contents> block of a ListObjectsV2 answer
+const parseListing = (xml) => [...xml.matchAll(/<Contents>([\s\S]*?)<\/Contents>/g)].map(([, block]) => {
+  const field = (tag) => block.match(new RegExp(`<${tag}>([^<]*)</${tag}>`))?.[1];
+  return { key: field('Key'), size: parseInt(field('Size')) || 0, updatedAt: field('LastModified') || null };
+});
+
+// Files in an S3-compatible bucket (AWS S3, MinIO, Cloudflare R2, ...), addressed path-style
+// as <endpoint>/<bucket>/<prefix><key> and signed with AWS Signature V4. Needs no SDK.
+class S3BlobStore {
+  constructor({ endpoint, region, bucket, accessKeyId, secretAccessKey, prefix = '', fetch: fetchImpl }) {
+    if (!endpoint || !bucket || !accessKeyId || !secretAccessKey) {
+      throw new Error('S3 storage needs S3_ENDPOINT, S3_BUCKET, S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY');
+    }
+
+    this.endpoint = endpoint.replace(/\/+$/, '');
+    this.region = region || 'us-east-1';
+    this.bucket = bucket;
+    this.accessKeyId = accessKeyId;
+    this.secretAccessKey = secretAccessKey;
+    this.prefix = prefix;
+    this.fetch = fetchImpl || globalThis.fetch;
+    this.name = `bucket ${bucket} at ${this.endpoint}`;
+  }
+
+  async request(method, key, { body, query = {} } = {}) {
+    const url = new URL(`${this.endpoint}/${this.bucket}${key === null ? '' : `/${this.prefix}${key}`}`);
+    const canonicalPath = url.pathname.split('/').map(segment => encodeRfc3986(decodeURIComponent(segment))).join('/');
+    const canonicalQuery = Object.keys(query).sort()
+      .map(name => `${encodeRfc3986(name)}=${encodeRfc3986(query[name])}`)
+      .join('&');
+
+    const amzDate = new Date().toISOString().replace(/[-:]|\.\d{3}/g, '');
+    const date = amzDate.slice(0, 8);
+    const payloadHash = sha256(body || '');
+    const headers = { host: url.host, 'x-amz-content-sha256': payloadHash, 'x-amz-date': amzDate };
+    const signedHeaders = Object.keys(headers).sort().join(';');
+
+    const canonicalRequest = [
+      method,
+      canonicalPath,
+      canonicalQuery,
+      Object.keys(headers).sort().map(name => `${name}:${headers[name]}\n`).join(''),
+      signedHeaders,
+      payloadHash
+    ].join('\n');
+    const scope = `${date}/${this.region}/s3/aws4_request`;
+    const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+    const signingKey = ['s3', 'aws4_request'].reduce(hmac, hmac(hmac(`AWS4${this.secretAccessKey}`, date), this.region));
+    const signature = hmac(signingKey, stringToSign).toString('hex');
+
+    const { host, ...sentHeaders } = headers;
+    const response = await this.fetch(`${url.origin}${canonicalPath}${canonicalQuery ? `?${canonicalQuery}` : ''}`, {
+      method,
+      body,
+      headers: {
+        ...sentHeaders,
+        Authorization: `AWS4-HMAC-SHA256 Credential=${this.accessKeyId}/${scope}, SignedHeaders=${signedHeaders}, Signature=${signature}`
+      },
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+    });
+
+    if (!response.ok && response.status !== 404) {
+      throw new Error(`S3 answered HTTP ${response.status} for ${method} ${key ?? this.bucket}`);
+    }
+    return response;
+  }
+
+  async put(key, data) {
+    await this.request('PUT', key, { body: data });
+  }
+
+  async get(key) {
+    const response = await this.request('GET', key);
+    return response.status === 404 ? null : Buffer.from(await response.arrayBuffer());
+  }
+
+  async has(key) {
+    const response = await this.request('HEAD', key);
+    return response.status !== 404;
+  }
+
+  async delete(key) {
+    await this.request('DELETE', key);
+  }
+
+  // The first 1000 objects under `prefix`, as [{ key, size, updatedAt }]
+  async list(prefix = '') {
+    const response = await this.request('GET', null, { query: { 'list-type': '2', prefix: `${this.prefix}${prefix}` } });
+    if (response.status === 404) {
+      throw new Error(`S3 bucket ${this.bucket} does not exist`);
+    }
+
+    return parseListing(await response.text())
+      .map(object => ({ ...object, key: object.key.slice(this.prefix.length) }));
+  }
+}
+
+export default S3BlobStore;
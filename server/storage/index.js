@@ -0,0 +1,46 @@
+import path from 'path';
+import MemoryStore from './MemoryStore.js';
+import JsonLinesStore from './JsonLinesStore.js';
+import LocalBlobStore from './LocalBlobStore.js';
+import S3BlobStore from './S3BlobStore.js';
+
+const getDataDir = () => process.env.DATA_DIR || path.join(process.cwd(), 'server', 'data');
+
+// STORAGE_DRIVER selects the backend for every collection: "jsonl" (default) or "memory"
+const createStore = (name, options = {}) => {
+  const driver = options.driver || process.env.STORAGE_DRIVER || 'jsonl';
+
+  switch (driver) {
+    case 'memory':
+      return new MemoryStore();
+    case 'jsonl':
+      return new JsonLinesStore(path.join(getDataDir(), `${name}.jsonl`), options);
+    default:
+      throw new Error(`Unknown storage driver: ${driver}`);
+  }
+};
+
+// Files rather than records (session backups, ...). BLOB_STORE_DRIVER is "local" (default,
+// a folder under BLOB_STORE_DIR) or "s3" (any S3-compatible bucket); `name` becomes the
+// folder or key prefix.
+const createBlobStore = (name, options = {}) => {
+  const driver = options.driver || process.env.BLOB_STORE_DRIVER || 'local';
+
+  switch (driver) {
+    case 'local':
+      return new LocalBlobStore(path.join(process.env.BLOB_STORE_DIR || path.join(process.cwd(), 'server', 'blobs'), name));
+    case 's3':
+      return new S3BlobStore({
+        endpoint: process.env.S3_ENDPOINT,
+        region: process.env.S3_REGION,
+        bucket: process.env.S3_BUCKET,
+        accessKeyId: process.env.S3_ACCESS_KEY_ID,
+        secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+        prefix: `${process.env.S3_PREFIX || ''}${name}/`
+      });
+    default:
+      throw new Error(`Unknown blob store driver: ${driver}`);
+  }
+};
+
+export { createStore, createBlobStore, getDataDir, MemoryStore, JsonLinesStore, LocalBlobStore, S3BlobStore };
@@ -0,0 +1,281 @@
+// Template syntax (everything lives in square brackets, like the original placeholders):
+//   [PatientName]                    variable
+//   [ReportDate|date:long]           variable piped through helpers (see HELPERS)
+//   [#if Urgent]...[else]...[/if]    conditional section; [#unless X]...[/unless] is the inverse
+//   [#each Tests][Name]: [Value][/each]   loop; item fields are looked up before outer variables
+// Bracketed text that does not start with a capital letter, "#", "/" or "else" is left as is.
+
+import { ValidationError } from '../errors.js';
+import { toIntlLocale } from './locales.js';
+
+const VARIABLES = {
+  PatientName: {},
+  TestName: {},
+  ReportDate: {},
+  DoctorName: {},
+  LabName: {},
+  ReportLink: {},
+  PasswordHint: {},
+  Urgent: {},
+  Tests: { fields: ['Name', 'Value', 'Unit', 'Range', 'Flag'] }
+};
+
+const HELPERS = {
+  date: (value, style = 'medium', context) => {
+    const date = new Date(value);
+    if (!value || isNaN(date.getTime())) {
+      return value;
+    }
+    return new Intl.DateTimeFormat(context.locale, { dateStyle: style, timeZone: context.timeZone }).format(date);
+  },
+  number: (value, digits, context) => {
+    const number = Number(value);
+    if (value === '' || value === null || value === undefined || isNaN(number)) {
+      return value;
+    }
+    const fractionDigits = digits === undefined ? undefined : parseInt(digits);
+    return new Intl.NumberFormat(context.locale, {
+      minimumFractionDigits: fractionDigits,
+      maximumFractionDigits: fractionDigits
+    }).format(number);
+  },
+  upper: (value) => String(value ?? '').toUpperCase(),
+  lower: (value) => String(value ?? '').toLowerCase(),
+  default: (value, fallback = '') => (isEmpty(value) ? fallback : value)
+};
+
+const DATE_STYLES = ['full', 'long', 'medium', 'short'];
+
+// Checks a helper's argument at save time; returns an error or null
+const HELPER_ARGUMENTS = {
+  date: (style) => (style === undefined || DATE_STYLES.includes(style)
+    ? null
+    : `expects one of ${DATE_STYLES.join(', ')}`),
+  number: (digits) => (digits === undefined || (/^\d+$/.test(digits) && parseInt(digits) <= 20)
+    ? null
+    : 'expects a whole number of digits from 0 to 20')
+};
+
+const TAG_PATTERN = /\[([^[\]\n]+)\]/g;
+const VARIABLE_PATTERN = /^([A-Z][A-Za-z0-9]*)((?:\|[a-z]+(?::[^|]*)?)*)$/;
+
+class TemplateValidationError extends ValidationError {
+  constructor(errors) {
+    super(`Template is invalid: ${errors.join('; ')}`, errors);
+    this.name = 'TemplateValidationError';
+  }
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === '' ||
+  (Array.isArray(value) && value.length === 0);
+
+const isTruthy = (value) => {
+  if (typeof value === 'string') {
+    return !['', 'false', '0', 'no'].includes(value.trim().toLowerCase());
+  }
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+};
+
+const toDataKey = (name) => name.charAt(0).toLowerCase() + name.slice(1);
+
+const parseList = (value) => {
+  if (typeof value === 'string') {
+    try {
+      value = JSON.parse(value);
+    } catch {
+      return [];
+    }
+  }
+  return Array.isArray(value) ? value : [];
+};
+
+class TemplateEngine {
+  constructor(options = {}) {
+    this.variables = { ...VARIABLES, ...options.variables };
+    this.helpers = { ...HELPERS, ...options.helpers };
+    this.helperArguments = { ...HELPER_ARGUMENTS, ...options.helperArguments };
+  }
+
+  // Builds a tree of text, variable and block nodes; collects syntax errors instead of throwing
+  parse(source) {
+    const root = { type: 'root', children: [] };
+    const stack = [root];
+    const errors = [];
+    let lastIndex = 0;
+    let match;
+
+    const current = () => stack[stack.length - 1];
+    const addText = (text) => text && current().children.push({ type: 'text', text });
+
+    TAG_PATTERN.lastIndex = 0;
+    while ((match = TAG_PATTERN.exec(source)) !== null) {
+      const tag = match[1].trim();
+      addText(source.slice(lastIndex, match.index));
+      lastIndex = match.index + match[0].length;
+
+      if (tag.startsWith('#')) {
+        const [, keyword, name] = tag.match(/^#(\w+)\s+([A-Z][A-Za-z0-9]*)$/) || [];
+        if (!['if', 'unless', 'each'].includes(keyword)) {
+          errors.push(`Unknown block [${tag}]`);
+          continue;
+        }
+        const block = { type: keyword, name, children: [], alternate: null };
+        current().children.push(block);
+        stack.push(block);
+      } else if (tag === 'else') {
+        const block = current();
+        if (!['if', 'unless'].includes(block.type) || block.alternate) {
+          errors.push('[else] outside of an [#if] or [#unless] section');
+          continue;
+        }
+        block.alternate = [];
+        block.consequent = block.children;
+        block.children = block.alternate;
+      } else if (tag.startsWith('/')) {
+        const keyword = tag.slice(1);
+        if (current().type !== keyword) {
+          errors.push(`[${tag}] does not close an open [#${keyword}] section`);
+          continue;
+        }
+        const block = stack.pop();
+        if (block.alternate) {
+          block.children = block.consequent;
+        }
+      } else if (/^[A-Z]/.test(tag)) {
+        const parsed = tag.match(VARIABLE_PATTERN);
+        if (!parsed) {
+          errors.push(`Malformed placeholder [${tag}]`);
+          continue;
+        }
+        const helpers = parsed[2].split('|').filter(Boolean).map(part => {
+          const [helperName, ...args] = part.split(':');
+          return { name: helperName, arg: args.length ? args.join(':') : undefined };
+        });
+        current().children.push({ type: 'variable', name: parsed[1], helpers });
+      } else {
+        addText(match[0]);
+      }
+    }
+
+    addText(source.slice(lastIndex));
+
+    stack.slice(1).forEach(block => errors.push(`[#${block.type} ${block.name}] is never closed`));
+
+    return { ast: root, errors };
+  }
+
+  // Checks syntax, placeholder names, helper names and helper arguments without any data
+  validate(source) {
+    const { ast, errors } = this.parse(source || '');
+
+    const walk = (nodes, scopeFields) => {
+      nodes.forEach(node => {
+        const known = this.variables[node.name] || scopeFields.includes(node.name);
+
+        if (node.type === 'variable') {
+          if (!known) {
+            errors.push(`Unknown placeholder [${node.name}]`);
+          }
+          node.helpers.forEach(helper => {
+            if (!this.helpers[helper.name]) {
+              errors.push(`Unknown helper "${helper.name}" in [${node.name}]`);
+              return;
+            }
+            const argumentError = this.helperArguments[helper.name]?.(helper.arg);
+            if (argumentError) {
+              errors.push(`Helper "${helper.name}" in [${node.name}] ${argumentError}, not "${helper.arg}"`);
+            }
+          });
+        } else if (node.type !== 'text') {
+          if (!known) {
+            errors.push(`Unknown placeholder [#${node.type} ${node.name}]`);
+          }
+          const fields = node.type === 'each' ? (this.variables[node.name]?.fields || []) : scopeFields;
+          walk(node.consequent || node.children, node.type === 'each' ? fields : scopeFields);
+          if (node.alternate) {
+            walk(node.alternate, scopeFields);
+          }
+        }
+      });
+    };
+
+    walk(ast.children, []);
+    return errors;
+  }
+
+  // Renders strictly: any placeholder that is used outside a conditional or loop section and
+  // has no value (and no default helper) is reported, so "Dear , your  report" is never sent
+  render(source, data = {}, options = {}) {
+    const errors = this.validate(source);
+    if (errors.length > 0) {
+      throw new TemplateValidationError(errors);
+    }
+
+    const { ast } = this.parse(source);
+    const context = {
+      locale: toIntlLocale(options.locale),
+      timeZone: options.timeZone || process.env.LAB_TIMEZONE || 'Asia/Kolkata'
+    };
+    const missing = new Set();
+
+    const lookup = (name, scopes) => {
+      for (let i = scopes.length - 1; i >= 0; i--) {
+        const value = scopes[i][toDataKey(name)];
+        if (value !== undefined) {
+          return value;
+        }
+      }
+      return undefined;
+    };
+
+    const renderNodes = (nodes, scopes, optional) => nodes.map(node => {
+      switch (node.type) {
+        case 'text':
+          return node.text;
+        case 'variable': {
+          let value = lookup(node.name, scopes);
+          node.helpers.forEach(helper => {
+            try {
+              value = this.helpers[helper.name](value, helper.arg, context);
+            } catch (error) {
+              // Intl rejects arguments and locales it cannot use with a RangeError
+              if (error instanceof RangeError) {
+                throw new TemplateValidationError([`Helper "${helper.name}" in [${node.name}] failed: ${error.message}`]);
+              }
+              throw error;
+            }
+          });
+          if (isEmpty(value) && !optional) {
+            missing.add(node.name);
+          }
+          return isEmpty(value) ? '' : String(value);
+        }
+        case 'if':
+        case 'unless': {
+          const condition = isTruthy(lookup(node.name, scopes));
+          const branch = (node.type === 'if') === condition ? node.children : node.alternate;
+          return branch ? renderNodes(branch, scopes, true) : '';
+        }
+        case 'each':
+          return parseList(lookup(node.name, scopes))
+            .map(item => renderNodes(node.children, [...scopes, item], true))
+            .join('');
+        default:
+          return '';
+      }
+    }).join('');
+
+    const output = renderNodes(ast.children, [data], false);
+
+    if (missing.size > 0) {
+      throw new TemplateValidationError(
+        Array.from(missing).map(name => `Missing value for required placeholder [${name}]`)
+      );
+    }
+
+    return output;
+  }
+}
+
+export { TemplateEngine, TemplateValidationError, VARIABLES, HELPERS };
+export default TemplateEngine;
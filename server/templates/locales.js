@@ -0,0 +1,45 @@
+// Locales the lab sends in. Marathi is pinned to Latin digits so report values and dates
+// read the same as on the printed report.
+const INTL_LOCALES = {
+  en: 'en-IN',
+  hi: 'hi-IN',
+  mr: 'mr-IN-u-nu-latn'
+};
+
+// ISO 639-2 codes (HL7 PID-15) and language names (FHIR `language.text`) for the locales above
+const LANGUAGE_ALIASES = {
+  eng: 'en', english: 'en',
+  hin: 'hi', hindi: 'hi',
+  mar: 'mr', marathi: 'mr'
+};
+
+const getDefaultLocale = () => {
+  const locale = normalizeLocale(process.env.DEFAULT_LOCALE);
+  return isSupportedLocale(locale) ? locale : 'en';
+};
+
+// "hi-IN", "HI" and "hi_IN" all select the "hi" variant
+const normalizeLocale = (locale) => {
+  if (!locale || typeof locale !== 'string') {
+    return null;
+  }
+  return locale.trim().toLowerCase().split(/[-_]/)[0] || null;
+};
+
+const isSupportedLocale = (locale) => Object.hasOwn(INTL_LOCALES, normalizeLocale(locale));
+
+// Locale for a language a LIS or HIS reports; null for languages without a variant, so the
+// message goes out in the default locale instead of being rejected
+const toTemplateLocale = (code) => {
+  const language = normalizeLocale(code);
+  const locale = LANGUAGE_ALIASES[language] || language;
+  return isSupportedLocale(locale) ? locale : null;
+};
+
+// Unknown languages format like the default locale; Intl would throw on some of them
+const toIntlLocale = (locale) => {
+  const language = normalizeLocale(locale);
+  return INTL_LOCALES[isSupportedLocale(language) ? language : getDefaultLocale()] || INTL_LOCALES.en;
+};
+
+export { INTL_LOCALES, getDefaultLocale, normalizeLocale, isSupportedLocale, toTemplateLocale, toIntlLocale };
@@ -0,0 +1,69 @@
+// Minimal RFC 4180 CSV support: quoted fields, escaped quotes, CRLF and a UTF-8 BOM
+
+const parseCsv = (text) => {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+  const input = text.replace(/^\uFEFF/, '');
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (inQuotes) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && input[i + 1] === '\n') {
+        i++;
+      }
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...records] = rows.filter(r => r.some(value => value.trim() !== ''));
+  const columns = header.map(column => column.trim());
+
+  return records.map(record => Object.fromEntries(
+    columns.map((column, index) => [column, (record[index] ?? '').trim()])
+  ));
+};
+
+// Cells a spreadsheet would run as a formula get a leading quote; numbers such as +9198...
+// are left alone
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+const NUMBER = /^[+-]?\d+(\.\d+)?$/;
+
+const escapeCsvValue = (value) => {
+  const raw = value === undefined || value === null ? '' : String(value);
+  const text = FORMULA_PREFIX.test(raw) && !NUMBER.test(raw) ? `'${raw}` : raw;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (records, columns) => [
+  columns.map(escapeCsvValue).join(','),
+  ...records.map(record => columns.map(column => escapeCsvValue(record[column])).join(','))
+].join('\r\n') + '\r\n';
+
+export { parseCsv, toCsv };
@@ -0,0 +1,93 @@
+// Passphrase-based encryption for files that leave the server (session backups): AES-256-GCM
+// with a key derived by scrypt from the passphrase and a random salt. The output is
+//   MAGIC (6 bytes) | salt (16) | iv (12) | auth tag (16) | ciphertext
+// so a wrong passphrase or a damaged file is detected instead of producing garbage. scrypt
+// runs on the thread pool, so encrypting or decrypting does not hold up other requests.
+//
+// Files kept on the server (stored reports) use a 32-byte key instead, which skips the slow
+// key derivation for every file:
+//   KEY_MAGIC (6 bytes) | iv (12) | auth tag (16) | ciphertext
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+
+const MAGIC = Buffer.from('LWENC1');
+const SALT_BYTES = 16;
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const HEADER_BYTES = MAGIC.length + SALT_BYTES + IV_BYTES + TAG_BYTES;
+const KEY_MAGIC = Buffer.from('LWKEY1');
+const KEY_BYTES = 32;
+
+const scrypt = promisify(crypto.scrypt);
+
+const deriveKey = (passphrase, salt) => scrypt(passphrase, salt, 32);
+
+const encrypt = async (plaintext, passphrase) => {
+  const salt = crypto.randomBytes(SALT_BYTES);
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', await deriveKey(passphrase, salt), iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return Buffer.concat([MAGIC, salt, iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const isEncrypted = (data) => data.length >= HEADER_BYTES && data.subarray(0, MAGIC.length).equals(MAGIC);
+
+// Throws for data that is not ours, a wrong passphrase or tampered data
+const decrypt = async (data, passphrase) => {
+  if (!isEncrypted(data)) {
+    throw new Error('Not an encrypted archive');
+  }
+
+  let offset = MAGIC.length;
+  const salt = data.subarray(offset, offset += SALT_BYTES);
+  const iv = data.subarray(offset, offset += IV_BYTES);
+  const tag = data.subarray(offset, offset += TAG_BYTES);
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', await deriveKey(passphrase, salt), iv);
+  decipher.setAuthTag(tag);
+
+  try {
+    return Buffer.concat([decipher.update(data.subarray(offset)), decipher.final()]);
+  } catch {
+    throw new Error('Wrong passphrase, or the archive is damaged');
+  }
+};
+
+const assertKey = (key) => {
+  if (!Buffer.isBuffer(key) || key.length !== KEY_BYTES) {
+    throw new Error(`The encryption key must be ${KEY_BYTES} bytes`);
+  }
+};
+
+const encryptWithKey = (plaintext, key) => {
+  assertKey(key);
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+
+  return Buffer.concat([KEY_MAGIC, iv, cipher.getAuthTag(), ciphertext]);
+};
+
+const decryptWithKey = (data, key) => {
+  assertKey(key);
+  if (data.length < KEY_MAGIC.length + IV_BYTES + TAG_BYTES || !data.subarray(0, KEY_MAGIC.length).equals(KEY_MAGIC)) {
+    throw new Error('Not an encrypted file');
+  }
+
+  let offset = KEY_MAGIC.length;
+  const iv = data.subarray(offset, offset += IV_BYTES);
+  const tag = data.subarray(offset, offset += TAG_BYTES);
+
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+  decipher.setAuthTag(tag);
+
+  try {
+    return Buffer.concat([decipher.update(data.subarray(offset)), decipher.final()]);
+  } catch {
+    throw new Error('Wrong key, or the file is damaged');
+  }
+};
+
+export { encrypt, decrypt, isEncrypted, encryptWithKey, decryptWithKey, KEY_BYTES };
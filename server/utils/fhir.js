@@ -0,0 +1,207 @@
+// Reader for FHIR R4 lab results: a Bundle (collection, message, document, ...) holding
+// DiagnosticReport, Patient, Observation and Practitioner resources, or a single
+// DiagnosticReport with its Patient in `contained`. The result has the same shape as the
+// HL7 reader's (see hl7.js); problems are { code, message, location } entries with a
+// FHIRPath-like location such as "Patient.telecom".
+
+import { ABNORMAL_FLAGS, CRITICAL_FLAGS } from './resultFlags.js';
+import { toTemplateLocale } from '../templates/locales.js';
+
+const FINAL_STATUSES = ['final', 'amended', 'corrected', 'appended'];
+
+const issue = (code, message, location) => ({ code, message, ...(location && { location }) });
+
+const codeText = (concept) => concept?.text || concept?.coding?.find(coding => coding.display)?.display || concept?.coding?.[0]?.code || null;
+
+// Resolves "Patient/123", a bundle fullUrl ("urn:uuid:...") or a contained "#id"
+const createResolver = (resources, fullUrls) => (reference, container) => {
+  const target = reference?.reference;
+  if (!target) {
+    return null;
+  }
+  if (target.startsWith('#')) {
+    return (container?.contained || []).find(resource => resource.id === target.slice(1)) || null;
+  }
+  return fullUrls.get(target) ||
+    resources.find(resource => `${resource.resourceType}/${resource.id}` === target || target.endsWith(`/${resource.resourceType}/${resource.id}`)) ||
+    null;
+};
+
+const humanName = (names = []) => {
+  const name = names.find(entry => entry.use === 'official') || names.find(entry => entry.use !== 'old') || names[0];
+  if (!name) {
+    return null;
+  }
+  return name.text || [...(name.prefix || []), ...(name.given || []), name.family].filter(Boolean).join(' ').trim() || null;
+};
+
+// A mobile number first: WhatsApp cannot reach landlines
+const pickPhone = (telecom = []) => {
+  const phones = telecom.filter(entry => ['phone', 'sms'].includes(entry.system) && entry.value && !entry.period?.end);
+  return (phones.find(entry => entry.use === 'mobile' || entry.system === 'sms') || phones.find(entry => entry.use !== 'work') || phones[0])?.value || null;
+};
+
+const pickLanguage = (communication = []) => {
+  const entry = communication.find(item => item.preferred) || communication[0];
+  return entry ? toTemplateLocale(entry.language?.coding?.[0]?.code || entry.language?.text) : null;
+};
+
+const formatValue = (observation) => {
+  if (observation.valueQuantity) {
+    return { value: String(observation.valueQuantity.value ?? ''), unit: observation.valueQuantity.unit || observation.valueQuantity.code || '' };
+  }
+  if (observation.valueCodeableConcept) {
+    return { value: codeText(observation.valueCodeableConcept) || '', unit: '' };
+  }
+
+  const value = ['valueString', 'valueInteger', 'valueBoolean', 'valueDateTime']
+    .map(key => observation[key])
+    .find(candidate => candidate !== undefined);
+  return { value: value === undefined ? '' : String(value), unit: '' };
+};
+
+const formatRange = ([range] = []) => {
+  if (!range) {
+    return '';
+  }
+  if (range.text) {
+    return range.text;
+  }
+  return [range.low?.value, range.high?.value].filter(value => value !== undefined).join(' - ');
+};
+
+// Panels keep their results in hasMember; one level is expanded
+const collectObservations = (report, resolve) => report.result
+  ?.map(reference => resolve(reference, report))
+  .filter(resource => resource?.resourceType === 'Observation')
+  .flatMap(observation => (observation.hasMember?.length && !formatValue(observation).value)
+    ? observation.hasMember.map(reference => resolve(reference, report)).filter(resource => resource?.resourceType === 'Observation')
+    : [observation])
+  .map(observation => {
+    const flag = observation.interpretation?.[0]?.coding?.[0]?.code || '';
+    return {
+      name: codeText(observation.code),
+      ...formatValue(observation),
+      range: formatRange(observation.referenceRange),
+      flag,
+      abnormal: ABNORMAL_FLAGS.includes(flag.toUpperCase()),
+      critical: CRITICAL_FLAGS.includes(flag.toUpperCase())
+    };
+  }) || [];
+
+const practitionerName = (report, resolve) => {
+  const references = [...(report.resultsInterpreter || []), ...(report.performer || [])];
+  for (const reference of references) {
+    const resource = resolve(reference, report);
+    if (resource?.resourceType === 'Practitioner') {
+      return humanName(resource.name);
+    }
+    if (!resource && reference.display && !reference.reference?.startsWith('Organization')) {
+      return reference.display;
+    }
+  }
+  return null;
+};
+
+// Returns { result, errors }: result is null whenever errors is not empty
+const parseDiagnosticReport = (input) => {
+  let document = input;
+  if (typeof input === 'string' || Buffer.isBuffer(input)) {
+    try {
+      document = JSON.parse(String(input));
+    } catch (error) {
+      return { result: null, errors: [issue('invalid-json', `The request body is not valid JSON: ${error.message}`)] };
+    }
+  }
+
+  if (!document || !['Bundle', 'DiagnosticReport'].includes(document.resourceType)) {
+    return { result: null, errors: [issue('unsupported-resource', `Expected a Bundle or DiagnosticReport, got ${document?.resourceType || 'none'}`, 'resourceType')] };
+  }
+
+  const entries = document.resourceType === 'Bundle' ? (document.entry || []) : [{ resource: document }];
+  const resources = entries.map(entry => entry.resource).filter(Boolean);
+  const fullUrls = new Map(entries.filter(entry => entry.fullUrl && entry.resource).map(entry => [entry.fullUrl, entry.resource]));
+  const resolve = createResolver(resources, fullUrls);
+
+  const reports = resources.filter(resource => resource.resourceType === 'DiagnosticReport');
+  if (reports.length === 0) {
+    return { result: null, errors: [issue('missing-resource', 'The bundle has no DiagnosticReport', 'Bundle.entry')] };
+  }
+
+  const errors = [];
+  const patients = new Map();
+  reports.forEach(report => {
+    const patient = resolve(report.subject, report);
+    if (patient?.resourceType === 'Patient') {
+      patients.set(patient.id || patient, patient);
+    }
+    if (!FINAL_STATUSES.includes(report.status)) {
+      errors.push(issue('not-final', `Report status ${report.status || 'none'} is not final`, 'DiagnosticReport.status'));
+    }
+  });
+
+  // Without a Patient resource in the bundle, fall back to a single Patient entry
+  if (patients.size === 0) {
+    resources.filter(resource => resource.resourceType === 'Patient').forEach(patient => patients.set(patient.id || patient, patient));
+  }
+
+  const [patient] = patients.values();
+  if (!patient) {
+    errors.push(issue('missing-resource', 'The DiagnosticReport subject must be a Patient included in the request', 'DiagnosticReport.subject'));
+  } else if (patients.size > 1) {
+    errors.push(issue('multiple-patients', 'Send one patient per request', 'DiagnosticReport.subject'));
+  }
+
+  const patientName = patient ? humanName(patient.name) : null;
+  const phoneNumber = patient ? pickPhone(patient.telecom) : null;
+  if (patient && !patientName) {
+    errors.push(issue('missing-field', 'The patient name is required', 'Patient.name'));
+  }
+  if (patient && !phoneNumber) {
+    errors.push(issue('missing-field', 'No telephone number for the patient', 'Patient.telecom'));
+  }
+
+  const orders = reports.map(report => ({
+    testName: codeText(report.code),
+    reference: report.identifier?.[0]?.value || report.id || null,
+    observedAt: report.effectiveDateTime || report.effectivePeriod?.start || report.issued || null,
+    doctorName: practitionerName(report, resolve),
+    observations: collectObservations(report, resolve)
+  }));
+  if (!orders.some(order => order.testName)) {
+    errors.push(issue('missing-field', 'The test name is required', 'DiagnosticReport.code'));
+  }
+
+  let pdf = null;
+  const form = reports.flatMap(report => report.presentedForm || []).find(attachment => /^application\/pdf/i.test(attachment.contentType || ''));
+  if (form?.data) {
+    pdf = Buffer.from(form.data, 'base64');
+    if (pdf.subarray(0, 5).toString('latin1') !== '%PDF-') {
+      errors.push(issue('invalid-attachment', 'The presented form is not a PDF', 'DiagnosticReport.presentedForm'));
+      pdf = null;
+    }
+  }
+
+  if (errors.length > 0) {
+    return { result: null, errors };
+  }
+
+  return {
+    result: {
+      format: 'fhir',
+      sourceId: (document.resourceType === 'Bundle' ? document.identifier?.value : null) || document.id || null,
+      patient: {
+        id: patient.identifier?.[0]?.value || patient.id || null,
+        name: patientName,
+        phoneNumber,
+        language: pickLanguage(patient.communication),
+        dateOfBirth: /^\d{4}-\d{2}-\d{2}$/.test(patient.birthDate || '') ? patient.birthDate : null
+      },
+      orders,
+      pdf
+    },
+    errors: []
+  };
+};
+
+export { parseDiagnosticReport };
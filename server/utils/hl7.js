@@ -0,0 +1,265 @@
+// Reader for HL7 v2 ORU^R01 (observation result) messages. Only the fields needed to notify
+// a patient are extracted: PID (name, phone, language, date of birth), OBR (test, ordering
+// doctor, status) and OBX (results with abnormal flags, and an encapsulated PDF in an ED value).
+//
+// Problems are collected as { code, message, location } entries (location is e.g. "PID-13")
+// and returned together, so the sender sees everything that is wrong with a message at once.
+
+import { ABNORMAL_FLAGS, CRITICAL_FLAGS } from './resultFlags.js';
+import { toTemplateLocale } from '../templates/locales.js';
+
+// OBR-25 result statuses a report-ready notification is sent for (final, corrected)
+const FINAL_STATUSES = ['F', 'C'];
+
+const issue = (code, message, location) => ({ code, message, ...(location && { location }) });
+
+const splitSegments = (text) => text.split(/\r\n|\r|\n/).map(line => line.trim()).filter(Boolean);
+
+// HL7 timestamps (YYYYMMDD[HHMM[SS]][+ZZZZ]) as ISO 8601
+const toIsoDate = (value) => {
+  const match = /^(\d{4})(\d{2})(\d{2})(?:(\d{2})(\d{2})(\d{2})?)?(?:\.\d+)?([+-]\d{4})?$/.exec(value || '');
+  if (!match) {
+    return value || null;
+  }
+
+  const [, year, month, day, hour, minute, second = '00', offset] = match;
+  const date = `${year}-${month}-${day}`;
+  if (!hour) {
+    return date;
+  }
+  return `${date}T${hour}:${minute}:${second}${offset ? `${offset.slice(0, 3)}:${offset.slice(3)}` : ''}`;
+};
+
+class Hl7Message {
+  constructor(text) {
+    this.segments = splitSegments(text);
+    const header = this.segments[0] || '';
+
+    this.fieldSeparator = header[3];
+    const encoding = header.slice(4).split(this.fieldSeparator)[0] || '';
+    [this.componentSeparator, this.repetitionSeparator, this.escapeCharacter, this.subcomponentSeparator] = encoding;
+  }
+
+  get isValid() {
+    return this.segments.length > 0 && this.segments[0].startsWith('MSH') &&
+      !!this.fieldSeparator && !!this.componentSeparator && !!this.repetitionSeparator;
+  }
+
+  all(name) {
+    return this.segments
+      .filter(segment => segment.startsWith(`${name}${this.fieldSeparator}`))
+      .map(segment => segment.split(this.fieldSeparator));
+  }
+
+  first(name) {
+    return this.all(name)[0] || null;
+  }
+
+  // Field n of a split segment; MSH-1 is the separator itself, so MSH fields are shifted by one
+  field(segment, n) {
+    if (!segment) {
+      return '';
+    }
+    return (segment[0] === 'MSH' ? segment[n - 1] : segment[n]) || '';
+  }
+
+  repetitions(value) {
+    return value ? value.split(this.repetitionSeparator) : [];
+  }
+
+  components(value) {
+    return (value || '').split(this.componentSeparator).map(component => this.unescape(component));
+  }
+
+  unescape(value) {
+    const esc = this.escapeCharacter;
+    if (!esc || !value.includes(esc)) {
+      return value;
+    }
+
+    const pattern = new RegExp(`\\${esc}(F|S|T|R|E|\\.br|X[0-9A-Fa-f]+)\\${esc}`, 'g');
+    return value.replace(pattern, (match, sequence) => {
+      switch (sequence) {
+        case 'F': return this.fieldSeparator;
+        case 'S': return this.componentSeparator;
+        case 'T': return this.subcomponentSeparator;
+        case 'R': return this.repetitionSeparator;
+        case 'E': return esc;
+        case '.br': return '\n';
+        default: return Buffer.from(sequence.slice(1), 'hex').toString('latin1');
+      }
+    });
+  }
+}
+
+// "Family^Given^Middle^Suffix^Prefix" (XPN) as "Given Middle Family"
+const personName = (components, offset = 0) => {
+  const [family, given, middle, , prefix] = components.slice(offset);
+  return [prefix, given, middle, family].filter(Boolean).join(' ').trim() || null;
+};
+
+// The number to message from PID-13/PID-14 (XTN): a cell phone first, then any telephone
+const pickPhone = (message, pid) => {
+  const numbers = [...message.repetitions(message.field(pid, 13)), ...message.repetitions(message.field(pid, 14))]
+    .map(value => message.components(value))
+    .map(([legacy, use, equipment, , country, area, local, , , , , unformatted]) => ({
+      equipment: (equipment || '').toUpperCase(),
+      use: (use || '').toUpperCase(),
+      number: unformatted || (local ? `${country ? `+${country.replace(/^\+/, '')}` : ''}${area || ''}${local}` : legacy)
+    }))
+    .filter(entry => entry.number && entry.use !== 'NET' && !['FX', 'INTERNET', 'X.400', 'BP'].includes(entry.equipment));
+
+  return (numbers.find(entry => entry.equipment === 'CP') || numbers[0])?.number || null;
+};
+
+// ED value: source^type^subtype^encoding^data
+const extractPdf = (message, components, location, issues) => {
+  const [, type, subtype, encoding, data] = components;
+  const isPdf = [type, subtype].some(part => (part || '').toLowerCase() === 'pdf');
+  if (!isPdf) {
+    return null;
+  }
+  if ((encoding || '').toLowerCase() !== 'base64' || !data) {
+    issues.push(issue('invalid-attachment', 'The embedded PDF must be Base64 encoded', location));
+    return null;
+  }
+
+  const buffer = Buffer.from(data.replace(/\s+/g, ''), 'base64');
+  if (buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    issues.push(issue('invalid-attachment', 'The embedded data is not a PDF', location));
+    return null;
+  }
+  return buffer;
+};
+
+// Returns { result, errors }: result is null whenever errors is not empty
+const parseOru = (text) => {
+  if (typeof text !== 'string' || !text.trim()) {
+    return { result: null, errors: [issue('empty-message', 'The request body must be an HL7 v2 message')] };
+  }
+
+  const message = new Hl7Message(text);
+  if (!message.isValid) {
+    return { result: null, errors: [issue('invalid-header', 'The message must start with an MSH segment and its encoding characters', 'MSH')] };
+  }
+
+  const errors = [];
+  const msh = message.first('MSH');
+  const [type, trigger] = message.components(message.field(msh, 9));
+  if (type !== 'ORU' || trigger !== 'R01') {
+    errors.push(issue('unsupported-message-type', `Expected an ORU^R01 message, got ${[type, trigger].filter(Boolean).join('^') || 'none'}`, 'MSH-9'));
+  }
+
+  const pids = message.all('PID');
+  const pid = pids[0];
+  if (!pid) {
+    errors.push(issue('missing-segment', 'The PID segment is required', 'PID'));
+  } else if (pids.length > 1) {
+    errors.push(issue('multiple-patients', 'Send one patient per message', 'PID'));
+  }
+
+  const patientName = pid ? personName(message.components(message.repetitions(message.field(pid, 5))[0])) : null;
+  const phoneNumber = pid ? pickPhone(message, pid) : null;
+  if (pid && !patientName) {
+    errors.push(issue('missing-field', 'The patient name is required', 'PID-5'));
+  }
+  if (pid && !phoneNumber) {
+    errors.push(issue('missing-field', 'No telephone number for the patient', 'PID-13'));
+  }
+
+  // OBX segments belong to the OBR before them
+  const orders = [];
+  let pdf = null;
+  message.segments.forEach((line, index) => {
+    const segment = line.split(message.fieldSeparator);
+    const location = `${segment[0]}[${index + 1}]`;
+
+    if (segment[0] === 'OBR') {
+      const [code, name] = message.components(message.field(segment, 4));
+      const status = message.field(segment, 25);
+      if (status && !FINAL_STATUSES.includes(status)) {
+        errors.push(issue('not-final', `Result status ${status} is not final`, `${location} OBR-25`));
+      }
+      orders.push({
+        testName: name || code || null,
+        reference: message.components(message.field(segment, 3))[0] || message.components(message.field(segment, 2))[0] || null,
+        observedAt: toIsoDate(message.field(segment, 22) || message.field(segment, 7)),
+        doctorName: personName(message.components(message.repetitions(message.field(segment, 16))[0]), 1),
+        observations: []
+      });
+    } else if (segment[0] === 'OBX') {
+      const valueType = message.field(segment, 2);
+      const value = message.field(segment, 5);
+
+      if (valueType === 'ED') {
+        pdf = pdf || extractPdf(message, value.split(message.componentSeparator), `${location} OBX-5`, errors);
+        return;
+      }
+      if (!orders.length) {
+        errors.push(issue('missing-segment', 'OBX segments must follow an OBR segment', location));
+        return;
+      }
+
+      const [code, name] = message.components(message.field(segment, 3));
+      const flag = message.repetitions(message.field(segment, 8)).find(Boolean) || '';
+      const components = message.components(value);
+      orders[orders.length - 1].observations.push({
+        name: name || code,
+        value: ['CE', 'CWE'].includes(valueType) ? (components[1] || components[0]) : components.join(' ').trim(),
+        unit: message.components(message.field(segment, 6))[0] || '',
+        range: message.components(message.field(segment, 7)).join(' ').trim(),
+        flag,
+        abnormal: ABNORMAL_FLAGS.includes(flag.toUpperCase()),
+        critical: CRITICAL_FLAGS.includes(flag.toUpperCase())
+      });
+    }
+  });
+
+  if (orders.length === 0) {
+    errors.push(issue('missing-segment', 'At least one OBR segment is required', 'OBR'));
+  } else if (!orders.some(order => order.testName)) {
+    errors.push(issue('missing-field', 'The test name is required', 'OBR-4'));
+  }
+
+  if (errors.length > 0) {
+    return { result: null, errors };
+  }
+
+  const languageCode = message.components(message.field(pid, 15))[0];
+  // PID-7 is YYYYMMDD[HHMM]; a partial date (year only) cannot be checked against
+  const birthDate = (message.components(message.field(pid, 7))[0] || '').match(/^\d{8}/)?.[0];
+  return {
+    result: {
+      format: 'hl7',
+      sourceId: message.field(msh, 10) || null,
+      patient: {
+        id: message.components(message.field(pid, 3))[0] || null,
+        name: patientName,
+        phoneNumber,
+        language: toTemplateLocale(languageCode),
+        dateOfBirth: birthDate ? `${birthDate.slice(0, 4)}-${birthDate.slice(4, 6)}-${birthDate.slice(6, 8)}` : null
+      },
+      orders,
+      pdf
+    },
+    errors: []
+  };
+};
+
+// HL7 acknowledgement for the sender: AA (accepted), AE (error) or AR (rejected)
+const buildAck = (text, ackCode, detail = '') => {
+  const message = new Hl7Message(typeof text === 'string' ? text : '');
+  const separator = message.isValid ? message.fieldSeparator : '|';
+  const encoding = message.isValid ? `${message.componentSeparator}${message.repetitionSeparator}${message.escapeCharacter || '\\'}${message.subcomponentSeparator || '&'}` : '^~\\&';
+  const msh = message.isValid ? message.first('MSH') : null;
+  const now = new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14);
+  const field = (n) => message.isValid ? message.field(msh, n) : '';
+  const clean = detail.replace(/[|^~\\&\r\n]/g, ' ').slice(0, 200);
+
+  return [
+    ['MSH', encoding, field(5), field(6), field(3), field(4), now, '', 'ACK^R01^ACK', `ACK${Date.now()}`, 'P', field(12) || '2.5'].join(separator),
+    ['MSA', ackCode, field(10), clean].join(separator)
+  ].join('\r');
+};
+
+export { parseOru, buildAck, toIsoDate };
@@ -0,0 +1,56 @@
+// Row lists uploaded for batches and consent imports: a JSON array, or CSV/JSON file
+// contents. Keys are matched case-insensitively against each field's aliases (CSV headers
+// or JSON keys). A JSON entry that is not an object becomes a row with only `rowError`, so
+// it is reported with the other row errors instead of failing the whole upload.
+
+import { ValidationError } from '../errors.js';
+import { parseCsv } from './csv.js';
+
+const describeType = (value) => value === null ? 'null' : Array.isArray(value) ? 'an array' : typeof value;
+
+const normalizeRow = (raw, aliases, entry) => {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    return { rowError: `Expected an object of ${entry} fields, got ${describeType(raw)}` };
+  }
+
+  const lowerCased = Object.fromEntries(
+    Object.entries(raw).map(([key, value]) => [key.trim().toLowerCase(), value])
+  );
+
+  return Object.fromEntries(Object.entries(aliases).map(([field, names]) => {
+    const alias = names.find(name => lowerCased[name.toLowerCase()] !== undefined);
+    const value = alias ? lowerCased[alias.toLowerCase()] : undefined;
+    return [field, typeof value === 'string' ? value.trim() : value];
+  }));
+};
+
+// `label` names the list in errors ("Recipients", "Consent"), `entry` one row ("recipient")
+const parseImportRows = ({ rows, fileBuffer, fileName }, { aliases, label, entry }) => {
+  const normalize = (raw) => normalizeRow(raw, aliases, entry);
+  if (Array.isArray(rows)) {
+    return rows.map(normalize);
+  }
+
+  const text = fileBuffer ? fileBuffer.toString('utf8') : rows;
+  if (!text || typeof text !== 'string') {
+    throw new ValidationError(`A ${label.toLowerCase()} list (CSV or JSON) is required`);
+  }
+
+  const isJson = fileName ? fileName.toLowerCase().endsWith('.json') : text.trim().startsWith('[');
+  if (!isJson) {
+    return parseCsv(text).map(normalize);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (error) {
+    throw new ValidationError(`${label} JSON is invalid: ${error.message}`);
+  }
+  if (!Array.isArray(parsed)) {
+    throw new ValidationError(`${label} JSON is invalid: expected an array of ${entry}s`);
+  }
+  return parsed.map(normalize);
+};
+
+export { parseImportRows };
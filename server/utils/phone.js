@@ -0,0 +1,30 @@
+// E.164 phone number handling. Numbers without a country code get DEFAULT_COUNTRY_CODE
+// (91, India, unless configured), so "98765 43210" and "098765 43210" become +919876543210.
+
+import { parsePhoneNumberFromString } from 'libphonenumber-js/max';
+
+const getDefaultCountryCode = () => (process.env.DEFAULT_COUNTRY_CODE || '91').replace(/\D/g, '');
+
+// Returns { e164, country } for a valid number, or null
+const parsePhoneNumber = (input, defaultCountryCode = getDefaultCountryCode()) => {
+  if (input === undefined || input === null) {
+    return null;
+  }
+
+  // "00" is the international call prefix in most countries
+  const text = String(input).trim().replace(/^00/, '+');
+  const parsed = parsePhoneNumberFromString(text, { defaultCallingCode: defaultCountryCode });
+
+  if (!parsed || !parsed.isValid()) {
+    return null;
+  }
+
+  return { e164: parsed.number, country: parsed.country || null };
+};
+
+const normalizePhoneNumber = (input, defaultCountryCode) => parsePhoneNumber(input, defaultCountryCode)?.e164 || null;
+
+// WhatsApp ids use the digits of the E.164 number without the "+"
+const toWhatsAppNumber = (e164) => e164.replace(/^\+/, '');
+
+export { getDefaultCountryCode, parsePhoneNumber, normalizePhoneNumber, toWhatsAppNumber };
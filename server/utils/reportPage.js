@@ -0,0 +1,88 @@
+// The page a patient sees when opening a report link (see ReportLinkService). Plain HTML with
+// inline styles and no scripts, so it works on any phone browser. Forms post to the link's
+// own URL (under PUBLIC_BASE_URL), whichever of its pages showed them.
+
+const escapeHtml = (value) => String(value ?? '').replace(/[&<>"']/g, char => ({
+  '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+})[char]);
+
+const STYLE = `
+  body { margin: 0; font-family: -apple-system, "Segoe UI", Roboto, sans-serif; background: #f3f4f6; color: #111827; }
+  main { max-width: 420px; margin: 40px auto; padding: 24px; background: #fff; border-radius: 8px; box-shadow: 0 1px 3px rgba(0,0,0,.1); }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  p { font-size: 14px; line-height: 1.5; color: #4b5563; }
+  label { display: block; font-size: 14px; margin: 16px 0 6px; }
+  input { width: 100%; box-sizing: border-box; padding: 10px; font-size: 16px; border: 1px solid #d1d5db; border-radius: 6px; }
+  button, a.button { display: block; width: 100%; box-sizing: border-box; margin-top: 16px; padding: 12px; font-size: 16px; text-align: center; text-decoration: none; color: #fff; background: #16a34a; border: 0; border-radius: 6px; }
+  button.secondary { color: #16a34a; background: #fff; border: 1px solid #16a34a; }
+  .error { padding: 10px; color: #991b1b; background: #fee2e2; border-radius: 6px; }
+  .notice { padding: 10px; color: #166534; background: #dcfce7; border-radius: 6px; }
+  .meta { font-size: 12px; color: #6b7280; }
+`;
+
+const layout = (labName, content) => `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<meta name="robots" content="noindex, nofollow">
+<title>${escapeHtml(labName)} - Your report</title>
+<style>${STYLE}</style>
+</head>
+<body>
+<main>
+<h1>${escapeHtml(labName)}</h1>
+${content}
+</main>
+</body>
+</html>`;
+
+const formatExpiry = (expiresAt) => new Intl.DateTimeFormat('en-GB', {
+  dateStyle: 'medium',
+  timeStyle: 'short',
+  timeZone: process.env.LAB_TIMEZONE || 'Asia/Kolkata'
+}).format(new Date(expiresAt));
+
+// `link`, `report` and `codeSent` ({ phoneHint } while a one-time code is valid) come from
+// ReportLinkService.describe; `error` and `notice` are shown above the form
+const renderReportPage = ({ labName, url, link, report, codeSent = null, error = null, notice = null }) => {
+  const target = escapeHtml(url);
+  const parts = [
+    `<p>Your report <strong>${escapeHtml(report.fileName)}</strong> is ready.</p>`,
+    error && `<p class="error">${escapeHtml(error)}</p>`,
+    notice && `<p class="notice">${escapeHtml(notice)}</p>`
+  ];
+
+  if (link.protection === 'dob') {
+    parts.push(`<form method="post" action="${target}/download">
+<label for="dateOfBirth">Please enter your date of birth</label>
+<input id="dateOfBirth" name="dateOfBirth" type="date" required>
+<button type="submit">Download report</button>
+</form>`);
+  } else if (link.protection === 'otp' && !codeSent) {
+    parts.push(`<p>To keep your report private, we will send a one-time code to your WhatsApp number.</p>
+<form method="post" action="${target}/code">
+<button type="submit">Send me a code</button>
+</form>`);
+  } else if (link.protection === 'otp') {
+    parts.push(`<p>We sent a code to your WhatsApp number ending in ${escapeHtml(codeSent.phoneHint)}.</p>
+<form method="post" action="${target}/download">
+<label for="code">Code</label>
+<input id="code" name="code" inputmode="numeric" autocomplete="one-time-code" pattern="[0-9]{6}" maxlength="6" required>
+<button type="submit">Download report</button>
+</form>
+<form method="post" action="${target}/code">
+<button type="submit" class="secondary">Send a new code</button>
+</form>`);
+  } else {
+    parts.push(`<a class="button" href="${target}/download">Download report</a>`);
+  }
+
+  parts.push(`<p class="meta">This link expires on ${escapeHtml(formatExpiry(link.expiresAt))}. Do not forward it to anyone.</p>`);
+  return layout(labName, parts.filter(Boolean).join('\n'));
+};
+
+const renderReportError = ({ labName, message }) => layout(labName, `<p class="error">${escapeHtml(message)}</p>
+<p>Please contact the lab if you need your report again.</p>`);
+
+export { renderReportPage, renderReportError, escapeHtml };
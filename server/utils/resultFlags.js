@@ -0,0 +1,8 @@
+// Abnormal flags shared by the HL7 v2 (table 0078) and FHIR (ObservationInterpretation)
+// readers. Any abnormal result sends the urgent template; critical ones jump the queue.
+
+const CRITICAL_FLAGS = ['LL', 'HH', 'AA', 'LU', 'HU'];
+
+const ABNORMAL_FLAGS = [...CRITICAL_FLAGS, 'L', 'H', 'A', '<', '>', 'POS', 'DET', 'HX', 'LX'];
+
+export { ABNORMAL_FLAGS, CRITICAL_FLAGS };
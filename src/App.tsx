@@ -5,7 +5,32 @@ import QRCodeDisplay from './components/QRCodeDisplay';
 import MessageForm from './components/MessageForm';
 import MessageHistory from './components/MessageHistory';
 import StatusBar from './components/StatusBar';
-import { Activity, MessageCircle, FileText, Settings } from 'lucide-react';
+import TemplateManager from './components/TemplateManager';
+import BatchUpload from './components/BatchUpload';
+import ScheduledMessages from './components/ScheduledMessages';
+import SendingSettings from './components/SendingSettings';
+import AutoReplySettings from './components/AutoReplySettings';
+import WebhookSettings from './components/WebhookSettings';
+import LimsSettings from './components/LimsSettings';
+import Inbox from './components/Inbox';
+import LoginForm from './components/LoginForm';
+import AccountSettings from './components/AccountSettings';
+import AccessSettings from './components/AccessSettings';
+import { API_BASE_URL, apiFetch, getAuthToken, setAuthToken, AUTH_EXPIRED_EVENT } from './config/api';
+import { Activity, MessageCircle, FileText, FileEdit, Upload, Clock, Settings, Inbox as InboxIcon, LogOut } from 'lucide-react';
+
+type Role = 'viewer' | 'operator' | 'admin';
+
+// The signed-in user (or API key) as reported by /api/auth/me
+interface Account {
+  type: 'user' | 'api-key';
+  name: string;
+  role: Role;
+}
+
+const ROLE_RANK: Record<Role, number> = { viewer: 0, operator: 1, admin: 2 };
+
+const hasRole = (account: Account, role: Role) => ROLE_RANK[account.role] >= ROLE_RANK[role];
 
 interface WhatsAppStatus {
   isReady: boolean;
@@ -13,52 +38,134 @@ interface WhatsAppStatus {
   reason?: string;
 }
 
+interface Session {
+  id: string;
+  name: string;
+  branches: string[];
+  isDefault: boolean;
+  autoStart: boolean;
+  state: 'stopped' | 'starting' | 'qr' | 'authenticated' | 'ready' | 'disconnected' | 'failed';
+  isReady: boolean;
+  qrIssuedAt: string | null;
+  qrExpiresAt: string | null;
+  stateChangedAt: string;
+  queue: {
+    queueLength: number;
+    deadLetters: number;
+    pausedUntil?: string | null;
+    pauseReason?: string | null;
+  };
+}
+
 interface Message {
   id: string;
   phoneNumber: string;
   message: string;
-  status: 'pending' | 'sent' | 'delivered' | 'failed';
+  status: 'scheduled' | 'cancelled' | 'queued' | 'pending' | 'sent' | 'received' | 'delivered' | 'read' | 'failed';
   timestamp: string;
   patientName?: string;
   testName?: string;
   hasAttachment?: boolean;
+  whatsappMessageId?: string;
+}
+
+interface QueueItem {
+  id: string;
+  sessionId?: string;
+  phoneNumber: string;
+  state: 'queued' | 'sending' | 'sent' | 'failed' | 'dead-lettered';
+  priority: 'critical' | 'urgent' | 'routine' | 'marketing';
+  attempts: number;
+  maxAttempts: number;
+  lastError?: string;
+  filePath?: string;
+  timestamp: string;
+  updatedAt: string;
 }
 
-// Define the base URL for the backend API
-const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+interface QueueStatus {
+  queueLength: number;
+  states: Record<string, number>;
+  lanes: Record<string, number>;
+  isProcessing: boolean;
+  pausedUntil?: string | null;
+  pauseReason?: 'quiet-hours' | 'rate-limit' | null;
+}
+
+interface MessageTemplate {
+  id: string;
+  name: string;
+  body: string;
+  defaultLocale: string;
+  variants: Record<string, string>;
+  version: number;
+  updatedAt: string;
+}
 
 function App() {
+  const [account, setAccount] = useState<Account | null>(null);
+  const [authChecked, setAuthChecked] = useState(false);
+  const [authNotice, setAuthNotice] = useState<string | null>(null);
   const [socket, setSocket] = useState<Socket | null>(null);
   const [whatsappStatus, setWhatsappStatus] = useState<WhatsAppStatus>({
     isReady: false,
     timestamp: new Date().toISOString()
   });
-  const [qrCode, setQrCode] = useState<string | null>(null);
+  const [sessions, setSessions] = useState<Session[]>([]);
   const [messages, setMessages] = useState<Message[]>([]);
-  const [activeTab, setActiveTab] = useState<'dashboard' | 'send' | 'history' | 'settings'>('dashboard');
+  const [queueItems, setQueueItems] = useState<QueueItem[]>([]);
+  const [queueStatus, setQueueStatus] = useState<QueueStatus | null>(null);
+  const [templates, setTemplates] = useState<MessageTemplate[]>([]);
+  const [activeTab, setActiveTab] = useState<'dashboard' | 'send' | 'bulk' | 'scheduled' | 'inbox' | 'history' | 'templates' | 'settings'>('dashboard');
+
+  const fetchAccount = async () => {
+    if (!getAuthToken()) {
+      setAuthChecked(true);
+      return;
+    }
+
+    try {
+      const response = await apiFetch('/api/auth/me');
+      if (response.ok) {
+        setAccount(await response.json());
+      }
+    } catch (error) {
+      console.error('Error fetching account:', error);
+    } finally {
+      setAuthChecked(true);
+    }
+  };
 
   useEffect(() => {
+    fetchAccount();
+
+    const handleExpired = () => {
+      setAccount(null);
+      setAuthNotice('Your session has ended. Please sign in again.');
+    };
+    window.addEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+    return () => window.removeEventListener(AUTH_EXPIRED_EVENT, handleExpired);
+  }, []);
+
+  useEffect(() => {
+    if (!account) {
+      return;
+    }
+
     console.log('Connecting to backend at:', API_BASE_URL);
-    const newSocket = io(API_BASE_URL);
+    const newSocket = io(API_BASE_URL, { auth: { token: getAuthToken() } });
     setSocket(newSocket);
 
     newSocket.on('connect', () => {
       console.log('Connected to server');
     });
 
-    newSocket.on('whatsapp-status', (status: WhatsAppStatus) => {
-      setWhatsappStatus(status);
-      if (status.isReady) {
-        setQrCode(null);
-      }
-    });
-
-    newSocket.on('qr-code', ({ qr }: { qr: string }) => {
-      setQrCode(qr);
+    // Every session's state, QR code and queue; sent on connect and whenever a session changes state
+    newSocket.on('sessions-update', ({ sessions, timestamp }: { sessions: Session[]; timestamp: string }) => {
+      applySessions(sessions, timestamp);
     });
 
     newSocket.on('whatsapp-authenticated', () => {
-      setQrCode(null);
       fetchMessages();
     });
 
@@ -68,16 +175,44 @@ function App() {
       ));
     });
 
+    newSocket.on('queue-update', (update: Partial<QueueItem>) => {
+      setQueueItems(prev => prev.map(item =>
+        item.id === update.id ? { ...item, ...update } : item
+      ));
+    });
+
+    newSocket.on('status-update', ({ queue, sessions, timestamp }: { queue: QueueStatus; sessions: Session[]; timestamp: string }) => {
+      setQueueStatus(queue);
+      applySessions(sessions, timestamp);
+    });
+
     fetchMessages();
+    fetchQueue();
+    fetchTemplates();
 
     return () => {
       newSocket.disconnect();
     };
-  }, []);
+  }, [account]);
+
+  // The header shows WhatsApp as connected while at least one session is ready
+  const applySessions = (list: Session[], timestamp: string) => {
+    setSessions(list);
+    setWhatsappStatus({ isReady: list.some(session => session.isReady), timestamp });
+  };
+
+  const fetchSessions = async () => {
+    try {
+      const response = await apiFetch(`/api/sessions`);
+      applySessions(await response.json(), new Date().toISOString());
+    } catch (error) {
+      console.error('Error fetching sessions:', error);
+    }
+  };
 
   const fetchMessages = async () => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/messages`);
+      const response = await apiFetch(`/api/messages`);
       const data = await response.json();
       setMessages(data);
     } catch (error) {
@@ -85,9 +220,30 @@ function App() {
     }
   };
 
+  const fetchQueue = async () => {
+    try {
+      const response = await apiFetch(`/api/queue?limit=20`);
+      const data = await response.json();
+      setQueueItems(data.items);
+      setQueueStatus(data.status);
+    } catch (error) {
+      console.error('Error fetching queue:', error);
+    }
+  };
+
+  const fetchTemplates = async () => {
+    try {
+      const response = await apiFetch(`/api/templates`);
+      const data = await response.json();
+      setTemplates(data);
+    } catch (error) {
+      console.error('Error fetching templates:', error);
+    }
+  };
+
   const handleSendMessage = async (messageData: any) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/send-message`, {
+      const response = await apiFetch(`/api/send-message`, {
         method: 'POST',
         headers: {
           'Content-Type': 'application/json',
@@ -99,6 +255,7 @@ function App() {
       
       if (result.success) {
         fetchMessages();
+        fetchQueue();
       }
       
       return result;
@@ -110,7 +267,7 @@ function App() {
 
   const handleSendReport = async (formData: FormData) => {
     try {
-      const response = await fetch(`${API_BASE_URL}/api/send-report`, {
+      const response = await apiFetch(`/api/send-report`, {
         method: 'POST',
         body: formData,
       });
@@ -119,6 +276,7 @@ function App() {
       
       if (result.success) {
         fetchMessages();
+        fetchQueue();
       }
       
       return result;
@@ -130,7 +288,7 @@ function App() {
 
   const generateQR = async () => {
     try {
-      await fetch(`${API_BASE_URL}/api/generate-qr`, {
+      await apiFetch(`/api/generate-qr`, {
         method: 'POST',
       });
     } catch (error) {
@@ -138,12 +296,50 @@ function App() {
     }
   };
 
+  const handleLogout = async () => {
+    try {
+      await apiFetch('/api/auth/logout', { method: 'POST' });
+    } catch (error) {
+      console.error('Error signing out:', error);
+    }
+    setAuthToken(null);
+    setAccount(null);
+    setAuthNotice(null);
+  };
+
+  const handlePasswordChanged = () => {
+    setAuthToken(null);
+    setAccount(null);
+    setAuthNotice('Password changed. Please sign in with your new password.');
+  };
+
+  if (!authChecked) {
+    return null;
+  }
+
+  if (!account) {
+    return (
+      <LoginForm
+        notice={authNotice}
+        onLogin={() => {
+          setAuthNotice(null);
+          fetchAccount();
+        }}
+      />
+    );
+  }
+
+  // Tabs the server would refuse are hidden; the server enforces the roles either way
   const navItems = [
-    { id: 'dashboard', label: 'Dashboard', icon: Activity },
-    { id: 'send', label: 'Send Message', icon: MessageCircle },
-    { id: 'history', label: 'Message History', icon: FileText },
-    { id: 'settings', label: 'Settings', icon: Settings },
-  ];
+    { id: 'dashboard', label: 'Dashboard', icon: Activity, role: 'viewer' },
+    { id: 'send', label: 'Send Message', icon: MessageCircle, role: 'operator' },
+    { id: 'bulk', label: 'Bulk Send', icon: Upload, role: 'operator' },
+    { id: 'scheduled', label: 'Scheduled', icon: Clock, role: 'viewer' },
+    { id: 'inbox', label: 'Inbox', icon: InboxIcon, role: 'viewer' },
+    { id: 'history', label: 'Message History', icon: FileText, role: 'viewer' },
+    { id: 'templates', label: 'Templates', icon: FileEdit, role: 'viewer' },
+    { id: 'settings', label: 'Settings', icon: Settings, role: 'viewer' },
+  ].filter(item => hasRole(account, item.role as Role));
 
   return (
     <div className="min-h-screen bg-gray-50">
@@ -159,7 +355,15 @@ function App() {
                 <p className="text-sm text-gray-500">Laboratory Report Messaging System</p>
               </div>
             </div>
-            <StatusBar status={whatsappStatus} />
+            <div className="flex items-center space-x-4">
+              <StatusBar status={whatsappStatus} />
+              <div className="flex items-center space-x-2 text-sm text-gray-600">
+                <span>{account.name} ({account.role})</span>
+                <button onClick={handleLogout} title="Sign out" className="p-1 text-gray-500 hover:text-gray-700">
+                  <LogOut className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
           </div>
           
           <nav className="flex space-x-8">
@@ -185,17 +389,25 @@ function App() {
       </div>
 
       <div className="max-w-7xl mx-auto px-4 sm:px-6 lg:px-8 py-8">
-        {!whatsappStatus.isReady && qrCode && (
-          <div className="mb-8">
-            <QRCodeDisplay qrCode={qrCode} />
+        {hasRole(account, 'admin') && sessions.filter(session => session.qrIssuedAt).map(session => (
+          <div key={session.id} className="mb-8">
+            <QRCodeDisplay
+              sessionId={session.id}
+              qrIssuedAt={session.qrIssuedAt}
+              qrExpiresAt={session.qrExpiresAt}
+              sessionName={sessions.length > 1 ? session.name : undefined}
+            />
           </div>
-        )}
+        ))}
 
         {activeTab === 'dashboard' && (
           <Dashboard 
-            whatsappStatus={whatsappStatus} 
+            sessions={sessions}
             messages={messages}
-            onGenerateQR={generateQR}
+            queueItems={queueItems}
+            queueStatus={queueStatus}
+            onRefreshQueue={fetchQueue}
+            onRefreshSessions={fetchSessions}
           />
         )}
 
@@ -203,32 +415,72 @@ function App() {
           <MessageForm 
             onSendMessage={handleSendMessage}
             onSendReport={handleSendReport}
+            templates={templates}
+            sessions={sessions}
             whatsappReady={whatsappStatus.isReady}
           />
         )}
 
+        {activeTab === 'bulk' && (
+          <BatchUpload templates={templates} />
+        )}
+
+        {activeTab === 'scheduled' && (
+          <ScheduledMessages />
+        )}
+
+        {activeTab === 'inbox' && (
+          <Inbox socket={socket} />
+        )}
+
         {activeTab === 'history' && (
           <MessageHistory messages={messages} onRefresh={fetchMessages} />
         )}
 
+        {activeTab === 'templates' && (
+          <TemplateManager templates={templates} onTemplatesChanged={fetchTemplates} />
+        )}
+
         {activeTab === 'settings' && (
           <div className="bg-white rounded-lg shadow p-6">
             <h2 className="text-lg font-medium text-gray-900 mb-4">Settings</h2>
             <div className="space-y-4">
-              <div>
-                <label className="block text-sm font-medium text-gray-700 mb-2">
-                  WhatsApp Session
-                </label>
-                <button
-                  onClick={generateQR}
-                  className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
-                >
-                  Generate New QR Code
-                </button>
-                <p className="text-sm text-gray-500 mt-1">
-                  Use this to reset the WhatsApp connection and generate a new QR code
-                </p>
-              </div>
+              {account.type === 'user' && (
+                <AccountSettings username={account.name} role={account.role} onPasswordChanged={handlePasswordChanged} />
+              )}
+              {hasRole(account, 'admin') && (
+                <>
+                  <div className="pt-4 border-t border-gray-200">
+                    <label className="block text-sm font-medium text-gray-700 mb-2">
+                      Default WhatsApp Session
+                    </label>
+                    <button
+                      onClick={generateQR}
+                      className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+                    >
+                      Generate New QR Code
+                    </button>
+                    <p className="text-sm text-gray-500 mt-1">
+                      Use this to reset the default session's connection and generate a new QR code. Other sessions are managed on the Dashboard.
+                    </p>
+                  </div>
+                  <div className="pt-4 border-t border-gray-200">
+                    <SendingSettings />
+                  </div>
+                  <div className="pt-4 border-t border-gray-200">
+                    <AutoReplySettings />
+                  </div>
+                  <div className="pt-4 border-t border-gray-200">
+                    <LimsSettings />
+                  </div>
+                  <div className="pt-4 border-t border-gray-200">
+                    <WebhookSettings />
+                  </div>
+                  <div className="pt-4 border-t border-gray-200">
+                    <AccessSettings currentUser={account.name} />
+                  </div>
+                </>
+              )}
             </div>
           </div>
         )}
@@ -0,0 +1,320 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Users, Key, Plus, Trash2, List } from 'lucide-react';
+import { apiFetch } from '../config/api';
+
+type Role = 'viewer' | 'operator' | 'admin';
+
+const ROLES: { id: Role; label: string }[] = [
+  { id: 'viewer', label: 'Viewer (read-only)' },
+  { id: 'operator', label: 'Operator (can send)' },
+  { id: 'admin', label: 'Admin (sessions and settings)' },
+];
+
+interface User {
+  id: string;
+  role: Role;
+  disabled: boolean;
+  createdAt: string;
+}
+
+interface ApiKey {
+  id: string;
+  name: string;
+  role: Role;
+  hint: string;
+  createdAt: string;
+  createdBy: string | null;
+  revokedAt: string | null;
+  lastUsedAt: string | null;
+  lastUsedIp?: string | null;
+}
+
+interface KeyUsage {
+  id: string;
+  method: string;
+  path: string;
+  status: number;
+  ip: string | null;
+  timestamp: string;
+}
+
+const inputClass = 'px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500';
+
+const AccessSettings: React.FC<{ currentUser: string }> = ({ currentUser }) => {
+  const [users, setUsers] = useState<User[]>([]);
+  const [keys, setKeys] = useState<ApiKey[]>([]);
+  const [userForm, setUserForm] = useState({ username: '', password: '', role: 'operator' as Role });
+  const [keyForm, setKeyForm] = useState({ name: '', role: 'operator' as Role });
+  const [newKey, setNewKey] = useState<{ name: string; key: string } | null>(null);
+  const [usageFor, setUsageFor] = useState<string | null>(null);
+  const [usage, setUsage] = useState<KeyUsage[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchAll = useCallback(async () => {
+    try {
+      const [usersResponse, keysResponse] = await Promise.all([apiFetch('/api/users'), apiFetch('/api/keys')]);
+      setUsers(await usersResponse.json());
+      setKeys(await keysResponse.json());
+    } catch (error) {
+      console.error('Error fetching users and API keys:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    fetchAll();
+  }, [fetchAll]);
+
+  useEffect(() => {
+    if (!usageFor) {
+      setUsage([]);
+      return;
+    }
+
+    apiFetch(`/api/keys/${usageFor}/usage?limit=20`)
+      .then(response => response.json())
+      .then(setUsage)
+      .catch(error => console.error('Error fetching API key usage:', error));
+  }, [usageFor]);
+
+  const request = async (url: string, options: RequestInit = {}) => {
+    setError(null);
+
+    try {
+      const response = await apiFetch(url, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' },
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        setError(result.errors?.join(', ') || result.error);
+      }
+      fetchAll();
+      return result;
+    } catch (error) {
+      console.error('Error updating access:', error);
+      setError('Network error');
+      return { success: false };
+    }
+  };
+
+  const handleCreateUser = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const result = await request('/api/users', { method: 'POST', body: JSON.stringify(userForm) });
+    if (result.success) {
+      setUserForm({ username: '', password: '', role: 'operator' });
+    }
+  };
+
+  const handleResetPassword = (user: User) => {
+    const password = window.prompt(`New password for ${user.id} (8+ characters). They are signed out everywhere.`);
+    if (password) {
+      request(`/api/users/${user.id}`, { method: 'PUT', body: JSON.stringify({ password }) });
+    }
+  };
+
+  const handleDeleteUser = (user: User) => {
+    if (window.confirm(`Delete user ${user.id}?`)) {
+      request(`/api/users/${user.id}`, { method: 'DELETE' });
+    }
+  };
+
+  const handleCreateKey = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const result = await request('/api/keys', { method: 'POST', body: JSON.stringify(keyForm) });
+    if (result.success) {
+      setNewKey({ name: result.key.name, key: result.key.key });
+      setKeyForm({ name: '', role: 'operator' });
+    }
+  };
+
+  const handleRevokeKey = (key: ApiKey) => {
+    if (window.confirm(`Revoke the API key "${key.name}"? Clients using it stop working immediately.`)) {
+      request(`/api/keys/${key.id}`, { method: 'DELETE' });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {error && (
+        <div className="max-w-3xl p-3 rounded-md bg-red-50 border border-red-200">
+          <p className="text-sm text-red-800">❌ Error: {error}</p>
+        </div>
+      )}
+
+      <div className="space-y-3">
+        <h3 className="text-sm font-medium text-gray-700 flex items-center">
+          <Users className="h-4 w-4 mr-1" />
+          Dashboard Users
+        </h3>
+
+        <form onSubmit={handleCreateUser} className="flex flex-wrap gap-2 max-w-3xl">
+          <input
+            type="text"
+            value={userForm.username}
+            onChange={(e) => setUserForm({ ...userForm, username: e.target.value })}
+            placeholder="Username"
+            required
+            className={inputClass}
+          />
+          <input
+            type="password"
+            value={userForm.password}
+            onChange={(e) => setUserForm({ ...userForm, password: e.target.value })}
+            placeholder="Password (8+ characters)"
+            autoComplete="new-password"
+            required
+            className={inputClass}
+          />
+          <select
+            value={userForm.role}
+            onChange={(e) => setUserForm({ ...userForm, role: e.target.value as Role })}
+            className={inputClass}
+          >
+            {ROLES.map(role => <option key={role.id} value={role.id}>{role.label}</option>)}
+          </select>
+          <button type="submit" className="flex items-center space-x-1 px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors">
+            <Plus className="h-4 w-4" />
+            <span>Add User</span>
+          </button>
+        </form>
+
+        <div className="max-w-3xl divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {users.map((user) => (
+            <div key={user.id} className="p-3 flex items-center justify-between">
+              <p className={`text-sm font-medium ${user.disabled ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                {user.id}
+                {user.id === currentUser && <span className="ml-2 text-xs text-gray-500">(you)</span>}
+              </p>
+              <div className="flex items-center space-x-3">
+                <select
+                  value={user.role}
+                  onChange={(e) => request(`/api/users/${user.id}`, { method: 'PUT', body: JSON.stringify({ role: e.target.value }) })}
+                  className="text-sm px-2 py-1 border border-gray-300 rounded-md"
+                >
+                  {ROLES.map(role => <option key={role.id} value={role.id}>{role.id}</option>)}
+                </select>
+                <label className="flex items-center space-x-1 text-xs text-gray-600">
+                  <input
+                    type="checkbox"
+                    checked={!user.disabled}
+                    onChange={() => request(`/api/users/${user.id}`, { method: 'PUT', body: JSON.stringify({ disabled: !user.disabled }) })}
+                  />
+                  <span>Active</span>
+                </label>
+                <button onClick={() => handleResetPassword(user)} className="text-xs text-blue-600 hover:underline">
+                  Reset password
+                </button>
+                <button onClick={() => handleDeleteUser(user)} title="Delete" className="p-1 text-gray-500 hover:text-red-600">
+                  <Trash2 className="h-4 w-4" />
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      <div className="space-y-3">
+        <h3 className="text-sm font-medium text-gray-700 flex items-center">
+          <Key className="h-4 w-4 mr-1" />
+          API Keys
+        </h3>
+        <p className="text-xs text-gray-500">
+          For the LIMS and other systems: send the key as <code>Authorization: Bearer &lt;key&gt;</code> or <code>X-API-Key</code>. Every request made with a key is logged.
+        </p>
+
+        <form onSubmit={handleCreateKey} className="flex flex-wrap gap-2 max-w-3xl">
+          <input
+            type="text"
+            value={keyForm.name}
+            onChange={(e) => setKeyForm({ ...keyForm, name: e.target.value })}
+            placeholder="Name, e.g. LIMS production"
+            required
+            className={inputClass}
+          />
+          <select
+            value={keyForm.role}
+            onChange={(e) => setKeyForm({ ...keyForm, role: e.target.value as Role })}
+            className={inputClass}
+          >
+            {ROLES.map(role => <option key={role.id} value={role.id}>{role.label}</option>)}
+          </select>
+          <button type="submit" className="flex items-center space-x-1 px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors">
+            <Plus className="h-4 w-4" />
+            <span>Create Key</span>
+          </button>
+        </form>
+
+        {newKey && (
+          <div className="max-w-3xl p-3 rounded-md bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+            <p>API key "{newKey.name}". Copy it now; it is not shown again.</p>
+            <code className="block mt-1 break-all">{newKey.key}</code>
+            <button onClick={() => setNewKey(null)} className="mt-2 text-xs underline">Done</button>
+          </div>
+        )}
+
+        <div className="max-w-3xl divide-y divide-gray-200 border border-gray-200 rounded-md">
+          {keys.length > 0 ? (
+            keys.map((key) => (
+              <div key={key.id} className="p-3">
+                <div className="flex items-center justify-between">
+                  <div className="min-w-0">
+                    <p className={`text-sm font-medium ${key.revokedAt ? 'text-gray-400 line-through' : 'text-gray-900'}`}>
+                      {key.name} <span className="text-xs font-normal text-gray-500">{key.role} • {key.hint}</span>
+                    </p>
+                    <p className="text-xs text-gray-500">
+                      Created {new Date(key.createdAt).toLocaleDateString()}{key.createdBy && ` by ${key.createdBy}`}
+                      {' • '}
+                      {key.lastUsedAt ? `last used ${new Date(key.lastUsedAt).toLocaleString()}${key.lastUsedIp ? ` from ${key.lastUsedIp}` : ''}` : 'never used'}
+                      {key.revokedAt && ` • revoked ${new Date(key.revokedAt).toLocaleString()}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center space-x-2 ml-4">
+                    <button onClick={() => setUsageFor(usageFor === key.id ? null : key.id)} title="Usage log" className="p-1 text-gray-500 hover:text-blue-600">
+                      <List className="h-4 w-4" />
+                    </button>
+                    {!key.revokedAt && (
+                      <button onClick={() => handleRevokeKey(key)} className="text-xs text-red-600 hover:underline">
+                        Revoke
+                      </button>
+                    )}
+                  </div>
+                </div>
+
+                {usageFor === key.id && (
+                  <table className="mt-3 w-full text-xs">
+                    <thead>
+                      <tr className="text-left text-gray-500">
+                        <th className="py-1">Time</th>
+                        <th className="py-1">Request</th>
+                        <th className="py-1">Status</th>
+                        <th className="py-1">IP</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {usage.map((entry) => (
+                        <tr key={entry.id} className="border-t border-gray-100">
+                          <td className="py-1">{new Date(entry.timestamp).toLocaleString()}</td>
+                          <td className="py-1">{entry.method} {entry.path}</td>
+                          <td className={`py-1 ${entry.status >= 400 ? 'text-red-700' : 'text-green-700'}`}>{entry.status}</td>
+                          <td className="py-1">{entry.ip || '-'}</td>
+                        </tr>
+                      ))}
+                      {usage.length === 0 && (
+                        <tr><td colSpan={4} className="py-2 text-gray-500">No requests yet</td></tr>
+                      )}
+                    </tbody>
+                  </table>
+                )}
+              </div>
+            ))
+          ) : (
+            <p className="p-3 text-sm text-gray-500">No API keys created</p>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default AccessSettings;
@@ -0,0 +1,90 @@
+import React, { useState } from 'react';
+import { KeyRound } from 'lucide-react';
+import { apiFetch } from '../config/api';
+
+interface AccountSettingsProps {
+  username: string;
+  role: string;
+  onPasswordChanged: () => void;
+}
+
+const AccountSettings: React.FC<AccountSettingsProps> = ({ username, role, onPasswordChanged }) => {
+  const [currentPassword, setCurrentPassword] = useState('');
+  const [newPassword, setNewPassword] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSaving(true);
+    setError(null);
+
+    try {
+      const response = await apiFetch('/api/auth/password', {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currentPassword, newPassword }),
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        // Changing the password ends every session, this one included
+        onPasswordChanged();
+      } else {
+        setError(result.error);
+      }
+    } catch (error) {
+      console.error('Error changing password:', error);
+      setError('Network error');
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-sm font-medium text-gray-700 flex items-center">
+        <KeyRound className="h-4 w-4 mr-1" />
+        Your Account
+      </h3>
+      <p className="text-sm text-gray-600">Signed in as {username} ({role})</p>
+
+      <form onSubmit={handleSubmit} className="grid grid-cols-1 md:grid-cols-3 gap-4 max-w-xl items-end">
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Current password</label>
+          <input
+            type="password"
+            value={currentPassword}
+            onChange={(e) => setCurrentPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">New password (8+ characters)</label>
+          <input
+            type="password"
+            value={newPassword}
+            onChange={(e) => setNewPassword(e.target.value)}
+            autoComplete="new-password"
+            minLength={8}
+            required
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={saving}
+          className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          {saving ? 'Saving...' : 'Change Password'}
+        </button>
+      </form>
+
+      {error && <p className="text-sm text-red-700">❌ {error}</p>}
+    </div>
+  );
+};
+
+export default AccountSettings;
@@ -0,0 +1,138 @@
+import React, { useState, useEffect } from 'react';
+import { Save, Bot } from 'lucide-react';
+import { apiFetch } from '../config/api';
+
+interface AutoReplySettingsValues {
+  enabled: boolean;
+  timings: string;
+  helpMessage: string;
+  timingsMessage: string;
+  reportMessage: string;
+  stopMessage: string;
+  startMessage: string;
+}
+
+interface SaveResult {
+  success: boolean;
+  error?: string;
+  settings?: AutoReplySettingsValues;
+}
+
+const REPLY_FIELDS: { key: keyof AutoReplySettingsValues; label: string }[] = [
+  { key: 'helpMessage', label: 'HELP (also hi, hello, menu)' },
+  { key: 'timingsMessage', label: 'TIMINGS (also hours, open, close)' },
+  { key: 'reportMessage', label: 'REPORT (also result); the conversation goes to the inbox' },
+  { key: 'stopMessage', label: 'STOP (also unsubscribe); the number is opted out' },
+  { key: 'startMessage', label: 'START (also subscribe); the number is opted back in' },
+];
+
+const AutoReplySettings: React.FC = () => {
+  const [settings, setSettings] = useState<AutoReplySettingsValues | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState<SaveResult | null>(null);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await apiFetch(`/api/settings/autoReplies`);
+        setSettings(await response.json());
+      } catch (error) {
+        console.error('Error fetching auto-reply settings:', error);
+      }
+    };
+
+    fetchSettings();
+  }, []);
+
+  if (!settings) {
+    return <p className="text-sm text-gray-500">Loading auto-reply settings...</p>;
+  }
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
+    const { name, value } = e.target;
+    setSettings({
+      ...settings,
+      [name]: e.target instanceof HTMLInputElement && e.target.type === 'checkbox' ? e.target.checked : value,
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setResult(null);
+
+    try {
+      const response = await apiFetch(`/api/settings/autoReplies`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings),
+      });
+      const data = await response.json();
+      setResult(data);
+
+      if (data.success) {
+        setSettings(data.settings);
+      }
+    } catch (error) {
+      console.error('Error saving auto-reply settings:', error);
+      setResult({ success: false, error: 'Failed to save settings' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-sm font-medium text-gray-700 flex items-center">
+        <Bot className="h-4 w-4 mr-1" />
+        Auto-Replies
+      </h3>
+      <label className="flex items-center space-x-2 text-sm text-gray-700">
+        <input type="checkbox" name="enabled" checked={settings.enabled} onChange={handleChange} />
+        <span>Answer patient keywords automatically (everything else goes to the Inbox)</span>
+      </label>
+
+      <div className="max-w-xl">
+        <label className="block text-xs text-gray-500 mb-1">Lab Timings ([Timings])</label>
+        <input
+          type="text"
+          name="timings"
+          value={settings.timings}
+          onChange={handleChange}
+          className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      {REPLY_FIELDS.map(({ key, label }) => (
+        <div key={key} className="max-w-xl">
+          <label className="block text-xs text-gray-500 mb-1">{label}</label>
+          <textarea
+            name={key}
+            value={settings[key] as string}
+            onChange={handleChange}
+            rows={key === 'helpMessage' ? 5 : 2}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+      ))}
+      <p className="text-xs text-gray-500">Replies may use [LabName] and [Timings]</p>
+
+      <div className="flex items-center space-x-4">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          <Save className="h-4 w-4" />
+          <span>{saving ? 'Saving...' : 'Save Auto-Replies'}</span>
+        </button>
+        {result && (
+          <p className={`text-sm ${result.success ? 'text-green-700' : 'text-red-700'}`}>
+            {result.success ? '✅ Settings saved' : `❌ ${result.error}`}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AutoReplySettings;
@@ -0,0 +1,358 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Upload, CheckCircle, Send, Download, RefreshCw } from 'lucide-react';
+import { apiFetch } from '../config/api';
+import { LOCALES } from '../config/locales';
+import { PRIORITIES } from '../config/priorities';
+
+interface MessageTemplate {
+  id: string;
+  name: string;
+}
+
+interface BatchRow {
+  row: number;
+  phoneNumber?: string;
+  patientName?: string;
+  testName?: string;
+  reportFile?: string;
+  status: string;
+  messageId?: string;
+  errors: string[];
+}
+
+interface Batch {
+  id: string;
+  name: string;
+  status: 'processing' | 'completed';
+  createdAt: string;
+  total: number;
+  counts: Record<string, number>;
+  rows?: BatchRow[];
+}
+
+interface BatchUploadProps {
+  templates: MessageTemplate[];
+}
+
+const BatchUpload: React.FC<BatchUploadProps> = ({ templates }) => {
+  const [recipientsFile, setRecipientsFile] = useState<File | null>(null);
+  const [reportsFile, setReportsFile] = useState<File | null>(null);
+  const [name, setName] = useState('');
+  const [templateId, setTemplateId] = useState('standard');
+  const [locale, setLocale] = useState('en');
+  const [priority, setPriority] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+  const [currentBatch, setCurrentBatch] = useState<Batch | null>(null);
+  const [isDryRun, setIsDryRun] = useState(false);
+  const [batches, setBatches] = useState<Batch[]>([]);
+
+  const fetchBatches = useCallback(async () => {
+    try {
+      const response = await apiFetch(`/api/batches`);
+      setBatches(await response.json());
+    } catch (error) {
+      console.error('Error fetching batches:', error);
+    }
+  }, []);
+
+  const fetchBatch = async (id: string) => {
+    try {
+      const response = await apiFetch(`/api/batches/${id}`);
+      setCurrentBatch(await response.json());
+      setIsDryRun(false);
+    } catch (error) {
+      console.error('Error fetching batch:', error);
+    }
+  };
+
+  useEffect(() => {
+    fetchBatches();
+  }, [fetchBatches]);
+
+  // Poll a running batch until every row has a final status
+  useEffect(() => {
+    if (!currentBatch || isDryRun || currentBatch.status !== 'processing') {
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      const response = await apiFetch(`/api/batches/${currentBatch.id}`);
+      setCurrentBatch(await response.json());
+      fetchBatches();
+    }, 5000);
+
+    return () => clearTimeout(timer);
+  }, [currentBatch, isDryRun, fetchBatches]);
+
+  const submit = async (dryRun: boolean) => {
+    if (!recipientsFile) {
+      return;
+    }
+
+    setSubmitting(true);
+    setError(null);
+
+    const formData = new FormData();
+    formData.append('recipients', recipientsFile);
+    if (reportsFile) {
+      formData.append('reports', reportsFile);
+    }
+    formData.append('name', name);
+    formData.append('templateId', templateId);
+    formData.append('locale', locale);
+    formData.append('priority', priority);
+    formData.append('dryRun', String(dryRun));
+
+    try {
+      const response = await apiFetch(`/api/batches`, {
+        method: 'POST',
+        body: formData,
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setCurrentBatch(result.batch);
+        setIsDryRun(dryRun);
+        if (!dryRun) {
+          fetchBatches();
+        }
+      } else {
+        setError(result.error);
+      }
+    } catch (error) {
+      console.error('Error uploading batch:', error);
+      setError('Network error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  // A plain link would not carry the sign-in token, so the CSV is fetched and saved from a blob
+  const handleDownloadReport = async (batchId: string) => {
+    try {
+      const response = await apiFetch(`/api/batches/${batchId}/report`);
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `batch-${batchId}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading batch report:', error);
+    }
+  };
+
+  const getRowStatusColor = (status: string) => {
+    switch (status) {
+      case 'sent':
+      case 'received':
+      case 'read': return 'text-green-600 bg-green-100';
+      case 'invalid':
+      case 'failed': return 'text-red-600 bg-red-100';
+      case 'queued': return 'text-yellow-600 bg-yellow-100';
+      default: return 'text-gray-600 bg-gray-100';
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">Bulk Report Dispatch</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Upload a CSV or JSON list with columns phone, patient, test, doctor, date, template, language, priority and report
+            (a file name inside the ZIP of reports)
+          </p>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Recipients (CSV or JSON) *</label>
+              <input
+                type="file"
+                accept=".csv,.json"
+                onChange={(e) => setRecipientsFile(e.target.files?.[0] || null)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Reports ZIP (Optional)</label>
+              <input
+                type="file"
+                accept=".zip"
+                onChange={(e) => setReportsFile(e.target.files?.[0] || null)}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">Batch Name</label>
+              <input
+                type="text"
+                value={name}
+                onChange={(e) => setName(e.target.value)}
+                placeholder="Morning reports"
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+            <div className="grid grid-cols-3 gap-4">
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Default Template</label>
+                <select
+                  value={templateId}
+                  onChange={(e) => setTemplateId(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {templates.map((template) => (
+                    <option key={template.id} value={template.id}>{template.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Default Language</label>
+                <select
+                  value={locale}
+                  onChange={(e) => setLocale(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {LOCALES.map((option) => (
+                    <option key={option.code} value={option.code}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+              <div>
+                <label className="block text-sm font-medium text-gray-700 mb-2">Priority</label>
+                <select
+                  value={priority}
+                  onChange={(e) => setPriority(e.target.value)}
+                  className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {PRIORITIES.map((option) => (
+                    <option key={option.code} value={option.code}>{option.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
+          </div>
+
+          <div className="flex justify-end space-x-3">
+            <button
+              onClick={() => submit(true)}
+              disabled={!recipientsFile || submitting}
+              className="flex items-center space-x-2 px-4 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <CheckCircle className="h-4 w-4" />
+              <span>Validate</span>
+            </button>
+            <button
+              onClick={() => submit(false)}
+              disabled={!recipientsFile || submitting}
+              className="flex items-center space-x-2 px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <Send className="h-4 w-4" />
+              <span>{submitting ? 'Uploading...' : 'Send Batch'}</span>
+            </button>
+          </div>
+
+          {error && (
+            <div className="p-4 rounded-md bg-red-50 border border-red-200">
+              <p className="text-sm text-red-800">❌ Error: {error}</p>
+            </div>
+          )}
+        </div>
+      </div>
+
+      {currentBatch && currentBatch.rows && (
+        <div className="bg-white rounded-lg shadow">
+          <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+            <div>
+              <h3 className="text-lg font-medium text-gray-900">
+                {isDryRun ? 'Validation Result' : currentBatch.name}
+              </h3>
+              <div className="flex flex-wrap gap-2 mt-2">
+                {Object.entries(currentBatch.counts).map(([status, count]) => (
+                  <span key={status} className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getRowStatusColor(status)}`}>
+                    {status}: {count}
+                  </span>
+                ))}
+              </div>
+            </div>
+            {!isDryRun && (
+              <button
+                onClick={() => handleDownloadReport(currentBatch.id)}
+                className="flex items-center space-x-2 px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+              >
+                <Download className="h-4 w-4" />
+                <span>Result Report</span>
+              </button>
+            )}
+          </div>
+          <div className="divide-y divide-gray-200 max-h-96 overflow-y-auto">
+            {currentBatch.rows.map((row) => (
+              <div key={row.row} className="px-6 py-3 flex items-start justify-between">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900">
+                    #{row.row} {row.patientName || 'Unknown Patient'}
+                  </p>
+                  <p className="text-sm text-gray-500">
+                    {row.phoneNumber || 'No phone'}
+                    {row.testName && ` • ${row.testName}`}
+                    {row.reportFile && ` • ${row.reportFile}`}
+                  </p>
+                  {row.errors.map((rowError, index) => (
+                    <p key={index} className="text-xs text-red-600 mt-1">{rowError}</p>
+                  ))}
+                </div>
+                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getRowStatusColor(row.status)}`}>
+                  {row.status}
+                </span>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h3 className="text-lg font-medium text-gray-900">Previous Batches</h3>
+          <button
+            onClick={fetchBatches}
+            className="flex items-center space-x-2 px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+          >
+            <RefreshCw className="h-4 w-4" />
+            <span>Refresh</span>
+          </button>
+        </div>
+        <div className="divide-y divide-gray-200">
+          {batches.length > 0 ? (
+            batches.map((batch) => (
+              <button
+                key={batch.id}
+                onClick={() => fetchBatch(batch.id)}
+                className="w-full text-left px-6 py-3 hover:bg-gray-50 transition-colors flex items-center justify-between"
+              >
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{batch.name}</p>
+                  <p className="text-xs text-gray-500 mt-1">
+                    {batch.total} rows • {new Date(batch.createdAt).toLocaleString()}
+                  </p>
+                </div>
+                <span className={`text-xs font-medium ${batch.status === 'completed' ? 'text-green-600' : 'text-yellow-600'}`}>
+                  {batch.status}
+                </span>
+              </button>
+            ))
+          ) : (
+            <div className="px-6 py-8 text-center">
+              <Upload className="mx-auto h-12 w-12 text-gray-400" />
+              <p className="mt-2 text-sm text-gray-500">No batches uploaded yet</p>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default BatchUpload;
@@ -1,30 +1,66 @@
 import React from 'react';
-import { CheckCircle, Clock, XCircle, MessageCircle, Users, TrendingUp } from 'lucide-react';
+import { CheckCircle, Clock, XCircle, MessageCircle, Users, TrendingUp, RefreshCw } from 'lucide-react';
+import SessionList from './SessionList';
 
-interface WhatsAppStatus {
+interface Session {
+  id: string;
+  name: string;
+  branches: string[];
+  isDefault: boolean;
+  autoStart: boolean;
+  state: 'stopped' | 'starting' | 'qr' | 'authenticated' | 'ready' | 'disconnected' | 'failed';
   isReady: boolean;
-  timestamp: string;
-  reason?: string;
+  stateChangedAt: string;
+  queue: {
+    queueLength: number;
+    deadLetters: number;
+    pausedUntil?: string | null;
+    pauseReason?: string | null;
+  };
 }
 
 interface Message {
   id: string;
   phoneNumber: string;
   message: string;
-  status: 'pending' | 'sent' | 'delivered' | 'failed';
+  status: 'scheduled' | 'cancelled' | 'queued' | 'pending' | 'sent' | 'received' | 'delivered' | 'read' | 'failed';
   timestamp: string;
   patientName?: string;
   testName?: string;
   hasAttachment?: boolean;
 }
 
+interface QueueItem {
+  id: string;
+  sessionId?: string;
+  phoneNumber: string;
+  state: 'queued' | 'sending' | 'sent' | 'failed' | 'dead-lettered';
+  priority: 'critical' | 'urgent' | 'routine' | 'marketing';
+  attempts: number;
+  maxAttempts: number;
+  lastError?: string;
+  updatedAt: string;
+}
+
+interface QueueStatus {
+  queueLength: number;
+  states: Record<string, number>;
+  lanes: Record<string, number>;
+  isProcessing: boolean;
+  pausedUntil?: string | null;
+  pauseReason?: 'quiet-hours' | 'rate-limit' | null;
+}
+
 interface DashboardProps {
-  whatsappStatus: WhatsAppStatus;
+  sessions: Session[];
   messages: Message[];
-  onGenerateQR: () => void;
+  queueItems: QueueItem[];
+  queueStatus: QueueStatus | null;
+  onRefreshQueue: () => void;
+  onRefreshSessions: () => void;
 }
 
-const Dashboard: React.FC<DashboardProps> = ({ whatsappStatus, messages, onGenerateQR }) => {
+const Dashboard: React.FC<DashboardProps> = ({ sessions, messages, queueItems, queueStatus, onRefreshQueue, onRefreshSessions }) => {
   const stats = {
     total: messages.length,
     sent: messages.filter(m => m.status === 'sent').length,
@@ -43,39 +79,27 @@ const Dashboard: React.FC<DashboardProps> = ({ whatsappStatus, messages, onGener
     }
   };
 
+  const getQueueStateColor = (state: string) => {
+    switch (state) {
+      case 'sent': return 'text-green-600 bg-green-100';
+      case 'sending': return 'text-blue-600 bg-blue-100';
+      case 'failed': return 'text-orange-600 bg-orange-100';
+      case 'dead-lettered': return 'text-red-600 bg-red-100';
+      default: return 'text-yellow-600 bg-yellow-100';
+    }
+  };
+
+  const getPriorityColor = (priority: string) => {
+    switch (priority) {
+      case 'critical': return 'text-red-600';
+      case 'urgent': return 'text-orange-600';
+      default: return 'text-gray-500';
+    }
+  };
+
   return (
     <div className="space-y-6">
-      {/* Connection Status Card */}
-      <div className="bg-white rounded-lg shadow p-6">
-        <div className="flex items-center justify-between">
-          <div>
-            <h2 className="text-lg font-medium text-gray-900">WhatsApp Connection</h2>
-            <p className="text-sm text-gray-500 mt-1">
-              {whatsappStatus.isReady ? 'Connected and ready to send messages' : 'Waiting for connection'}
-            </p>
-          </div>
-          <div className="flex items-center space-x-3">
-            <div className={`flex items-center space-x-2 px-3 py-1 rounded-full text-sm font-medium ${
-              whatsappStatus.isReady 
-                ? 'bg-green-100 text-green-800' 
-                : 'bg-yellow-100 text-yellow-800'
-            }`}>
-              <div className={`w-2 h-2 rounded-full ${
-                whatsappStatus.isReady ? 'bg-green-500' : 'bg-yellow-500'
-              }`} />
-              {whatsappStatus.isReady ? 'Connected' : 'Disconnected'}
-            </div>
-            {!whatsappStatus.isReady && (
-              <button
-                onClick={onGenerateQR}
-                className="px-4 py-2 bg-blue-600 text-white text-sm rounded-md hover:bg-blue-700 transition-colors"
-              >
-                Connect
-              </button>
-            )}
-          </div>
-        </div>
-      </div>
+      <SessionList sessions={sessions} onChanged={onRefreshSessions} />
 
       {/* Statistics Grid */}
       <div className="grid grid-cols-1 md:grid-cols-4 gap-6">
@@ -128,6 +152,76 @@ const Dashboard: React.FC<DashboardProps> = ({ whatsappStatus, messages, onGener
         </div>
       </div>
 
+      {/* Outbound Queue */}
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <div>
+            <h3 className="text-lg font-medium text-gray-900">Outbound Queue</h3>
+            {queueStatus && (
+              <div className="flex flex-wrap gap-2 mt-2">
+                {Object.entries(queueStatus.states).map(([state, count]) => (
+                  <span key={state} className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getQueueStateColor(state)}`}>
+                    {state}: {count}
+                  </span>
+                ))}
+              </div>
+            )}
+            {queueStatus && queueStatus.queueLength > 0 && (
+              <p className="text-xs text-gray-500 mt-2">
+                Waiting by lane: {Object.entries(queueStatus.lanes).map(([lane, count]) => `${lane} ${count}`).join(' • ')}
+              </p>
+            )}
+            {queueStatus?.pausedUntil && (
+              <p className="text-xs text-yellow-700 mt-2">
+                ⏸️ Paused for {queueStatus.pauseReason === 'quiet-hours' ? 'quiet hours' : 'rate limits'} until{' '}
+                {new Date(queueStatus.pausedUntil).toLocaleTimeString()}
+              </p>
+            )}
+          </div>
+          <button
+            onClick={onRefreshQueue}
+            className="flex items-center space-x-2 px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+          >
+            <RefreshCw className="h-4 w-4" />
+            <span>Refresh</span>
+          </button>
+        </div>
+        <div className="divide-y divide-gray-200 max-h-72 overflow-y-auto">
+          {queueItems.length > 0 ? (
+            queueItems.map((item) => (
+              <div key={item.id} className="px-6 py-3 flex items-center justify-between">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900">
+                    {item.phoneNumber}
+                    {item.priority && item.priority !== 'routine' && (
+                      <span className={`ml-2 text-xs font-medium ${getPriorityColor(item.priority)}`}>
+                        {item.priority}
+                      </span>
+                    )}
+                  </p>
+                  {sessions.length > 1 && item.sessionId && (
+                    <p className="text-xs text-gray-500 mt-1">via {sessions.find(s => s.id === item.sessionId)?.name || item.sessionId}</p>
+                  )}
+                  {item.lastError && (
+                    <p className="text-xs text-red-600 mt-1 truncate">{item.lastError}</p>
+                  )}
+                  <p className="text-xs text-gray-400 mt-1">
+                    Attempt {item.attempts}/{item.maxAttempts} • {new Date(item.updatedAt).toLocaleString()}
+                  </p>
+                </div>
+                <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getQueueStateColor(item.state)}`}>
+                  {item.state}
+                </span>
+              </div>
+            ))
+          ) : (
+            <div className="px-6 py-6 text-center text-sm text-gray-500">
+              The queue is empty
+            </div>
+          )}
+        </div>
+      </div>
+
       {/* Recent Messages */}
       <div className="bg-white rounded-lg shadow">
         <div className="px-6 py-4 border-b border-gray-200">
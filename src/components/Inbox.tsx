@@ -0,0 +1,304 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Socket } from 'socket.io-client';
+import { Inbox as InboxIcon, RefreshCw, Send, CheckCircle, Bot, FileText } from 'lucide-react';
+import { apiFetch } from '../config/api';
+
+interface Conversation {
+  id: string;
+  sessionId: string;
+  phoneNumber: string | null;
+  chatId: string;
+  contactName?: string | null;
+  needsReply: boolean;
+  unread: number;
+  optedOut: boolean;
+  lastRule?: string | null;
+  lastReport?: { messageId: string; testName?: string; sentAt: string } | null;
+  lastMessageAt: string;
+  lastMessagePreview: string;
+}
+
+interface ConversationMessage {
+  id: string;
+  direction: 'inbound' | 'outbound';
+  body: string;
+  type?: string;
+  hasMedia?: boolean;
+  autoReply?: string | null;
+  status?: string | null;
+  timestamp: string;
+}
+
+interface ConversationDetail extends Conversation {
+  messages: ConversationMessage[];
+}
+
+interface InboxProps {
+  socket: Socket | null;
+}
+
+const Inbox: React.FC<InboxProps> = ({ socket }) => {
+  const [conversations, setConversations] = useState<Conversation[]>([]);
+  const [filter, setFilter] = useState<'needs-reply' | 'all'>('needs-reply');
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [thread, setThread] = useState<ConversationDetail | null>(null);
+  const [reply, setReply] = useState('');
+  const [sending, setSending] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchConversations = useCallback(async () => {
+    try {
+      const query = filter === 'needs-reply' ? '?needsReply=true' : '';
+      const response = await apiFetch(`/api/conversations${query}`);
+      const data = await response.json();
+      setConversations(data.conversations);
+    } catch (error) {
+      console.error('Error fetching conversations:', error);
+    }
+  }, [filter]);
+
+  const fetchThread = useCallback(async () => {
+    if (!selectedId) {
+      setThread(null);
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`/api/conversations/${selectedId}`);
+      setThread(await response.json());
+    } catch (error) {
+      console.error('Error fetching conversation:', error);
+    }
+  }, [selectedId]);
+
+  useEffect(() => {
+    fetchConversations();
+  }, [fetchConversations]);
+
+  useEffect(() => {
+    fetchThread();
+  }, [fetchThread]);
+
+  // New messages and replies arrive live
+  useEffect(() => {
+    if (!socket) {
+      return;
+    }
+
+    const handleUpdate = ({ conversation }: { conversation: Conversation }) => {
+      fetchConversations();
+      if (conversation.id === selectedId) {
+        fetchThread();
+      }
+    };
+
+    socket.on('conversation-update', handleUpdate);
+    return () => {
+      socket.off('conversation-update', handleUpdate);
+    };
+  }, [socket, selectedId, fetchConversations, fetchThread]);
+
+  const openConversation = async (conversation: Conversation) => {
+    setSelectedId(conversation.id);
+    setReply('');
+    setError(null);
+
+    if (conversation.unread > 0) {
+      await apiFetch(`/api/conversations/${conversation.id}/read`, { method: 'POST' });
+    }
+  };
+
+  const handleReply = async (e: React.FormEvent) => {
+    e.preventDefault();
+    if (!selectedId) {
+      return;
+    }
+
+    setSending(true);
+    setError(null);
+
+    try {
+      const response = await apiFetch(`/api/conversations/${selectedId}/reply`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ message: reply }),
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setReply('');
+      } else {
+        setError(result.error);
+      }
+    } catch (error) {
+      console.error('Error sending reply:', error);
+      setError('Network error');
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleResolve = async () => {
+    if (!selectedId) {
+      return;
+    }
+
+    try {
+      await apiFetch(`/api/conversations/${selectedId}/resolve`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error resolving conversation:', error);
+    }
+  };
+
+  const contactLabel = (conversation: Conversation) =>
+    conversation.contactName || conversation.phoneNumber || conversation.chatId;
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">Inbox</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Patient messages the auto-responder could not answer
+          </p>
+        </div>
+        <div className="flex items-center space-x-3">
+          <select
+            value={filter}
+            onChange={(e) => setFilter(e.target.value as 'needs-reply' | 'all')}
+            className="px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          >
+            <option value="needs-reply">Needs Reply</option>
+            <option value="all">All Conversations</option>
+          </select>
+          <button
+            onClick={fetchConversations}
+            className="flex items-center space-x-2 px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+          >
+            <RefreshCw className="h-4 w-4" />
+            <span>Refresh</span>
+          </button>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 min-h-[28rem]">
+        <div className="border-r border-gray-200 divide-y divide-gray-200 max-h-[36rem] overflow-y-auto">
+          {conversations.length > 0 ? (
+            conversations.map((conversation) => (
+              <button
+                key={conversation.id}
+                onClick={() => openConversation(conversation)}
+                className={`w-full text-left px-4 py-3 hover:bg-gray-50 ${selectedId === conversation.id ? 'bg-blue-50' : ''}`}
+              >
+                <div className="flex items-center justify-between">
+                  <p className="text-sm font-medium text-gray-900 truncate">{contactLabel(conversation)}</p>
+                  {conversation.unread > 0 && (
+                    <span className="ml-2 inline-flex items-center px-2 py-0.5 rounded-full text-xs font-medium bg-blue-600 text-white">
+                      {conversation.unread}
+                    </span>
+                  )}
+                </div>
+                <p className="text-sm text-gray-500 truncate mt-1">{conversation.lastMessagePreview}</p>
+                <p className="text-xs text-gray-400 mt-1">
+                  {new Date(conversation.lastMessageAt).toLocaleString()}
+                  {conversation.optedOut && ' • opted out'}
+                </p>
+              </button>
+            ))
+          ) : (
+            <div className="px-6 py-12 text-center">
+              <InboxIcon className="mx-auto h-12 w-12 text-gray-400" />
+              <p className="mt-2 text-sm text-gray-500">
+                {filter === 'needs-reply' ? 'Nothing waiting for a reply' : 'No conversations yet'}
+              </p>
+            </div>
+          )}
+        </div>
+
+        <div className="md:col-span-2 flex flex-col">
+          {thread ? (
+            <>
+              <div className="px-6 py-3 border-b border-gray-200 flex items-center justify-between">
+                <div>
+                  <p className="text-sm font-medium text-gray-900">{contactLabel(thread)}</p>
+                  <p className="text-xs text-gray-500">
+                    {thread.phoneNumber || thread.chatId} • via {thread.sessionId}
+                  </p>
+                </div>
+                {thread.needsReply && (
+                  <button
+                    onClick={handleResolve}
+                    className="flex items-center space-x-1 px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                  >
+                    <CheckCircle className="h-4 w-4" />
+                    <span>Mark Resolved</span>
+                  </button>
+                )}
+              </div>
+
+              {thread.lastRule === 'REPORT' && thread.needsReply && (
+                <div className="mx-6 mt-3 p-3 rounded-md bg-yellow-50 border border-yellow-200 flex items-center text-sm text-yellow-800">
+                  <FileText className="h-4 w-4 mr-2" />
+                  {thread.lastReport
+                    ? `Patient asked for their report. Last sent: ${thread.lastReport.testName || 'report'} on ${new Date(thread.lastReport.sentAt).toLocaleDateString()}`
+                    : 'Patient asked for their report. No report has been sent to this number yet.'}
+                </div>
+              )}
+
+              <div className="flex-1 px-6 py-4 space-y-3 overflow-y-auto max-h-[28rem]">
+                {thread.messages.map((message) => (
+                  <div key={message.id} className={`flex ${message.direction === 'outbound' ? 'justify-end' : 'justify-start'}`}>
+                    <div className={`max-w-md rounded-lg px-3 py-2 ${
+                      message.direction === 'outbound' ? 'bg-green-50 text-gray-900' : 'bg-gray-100 text-gray-900'
+                    }`}>
+                      <p className="text-sm whitespace-pre-wrap">
+                        {message.body || (message.hasMedia ? `[${message.type || 'media'}]` : '')}
+                      </p>
+                      <p className="text-xs text-gray-400 mt-1 flex items-center">
+                        {message.autoReply && <Bot className="h-3 w-3 mr-1" />}
+                        {message.autoReply && `${message.autoReply} • `}
+                        {new Date(message.timestamp).toLocaleTimeString()}
+                        {message.status && ` • ${message.status}`}
+                      </p>
+                    </div>
+                  </div>
+                ))}
+              </div>
+
+              {error && (
+                <div className="mx-6 mb-2 p-3 rounded-md bg-red-50 border border-red-200">
+                  <p className="text-sm text-red-800">❌ Error: {error}</p>
+                </div>
+              )}
+
+              <form onSubmit={handleReply} className="px-6 py-4 border-t border-gray-200 flex items-end space-x-3">
+                <textarea
+                  value={reply}
+                  onChange={(e) => setReply(e.target.value)}
+                  rows={2}
+                  placeholder={thread.phoneNumber ? 'Type a reply...' : 'This contact has no phone number to reply to'}
+                  disabled={!thread.phoneNumber}
+                  className="flex-1 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                />
+                <button
+                  type="submit"
+                  disabled={sending || !reply.trim() || !thread.phoneNumber}
+                  className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  <Send className="h-4 w-4" />
+                  <span>{sending ? 'Sending...' : 'Reply'}</span>
+                </button>
+              </form>
+            </>
+          ) : (
+            <div className="flex-1 flex items-center justify-center text-sm text-gray-500">
+              Select a conversation
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default Inbox;
@@ -0,0 +1,249 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Save, Database, RefreshCw } from 'lucide-react';
+import { apiFetch } from '../config/api';
+
+interface LimsSettingsValues {
+  enabled: boolean;
+  pollIntervalSeconds: number;
+  reportsPath: string;
+  itemsPath: string;
+  sinceParam: string;
+  ackPath: string;
+  templateId: string;
+  maxAttempts: number;
+  mapping: Record<string, string>;
+}
+
+interface LimsStatus {
+  enabled: boolean;
+  configured: boolean;
+  apiUrl: string | null;
+  nextPollAt: string | null;
+  lastPoll: {
+    at: string;
+    error: string | null;
+    summary: Record<string, number>;
+  } | null;
+  reports: Record<string, number>;
+}
+
+interface SaveResult {
+  success: boolean;
+  error?: string;
+}
+
+const PATH_FIELDS: { key: 'reportsPath' | 'itemsPath' | 'sinceParam' | 'ackPath'; label: string }[] = [
+  { key: 'reportsPath', label: 'Reports endpoint (relative to LIMS_API_URL)' },
+  { key: 'itemsPath', label: 'Path to the report list in the response (empty if the response is the list)' },
+  { key: 'sinceParam', label: 'Query parameter for the last poll time (optional)' },
+  { key: 'ackPath', label: 'Acknowledgement endpoint, {reportId} is replaced (empty to skip)' },
+];
+
+const LimsSettings: React.FC = () => {
+  const [settings, setSettings] = useState<LimsSettingsValues | null>(null);
+  const [mappingText, setMappingText] = useState('');
+  const [status, setStatus] = useState<LimsStatus | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [polling, setPolling] = useState(false);
+  const [result, setResult] = useState<SaveResult | null>(null);
+
+  const fetchStatus = useCallback(async () => {
+    try {
+      const response = await apiFetch(`/api/lims/status`);
+      setStatus(await response.json());
+    } catch (error) {
+      console.error('Error fetching LIMS status:', error);
+    }
+  }, []);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await apiFetch(`/api/settings/lims`);
+        const data = await response.json();
+        setSettings(data);
+        setMappingText(JSON.stringify(data.mapping, null, 2));
+      } catch (error) {
+        console.error('Error fetching LIMS settings:', error);
+      }
+    };
+
+    fetchSettings();
+    fetchStatus();
+  }, [fetchStatus]);
+
+  if (!settings) {
+    return <p className="text-sm text-gray-500">Loading LIMS settings...</p>;
+  }
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const { name, value, type, checked } = e.target;
+    setSettings({
+      ...settings,
+      [name]: type === 'checkbox' ? checked : type === 'number' ? Number(value) : value,
+    });
+  };
+
+  const handleSave = async () => {
+    let mapping: Record<string, string>;
+    try {
+      mapping = JSON.parse(mappingText);
+    } catch {
+      setResult({ success: false, error: 'Field mapping is not valid JSON' });
+      return;
+    }
+
+    setSaving(true);
+    setResult(null);
+
+    try {
+      const response = await apiFetch(`/api/settings/lims`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ ...settings, mapping }),
+      });
+      const data = await response.json();
+      setResult(data);
+
+      if (data.success) {
+        setSettings(data.settings);
+        setMappingText(JSON.stringify(data.settings.mapping, null, 2));
+        fetchStatus();
+      }
+    } catch (error) {
+      console.error('Error saving LIMS settings:', error);
+      setResult({ success: false, error: 'Failed to save settings' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handlePoll = async () => {
+    setPolling(true);
+
+    try {
+      await apiFetch(`/api/lims/poll`, { method: 'POST' });
+    } catch (error) {
+      console.error('Error polling LIMS:', error);
+    } finally {
+      setPolling(false);
+      fetchStatus();
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <h3 className="text-sm font-medium text-gray-700 flex items-center">
+        <Database className="h-4 w-4 mr-1" />
+        LIMS Connector
+      </h3>
+
+      {status && (
+        <div className="max-w-xl text-sm text-gray-600 space-y-1">
+          <p>
+            {status.configured ? `LIMS: ${status.apiUrl}` : 'LIMS_API_URL is not set on the server'}
+            {status.nextPollAt && ` • next poll ${new Date(status.nextPollAt).toLocaleTimeString()}`}
+          </p>
+          {status.lastPoll && (
+            <p className={status.lastPoll.error ? 'text-red-700' : ''}>
+              Last poll {new Date(status.lastPoll.at).toLocaleString()}:{' '}
+              {status.lastPoll.error || `${status.lastPoll.summary.fetched} fetched, ${status.lastPoll.summary.queued} queued, ${status.lastPoll.summary.failed} failed, ${status.lastPoll.summary.rejected} rejected`}
+            </p>
+          )}
+          <p className="text-xs text-gray-500">
+            {Object.entries(status.reports).map(([state, count]) => `${count} ${state}`).join(' • ')}
+          </p>
+        </div>
+      )}
+
+      <label className="flex items-center space-x-2 text-sm text-gray-700">
+        <input type="checkbox" name="enabled" checked={settings.enabled} onChange={handleChange} />
+        <span>Poll the LIMS for authorized reports and send them automatically</span>
+      </label>
+
+      <div className="grid grid-cols-1 md:grid-cols-3 gap-4 max-w-xl">
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Poll every (seconds)</label>
+          <input
+            type="number"
+            name="pollIntervalSeconds"
+            min={15}
+            value={settings.pollIntervalSeconds}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Attempts per report</label>
+          <input
+            type="number"
+            name="maxAttempts"
+            min={1}
+            value={settings.maxAttempts}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-xs text-gray-500 mb-1">Template</label>
+          <input
+            type="text"
+            name="templateId"
+            value={settings.templateId}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+      </div>
+
+      {PATH_FIELDS.map(({ key, label }) => (
+        <div key={key} className="max-w-xl">
+          <label className="block text-xs text-gray-500 mb-1">{label}</label>
+          <input
+            type="text"
+            name={key}
+            value={settings[key]}
+            onChange={handleChange}
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+      ))}
+
+      <div className="max-w-xl">
+        <label className="block text-xs text-gray-500 mb-1">Field mapping (send field: path in the LIMS report)</label>
+        <textarea
+          value={mappingText}
+          onChange={(e) => setMappingText(e.target.value)}
+          rows={9}
+          className="w-full px-3 py-2 font-mono text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+        />
+      </div>
+
+      <div className="flex items-center space-x-4">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          <Save className="h-4 w-4" />
+          <span>{saving ? 'Saving...' : 'Save LIMS Settings'}</span>
+        </button>
+        <button
+          onClick={handlePoll}
+          disabled={polling || !status?.configured}
+          className="flex items-center space-x-2 px-4 py-2 border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 transition-colors"
+        >
+          <RefreshCw className={`h-4 w-4 ${polling ? 'animate-spin' : ''}`} />
+          <span>Poll Now</span>
+        </button>
+        {result && (
+          <p className={`text-sm ${result.success ? 'text-green-700' : 'text-red-700'}`}>
+            {result.success ? '✅ Settings saved' : `❌ ${result.error}`}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default LimsSettings;
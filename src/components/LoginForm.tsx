@@ -0,0 +1,96 @@
+import React, { useState } from 'react';
+import { MessageCircle, LogIn } from 'lucide-react';
+import { apiFetch, setAuthToken } from '../config/api';
+
+interface LoginFormProps {
+  onLogin: () => void;
+  notice?: string | null;
+}
+
+const LoginForm: React.FC<LoginFormProps> = ({ onLogin, notice }) => {
+  const [username, setUsername] = useState('');
+  const [password, setPassword] = useState('');
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  const handleSubmit = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setSubmitting(true);
+    setError(null);
+
+    try {
+      const response = await apiFetch('/api/auth/login', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ username: username.trim(), password }),
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setAuthToken(result.token);
+        onLogin();
+      } else {
+        setError(result.error);
+      }
+    } catch (error) {
+      console.error('Error signing in:', error);
+      setError('Network error');
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex items-center justify-center px-4">
+      <form onSubmit={handleSubmit} className="w-full max-w-sm bg-white rounded-lg shadow p-6 space-y-4">
+        <div className="flex items-center space-x-3">
+          <div className="bg-blue-600 p-2 rounded-lg">
+            <MessageCircle className="h-6 w-6 text-white" />
+          </div>
+          <div>
+            <h1 className="text-lg font-bold text-gray-900">LIMS WhatsApp Integration</h1>
+            <p className="text-sm text-gray-500">Sign in to continue</p>
+          </div>
+        </div>
+
+        {notice && <p className="text-sm text-yellow-800 bg-yellow-50 border border-yellow-200 rounded-md p-2">{notice}</p>}
+
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Username</label>
+          <input
+            type="text"
+            value={username}
+            onChange={(e) => setUsername(e.target.value)}
+            autoComplete="username"
+            required
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-gray-700 mb-1">Password</label>
+          <input
+            type="password"
+            value={password}
+            onChange={(e) => setPassword(e.target.value)}
+            autoComplete="current-password"
+            required
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+        </div>
+
+        {error && <p className="text-sm text-red-700">❌ {error}</p>}
+
+        <button
+          type="submit"
+          disabled={submitting}
+          className="w-full flex items-center justify-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          <LogIn className="h-4 w-4" />
+          <span>{submitting ? 'Signing in...' : 'Sign In'}</span>
+        </button>
+      </form>
+    </div>
+  );
+};
+
+export default LoginForm;
@@ -1,40 +1,167 @@
-import React, { useState } from 'react';
-import { Send, FileText, User, Phone, Calendar, UserCheck } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { Send, FileText, User, Phone, Calendar, UserCheck, Eye, Languages, Clock } from 'lucide-react';
+import { apiFetch } from '../config/api';
+import { LOCALES } from '../config/locales';
+import { PRIORITIES } from '../config/priorities';
+
+interface MessageTemplate {
+  id: string;
+  name: string;
+  body: string;
+  defaultLocale: string;
+  variants: Record<string, string>;
+  version: number;
+}
+
+interface TemplatePreview {
+  locale: string;
+  rendered?: string;
+  error?: string;
+}
+
+interface NumberCheck {
+  valid: boolean;
+  e164?: string;
+  country?: string | null;
+  registered?: boolean | null;
+  consent?: { allowed: boolean; reason: 'opted-out' | 'no-consent' | null };
+  error?: string;
+}
+
+interface Session {
+  id: string;
+  name: string;
+  isDefault: boolean;
+  isReady: boolean;
+}
 
 interface MessageFormProps {
   onSendMessage: (data: any) => Promise<any>;
   onSendReport: (formData: FormData) => Promise<any>;
+  templates: MessageTemplate[];
+  sessions: Session[];
   whatsappReady: boolean;
 }
 
-const MessageForm: React.FC<MessageFormProps> = ({ onSendMessage, onSendReport, whatsappReady }) => {
-  const [formData, setFormData] = useState({
-    phoneNumber: '',
-    patientName: '',
-    testName: '',
-    reportDate: '',
-    doctorName: '',
-    message: `Dear [PatientName], your [TestName] report is now ready.
-Date: [ReportDate]
-Doctor: [DoctorName]
-To view or download your report, please contact our lab.
-
-- MedLab Systems`
-  });
-  const [file, setFile] = useState<File | null>(null);
+const emptyForm = {
+  phoneNumber: '',
+  patientName: '',
+  testName: '',
+  reportDate: '',
+  doctorName: '',
+  templateId: '',
+  locale: 'en',
+  sendAt: '',
+  urgent: '',
+  priority: '',
+  sessionId: '',
+  reportDelivery: '',
+  linkProtection: '',
+  reportPassword: '',
+  dateOfBirth: '',
+  message: ''
+};
+
+const variantFor = (template: MessageTemplate, locale: string) =>
+  template.variants?.[locale] || template.body;
+
+const MessageForm: React.FC<MessageFormProps> = ({ onSendMessage, onSendReport, templates, sessions, whatsappReady }) => {
+  const [formData, setFormData] = useState(emptyForm);
+  const [files, setFiles] = useState<File[]>([]);
   const [sending, setSending] = useState(false);
   const [result, setResult] = useState<any>(null);
+  const [previews, setPreviews] = useState<TemplatePreview[]>([]);
+  const [previewing, setPreviewing] = useState(false);
+  const [numberCheck, setNumberCheck] = useState<NumberCheck | null>(null);
+
+  // Without a chosen session the message goes out through the default one
+  const sendingSession = sessions.find(s => formData.sessionId ? s.id === formData.sessionId : s.isDefault);
+  const sessionReady = sendingSession ? sendingSession.isReady : whatsappReady;
+
+  // Validate the number as the user types, once they pause for half a second
+  useEffect(() => {
+    const phoneNumber = formData.phoneNumber.trim();
+    setNumberCheck(null);
+    if (phoneNumber.replace(/\D/g, '').length < 6) {
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const response = await apiFetch(`/api/numbers/validate?phoneNumber=${encodeURIComponent(phoneNumber)}`);
+        setNumberCheck(await response.json());
+      } catch (error) {
+        console.error('Error validating phone number:', error);
+      }
+    }, 500);
+
+    return () => clearTimeout(timer);
+  }, [formData.phoneNumber]);
+
+  const selectTemplate = (template: MessageTemplate) => {
+    setFormData(prev => ({ ...prev, templateId: template.id, message: variantFor(template, prev.locale) }));
+    setPreviews([]);
+  };
+
+  // Start from the first stored template once they have loaded
+  useEffect(() => {
+    if (!formData.message && templates.length > 0) {
+      setFormData(prev => ({ ...prev, templateId: templates[0].id, message: variantFor(templates[0], prev.locale) }));
+    }
+  }, [templates, formData.message]);
+
+  const handleLocaleChange = (e: React.ChangeEvent<HTMLSelectElement>) => {
+    const locale = e.target.value;
+    const template = templates.find(t => t.id === formData.templateId);
+
+    setFormData({
+      ...formData,
+      locale,
+      // Switch the text to the matching variant when a stored template is selected
+      ...(template && { message: variantFor(template, locale) })
+    });
+  };
+
+  const handlePreview = async () => {
+    setPreviewing(true);
+
+    try {
+      const response = await apiFetch(`/api/templates/preview`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          ...(formData.templateId
+            ? { templateId: formData.templateId }
+            : { variants: { [formData.locale]: formData.message } }),
+          data: {
+            patientName: formData.patientName,
+            testName: formData.testName,
+            reportDate: formData.reportDate,
+            doctorName: formData.doctorName,
+          },
+        }),
+      });
+      const data = await response.json();
+      setPreviews(data.previews || []);
+    } catch (error) {
+      console.error('Error previewing template:', error);
+      setPreviews([]);
+    } finally {
+      setPreviewing(false);
+    }
+  };
 
   const handleInputChange = (e: React.ChangeEvent<HTMLInputElement | HTMLTextAreaElement>) => {
     setFormData({
       ...formData,
-      [e.target.name]: e.target.value
+      [e.target.name]: e.target.value,
+      // Editing the text turns the message into a one-off instead of the stored template
+      ...(e.target.name === 'message' && { templateId: '' })
     });
   };
 
   const handleFileChange = (e: React.ChangeEvent<HTMLInputElement>) => {
-    const selectedFile = e.target.files?.[0] || null;
-    setFile(selectedFile);
+    setFiles(Array.from(e.target.files || []));
   };
 
   const handleSubmit = async (e: React.FormEvent) => {
@@ -42,41 +169,35 @@ To view or download your report, please contact our lab.
     setSending(true);
     setResult(null);
 
+    // datetime-local values have no timezone; send the browser's local time as UTC
+    const payload = {
+      ...formData,
+      sendAt: formData.sendAt ? new Date(formData.sendAt).toISOString() : ''
+    };
+
     try {
       let response;
       
-      if (file) {
-        // Send with attachment
+      if (files.length > 0) {
+        // Send with attachment; several files are combined into one PDF by the server
         const formDataWithFile = new FormData();
-        Object.keys(formData).forEach(key => {
-          formDataWithFile.append(key, formData[key as keyof typeof formData]);
+        Object.keys(payload).forEach(key => {
+          formDataWithFile.append(key, payload[key as keyof typeof payload]);
         });
-        formDataWithFile.append('report', file);
+        files.forEach(file => formDataWithFile.append('report', file));
         
         response = await onSendReport(formDataWithFile);
       } else {
         // Send text message only
-        response = await onSendMessage(formData);
+        response = await onSendMessage(payload);
       }
       
       setResult(response);
       
       if (response.success) {
         // Reset form on success
-        setFormData({
-          phoneNumber: '',
-          patientName: '',
-          testName: '',
-          reportDate: '',
-          doctorName: '',
-          message: `Dear [PatientName], your [TestName] report is now ready.
-Date: [ReportDate]
-Doctor: [DoctorName]
-To view or download your report, please contact our lab.
-
-- MedLab Systems`
-        });
-        setFile(null);
+        setFormData(emptyForm);
+        setFiles([]);
       }
     } catch (error) {
       setResult({ success: false, error: 'Failed to send message' });
@@ -85,36 +206,6 @@ To view or download your report, please contact our lab.
     }
   };
 
-  const templates = [
-    {
-      name: 'Standard Report',
-      template: `Dear [PatientName], your [TestName] report is now ready.
-Date: [ReportDate]
-Doctor: [DoctorName]
-To view or download your report, please contact our lab.
-
-- MedLab Systems`
-    },
-    {
-      name: 'Urgent Results',
-      template: `🚨 URGENT: Dear [PatientName], your [TestName] results require immediate attention.
-Date: [ReportDate]
-Doctor: [DoctorName]
-Please contact your doctor immediately.
-
-- MedLab Systems`
-    },
-    {
-      name: 'Normal Results',
-      template: `Dear [PatientName], your [TestName] results are normal.
-Date: [ReportDate]
-Doctor: [DoctorName]
-No further action required.
-
-- MedLab Systems`
-    }
-  ];
-
   return (
     <div className="max-w-4xl mx-auto">
       <div className="bg-white rounded-lg shadow">
@@ -125,10 +216,10 @@ No further action required.
           </p>
         </div>
 
-        {!whatsappReady && (
+        {!sessionReady && (
           <div className="px-6 py-4 bg-yellow-50 border-b border-yellow-200">
             <p className="text-sm text-yellow-800">
-              ⚠️ WhatsApp is not connected. Please scan the QR code first.
+              ⚠️ {sendingSession && sessions.length > 1 ? `${sendingSession.name} is` : 'WhatsApp is'} not connected. Please scan the QR code first.
             </p>
           </div>
         )}
@@ -145,10 +236,30 @@ No further action required.
                 name="phoneNumber"
                 value={formData.phoneNumber}
                 onChange={handleInputChange}
-                placeholder="+1234567890"
+                placeholder="+91 98765 43210"
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
                 required
               />
+              {numberCheck && (
+                <p className={`text-xs mt-1 ${
+                  !numberCheck.valid || numberCheck.registered === false ? 'text-red-600' : 'text-green-600'
+                }`}>
+                  {!numberCheck.valid
+                    ? '✗ Not a valid phone number'
+                    : numberCheck.registered === false
+                      ? `✗ ${numberCheck.e164} is not on WhatsApp`
+                      : numberCheck.registered
+                        ? `✓ ${numberCheck.e164} is on WhatsApp`
+                        : `✓ ${numberCheck.e164} (WhatsApp not checked while disconnected)`}
+                </p>
+              )}
+              {numberCheck?.consent && !numberCheck.consent.allowed && (
+                <p className="text-xs mt-1 text-yellow-700">
+                  {numberCheck.consent.reason === 'opted-out'
+                    ? '⚠ This patient has opted out; only critical results can be sent'
+                    : '⚠ No opt-in recorded; only critical results can be sent'}
+                </p>
+              )}
             </div>
 
             <div>
@@ -195,7 +306,7 @@ No further action required.
               />
             </div>
 
-            <div className="md:col-span-2">
+            <div>
               <label className="block text-sm font-medium text-gray-700 mb-2">
                 <UserCheck className="inline h-4 w-4 mr-1" />
                 Doctor Name
@@ -209,19 +320,52 @@ No further action required.
                 className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
               />
             </div>
+
+            <div>
+              <label className="block text-sm font-medium text-gray-700 mb-2">
+                <Clock className="inline h-4 w-4 mr-1" />
+                Send At (Optional)
+              </label>
+              <input
+                type="datetime-local"
+                name="sendAt"
+                value={formData.sendAt}
+                onChange={handleInputChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
           </div>
 
           <div>
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              Message Template
-            </label>
+            <div className="flex items-center justify-between mb-2">
+              <label className="block text-sm font-medium text-gray-700">
+                Message Template
+              </label>
+              <div className="flex items-center space-x-2">
+                <Languages className="h-4 w-4 text-gray-500" />
+                <select
+                  name="locale"
+                  value={formData.locale}
+                  onChange={handleLocaleChange}
+                  className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  {LOCALES.map((locale) => (
+                    <option key={locale.code} value={locale.code}>{locale.label}</option>
+                  ))}
+                </select>
+              </div>
+            </div>
             <div className="mb-3 flex flex-wrap gap-2">
-              {templates.map((template, index) => (
+              {templates.map((template) => (
                 <button
-                  key={index}
+                  key={template.id}
                   type="button"
-                  onClick={() => setFormData({ ...formData, message: template.template })}
-                  className="px-3 py-1 text-sm bg-gray-100 text-gray-700 rounded-md hover:bg-gray-200 transition-colors"
+                  onClick={() => selectTemplate(template)}
+                  className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                    formData.templateId === template.id
+                      ? 'bg-blue-100 text-blue-700'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
                 >
                   {template.name}
                 </button>
@@ -237,35 +381,145 @@ No further action required.
               required
             />
             <p className="text-xs text-gray-500 mt-1">
-              Use placeholders: [PatientName], [TestName], [ReportDate], [DoctorName], [LabName]
+              Placeholders: [PatientName], [TestName], [ReportDate|date:long], [DoctorName], [LabName], [ReportLink], [PasswordHint] • Sections: [#if Urgent]...[/if], [#each Tests][Name]: [Value][/each]
+              {formData.templateId ? ' • Using the stored template' : ' • Custom message'}
             </p>
+            <button
+              type="button"
+              onClick={handlePreview}
+              disabled={previewing || !formData.message}
+              className="mt-3 flex items-center space-x-2 px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 transition-colors"
+            >
+              <Eye className="h-4 w-4" />
+              <span>{previewing ? 'Rendering...' : 'Preview all languages'}</span>
+            </button>
+            {previews.length > 0 && (
+              <div className="mt-3 grid grid-cols-1 md:grid-cols-3 gap-3">
+                {previews.map((preview) => (
+                  <div key={preview.locale} className="bg-gray-50 rounded p-3">
+                    <p className="text-xs font-medium text-gray-500 mb-1">
+                      {LOCALES.find(l => l.code === preview.locale)?.label || preview.locale}
+                    </p>
+                    {preview.rendered ? (
+                      <p className="text-sm text-gray-700 whitespace-pre-wrap">{preview.rendered}</p>
+                    ) : (
+                      <p className="text-sm text-red-600">{preview.error}</p>
+                    )}
+                  </div>
+                ))}
+              </div>
+            )}
           </div>
 
           <div>
             <label className="block text-sm font-medium text-gray-700 mb-2">
-              PDF Report (Optional)
+              Report (Optional)
             </label>
             <input
               type="file"
-              accept=".pdf"
+              accept=".pdf,image/*"
+              multiple
               onChange={handleFileChange}
               className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
             />
-            {file && (
+            <p className="text-xs text-gray-500 mt-1">
+              A PDF or photos of the pages; several files are combined into one PDF
+            </p>
+            {files.length > 0 && (
               <p className="text-sm text-green-600 mt-1">
-                Selected: {file.name} ({(file.size / 1024 / 1024).toFixed(2)} MB)
+                Selected: {files.map(file => file.name).join(', ')} ({(files.reduce((total, file) => total + file.size, 0) / 1024 / 1024).toFixed(2)} MB)
               </p>
             )}
+            {files.length > 0 && (
+              <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mt-3">
+                <select
+                  value={formData.reportDelivery}
+                  onChange={(e) => setFormData({ ...formData, reportDelivery: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  title="How the report reaches the patient"
+                >
+                  <option value="">Delivery: as configured</option>
+                  <option value="attachment">Delivery: WhatsApp attachment</option>
+                  <option value="link">Delivery: download link</option>
+                </select>
+                {formData.reportDelivery === 'link' && (
+                  <select
+                    value={formData.linkProtection}
+                    onChange={(e) => setFormData({ ...formData, linkProtection: e.target.value })}
+                    className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                    title="What the patient has to enter before downloading"
+                  >
+                    <option value="">Protection: as configured</option>
+                    <option value="none">Protection: none</option>
+                    <option value="otp">Protection: one-time code</option>
+                    <option value="dob">Protection: date of birth</option>
+                  </select>
+                )}
+                <select
+                  value={formData.reportPassword}
+                  onChange={(e) => setFormData({ ...formData, reportPassword: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  title="The password the PDF opens with; the message tells the patient what it is"
+                >
+                  <option value="">PDF password: as configured</option>
+                  <option value="none">PDF password: none</option>
+                  <option value="dob">PDF password: date of birth (DDMMYYYY)</option>
+                  <option value="phone">PDF password: last 4 digits of the number</option>
+                </select>
+                <input
+                  type="date"
+                  value={formData.dateOfBirth}
+                  onChange={(e) => setFormData({ ...formData, dateOfBirth: e.target.value })}
+                  className="px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  title="Patient's date of birth (for date-of-birth protection or password)"
+                />
+              </div>
+            )}
           </div>
 
-          <div className="flex justify-end">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center space-x-4">
+              <label className="flex items-center space-x-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={formData.urgent === 'true'}
+                  onChange={(e) => setFormData({ ...formData, urgent: e.target.checked ? 'true' : '' })}
+                />
+                <span>Urgent (allowed through quiet hours)</span>
+              </label>
+              <select
+                value={formData.priority}
+                onChange={(e) => setFormData({ ...formData, priority: e.target.value })}
+                className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                title="Queue priority"
+              >
+                {PRIORITIES.map((priority) => (
+                  <option key={priority.code} value={priority.code}>Priority: {priority.label}</option>
+                ))}
+              </select>
+              {sessions.length > 1 && (
+                <select
+                  value={formData.sessionId}
+                  onChange={(e) => setFormData({ ...formData, sessionId: e.target.value })}
+                  className="px-2 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  title="WhatsApp number to send from"
+                >
+                  <option value="">From: default session</option>
+                  {sessions.map((session) => (
+                    <option key={session.id} value={session.id}>
+                      From: {session.name}{session.isReady ? '' : ' (offline)'}
+                    </option>
+                  ))}
+                </select>
+              )}
+            </div>
             <button
               type="submit"
-              disabled={!whatsappReady || sending}
+              disabled={(!sessionReady && !formData.sendAt) || sending || numberCheck?.valid === false || numberCheck?.registered === false}
               className="flex items-center space-x-2 px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
             >
               <Send className="h-4 w-4" />
-              <span>{sending ? 'Sending...' : 'Send Message'}</span>
+              <span>{sending ? 'Sending...' : formData.sendAt ? 'Schedule Message' : 'Send Message'}</span>
             </button>
           </div>
         </form>
@@ -275,7 +529,13 @@ No further action required.
             result.success ? 'bg-green-50 border border-green-200' : 'bg-red-50 border border-red-200'
           }`}>
             <p className={`text-sm ${result.success ? 'text-green-800' : 'text-red-800'}`}>
-              {result.success ? '✅ Message sent successfully!' : `❌ Error: ${result.error}`}
+              {result.success
+                ? result.scheduledFor
+                  ? `⏰ Message scheduled for ${new Date(result.scheduledFor).toLocaleString()}`
+                  : result.reportLink
+                    ? `✅ Message sent with a report link valid until ${new Date(result.reportLink.expiresAt).toLocaleString()}`
+                    : '✅ Message sent successfully!'
+                : `❌ Error: ${result.error}`}
             </p>
           </div>
         )}
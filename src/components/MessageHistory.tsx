@@ -1,15 +1,23 @@
 import React, { useState } from 'react';
-import { RefreshCw, Search, Filter, Download, MessageCircle } from 'lucide-react';
+import { RefreshCw, Search, Filter, Download, MessageCircle, RotateCcw, Send, Link as LinkIcon } from 'lucide-react';
+import { apiFetch } from '../config/api';
 
 interface Message {
   id: string;
   phoneNumber: string;
   message: string;
-  status: 'pending' | 'sent' | 'delivered' | 'failed';
+  status: 'scheduled' | 'cancelled' | 'queued' | 'pending' | 'sent' | 'received' | 'delivered' | 'read' | 'failed';
   timestamp: string;
   patientName?: string;
   testName?: string;
   hasAttachment?: boolean;
+  reportId?: string;
+  reportDelivery?: 'attachment' | 'link';
+  reportOpens?: number;
+  reportDownloads?: number;
+  reportDownloadedAt?: string;
+  error?: string;
+  errorType?: 'permanent' | 'transient';
 }
 
 interface MessageHistoryProps {
@@ -20,6 +28,84 @@ interface MessageHistoryProps {
 const MessageHistory: React.FC<MessageHistoryProps> = ({ messages, onRefresh }) => {
   const [searchTerm, setSearchTerm] = useState('');
   const [statusFilter, setStatusFilter] = useState<string>('all');
+  const [retrying, setRetrying] = useState<string | null>(null);
+  const [retryError, setRetryError] = useState<string | null>(null);
+  const [resending, setResending] = useState<string | null>(null);
+
+  const failedCount = messages.filter(message => message.status === 'failed').length;
+
+  // Re-drives one dead letter, or all of them when no id is given
+  const handleRetry = async (id?: string) => {
+    setRetrying(id || 'all');
+    setRetryError(null);
+
+    try {
+      const response = await apiFetch(
+        id ? `/api/messages/failed/${id}/retry` : `/api/messages/failed/retry-all`,
+        { method: 'POST' }
+      );
+      const result = await response.json();
+
+      if (!result.success) {
+        setRetryError(result.error);
+      }
+      onRefresh();
+    } catch (error) {
+      console.error('Error retrying messages:', error);
+      setRetryError('Failed to retry');
+    } finally {
+      setRetrying(null);
+    }
+  };
+
+  // Sends the message again as a new one, with its stored report (a report link gets a new link)
+  const handleResend = async (message: Message) => {
+    if (!window.confirm(`Send this message to ${message.phoneNumber} again?`)) {
+      return;
+    }
+
+    setResending(message.id);
+    setRetryError(null);
+
+    try {
+      const response = await apiFetch(`/api/messages/${message.id}/resend`, { method: 'POST' });
+      const result = await response.json();
+
+      if (!result.success) {
+        setRetryError(result.error);
+      }
+      onRefresh();
+    } catch (error) {
+      console.error('Error resending message:', error);
+      setRetryError('Failed to resend');
+    } finally {
+      setResending(null);
+    }
+  };
+
+  const handleDownloadReport = async (message: Message) => {
+    setRetryError(null);
+
+    try {
+      const response = await apiFetch(`/api/messages/${message.id}/report`);
+
+      if (!response.ok) {
+        setRetryError((await response.json()).error);
+        return;
+      }
+
+      const blob = await response.blob();
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `report-${message.id.slice(0, 8)}.${blob.type.split('/')[1] || 'pdf'}`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error downloading report:', error);
+      setRetryError('Failed to download the report');
+    }
+  };
 
   const filteredMessages = messages.filter(message => {
     const matchesSearch = 
@@ -35,9 +121,12 @@ const MessageHistory: React.FC<MessageHistoryProps> = ({ messages, onRefresh })
   const getStatusColor = (status: string) => {
     switch (status) {
       case 'sent': return 'text-green-600 bg-green-100';
-      case 'delivered': return 'text-blue-600 bg-blue-100';
+      case 'delivered':
+      case 'received': return 'text-blue-600 bg-blue-100';
+      case 'read': return 'text-indigo-600 bg-indigo-100';
       case 'failed': return 'text-red-600 bg-red-100';
       case 'pending': return 'text-yellow-600 bg-yellow-100';
+      case 'scheduled': return 'text-purple-600 bg-purple-100';
       default: return 'text-gray-600 bg-gray-100';
     }
   };
@@ -45,9 +134,13 @@ const MessageHistory: React.FC<MessageHistoryProps> = ({ messages, onRefresh })
   const getStatusIcon = (status: string) => {
     switch (status) {
       case 'sent': return '✓';
-      case 'delivered': return '✓✓';
+      case 'delivered':
+      case 'received':
+      case 'read': return '✓✓';
       case 'failed': return '✗';
       case 'pending': return '○';
+      case 'scheduled': return '⏰';
+      case 'cancelled': return '–';
       default: return '○';
     }
   };
@@ -62,14 +155,29 @@ const MessageHistory: React.FC<MessageHistoryProps> = ({ messages, onRefresh })
               View all sent messages and their delivery status
             </p>
           </div>
-          <button
-            onClick={onRefresh}
-            className="flex items-center space-x-2 px-4 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
-          >
-            <RefreshCw className="h-4 w-4" />
-            <span>Refresh</span>
-          </button>
+          <div className="flex items-center space-x-3">
+            {failedCount > 0 && (
+              <button
+                onClick={() => handleRetry()}
+                disabled={retrying !== null}
+                className="flex items-center space-x-2 px-4 py-2 text-sm border border-red-300 text-red-700 rounded-md hover:bg-red-50 disabled:opacity-50 transition-colors"
+              >
+                <RotateCcw className="h-4 w-4" />
+                <span>{retrying === 'all' ? 'Retrying...' : 'Retry All Failed'}</span>
+              </button>
+            )}
+            <button
+              onClick={onRefresh}
+              className="flex items-center space-x-2 px-4 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+            >
+              <RefreshCw className="h-4 w-4" />
+              <span>Refresh</span>
+            </button>
+          </div>
         </div>
+        {retryError && (
+          <p className="text-sm text-red-700 mt-2">❌ {retryError}</p>
+        )}
       </div>
 
       {/* Filters */}
@@ -95,8 +203,11 @@ const MessageHistory: React.FC<MessageHistoryProps> = ({ messages, onRefresh })
             >
               <option value="all">All Status</option>
               <option value="sent">Sent</option>
-              <option value="delivered">Delivered</option>
+              <option value="received">Delivered</option>
+              <option value="read">Read</option>
               <option value="pending">Pending</option>
+              <option value="scheduled">Scheduled</option>
+              <option value="cancelled">Cancelled</option>
               <option value="failed">Failed</option>
             </select>
           </div>
@@ -118,12 +229,61 @@ const MessageHistory: React.FC<MessageHistoryProps> = ({ messages, onRefresh })
                       <span className="mr-1">{getStatusIcon(message.status)}</span>
                       {message.status}
                     </span>
-                    {message.hasAttachment && (
+                    {message.hasAttachment && message.reportDelivery !== 'link' && (
                       <span className="inline-flex items-center px-2 py-1 rounded-md text-xs font-medium bg-blue-100 text-blue-800">
                         PDF
                       </span>
                     )}
+                    {message.reportDelivery === 'link' && (
+                      <span
+                        className="inline-flex items-center space-x-1 px-2 py-1 rounded-md text-xs font-medium bg-teal-100 text-teal-800"
+                        title="Sent as a download link"
+                      >
+                        <LinkIcon className="h-3 w-3" />
+                        <span>
+                          {message.reportDownloads
+                            ? `Downloaded ${message.reportDownloads}×`
+                            : message.reportOpens
+                              ? `Opened ${message.reportOpens}×`
+                              : 'Not opened'}
+                        </span>
+                      </span>
+                    )}
+                    {message.reportId && (
+                      <button
+                        onClick={() => handleDownloadReport(message)}
+                        className="flex items-center space-x-1 text-xs text-blue-700 hover:text-blue-900"
+                      >
+                        <Download className="h-3 w-3" />
+                        <span>Report</span>
+                      </button>
+                    )}
+                    {['sent', 'received', 'delivered', 'read', 'failed'].includes(message.status) && (
+                      <button
+                        onClick={() => handleResend(message)}
+                        disabled={resending !== null}
+                        className="flex items-center space-x-1 text-xs text-gray-600 hover:text-gray-900 disabled:opacity-50"
+                      >
+                        <Send className="h-3 w-3" />
+                        <span>{resending === message.id ? 'Resending...' : 'Resend'}</span>
+                      </button>
+                    )}
+                    {message.status === 'failed' && (
+                      <button
+                        onClick={() => handleRetry(message.id)}
+                        disabled={retrying !== null}
+                        className="flex items-center space-x-1 text-xs text-red-700 hover:text-red-900 disabled:opacity-50"
+                      >
+                        <RotateCcw className="h-3 w-3" />
+                        <span>{retrying === message.id ? 'Retrying...' : 'Retry'}</span>
+                      </button>
+                    )}
                   </div>
+                  {message.status === 'failed' && message.error && (
+                    <p className="text-xs text-red-600 mb-2">
+                      {message.errorType === 'permanent' ? 'Permanent error' : 'Error'}: {message.error}
+                    </p>
+                  )}
                   
                   <div className="flex items-center space-x-4 text-sm text-gray-500 mb-2">
                     <span>{message.phoneNumber}</span>
@@ -1,11 +1,114 @@
-import React from 'react';
-import { QrCode, Smartphone } from 'lucide-react';
+import React, { useState, useEffect } from 'react';
+import { QrCode, Smartphone, RefreshCw, KeyRound } from 'lucide-react';
+import { apiFetch } from '../config/api';
 
 interface QRCodeDisplayProps {
-  qrCode: string;
+  sessionId: string;
+  qrIssuedAt: string | null;
+  qrExpiresAt: string | null;
+  sessionName?: string;
 }
 
-const QRCodeDisplay: React.FC<QRCodeDisplayProps> = ({ qrCode }) => {
+interface PairingCode {
+  code: string;
+  phoneNumber: string;
+  expiresAt: string;
+}
+
+// Pairing codes are shown the way WhatsApp asks for them, e.g. ABCD-EFGH
+const formatPairingCode = (code: string) => code.length === 8 ? `${code.slice(0, 4)}-${code.slice(4)}` : code;
+
+const QRCodeDisplay: React.FC<QRCodeDisplayProps> = ({ sessionId, qrIssuedAt, qrExpiresAt, sessionName }) => {
+  const [imageUrl, setImageUrl] = useState<string | null>(null);
+  const [now, setNow] = useState(Date.now());
+  const [refreshing, setRefreshing] = useState(false);
+  const [phoneNumber, setPhoneNumber] = useState('');
+  const [pairing, setPairing] = useState<PairingCode | null>(null);
+  const [requesting, setRequesting] = useState(false);
+  const [error, setError] = useState<string | null>(null);
+
+  // The image is rendered by our server; each new QR code has a new issue time
+  useEffect(() => {
+    if (!qrIssuedAt) {
+      return;
+    }
+
+    let objectUrl: string | null = null;
+    let cancelled = false;
+
+    apiFetch(`/api/sessions/qr?sessionId=${encodeURIComponent(sessionId)}`)
+      .then(response => response.ok ? response.blob() : null)
+      .then(blob => {
+        if (blob && !cancelled) {
+          objectUrl = URL.createObjectURL(blob);
+          setImageUrl(objectUrl);
+        }
+      })
+      .catch(error => console.error('Error fetching QR code:', error));
+
+    return () => {
+      cancelled = true;
+      if (objectUrl) {
+        URL.revokeObjectURL(objectUrl);
+      }
+    };
+  }, [sessionId, qrIssuedAt]);
+
+  useEffect(() => {
+    const timer = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(timer);
+  }, []);
+
+  const secondsLeft = qrExpiresAt ? Math.max(0, Math.round((new Date(qrExpiresAt).getTime() - now) / 1000)) : 0;
+  const expired = secondsLeft === 0;
+  const pairingActive = pairing && new Date(pairing.expiresAt).getTime() > now;
+
+  const handleRefresh = async () => {
+    setRefreshing(true);
+    setError(null);
+    setPairing(null);
+
+    try {
+      const response = await apiFetch(`/api/sessions/${sessionId}/qr/refresh`, { method: 'POST' });
+      const result = await response.json();
+
+      if (!result.success) {
+        setError(result.error);
+      }
+    } catch (error) {
+      console.error('Error refreshing QR code:', error);
+      setError('Network error');
+    } finally {
+      setRefreshing(false);
+    }
+  };
+
+  const handleRequestPairingCode = async (e: React.FormEvent) => {
+    e.preventDefault();
+    setRequesting(true);
+    setError(null);
+
+    try {
+      const response = await apiFetch(`/api/sessions/${sessionId}/pairing-code`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ phoneNumber }),
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setPairing({ code: result.code, phoneNumber: result.phoneNumber, expiresAt: result.expiresAt });
+      } else {
+        setError(result.error);
+      }
+    } catch (error) {
+      console.error('Error requesting pairing code:', error);
+      setError('Network error');
+    } finally {
+      setRequesting(false);
+    }
+  };
+
   return (
     <div className="bg-white rounded-lg shadow-lg p-6">
       <div className="text-center">
@@ -14,27 +117,84 @@ const QRCodeDisplay: React.FC<QRCodeDisplayProps> = ({ qrCode }) => {
             <QrCode className="h-8 w-8 text-green-600" />
           </div>
         </div>
-        <h2 className="text-xl font-bold text-gray-900 mb-2">Connect WhatsApp</h2>
+        <h2 className="text-xl font-bold text-gray-900 mb-2">
+          Connect WhatsApp{sessionName && ` — ${sessionName}`}
+        </h2>
         <p className="text-gray-600 mb-6">
           Scan this QR code with your WhatsApp mobile app to connect the LIMS system
         </p>
-        
-        <div className="bg-white p-4 rounded-lg border-2 border-gray-200 inline-block mb-6">
-          <img 
-            src={`https://api.qrserver.com/v1/create-qr-code/?size=200x200&data=${encodeURIComponent(qrCode)}`}
-            alt="WhatsApp QR Code"
-            className="w-48 h-48"
-          />
+
+        <div className="relative bg-white p-4 rounded-lg border-2 border-gray-200 inline-block mb-2">
+          {imageUrl ? (
+            <img
+              src={imageUrl}
+              alt="WhatsApp QR Code"
+              className={`w-48 h-48 ${expired ? 'opacity-20' : ''}`}
+            />
+          ) : (
+            <div className="w-48 h-48 flex items-center justify-center text-sm text-gray-400">Loading...</div>
+          )}
+          {expired && (
+            <div className="absolute inset-0 flex items-center justify-center">
+              <button
+                onClick={handleRefresh}
+                disabled={refreshing}
+                className="flex items-center space-x-1 px-3 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+              >
+                <RefreshCw className={`h-4 w-4 ${refreshing ? 'animate-spin' : ''}`} />
+                <span>{refreshing ? 'Refreshing...' : 'Get a new code'}</span>
+              </button>
+            </div>
+          )}
         </div>
-        
+        <p className="text-xs text-gray-500 mb-6">
+          {expired ? 'This QR code has expired' : `Expires in ${secondsLeft}s; a new code appears automatically`}
+        </p>
+
         <div className="flex items-center justify-center space-x-2 text-sm text-gray-500">
           <Smartphone className="h-4 w-4" />
           <span>Open WhatsApp → Settings → Linked Devices → Link a Device</span>
         </div>
-        
+
+        <div className="mt-6 pt-4 border-t border-gray-200">
+          <p className="text-sm text-gray-700 mb-2 flex items-center justify-center">
+            <KeyRound className="h-4 w-4 mr-1" />
+            Can't scan? Link with a phone number instead
+          </p>
+
+          {pairingActive ? (
+            <div className="space-y-1">
+              <p className="text-3xl font-mono font-bold tracking-widest text-gray-900">{formatPairingCode(pairing.code)}</p>
+              <p className="text-xs text-gray-500">
+                On {pairing.phoneNumber}: tap the WhatsApp notification, or Linked Devices → Link a Device → Link with phone number, and enter this code
+              </p>
+            </div>
+          ) : (
+            <form onSubmit={handleRequestPairingCode} className="flex justify-center gap-2">
+              <input
+                type="tel"
+                value={phoneNumber}
+                onChange={(e) => setPhoneNumber(e.target.value)}
+                placeholder="Phone number of the lab's WhatsApp"
+                required
+                className="w-64 px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+              <button
+                type="submit"
+                disabled={requesting}
+                className="px-3 py-2 text-sm border border-gray-300 rounded-md hover:bg-gray-50 disabled:opacity-50 transition-colors"
+              >
+                {requesting ? 'Requesting...' : 'Get pairing code'}
+              </button>
+            </form>
+          )}
+        </div>
+
+        {error && <p className="mt-3 text-sm text-red-700">❌ {error}</p>}
+
         <div className="mt-4 p-4 bg-blue-50 rounded-md">
           <p className="text-sm text-blue-800">
-            <strong>Note:</strong> Keep this tab open until WhatsApp is connected. 
+            <strong>Note:</strong> Keep this tab open until WhatsApp is connected.
             The connection will be remembered for future sessions.
           </p>
         </div>
@@ -43,4 +203,4 @@ const QRCodeDisplay: React.FC<QRCodeDisplayProps> = ({ qrCode }) => {
   );
 };
 
-export default QRCodeDisplay;
\ No newline at end of file
+export default QRCodeDisplay;
@@ -0,0 +1,232 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Clock, RefreshCw, CalendarClock, XCircle, Paperclip } from 'lucide-react';
+import { apiFetch } from '../config/api';
+
+interface ScheduledMessage {
+  id: string;
+  state: 'scheduled' | 'released' | 'cancelled' | 'failed';
+  sendAt: string;
+  phoneNumber: string;
+  patientName?: string;
+  processedMessage: string;
+  filePath?: string | null;
+  error?: string;
+  createdAt: string;
+  releasedAt?: string;
+}
+
+interface ScheduleStatus {
+  pending: number;
+  nextSendAt: string | null;
+  states: Record<string, number>;
+}
+
+// datetime-local inputs expect local time without a timezone suffix
+const toLocalInput = (iso: string) => {
+  const date = new Date(iso);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+const ScheduledMessages: React.FC = () => {
+  const [items, setItems] = useState<ScheduledMessage[]>([]);
+  const [status, setStatus] = useState<ScheduleStatus | null>(null);
+  const [stateFilter, setStateFilter] = useState('scheduled');
+  const [editingId, setEditingId] = useState<string | null>(null);
+  const [editSendAt, setEditSendAt] = useState('');
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchScheduled = useCallback(async () => {
+    try {
+      const query = stateFilter === 'all' ? '' : `?state=${stateFilter}`;
+      const response = await apiFetch(`/api/scheduled${query}`);
+      const data = await response.json();
+      setItems(data.items);
+      setStatus(data.status);
+    } catch (error) {
+      console.error('Error fetching scheduled messages:', error);
+    }
+  }, [stateFilter]);
+
+  useEffect(() => {
+    fetchScheduled();
+  }, [fetchScheduled]);
+
+  const startEditing = (item: ScheduledMessage) => {
+    setEditingId(item.id);
+    setEditSendAt(toLocalInput(item.sendAt));
+    setError(null);
+  };
+
+  const handleReschedule = async (id: string) => {
+    try {
+      const response = await apiFetch(`/api/scheduled/${id}`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ sendAt: new Date(editSendAt).toISOString() }),
+      });
+      const result = await response.json();
+
+      if (result.success) {
+        setEditingId(null);
+        fetchScheduled();
+      } else {
+        setError(result.error);
+      }
+    } catch (error) {
+      console.error('Error rescheduling message:', error);
+      setError('Network error');
+    }
+  };
+
+  const handleCancel = async (id: string) => {
+    if (!window.confirm('Cancel this scheduled message?')) {
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`/api/scheduled/${id}`, { method: 'DELETE' });
+      const result = await response.json();
+
+      if (result.success) {
+        fetchScheduled();
+      } else {
+        setError(result.error);
+      }
+    } catch (error) {
+      console.error('Error cancelling message:', error);
+      setError('Network error');
+    }
+  };
+
+  const getStateColor = (state: string) => {
+    switch (state) {
+      case 'scheduled': return 'text-purple-600 bg-purple-100';
+      case 'released': return 'text-green-600 bg-green-100';
+      case 'failed': return 'text-red-600 bg-red-100';
+      default: return 'text-gray-600 bg-gray-100';
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200">
+        <div className="flex items-center justify-between">
+          <div>
+            <h2 className="text-lg font-medium text-gray-900">Scheduled Messages</h2>
+            <p className="text-sm text-gray-500 mt-1">
+              {status?.nextSendAt
+                ? `${status.pending} pending • next at ${new Date(status.nextSendAt).toLocaleString()}`
+                : 'Nothing scheduled'}
+            </p>
+          </div>
+          <div className="flex items-center space-x-3">
+            <select
+              value={stateFilter}
+              onChange={(e) => setStateFilter(e.target.value)}
+              className="px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="scheduled">Scheduled</option>
+              <option value="released">Released</option>
+              <option value="cancelled">Cancelled</option>
+              <option value="failed">Failed</option>
+              <option value="all">All</option>
+            </select>
+            <button
+              onClick={fetchScheduled}
+              className="flex items-center space-x-2 px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+            >
+              <RefreshCw className="h-4 w-4" />
+              <span>Refresh</span>
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {error && (
+        <div className="mx-6 mt-4 p-4 rounded-md bg-red-50 border border-red-200">
+          <p className="text-sm text-red-800">❌ Error: {error}</p>
+        </div>
+      )}
+
+      <div className="divide-y divide-gray-200">
+        {items.length > 0 ? (
+          items.map((item) => (
+            <div key={item.id} className="px-6 py-4">
+              <div className="flex items-start justify-between">
+                <div className="min-w-0 flex-1">
+                  <div className="flex items-center space-x-2">
+                    <p className="text-sm font-medium text-gray-900">
+                      {item.patientName || 'Unknown Patient'}
+                    </p>
+                    <span className="text-sm text-gray-500">{item.phoneNumber}</span>
+                    {item.filePath && <Paperclip className="h-4 w-4 text-gray-400" />}
+                  </div>
+                  <p className="text-sm text-gray-600 mt-1 line-clamp-2 whitespace-pre-wrap">{item.processedMessage}</p>
+                  <p className="text-xs text-gray-500 mt-2 flex items-center">
+                    <Clock className="h-3 w-3 mr-1" />
+                    {new Date(item.sendAt).toLocaleString()}
+                  </p>
+                  {item.error && <p className="text-xs text-red-600 mt-1">{item.error}</p>}
+                </div>
+                <div className="ml-4 flex items-center space-x-2">
+                  <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStateColor(item.state)}`}>
+                    {item.state}
+                  </span>
+                  {item.state === 'scheduled' && (
+                    <>
+                      <button
+                        onClick={() => startEditing(item)}
+                        className="p-1 text-gray-500 hover:text-blue-600"
+                        title="Reschedule"
+                      >
+                        <CalendarClock className="h-4 w-4" />
+                      </button>
+                      <button
+                        onClick={() => handleCancel(item.id)}
+                        className="p-1 text-gray-500 hover:text-red-600"
+                        title="Cancel"
+                      >
+                        <XCircle className="h-4 w-4" />
+                      </button>
+                    </>
+                  )}
+                </div>
+              </div>
+
+              {editingId === item.id && (
+                <div className="mt-3 flex items-center space-x-2">
+                  <input
+                    type="datetime-local"
+                    value={editSendAt}
+                    onChange={(e) => setEditSendAt(e.target.value)}
+                    className="px-3 py-1 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+                  />
+                  <button
+                    onClick={() => handleReschedule(item.id)}
+                    disabled={!editSendAt}
+                    className="px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+                  >
+                    Save
+                  </button>
+                  <button
+                    onClick={() => setEditingId(null)}
+                    className="px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+                  >
+                    Cancel
+                  </button>
+                </div>
+              )}
+            </div>
+          ))
+        ) : (
+          <div className="px-6 py-12 text-center">
+            <Clock className="mx-auto h-12 w-12 text-gray-400" />
+            <p className="mt-2 text-sm text-gray-500">No scheduled messages</p>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default ScheduledMessages;
@@ -0,0 +1,232 @@
+import React, { useState, useEffect } from 'react';
+import { Save, Moon, Gauge, RotateCcw } from 'lucide-react';
+import { apiFetch } from '../config/api';
+
+interface SaveResult {
+  success: boolean;
+  error?: string;
+  settings?: SendingSettingsValues;
+}
+
+interface SendingSettingsValues {
+  quietHoursEnabled: boolean;
+  quietHoursStart: string;
+  quietHoursEnd: string;
+  urgentBypassesQuietHours: boolean;
+  perMinute: number;
+  perHour: number;
+  perDay: number;
+  minDelayMs: number;
+  maxDelayMs: number;
+  maxAttempts: number;
+  retryBaseDelayMs: number;
+  retryMaxDelayMs: number;
+}
+
+const LIMIT_FIELDS: { key: keyof SendingSettingsValues; label: string }[] = [
+  { key: 'perMinute', label: 'Per Minute' },
+  { key: 'perHour', label: 'Per Hour' },
+  { key: 'perDay', label: 'Per Day' },
+];
+
+const RETRY_FIELDS: { key: keyof SendingSettingsValues; label: string; min: number }[] = [
+  { key: 'maxAttempts', label: 'Max Attempts', min: 1 },
+  { key: 'retryBaseDelayMs', label: 'First Retry After (ms)', min: 0 },
+  { key: 'retryMaxDelayMs', label: 'Longest Wait (ms)', min: 0 },
+];
+
+const SendingSettings: React.FC = () => {
+  const [settings, setSettings] = useState<SendingSettingsValues | null>(null);
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState<SaveResult | null>(null);
+
+  useEffect(() => {
+    const fetchSettings = async () => {
+      try {
+        const response = await apiFetch(`/api/settings/sending`);
+        setSettings(await response.json());
+      } catch (error) {
+        console.error('Error fetching sending settings:', error);
+      }
+    };
+
+    fetchSettings();
+  }, []);
+
+  if (!settings) {
+    return <p className="text-sm text-gray-500">Loading sending settings...</p>;
+  }
+
+  const handleChange = (e: React.ChangeEvent<HTMLInputElement>) => {
+    const { name, type, checked, value } = e.target;
+    setSettings({
+      ...settings,
+      [name]: type === 'checkbox' ? checked : type === 'number' ? Number(value) : value,
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setResult(null);
+
+    try {
+      const response = await apiFetch(`/api/settings/sending`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings),
+      });
+      const data = await response.json();
+      setResult(data);
+
+      if (data.success) {
+        setSettings(data.settings);
+      }
+    } catch (error) {
+      console.error('Error saving sending settings:', error);
+      setResult({ success: false, error: 'Failed to save settings' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h3 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+          <Moon className="h-4 w-4 mr-1" />
+          Quiet Hours
+        </h3>
+        <label className="flex items-center space-x-2 text-sm text-gray-700">
+          <input type="checkbox" name="quietHoursEnabled" checked={settings.quietHoursEnabled} onChange={handleChange} />
+          <span>Hold messages during quiet hours (lab timezone)</span>
+        </label>
+        <div className="grid grid-cols-2 gap-4 mt-3 max-w-md">
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">From</label>
+            <input
+              type="time"
+              name="quietHoursStart"
+              value={settings.quietHoursStart}
+              onChange={handleChange}
+              disabled={!settings.quietHoursEnabled}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Until</label>
+            <input
+              type="time"
+              name="quietHoursEnd"
+              value={settings.quietHoursEnd}
+              onChange={handleChange}
+              disabled={!settings.quietHoursEnabled}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500 disabled:bg-gray-50"
+            />
+          </div>
+        </div>
+        <label className="flex items-center space-x-2 text-sm text-gray-700 mt-3">
+          <input
+            type="checkbox"
+            name="urgentBypassesQuietHours"
+            checked={settings.urgentBypassesQuietHours}
+            onChange={handleChange}
+            disabled={!settings.quietHoursEnabled}
+          />
+          <span>Send urgent messages during quiet hours</span>
+        </label>
+      </div>
+
+      <div>
+        <h3 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+          <Gauge className="h-4 w-4 mr-1" />
+          Rate Limits
+        </h3>
+        <div className="grid grid-cols-3 gap-4 max-w-xl">
+          {LIMIT_FIELDS.map(({ key, label }) => (
+            <div key={key}>
+              <label className="block text-xs text-gray-500 mb-1">{label}</label>
+              <input
+                type="number"
+                min={0}
+                name={key}
+                value={settings[key] as number}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-1">Maximum messages sent in each window; 0 means no limit</p>
+
+        <div className="grid grid-cols-2 gap-4 mt-3 max-w-md">
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Min Delay (ms)</label>
+            <input
+              type="number"
+              min={0}
+              name="minDelayMs"
+              value={settings.minDelayMs}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+          <div>
+            <label className="block text-xs text-gray-500 mb-1">Max Delay (ms)</label>
+            <input
+              type="number"
+              min={0}
+              name="maxDelayMs"
+              value={settings.maxDelayMs}
+              onChange={handleChange}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+        </div>
+        <p className="text-xs text-gray-500 mt-1">A random delay in this range is waited between two messages</p>
+      </div>
+
+      <div>
+        <h3 className="text-sm font-medium text-gray-700 mb-2 flex items-center">
+          <RotateCcw className="h-4 w-4 mr-1" />
+          Retries
+        </h3>
+        <div className="grid grid-cols-3 gap-4 max-w-xl">
+          {RETRY_FIELDS.map(({ key, label, min }) => (
+            <div key={key}>
+              <label className="block text-xs text-gray-500 mb-1">{label}</label>
+              <input
+                type="number"
+                min={min}
+                name={key}
+                value={settings[key] as number}
+                onChange={handleChange}
+                className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+              />
+            </div>
+          ))}
+        </div>
+        <p className="text-xs text-gray-500 mt-1">
+          Temporary errors are retried with a doubling, randomised wait. Unknown numbers and missing attachments fail at once.
+        </p>
+      </div>
+
+      <div className="flex items-center space-x-4">
+        <button
+          onClick={handleSave}
+          disabled={saving}
+          className="flex items-center space-x-2 px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 transition-colors"
+        >
+          <Save className="h-4 w-4" />
+          <span>{saving ? 'Saving...' : 'Save Sending Settings'}</span>
+        </button>
+        {result && (
+          <p className={`text-sm ${result.success ? 'text-green-700' : 'text-red-700'}`}>
+            {result.success ? '✅ Settings saved' : `❌ ${result.error}`}
+          </p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SendingSettings;
@@ -0,0 +1,326 @@
+import React, { useState, useRef } from 'react';
+import { Smartphone, Play, Square, QrCode, Star, Trash2, Plus, Download, Upload } from 'lucide-react';
+import { apiFetch } from '../config/api';
+
+interface SessionQueue {
+  queueLength: number;
+  deadLetters: number;
+  pausedUntil?: string | null;
+  pauseReason?: string | null;
+}
+
+interface Session {
+  id: string;
+  name: string;
+  branches: string[];
+  isDefault: boolean;
+  autoStart: boolean;
+  state: 'stopped' | 'starting' | 'qr' | 'authenticated' | 'ready' | 'disconnected' | 'failed';
+  isReady: boolean;
+  stateChangedAt: string;
+  queue: SessionQueue;
+}
+
+interface SessionListProps {
+  sessions: Session[];
+  onChanged: () => void;
+}
+
+const SessionList: React.FC<SessionListProps> = ({ sessions, onChanged }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState({ id: '', name: '', branches: '' });
+  const [error, setError] = useState<string | null>(null);
+  const [notice, setNotice] = useState<string | null>(null);
+  const [restoreTarget, setRestoreTarget] = useState<Session | null>(null);
+  const archiveInput = useRef<HTMLInputElement>(null);
+
+  const request = async (url: string, options: RequestInit = {}) => {
+    setError(null);
+
+    try {
+      const response = await apiFetch(`${url}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' },
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        setError(result.error);
+      }
+      onChanged();
+      return result;
+    } catch (error) {
+      console.error('Error updating session:', error);
+      setError('Network error');
+      return { success: false };
+    }
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const result = await request('/api/sessions', {
+      method: 'POST',
+      body: JSON.stringify({
+        id: form.id.trim(),
+        name: form.name.trim() || undefined,
+        branches: form.branches.split(',').map(branch => branch.trim()).filter(Boolean),
+      }),
+    });
+
+    if (result.success) {
+      setForm({ id: '', name: '', branches: '' });
+      setShowForm(false);
+    }
+  };
+
+  const handleDelete = (session: Session) => {
+    if (window.confirm(`Delete session ${session.name}? Its WhatsApp login is removed.`)) {
+      request(`/api/sessions/${session.id}`, { method: 'DELETE' });
+    }
+  };
+
+  // The archive holds the WhatsApp login, so it is always encrypted with a passphrase
+  const handleExport = async (session: Session) => {
+    const passphrase = window.prompt(`Passphrase to encrypt the login of ${session.name} (12+ characters). It is needed to restore the archive.`);
+    if (!passphrase) {
+      return;
+    }
+
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await apiFetch(`/api/sessions/${session.id}/export`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ passphrase }),
+      });
+
+      if (!response.ok) {
+        setError((await response.json()).error);
+        return;
+      }
+
+      const url = URL.createObjectURL(await response.blob());
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `session-${session.id}.lwsb`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch (error) {
+      console.error('Error exporting session:', error);
+      setError('Network error');
+    }
+  };
+
+  const handleRestoreFile = async (e: React.ChangeEvent<HTMLInputElement>) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    const session = restoreTarget;
+    if (!file || !session) {
+      return;
+    }
+
+    const passphrase = window.prompt(`Passphrase of ${file.name}`);
+    if (!passphrase || !window.confirm(`Replace the WhatsApp login of ${session.name} with ${file.name}? A running session is restarted.`)) {
+      return;
+    }
+
+    const formData = new FormData();
+    formData.append('archive', file);
+    formData.append('passphrase', passphrase);
+
+    setError(null);
+    setNotice(null);
+    try {
+      const response = await apiFetch(`/api/sessions/${session.id}/restore`, { method: 'POST', body: formData });
+      const result = await response.json();
+
+      if (result.success) {
+        setNotice(`Restored ${session.name} from a backup made ${new Date(result.backupCreatedAt).toLocaleString()}`);
+      } else {
+        setError(result.error);
+      }
+      onChanged();
+    } catch (error) {
+      console.error('Error restoring session:', error);
+      setError('Network error');
+    }
+  };
+
+  const getStateColor = (state: string) => {
+    switch (state) {
+      case 'ready': return 'bg-green-100 text-green-800';
+      case 'qr':
+      case 'starting':
+      case 'authenticated': return 'bg-blue-100 text-blue-800';
+      case 'failed': return 'bg-red-100 text-red-800';
+      case 'disconnected': return 'bg-yellow-100 text-yellow-800';
+      default: return 'bg-gray-100 text-gray-700';
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-lg shadow">
+      <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+        <div>
+          <h2 className="text-lg font-medium text-gray-900">WhatsApp Sessions</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            {sessions.filter(s => s.isReady).length} of {sessions.length} connected
+          </p>
+        </div>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="flex items-center space-x-2 px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+        >
+          <Plus className="h-4 w-4" />
+          <span>Add Session</span>
+        </button>
+      </div>
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="px-6 py-4 border-b border-gray-200 grid grid-cols-1 md:grid-cols-4 gap-3">
+          <input
+            type="text"
+            value={form.id}
+            onChange={(e) => setForm({ ...form, id: e.target.value })}
+            placeholder="Session id (e.g. pune-lab)"
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            required
+          />
+          <input
+            type="text"
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Name"
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <input
+            type="text"
+            value={form.branches}
+            onChange={(e) => setForm({ ...form, branches: e.target.value })}
+            placeholder="Branches, comma separated"
+            className="px-3 py-2 text-sm border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <button
+            type="submit"
+            className="px-4 py-2 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+          >
+            Create and Connect
+          </button>
+        </form>
+      )}
+
+      {error && (
+        <div className="mx-6 mt-4 p-4 rounded-md bg-red-50 border border-red-200">
+          <p className="text-sm text-red-800">❌ Error: {error}</p>
+        </div>
+      )}
+
+      {notice && (
+        <div className="mx-6 mt-4 p-4 rounded-md bg-green-50 border border-green-200">
+          <p className="text-sm text-green-800">✅ {notice}</p>
+        </div>
+      )}
+
+      <input ref={archiveInput} type="file" accept=".lwsb" onChange={handleRestoreFile} className="hidden" />
+
+      <div className="divide-y divide-gray-200">
+        {sessions.map((session) => (
+          <div key={session.id} className="px-6 py-4 flex items-center justify-between">
+            <div className="min-w-0">
+              <div className="flex items-center space-x-2">
+                <Smartphone className="h-4 w-4 text-gray-400" />
+                <p className="text-sm font-medium text-gray-900">{session.name}</p>
+                <span className="text-xs text-gray-400">{session.id}</span>
+                {session.isDefault && (
+                  <span className="inline-flex items-center px-2 py-0.5 rounded text-xs font-medium bg-blue-50 text-blue-700">
+                    default
+                  </span>
+                )}
+              </div>
+              <p className="text-xs text-gray-500 mt-1">
+                {session.branches.length > 0 ? `Branches: ${session.branches.join(', ')}` : 'No branches'}
+                {' • '}
+                {session.queue.queueLength} queued
+                {session.queue.deadLetters > 0 && ` • ${session.queue.deadLetters} failed`}
+              </p>
+              {session.queue.pausedUntil && (
+                <p className="text-xs text-yellow-700 mt-1">
+                  ⏸️ Paused ({session.queue.pauseReason}) until {new Date(session.queue.pausedUntil).toLocaleTimeString()}
+                </p>
+              )}
+            </div>
+            <div className="ml-4 flex items-center space-x-2">
+              <span className={`inline-flex items-center px-2.5 py-0.5 rounded-full text-xs font-medium ${getStateColor(session.state)}`}>
+                {session.state === 'qr' ? 'scan QR' : session.state}
+              </span>
+              {session.state === 'stopped' || session.state === 'failed' ? (
+                <button
+                  onClick={() => request(`/api/sessions/${session.id}/start`, { method: 'POST' })}
+                  className="p-1 text-gray-500 hover:text-green-600"
+                  title="Start"
+                >
+                  <Play className="h-4 w-4" />
+                </button>
+              ) : (
+                <button
+                  onClick={() => request(`/api/sessions/${session.id}/stop`, { method: 'POST' })}
+                  className="p-1 text-gray-500 hover:text-yellow-600"
+                  title="Stop"
+                >
+                  <Square className="h-4 w-4" />
+                </button>
+              )}
+              {!session.isReady && session.state !== 'stopped' && (
+                <button
+                  onClick={() => request('/api/generate-qr', { method: 'POST', body: JSON.stringify({ sessionId: session.id }) })}
+                  className="p-1 text-gray-500 hover:text-blue-600"
+                  title="New QR code"
+                >
+                  <QrCode className="h-4 w-4" />
+                </button>
+              )}
+              <button
+                onClick={() => handleExport(session)}
+                className="p-1 text-gray-500 hover:text-blue-600"
+                title="Export login"
+              >
+                <Download className="h-4 w-4" />
+              </button>
+              <button
+                onClick={() => {
+                  setRestoreTarget(session);
+                  archiveInput.current?.click();
+                }}
+                className="p-1 text-gray-500 hover:text-blue-600"
+                title="Restore login"
+              >
+                <Upload className="h-4 w-4" />
+              </button>
+              {!session.isDefault && (
+                <>
+                  <button
+                    onClick={() => request(`/api/sessions/${session.id}`, { method: 'PUT', body: JSON.stringify({ isDefault: true }) })}
+                    className="p-1 text-gray-500 hover:text-blue-600"
+                    title="Make default"
+                  >
+                    <Star className="h-4 w-4" />
+                  </button>
+                  <button
+                    onClick={() => handleDelete(session)}
+                    className="p-1 text-gray-500 hover:text-red-600"
+                    title="Delete"
+                  >
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
+export default SessionList;
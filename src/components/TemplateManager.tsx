@@ -0,0 +1,236 @@
+import React, { useState } from 'react';
+import { Plus, Save, Trash2, History } from 'lucide-react';
+import { apiFetch } from '../config/api';
+import { LOCALES } from '../config/locales';
+
+interface MessageTemplate {
+  id: string;
+  name: string;
+  body: string;
+  defaultLocale: string;
+  variants: Record<string, string>;
+  version: number;
+  updatedAt: string;
+}
+
+interface TemplateVersion {
+  version: number;
+  name: string;
+  variants: Record<string, string>;
+  updatedAt: string;
+}
+
+interface TemplateManagerProps {
+  templates: MessageTemplate[];
+  onTemplatesChanged: () => void;
+}
+
+const TemplateManager: React.FC<TemplateManagerProps> = ({ templates, onTemplatesChanged }) => {
+  const [selectedId, setSelectedId] = useState<string | null>(null);
+  const [draft, setDraft] = useState<{ name: string; variants: Record<string, string> }>({ name: '', variants: {} });
+  const [activeLocale, setActiveLocale] = useState('en');
+  const [versions, setVersions] = useState<TemplateVersion[]>([]);
+  const [saving, setSaving] = useState(false);
+  const [result, setResult] = useState<{ success: boolean; error?: string } | null>(null);
+
+  const selectTemplate = async (template: MessageTemplate) => {
+    setSelectedId(template.id);
+    setDraft({ name: template.name, variants: { ...template.variants } });
+    setResult(null);
+
+    try {
+      const response = await apiFetch(`/api/templates/${template.id}/versions`);
+      setVersions(await response.json());
+    } catch (error) {
+      console.error('Error fetching template versions:', error);
+      setVersions([]);
+    }
+  };
+
+  const startNewTemplate = () => {
+    setSelectedId(null);
+    setDraft({ name: '', variants: {} });
+    setVersions([]);
+    setResult(null);
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    setResult(null);
+
+    try {
+      const response = await apiFetch(
+        selectedId ? `/api/templates/${selectedId}` : `/api/templates`,
+        {
+          method: selectedId ? 'PUT' : 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(draft),
+        }
+      );
+      const data = await response.json();
+      setResult(data);
+
+      if (data.success) {
+        onTemplatesChanged();
+        await selectTemplate(data.template);
+      }
+    } catch (error) {
+      console.error('Error saving template:', error);
+      setResult({ success: false, error: 'Network error' });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleDelete = async () => {
+    if (!selectedId || !window.confirm('Delete this template?')) {
+      return;
+    }
+
+    try {
+      await apiFetch(`/api/templates/${selectedId}`, { method: 'DELETE' });
+      onTemplatesChanged();
+      startNewTemplate();
+    } catch (error) {
+      console.error('Error deleting template:', error);
+    }
+  };
+
+  return (
+    <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+      <div className="bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200 flex items-center justify-between">
+          <h2 className="text-lg font-medium text-gray-900">Templates</h2>
+          <button
+            onClick={startNewTemplate}
+            className="flex items-center space-x-1 px-3 py-1 text-sm bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+          >
+            <Plus className="h-4 w-4" />
+            <span>New</span>
+          </button>
+        </div>
+        <div className="divide-y divide-gray-200">
+          {templates.map((template) => (
+            <button
+              key={template.id}
+              onClick={() => selectTemplate(template)}
+              className={`w-full text-left px-6 py-3 hover:bg-gray-50 transition-colors ${
+                selectedId === template.id ? 'bg-blue-50' : ''
+              }`}
+            >
+              <p className="text-sm font-medium text-gray-900">{template.name}</p>
+              <p className="text-xs text-gray-500 mt-1">
+                v{template.version} • {new Date(template.updatedAt).toLocaleString()}
+              </p>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="md:col-span-2 bg-white rounded-lg shadow">
+        <div className="px-6 py-4 border-b border-gray-200">
+          <h2 className="text-lg font-medium text-gray-900">
+            {selectedId ? 'Edit Template' : 'New Template'}
+          </h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Saving creates a new version; messages sent earlier keep a reference to the version they used.
+            Patients whose language has no variant get the English text.
+          </p>
+        </div>
+
+        <div className="p-6 space-y-4">
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Name</label>
+            <input
+              type="text"
+              value={draft.name}
+              onChange={(e) => setDraft({ ...draft, name: e.target.value })}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+          </div>
+
+          <div>
+            <label className="block text-sm font-medium text-gray-700 mb-2">Body</label>
+            <div className="flex space-x-2 mb-2">
+              {LOCALES.map((locale) => (
+                <button
+                  key={locale.code}
+                  type="button"
+                  onClick={() => setActiveLocale(locale.code)}
+                  className={`px-3 py-1 text-sm rounded-md transition-colors ${
+                    activeLocale === locale.code
+                      ? 'bg-blue-100 text-blue-700'
+                      : 'bg-gray-100 text-gray-700 hover:bg-gray-200'
+                  }`}
+                >
+                  {locale.label}
+                  {!draft.variants[locale.code] && ' (empty)'}
+                </button>
+              ))}
+            </div>
+            <textarea
+              value={draft.variants[activeLocale] || ''}
+              onChange={(e) => setDraft({ ...draft, variants: { ...draft.variants, [activeLocale]: e.target.value } })}
+              rows={10}
+              className="w-full px-3 py-2 border border-gray-300 rounded-md font-mono text-sm focus:outline-none focus:ring-2 focus:ring-blue-500"
+            />
+            <p className="text-xs text-gray-500 mt-1">
+              Placeholders: [PatientName], [TestName], [ReportDate|date:long], [DoctorName], [LabName], [ReportLink], [PasswordHint] • Sections: [#if Urgent]...[/if], [#each Tests][Name]: [Value][/each]
+            </p>
+          </div>
+
+          <div className="flex justify-between">
+            <button
+              onClick={handleDelete}
+              disabled={!selectedId}
+              className="flex items-center space-x-2 px-4 py-2 text-sm text-red-600 border border-red-200 rounded-md hover:bg-red-50 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <Trash2 className="h-4 w-4" />
+              <span>Delete</span>
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={saving || !draft.name || !draft.variants.en}
+              className="flex items-center space-x-2 px-6 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+            >
+              <Save className="h-4 w-4" />
+              <span>{saving ? 'Saving...' : 'Save'}</span>
+            </button>
+          </div>
+
+          {result && !result.success && (
+            <div className="p-4 rounded-md bg-red-50 border border-red-200">
+              <p className="text-sm text-red-800">❌ Error: {result.error}</p>
+            </div>
+          )}
+
+          {versions.length > 1 && (
+            <div className="border-t border-gray-200 pt-4">
+              <h3 className="flex items-center space-x-2 text-sm font-medium text-gray-900 mb-2">
+                <History className="h-4 w-4" />
+                <span>Version History</span>
+              </h3>
+              <div className="space-y-2">
+                {[...versions].reverse().map((version) => (
+                  <div key={version.version} className="flex items-center justify-between text-sm">
+                    <span className="text-gray-600">
+                      v{version.version} • {new Date(version.updatedAt).toLocaleString()}
+                    </span>
+                    <button
+                      onClick={() => setDraft({ name: version.name, variants: { ...version.variants } })}
+                      className="text-blue-600 hover:text-blue-800"
+                    >
+                      Load
+                    </button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default TemplateManager;
@@ -0,0 +1,322 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Webhook, Plus, Trash2, Send, RotateCcw, List } from 'lucide-react';
+import { apiFetch } from '../config/api';
+
+interface WebhookSubscription {
+  id: string;
+  url: string;
+  events: string[];
+  description: string;
+  active: boolean;
+  secretHint: string;
+  deliveries: {
+    pending: number;
+    delivered: number;
+    failed: number;
+    lastState: 'pending' | 'delivered' | 'failed' | null;
+    lastAt: string | null;
+  };
+}
+
+interface WebhookDelivery {
+  id: string;
+  event: string;
+  state: 'pending' | 'delivered' | 'failed';
+  attempts: number;
+  responseStatus: number | null;
+  lastError: string | null;
+  nextAttemptAt: string | null;
+  createdAt: string;
+}
+
+const WebhookSettings: React.FC = () => {
+  const [webhooks, setWebhooks] = useState<WebhookSubscription[]>([]);
+  const [events, setEvents] = useState<string[]>([]);
+  const [form, setForm] = useState({ url: '', description: '', events: [] as string[] });
+  const [showForm, setShowForm] = useState(false);
+  const [secret, setSecret] = useState<{ url: string; secret: string } | null>(null);
+  const [logFor, setLogFor] = useState<string | null>(null);
+  const [deliveries, setDeliveries] = useState<WebhookDelivery[]>([]);
+  const [error, setError] = useState<string | null>(null);
+
+  const fetchWebhooks = useCallback(async () => {
+    try {
+      const response = await apiFetch(`/api/webhooks`);
+      const data = await response.json();
+      setWebhooks(data.webhooks);
+      setEvents(data.events);
+    } catch (error) {
+      console.error('Error fetching webhooks:', error);
+    }
+  }, []);
+
+  const fetchDeliveries = useCallback(async () => {
+    if (!logFor) {
+      setDeliveries([]);
+      return;
+    }
+
+    try {
+      const response = await apiFetch(`/api/webhooks/${logFor}/deliveries?limit=20`);
+      setDeliveries(await response.json());
+    } catch (error) {
+      console.error('Error fetching webhook deliveries:', error);
+    }
+  }, [logFor]);
+
+  useEffect(() => {
+    fetchWebhooks();
+  }, [fetchWebhooks]);
+
+  useEffect(() => {
+    fetchDeliveries();
+  }, [fetchDeliveries]);
+
+  const request = async (url: string, options: RequestInit = {}) => {
+    setError(null);
+
+    try {
+      const response = await apiFetch(`${url}`, {
+        ...options,
+        headers: { 'Content-Type': 'application/json' },
+      });
+      const result = await response.json();
+
+      if (!result.success) {
+        setError(result.errors?.join(', ') || result.error);
+      }
+      fetchWebhooks();
+      fetchDeliveries();
+      return result;
+    } catch (error) {
+      console.error('Error updating webhook:', error);
+      setError('Network error');
+      return { success: false };
+    }
+  };
+
+  const handleCreate = async (e: React.FormEvent) => {
+    e.preventDefault();
+    const result = await request('/api/webhooks', {
+      method: 'POST',
+      body: JSON.stringify({
+        url: form.url.trim(),
+        description: form.description.trim(),
+        events: form.events.length > 0 ? form.events : undefined,
+      }),
+    });
+
+    if (result.success) {
+      setSecret({ url: result.webhook.url, secret: result.webhook.secret });
+      setForm({ url: '', description: '', events: [] });
+      setShowForm(false);
+    }
+  };
+
+  const handleRotate = async (webhook: WebhookSubscription) => {
+    if (!window.confirm(`Issue a new signing secret for ${webhook.url}? The old one stops working immediately.`)) {
+      return;
+    }
+
+    const result = await request(`/api/webhooks/${webhook.id}`, {
+      method: 'PUT',
+      body: JSON.stringify({ rotateSecret: true }),
+    });
+    if (result.success) {
+      setSecret({ url: result.webhook.url, secret: result.webhook.secret });
+    }
+  };
+
+  const handleDelete = (webhook: WebhookSubscription) => {
+    if (window.confirm(`Delete the webhook for ${webhook.url} and its delivery log?`)) {
+      if (logFor === webhook.id) {
+        setLogFor(null);
+      }
+      request(`/api/webhooks/${webhook.id}`, { method: 'DELETE' });
+    }
+  };
+
+  const toggleEvent = (event: string) => {
+    setForm({
+      ...form,
+      events: form.events.includes(event) ? form.events.filter(e => e !== event) : [...form.events, event],
+    });
+  };
+
+  const getStateColor = (state: string | null) => {
+    switch (state) {
+      case 'delivered': return 'text-green-700';
+      case 'failed': return 'text-red-700';
+      case 'pending': return 'text-yellow-700';
+      default: return 'text-gray-500';
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center justify-between max-w-3xl">
+        <h3 className="text-sm font-medium text-gray-700 flex items-center">
+          <Webhook className="h-4 w-4 mr-1" />
+          Webhooks
+        </h3>
+        <button
+          onClick={() => setShowForm(!showForm)}
+          className="flex items-center space-x-1 px-3 py-1 text-sm border border-gray-300 rounded-md hover:bg-gray-50 transition-colors"
+        >
+          <Plus className="h-4 w-4" />
+          <span>Add Webhook</span>
+        </button>
+      </div>
+      <p className="text-xs text-gray-500">
+        Registered URLs receive a signed POST when a message is queued, sent, delivered, read or failed, and when a patient writes in.
+      </p>
+
+      {showForm && (
+        <form onSubmit={handleCreate} className="max-w-3xl p-4 border border-gray-200 rounded-md space-y-3">
+          <input
+            type="url"
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            placeholder="https://lims.example.com/whatsapp/events"
+            required
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <input
+            type="text"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            placeholder="Description (optional)"
+            className="w-full px-3 py-2 border border-gray-300 rounded-md focus:outline-none focus:ring-2 focus:ring-blue-500"
+          />
+          <div className="flex flex-wrap gap-3">
+            {events.map((event) => (
+              <label key={event} className="flex items-center space-x-1 text-sm text-gray-700">
+                <input type="checkbox" checked={form.events.includes(event)} onChange={() => toggleEvent(event)} />
+                <span>{event}</span>
+              </label>
+            ))}
+          </div>
+          <p className="text-xs text-gray-500">Leave all events unchecked to subscribe to every event</p>
+          <button
+            type="submit"
+            className="px-4 py-2 bg-blue-600 text-white rounded-md hover:bg-blue-700 transition-colors"
+          >
+            Register
+          </button>
+        </form>
+      )}
+
+      {secret && (
+        <div className="max-w-3xl p-3 rounded-md bg-yellow-50 border border-yellow-200 text-sm text-yellow-800">
+          <p>Signing secret for {secret.url}. Copy it now; it is not shown again.</p>
+          <code className="block mt-1 break-all">{secret.secret}</code>
+          <button onClick={() => setSecret(null)} className="mt-2 text-xs underline">Done</button>
+        </div>
+      )}
+
+      {error && (
+        <div className="max-w-3xl p-3 rounded-md bg-red-50 border border-red-200">
+          <p className="text-sm text-red-800">❌ Error: {error}</p>
+        </div>
+      )}
+
+      <div className="max-w-3xl divide-y divide-gray-200 border border-gray-200 rounded-md">
+        {webhooks.length > 0 ? (
+          webhooks.map((webhook) => (
+            <div key={webhook.id} className="p-3">
+              <div className="flex items-center justify-between">
+                <div className="min-w-0">
+                  <p className="text-sm font-medium text-gray-900 truncate">{webhook.url}</p>
+                  <p className="text-xs text-gray-500">
+                    {webhook.description && `${webhook.description} • `}
+                    {webhook.events.length === events.length ? 'all events' : webhook.events.join(', ')} • secret {webhook.secretHint}
+                  </p>
+                  <p className="text-xs mt-1">
+                    <span className="text-green-700">{webhook.deliveries.delivered} delivered</span>
+                    {' • '}
+                    <span className="text-yellow-700">{webhook.deliveries.pending} pending</span>
+                    {' • '}
+                    <span className="text-red-700">{webhook.deliveries.failed} failed</span>
+                  </p>
+                </div>
+                <div className="flex items-center space-x-2 ml-4">
+                  <label className="flex items-center space-x-1 text-xs text-gray-600">
+                    <input
+                      type="checkbox"
+                      checked={webhook.active}
+                      onChange={() => request(`/api/webhooks/${webhook.id}`, {
+                        method: 'PUT',
+                        body: JSON.stringify({ active: !webhook.active }),
+                      })}
+                    />
+                    <span>Active</span>
+                  </label>
+                  <button onClick={() => request(`/api/webhooks/${webhook.id}/test`, { method: 'POST' })} title="Send a test event" className="p-1 text-gray-500 hover:text-blue-600">
+                    <Send className="h-4 w-4" />
+                  </button>
+                  <button onClick={() => setLogFor(logFor === webhook.id ? null : webhook.id)} title="Delivery log" className="p-1 text-gray-500 hover:text-blue-600">
+                    <List className="h-4 w-4" />
+                  </button>
+                  <button onClick={() => handleRotate(webhook)} title="Rotate secret" className="p-1 text-gray-500 hover:text-blue-600">
+                    <RotateCcw className="h-4 w-4" />
+                  </button>
+                  <button onClick={() => handleDelete(webhook)} title="Delete" className="p-1 text-gray-500 hover:text-red-600">
+                    <Trash2 className="h-4 w-4" />
+                  </button>
+                </div>
+              </div>
+
+              {logFor === webhook.id && (
+                <table className="mt-3 w-full text-xs">
+                  <thead>
+                    <tr className="text-left text-gray-500">
+                      <th className="py-1">Event</th>
+                      <th className="py-1">State</th>
+                      <th className="py-1">Attempts</th>
+                      <th className="py-1">Response</th>
+                      <th className="py-1">Created</th>
+                      <th className="py-1"></th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {deliveries.map((delivery) => (
+                      <tr key={delivery.id} className="border-t border-gray-100">
+                        <td className="py-1">{delivery.event}</td>
+                        <td className={`py-1 ${getStateColor(delivery.state)}`}>
+                          {delivery.state}
+                          {delivery.state === 'pending' && delivery.nextAttemptAt && ` (next ${new Date(delivery.nextAttemptAt).toLocaleTimeString()})`}
+                        </td>
+                        <td className="py-1">{delivery.attempts}</td>
+                        <td className="py-1" title={delivery.lastError || ''}>
+                          {delivery.responseStatus || delivery.lastError || '-'}
+                        </td>
+                        <td className="py-1">{new Date(delivery.createdAt).toLocaleString()}</td>
+                        <td className="py-1 text-right">
+                          {delivery.state !== 'pending' && (
+                            <button
+                              onClick={() => request(`/api/webhooks/${webhook.id}/deliveries/${delivery.id}/redeliver`, { method: 'POST' })}
+                              className="text-blue-600 hover:underline"
+                            >
+                              Redeliver
+                            </button>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                    {deliveries.length === 0 && (
+                      <tr><td colSpan={6} className="py-2 text-gray-500">No deliveries yet</td></tr>
+                    )}
+                  </tbody>
+                </table>
+              )}
+            </div>
+          ))
+        ) : (
+          <p className="p-3 text-sm text-gray-500">No webhooks registered</p>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default WebhookSettings;
@@ -9,3 +9,41 @@ const SOCKET_URL = isDevelopment
   : window.location.origin;
 
 export { API_URL, SOCKET_URL };
+
+// Base URL for the backend API, overridable at build time
+const API_BASE_URL = import.meta.env.VITE_API_BASE_URL || 'http://localhost:3001';
+
+export { API_BASE_URL };
+
+const TOKEN_KEY = 'lims-whatsapp-token';
+
+const getAuthToken = () => localStorage.getItem(TOKEN_KEY);
+
+const setAuthToken = (token: string | null) => {
+  if (token) {
+    localStorage.setItem(TOKEN_KEY, token);
+  } else {
+    localStorage.removeItem(TOKEN_KEY);
+  }
+};
+
+// Event fired when the server rejects the stored token (expired, revoked or signed out)
+const AUTH_EXPIRED_EVENT = 'auth-expired';
+
+// fetch() against the backend with the signed-in user's token; `path` starts with /api
+const apiFetch = async (path: string, options: RequestInit = {}) => {
+  const headers = new Headers(options.headers);
+  const token = getAuthToken();
+  if (token) {
+    headers.set('Authorization', `Bearer ${token}`);
+  }
+
+  const response = await fetch(`${API_BASE_URL}${path}`, { ...options, headers });
+  if (response.status === 401 && token) {
+    setAuthToken(null);
+    window.dispatchEvent(new Event(AUTH_EXPIRED_EVENT));
+  }
+  return response;
+};
+
+export { getAuthToken, setAuthToken, apiFetch, AUTH_EXPIRED_EVENT };
@@ -0,0 +1,8 @@
+// Languages offered for patient messages; codes match the template variant keys on the server
+const LOCALES = [
+  { code: 'en', label: 'English' },
+  { code: 'hi', label: 'हिन्दी (Hindi)' },
+  { code: 'mr', label: 'मराठी (Marathi)' },
+];
+
+export { LOCALES };
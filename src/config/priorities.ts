@@ -0,0 +1,10 @@
+// Queue lanes, highest first; "Automatic" lets the server pick (urgent template or flag -> urgent)
+const PRIORITIES = [
+  { code: '', label: 'Automatic' },
+  { code: 'critical', label: 'Critical' },
+  { code: 'urgent', label: 'Urgent' },
+  { code: 'routine', label: 'Routine' },
+  { code: 'marketing', label: 'Marketing' },
+];
+
+export { PRIORITIES };